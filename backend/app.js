@@ -11,6 +11,7 @@ import dotenv from "dotenv";
 // Import custom middleware and utilities
 import { globalErrorHandler } from "./middleware/errorHandler.js";
 import { notFoundHandler } from "./middleware/notFoundHandler.js";
+import { requestContextMiddleware } from "./utils/requestContext.js";
 
 // Load environment variables
 dotenv.config();
@@ -96,6 +97,9 @@ app.use(mongoSanitize());
 // Compression middleware
 app.use(compression());
 
+// Per-request context (acting user for change tracking)
+app.use(requestContextMiddleware);
+
 // Logging middleware
 if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
@@ -116,10 +120,28 @@ app.get("/health", (req, res) => {
 // Import routes
 import authRoutes from "./routes/authRoutes.js";
 import organizationRoutes from "./routes/organizationRoutes.js";
+import taskRoutes from "./routes/taskRoutes.js";
+import settingsRoutes from "./routes/settingsRoutes.js";
+import taskTemplateRoutes from "./routes/taskTemplateRoutes.js";
+import slaRoutes from "./routes/slaRoutes.js";
+import timesheetRoutes from "./routes/timesheetRoutes.js";
+import commentRoutes from "./routes/commentRoutes.js";
+import changeLogRoutes from "./routes/changeLogRoutes.js";
+import inboundEmailRoutes from "./routes/inboundEmailRoutes.js";
+import attachmentRoutes from "./routes/attachmentRoutes.js";
 
 // API routes
 app.use("/api/auth", authLimiter, authRoutes);
 app.use("/api/organizations", organizationRoutes);
+app.use("/api/tasks", taskRoutes);
+app.use("/api/settings", settingsRoutes);
+app.use("/api/task-templates", taskTemplateRoutes);
+app.use("/api/sla-breaches", slaRoutes);
+app.use("/api/timesheets", timesheetRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/change-logs", changeLogRoutes);
+app.use("/api/inbound-email", inboundEmailRoutes);
+app.use("/api/attachments", attachmentRoutes);
 
 // Handle 404 errors
 app.use(notFoundHandler);
@@ -73,15 +73,157 @@ export const TASK_FREQUENCY = {
 
 export const TASK_FREQUENCY_ARRAY = Object.values(TASK_FREQUENCY);
 
+// Bulk task operations
+export const BULK_TASK_OPERATIONS = {
+  REASSIGN: "reassign",
+  REPRIORITIZE: "reprioritize",
+  CHANGE_STATUS: "changeStatus",
+  MOVE_DEPARTMENT: "moveDepartment",
+  DELETE: "delete",
+};
+
+export const BULK_TASK_OPERATIONS_ARRAY = Object.values(BULK_TASK_OPERATIONS);
+
+// Task Timeline Item Kinds
+export const TIMELINE_ITEM_KINDS = {
+  COMMENT: "comment",
+  ACTIVITY: "activity",
+  ATTACHMENT: "attachment",
+  MATERIAL: "material",
+  STATUS_CHANGE: "statusChange",
+  FIELD_CHANGE: "fieldChange",
+};
+
+export const TIMELINE_ITEM_KINDS_ARRAY = Object.values(TIMELINE_ITEM_KINDS);
+
+// Models whose changes are recorded in the change log
+export const CHANGE_TRACKED_MODELS = [
+  "Organization",
+  "Department",
+  "User",
+  "RoutineTask",
+  "AssignedTask",
+  "ProjectTask",
+  "TaskTemplate",
+  "TaskActivity",
+  "Material",
+  "Vendor",
+  "Attachment",
+  "Timesheet",
+];
+
+// Task fields whose change log entries appear in the task timeline
+export const TASK_TRACKED_FIELDS = ["priority", "dueDate", "assignedTo"];
+
+// Recurrence engine configuration (RoutineTask templates)
+export const RECURRENCE_CONFIG = {
+  SCHEDULER_INTERVAL: 60 * 1000, // 1 minute in milliseconds
+  LOCK_TIMEOUT: 5 * 60 * 1000, // 5 minutes in milliseconds
+  BATCH_SIZE: 50, // Templates processed per scheduler tick
+  MAX_CATCH_UP: 366, // Maximum due occurrences evaluated per template run
+  SEARCH_HORIZON_DAYS: 400, // Days searched for the next occurrence
+};
+
+// SLA engine configuration (overdue detection and escalation)
+export const SLA_CONFIG = {
+  SCHEDULER_INTERVAL: 5 * 60 * 1000, // 5 minutes in milliseconds
+  BATCH_SIZE: 100, // Tasks evaluated per organization per scheduler tick
+};
+
+// Reply-by-email configuration (notification emails and inbound replies)
+export const EMAIL_REPLY_CONFIG = {
+  ADDRESS_PREFIX: "reply", // Reply addresses look like reply+<token>@domain
+  SIGNATURE_BYTES: 12, // Truncated HMAC-SHA256 signature length
+  TOKEN_EXPIRY: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+  REPLY_MARKER: "-- Reply above this line --",
+  MESSAGE_SIZE_MAX: 25 * 1024 * 1024, // 25MB raw message in bytes
+  SMTP_LINE_MAX: 1000, // RFC 5321 text line limit in octets, with CRLF
+  HTML_LENGTH_MAX: 256 * 1024, // Characters of an HTML body converted to text
+  SMTP_IDLE_TIMEOUT: 60 * 1000, // 1 minute in milliseconds
+};
+
+// SLA breach lifecycle used when querying breach history
+export const SLA_BREACH_STATUS = {
+  OPEN: "open",
+  ESCALATED: "escalated",
+  RESOLVED: "resolved",
+};
+
+export const SLA_BREACH_STATUS_ARRAY = Object.values(SLA_BREACH_STATUS);
+
+// Weekly timesheet approval states
+export const TIMESHEET_STATUS = {
+  DRAFT: "draft",
+  SUBMITTED: "submitted",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+export const TIMESHEET_STATUS_ARRAY = Object.values(TIMESHEET_STATUS);
+
+// Roles allowed to perform manager-level task actions (e.g. reopening)
+export const MANAGER_AND_ABOVE_ROLES = [
+  USER_ROLES.SUPER_ADMIN,
+  USER_ROLES.ADMIN,
+  USER_ROLES.MANAGER,
+];
+
+// Default task status transition tables per task type
+// Each source status lists the allowed target statuses; a rule may restrict
+// the roles allowed to perform it or require a reason comment
+// Organizations can override entries through settings.taskStatusTransitions
+const COMMON_STATUS_TRANSITIONS = {
+  [TASK_STATUS.TO_DO]: [
+    { to: TASK_STATUS.IN_PROGRESS },
+    { to: TASK_STATUS.ON_HOLD, requiresReason: true },
+  ],
+  [TASK_STATUS.IN_PROGRESS]: [
+    { to: TASK_STATUS.TO_DO },
+    { to: TASK_STATUS.COMPLETED },
+    { to: TASK_STATUS.ON_HOLD, requiresReason: true },
+  ],
+  [TASK_STATUS.ON_HOLD]: [
+    { to: TASK_STATUS.TO_DO },
+    { to: TASK_STATUS.IN_PROGRESS },
+  ],
+  [TASK_STATUS.COMPLETED]: [
+    { to: TASK_STATUS.IN_PROGRESS, roles: MANAGER_AND_ABOVE_ROLES },
+  ],
+};
+
+export const TASK_STATUS_TRANSITIONS = {
+  [TASK_TYPES.ROUTINE_TASK]: {
+    [TASK_STATUS.IN_PROGRESS]: [
+      { to: TASK_STATUS.COMPLETED },
+      { to: TASK_STATUS.ON_HOLD, requiresReason: true },
+    ],
+    [TASK_STATUS.ON_HOLD]: [{ to: TASK_STATUS.IN_PROGRESS }],
+    [TASK_STATUS.COMPLETED]: [
+      { to: TASK_STATUS.IN_PROGRESS, roles: MANAGER_AND_ABOVE_ROLES },
+    ],
+  },
+  [TASK_TYPES.ASSIGNED_TASK]: COMMON_STATUS_TRANSITIONS,
+  [TASK_TYPES.PROJECT_TASK]: COMMON_STATUS_TRANSITIONS,
+};
+
+// Status new tasks start in; later changes follow the transition tables
+export const INITIAL_TASK_STATUS = {
+  [TASK_TYPES.ROUTINE_TASK]: TASK_STATUS.IN_PROGRESS,
+  [TASK_TYPES.ASSIGNED_TASK]: TASK_STATUS.TO_DO,
+  [TASK_TYPES.PROJECT_TASK]: TASK_STATUS.TO_DO,
+};
+
 // Notification Types
 export const NOTIFICATION_TYPES = {
   TASK_ASSIGNED: "task_assigned",
   TASK_UPDATED: "task_updated",
   TASK_COMPLETED: "task_completed",
+  TASK_OVERDUE: "task_overdue",
   COMMENT_ADDED: "comment_added",
   MENTION: "mention",
   ACTIVITY_ADDED: "activity_added",
   SYSTEM: "system",
+  SYSTEM_ALERT: "system_alert",
 };
 
 export const NOTIFICATION_TYPES_ARRAY = Object.values(NOTIFICATION_TYPES);
@@ -94,6 +236,18 @@ export const NOTIFICATION_STATUS = {
 
 export const NOTIFICATION_STATUS_ARRAY = Object.values(NOTIFICATION_STATUS);
 
+// Comment reaction types; a user can add each type once per comment
+export const COMMENT_REACTIONS = {
+  LIKE: "like",
+  DISLIKE: "dislike",
+  LOVE: "love",
+  LAUGH: "laugh",
+  ANGRY: "angry",
+  SAD: "sad",
+};
+
+export const COMMENT_REACTIONS_ARRAY = Object.values(COMMENT_REACTIONS);
+
 // Attachment Types
 export const ATTACHMENT_TYPES = {
   IMAGE: "image",
@@ -113,6 +267,56 @@ export const ATTACHMENT_MODELS = {
 
 export const ATTACHMENT_MODELS_ARRAY = Object.values(ATTACHMENT_MODELS);
 
+// Attachment storage backends (selected with STORAGE_PROVIDER)
+export const STORAGE_PROVIDERS = {
+  LOCAL: "local",
+  S3: "s3",
+  CLOUDINARY: "cloudinary",
+};
+
+export const STORAGE_PROVIDERS_ARRAY = Object.values(STORAGE_PROVIDERS);
+
+// Generated attachment renditions
+export const RENDITION_KINDS = {
+  THUMBNAIL: "thumbnail", // Scaled image
+  PREVIEW: "preview", // First page of a document
+  POSTER: "poster", // Frame of a video
+};
+
+export const RENDITION_KINDS_ARRAY = Object.values(RENDITION_KINDS);
+
+// Rendition sizes as the longest side in pixels
+export const RENDITION_SIZES = {
+  SMALL: 128,
+  MEDIUM: 512,
+  LARGE: 1024,
+};
+
+// Default attachment storage per organization size, in bytes; an
+// organization's storageQuota overrides it
+export const STORAGE_QUOTAS = {
+  [ORGANIZATION_SIZES.SMALL]: 5 * 1024 * 1024 * 1024, // 5GB
+  [ORGANIZATION_SIZES.MEDIUM]: 25 * 1024 * 1024 * 1024, // 25GB
+  [ORGANIZATION_SIZES.LARGE]: 100 * 1024 * 1024 * 1024, // 100GB
+  [ORGANIZATION_SIZES.ENTERPRISE]: 500 * 1024 * 1024 * 1024, // 500GB
+};
+
+// Percentages of the storage quota at which admins are warned
+export const STORAGE_QUOTA_WARNING_THRESHOLDS = [80, 95];
+
+// Signed attachment download links
+export const ATTACHMENT_DOWNLOAD_CONFIG = {
+  URL_TTL: 5 * 60, // 5 minutes in seconds
+  USER_AGENT_MAX: 500,
+};
+
+// Rendition generation with external converters (ffmpeg, pdftoppm)
+export const RENDITION_CONFIG = {
+  PROCESS_TIMEOUT: 30 * 1000, // 30 seconds per conversion
+  POSTER_FRAME_OFFSET: 1, // Seconds into a video for its poster frame
+  JPEG_QUALITY: 4, // ffmpeg -q:v scale, 2 (best) to 31
+};
+
 // Validation Limits
 export const VALIDATION_LIMITS = {
   // String lengths
@@ -130,8 +334,17 @@ export const VALIDATION_LIMITS = {
   DEPARTMENT_DESCRIPTION_MAX: 500,
   TASK_TITLE_MAX: 200,
   TASK_DESCRIPTION_MAX: 2000,
+  STATUS_COMMENT_MAX: 500,
+  CHECKLIST_ITEM_TITLE_MAX: 200,
+  TEMPLATE_NAME_MAX: 100,
+  TEMPLATE_DESCRIPTION_MAX: 500,
   COMMENT_CONTENT_MAX: 1000,
+  ACTIVITY_TITLE_MAX: 200,
   ACTIVITY_DESCRIPTION_MAX: 1000,
+  TIMESHEET_COMMENT_MAX: 500,
+  COMMENT_EDIT_WINDOW_MAX_MINUTES: 10080,
+  COMMENT_THREAD_DEPTH_MAX: 20,
+  COMMENT_REPLY_LIMIT_DEFAULT: 5,
   MATERIAL_NAME_MAX: 100,
   MATERIAL_DESCRIPTION_MAX: 500,
   VENDOR_NAME_MAX: 100,
@@ -147,6 +360,15 @@ export const VALIDATION_LIMITS = {
   COST_MAX: 999999999.99,
   MATERIAL_QUANTITY_MIN: 0,
   MATERIAL_QUANTITY_MAX: 999999,
+  TASK_BLOCKERS_MAX: 20, // Blocking tasks per task
+  CHECKLIST_ITEMS_MAX: 100, // Checklist items per task
+  TEMPLATE_DATE_OFFSET_MAX: 3650, // days
+  TEMPLATE_MATERIALS_MAX: 50,
+  BULK_TASKS_MAX: 100, // Task IDs per bulk operation
+  DEPENDENCY_GRAPH_DEPTH_DEFAULT: 3,
+  DEPENDENCY_GRAPH_DEPTH_MAX: 10,
+  SLA_POLICIES_MAX: 50, // SLA policies per organization
+  SLA_HOURS_MAX: 8760, // 1 year in hours
 
   // File upload limits
   FILE_SIZE_MAX: 10 * 1024 * 1024, // 10MB in bytes
@@ -189,6 +411,9 @@ export const FILE_UPLOAD = {
   ],
   ALLOWED_VIDEO_TYPES: ["video/mp4", "video/avi", "video/mov", "video/wmv"],
   MAX_FILE_SIZE: VALIDATION_LIMITS.FILE_SIZE_MAX,
+  MAX_FILES_PER_UPLOAD: 5,
+  MAX_FIELD_SIZE: 64 * 1024, // 64KB per non-file form field
+  MAX_FIELDS: 50,
 };
 
 // All allowed file types combined
@@ -216,6 +441,18 @@ export const BUSINESS_RULES = {
     TASK_TYPES.PROJECT_TASK,
   ],
 
+  // Task types that support checklists
+  CHECKLIST_SUPPORTED_TASK_TYPES: [
+    TASK_TYPES.ASSIGNED_TASK,
+    TASK_TYPES.PROJECT_TASK,
+  ],
+
+  // Task types that can block or be blocked by other tasks
+  DEPENDENCY_SUPPORTED_TASK_TYPES: [
+    TASK_TYPES.ASSIGNED_TASK,
+    TASK_TYPES.PROJECT_TASK,
+  ],
+
   // Default values
   DEFAULT_USER_ROLE: USER_ROLES.USER,
   DEFAULT_USER_STATUS: USER_STATUS.OFFLINE,
@@ -224,6 +461,8 @@ export const BUSINESS_RULES = {
   DEFAULT_TASK_FREQUENCY: TASK_FREQUENCY.DAILY,
   DEFAULT_NOTIFICATION_STATUS: NOTIFICATION_STATUS.UNREAD,
   DEFAULT_PAGE_SIZE: VALIDATION_LIMITS.PAGE_SIZE_DEFAULT,
+  DEFAULT_COMMENT_EDIT_WINDOW_MINUTES: 15,
+  DEFAULT_COMMENT_THREAD_DEPTH: 5,
 };
 
 // HTTP Status Codes
@@ -236,6 +475,8 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   UNPROCESSABLE_ENTITY: 422,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
@@ -263,6 +504,25 @@ export const ERROR_CODES = {
   // Business rule errors
   INVALID_ROUTINE_TASK_STATUS: "INVALID_ROUTINE_TASK_STATUS",
   INVALID_ROUTINE_TASK_PRIORITY: "INVALID_ROUTINE_TASK_PRIORITY",
+  INVALID_STATUS_TRANSITION: "INVALID_STATUS_TRANSITION",
+  STATUS_TRANSITION_FORBIDDEN: "STATUS_TRANSITION_FORBIDDEN",
+  STATUS_REASON_REQUIRED: "STATUS_REASON_REQUIRED",
+  TASK_BLOCKED: "TASK_BLOCKED",
+  DEPENDENCY_CYCLE: "DEPENDENCY_CYCLE",
+  INVALID_DEPENDENCY: "INVALID_DEPENDENCY",
+  TEMPLATE_INACTIVE: "TEMPLATE_INACTIVE",
+  TEMPLATE_PLACEHOLDER_MISSING: "TEMPLATE_PLACEHOLDER_MISSING",
+  TIMER_ALREADY_RUNNING: "TIMER_ALREADY_RUNNING",
+  TIMER_NOT_RUNNING: "TIMER_NOT_RUNNING",
+  TIMESHEET_LOCKED: "TIMESHEET_LOCKED",
+  INVALID_TIMESHEET_STATUS: "INVALID_TIMESHEET_STATUS",
+  COMMENT_EDIT_WINDOW_EXPIRED: "COMMENT_EDIT_WINDOW_EXPIRED",
+  REPLY_TOKEN_INVALID: "REPLY_TOKEN_INVALID",
+  EMPTY_EMAIL_REPLY: "EMPTY_EMAIL_REPLY",
+  REPLY_SENDER_MISMATCH: "REPLY_SENDER_MISMATCH",
+  THREAD_ROOT_REQUIRED: "THREAD_ROOT_REQUIRED",
+  UNRESOLVED_COMMENT_THREADS: "UNRESOLVED_COMMENT_THREADS",
+  DEPENDENCY_OVERRIDE_FORBIDDEN: "DEPENDENCY_OVERRIDE_FORBIDDEN",
   HOD_POSITION_CONFLICT: "HOD_POSITION_CONFLICT",
   DEPARTMENT_HAS_USERS: "DEPARTMENT_HAS_USERS",
   ORGANIZATION_HAS_DEPARTMENTS: "ORGANIZATION_HAS_DEPARTMENTS",
@@ -271,6 +531,13 @@ export const ERROR_CODES = {
   FILE_TOO_LARGE: "FILE_TOO_LARGE",
   INVALID_FILE_TYPE: "INVALID_FILE_TYPE",
   UPLOAD_FAILED: "UPLOAD_FAILED",
+  TOO_MANY_FILES: "TOO_MANY_FILES",
+  MALFORMED_MULTIPART: "MALFORMED_MULTIPART",
+  DOWNLOAD_URL_INVALID: "DOWNLOAD_URL_INVALID",
+  DOWNLOAD_URL_EXPIRED: "DOWNLOAD_URL_EXPIRED",
+  INVALID_STORAGE_KEY: "INVALID_STORAGE_KEY",
+  STORAGE_QUOTA_EXCEEDED: "STORAGE_QUOTA_EXCEEDED",
+  STORED_FILE_NOT_FOUND: "STORED_FILE_NOT_FOUND",
 
   // Resource errors
   RESOURCE_NOT_FOUND: "RESOURCE_NOT_FOUND",
@@ -313,15 +580,27 @@ export const SOCKET_EVENTS = {
   TASK_DELETED: "task_deleted",
   TASK_ASSIGNED: "task_assigned",
   TASK_COMPLETED: "task_completed",
+  TASK_OVERDUE: "task_overdue",
+  TASK_ESCALATED: "task_escalated",
 
   // Activity events
   ACTIVITY_ADDED: "activity_added",
   ACTIVITY_UPDATED: "activity_updated",
 
+  // Time tracking events
+  TIMER_STARTED: "timer_started",
+  TIMER_PAUSED: "timer_paused",
+  TIMER_STOPPED: "timer_stopped",
+
   // Comment events
   COMMENT_ADDED: "comment_added",
   COMMENT_UPDATED: "comment_updated",
   COMMENT_DELETED: "comment_deleted",
+  COMMENT_MENTION: "comment_mention",
+  COMMENT_REACTION_UPDATED: "comment_reaction_updated",
+
+  // Attachment events
+  ATTACHMENT_ADDED: "attachment_added",
 
   // Notification events
   NOTIFICATION_CREATED: "notification_created",
@@ -349,14 +628,41 @@ export default {
   TASK_TYPES_ARRAY,
   TASK_FREQUENCY,
   TASK_FREQUENCY_ARRAY,
+  BULK_TASK_OPERATIONS,
+  BULK_TASK_OPERATIONS_ARRAY,
+  TIMELINE_ITEM_KINDS,
+  TIMELINE_ITEM_KINDS_ARRAY,
+  CHANGE_TRACKED_MODELS,
+  TASK_TRACKED_FIELDS,
+  RECURRENCE_CONFIG,
+  SLA_CONFIG,
+  EMAIL_REPLY_CONFIG,
+  SLA_BREACH_STATUS,
+  SLA_BREACH_STATUS_ARRAY,
+  TIMESHEET_STATUS,
+  TIMESHEET_STATUS_ARRAY,
+  MANAGER_AND_ABOVE_ROLES,
+  TASK_STATUS_TRANSITIONS,
+  INITIAL_TASK_STATUS,
   NOTIFICATION_TYPES,
   NOTIFICATION_TYPES_ARRAY,
   NOTIFICATION_STATUS,
   NOTIFICATION_STATUS_ARRAY,
+  COMMENT_REACTIONS,
+  COMMENT_REACTIONS_ARRAY,
   ATTACHMENT_TYPES,
   ATTACHMENT_TYPES_ARRAY,
   ATTACHMENT_MODELS,
   ATTACHMENT_MODELS_ARRAY,
+  STORAGE_PROVIDERS,
+  STORAGE_PROVIDERS_ARRAY,
+  RENDITION_KINDS,
+  RENDITION_KINDS_ARRAY,
+  RENDITION_SIZES,
+  RENDITION_CONFIG,
+  ATTACHMENT_DOWNLOAD_CONFIG,
+  STORAGE_QUOTAS,
+  STORAGE_QUOTA_WARNING_THRESHOLDS,
   VALIDATION_LIMITS,
   FILE_UPLOAD,
   ALLOWED_FILE_TYPES,
@@ -0,0 +1,244 @@
+/**
+ * Activity Controllers
+ * Handles task activities and their time tracking timers
+ */
+
+import asyncHandler from "express-async-handler";
+import TaskActivity from "../models/TaskActivity.js";
+import CustomError from "../utils/CustomError.js";
+import { getSocketIO, emitTaskEvent } from "../utils/socketUtils.js";
+import {
+  startTimer,
+  endTimer,
+  getRunningTimers,
+} from "../services/timerService.js";
+import { SOCKET_EVENTS } from "../constants/index.js";
+
+// Populate paths used when returning activities
+const ACTIVITY_POPULATE = [
+  { path: "createdBy", select: "firstName lastName email" },
+  { path: "assignedTo", select: "firstName lastName email profilePicture" },
+];
+
+/**
+ * Find an activity of the loaded task
+ * @param {Object} task - Task document
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<Object>} Activity document
+ * @throws {CustomError} If the activity does not belong to the task
+ */
+const findTaskActivity = async (task, activityId) => {
+  const activity = await TaskActivity.findOne({
+    _id: activityId,
+    task: task._id,
+  });
+
+  if (!activity) {
+    throw CustomError.notFound("Activity not found.");
+  }
+
+  return activity;
+};
+
+/**
+ * Broadcast a timer change to the task's rooms
+ * @param {Object} req - Express request object
+ * @param {string} event - Timer event (see SOCKET_EVENTS)
+ * @param {Object} activity - Activity document
+ * @param {Object} details - Event details
+ */
+const emitTimerEvent = (req, event, activity, details) => {
+  emitTaskEvent(getSocketIO(req), event, req.task, {
+    activityId: activity._id,
+    activityTitle: activity.title,
+    user: {
+      _id: req.user._id,
+      firstName: req.user.firstName,
+      lastName: req.user.lastName,
+    },
+    ...details,
+  });
+};
+
+/**
+ * Get task activities
+ * @route GET /api/tasks/:id/activities
+ * @access Private
+ */
+export const getTaskActivities = asyncHandler(async (req, res) => {
+  try {
+    const [activities, runningTimers] = await Promise.all([
+      TaskActivity.findByTask(req.task._id).populate(ACTIVITY_POPULATE),
+      getRunningTimers(req.task._id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activities: activities.map((activity) => ({
+          ...activity.toObject(),
+          hoursVariance: activity.getHoursVariance(),
+        })),
+        runningTimers,
+      },
+    });
+  } catch (error) {
+    console.error("Get task activities error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve activities. Please try again."
+    );
+  }
+});
+
+/**
+ * Add an activity to a task
+ * @route POST /api/tasks/:id/activities
+ * @access Private
+ */
+export const createTaskActivity = asyncHandler(async (req, res) => {
+  const { title, description, assignedTo, estimatedHours, notes } = req.body;
+
+  try {
+    const activity = await TaskActivity.create({
+      title,
+      description,
+      assignedTo,
+      estimatedHours,
+      notes,
+      task: req.task._id,
+      createdBy: req.user._id,
+    });
+
+    await activity.populate(ACTIVITY_POPULATE);
+
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.ACTIVITY_ADDED, req.task, {
+      actor: req.user._id,
+      activity,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Activity added successfully",
+      data: {
+        activity,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Business rule violations raised by model hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Create task activity error:", error);
+    throw CustomError.internalServer(
+      "Failed to add activity. Please try again."
+    );
+  }
+});
+
+/**
+ * Start or resume a timer on an activity
+ * @route POST /api/tasks/:id/activities/:activityId/timer/start
+ * @access Private
+ */
+export const startActivityTimer = asyncHandler(async (req, res) => {
+  try {
+    const activity = await findTaskActivity(req.task, req.params.activityId);
+    const entry = await startTimer(activity, req.task, req.user);
+
+    emitTimerEvent(req, SOCKET_EVENTS.TIMER_STARTED, activity, {
+      entry,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Timer started",
+      data: {
+        entry,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Start activity timer error:", error);
+    throw CustomError.internalServer(
+      "Failed to start timer. Please try again."
+    );
+  }
+});
+
+/**
+ * Build a handler that pauses or stops the user's timer on an activity
+ * @param {string} endReason - "paused" or "stopped"
+ * @returns {Function} Express handler
+ */
+const endActivityTimer = (endReason) =>
+  asyncHandler(async (req, res) => {
+    try {
+      const activity = await findTaskActivity(req.task, req.params.activityId);
+      const { entry, actualHours } = await endTimer(
+        activity,
+        req.user,
+        endReason
+      );
+
+      emitTimerEvent(
+        req,
+        endReason === "paused"
+          ? SOCKET_EVENTS.TIMER_PAUSED
+          : SOCKET_EVENTS.TIMER_STOPPED,
+        activity,
+        { entry, actualHours }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: endReason === "paused" ? "Timer paused" : "Timer stopped",
+        data: {
+          entry,
+          actualHours,
+        },
+      });
+    } catch (error) {
+      if (error instanceof CustomError) {
+        throw error;
+      }
+
+      console.error(`End activity timer (${endReason}) error:`, error);
+      throw CustomError.internalServer(
+        "Failed to update timer. Please try again."
+      );
+    }
+  });
+
+/**
+ * Pause the user's timer on an activity
+ * @route POST /api/tasks/:id/activities/:activityId/timer/pause
+ * @access Private
+ */
+export const pauseActivityTimer = endActivityTimer("paused");
+
+/**
+ * Stop the user's timer on an activity
+ * @route POST /api/tasks/:id/activities/:activityId/timer/stop
+ * @access Private
+ */
+export const stopActivityTimer = endActivityTimer("stopped");
+
+export default {
+  getTaskActivities,
+  createTaskActivity,
+  startActivityTimer,
+  pauseActivityTimer,
+  stopActivityTimer,
+};
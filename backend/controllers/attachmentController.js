@@ -0,0 +1,385 @@
+/**
+ * Attachment Controllers
+ * Handles file uploads attached to tasks, activities and comments
+ */
+
+import asyncHandler from "express-async-handler";
+import Attachment from "../models/Attachment.js";
+import AttachmentDownload from "../models/AttachmentDownload.js";
+import User from "../models/User.js";
+import CustomError from "../utils/CustomError.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { getSocketIO, emitTaskEvent } from "../utils/socketUtils.js";
+import { detectFileTypeOfPath } from "../utils/fileTypeUtils.js";
+import { encodeRfc3986 } from "../utils/awsSignatureUtils.js";
+import {
+  createSignedDownloadUrl,
+  verifySignedDownload,
+} from "../utils/downloadUrlUtils.js";
+import {
+  storeAttachments,
+  readAttachmentContent,
+  findAttachmentTask,
+} from "../services/attachmentService.js";
+import {
+  assertStorageAvailable,
+  notifyStorageQuotaWarnings,
+} from "../services/storageQuotaService.js";
+import {
+  ALLOWED_FILE_TYPES,
+  ATTACHMENT_MODELS,
+  ATTACHMENT_DOWNLOAD_CONFIG,
+  SOCKET_EVENTS,
+  ERROR_CODES,
+  VALIDATION_LIMITS,
+} from "../constants/index.js";
+
+/**
+ * Ensure the current user may attach files to the loaded parent
+ * Users who may create attachments on the task may attach to the task and
+ * its activities; comments also accept files from their author
+ * @param {Object} req - Express request object with parent and task loaded
+ * @throws {CustomError} If the user may not attach files
+ */
+const assertCanAttach = (req) => {
+  const { attachmentParent, task, user } = req;
+
+  if (hasPermission(user, "create", "attachments", task)) {
+    return;
+  }
+
+  if (
+    req.body.attachedToModel === ATTACHMENT_MODELS.TASK_COMMENT &&
+    attachmentParent.createdBy.equals(user._id)
+  ) {
+    return;
+  }
+
+  throw CustomError.forbidden(
+    "You do not have permission to attach files here.",
+    ERROR_CODES.INSUFFICIENT_PERMISSIONS
+  );
+};
+
+/**
+ * Detect the real type of each uploaded file
+ * The MIME type declared by the client is ignored
+ * @param {Array<Object>} files - Parsed upload files
+ * @returns {Promise<Array<Object>>} Files as { content, originalName,
+ * mimeType }, where content is the { path, size } of the uploaded file
+ * @throws {CustomError} If a file is not of an allowed type
+ */
+const sniffUploadedFiles = (files) =>
+  Promise.all(
+    files.map(async (file) => {
+      const mimeType = await detectFileTypeOfPath(file.path, file.filename);
+
+      if (!mimeType || !ALLOWED_FILE_TYPES.includes(mimeType)) {
+        throw CustomError.unsupportedMediaType(
+          `File "${file.filename}" is not an allowed file type`,
+          ERROR_CODES.INVALID_FILE_TYPE
+        );
+      }
+
+      return {
+        content: { path: file.path, size: file.size },
+        originalName: file.filename || "upload",
+        mimeType,
+      };
+    })
+  );
+
+/**
+ * Upload files and attach them to a task, activity or comment
+ * Expects multipart/form-data with attachedTo, attachedToModel, an optional
+ * description and one or more files
+ * @route POST /api/attachments
+ * @access Private
+ */
+export const uploadAttachments = asyncHandler(async (req, res) => {
+  if (!req.files?.length) {
+    throw CustomError.badRequest(
+      "At least one file is required",
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  assertCanAttach(req);
+  const files = await sniffUploadedFiles(req.files);
+
+  try {
+    const { attachedTo, attachedToModel, description } = req.body;
+    const totalSize = files.reduce((sum, file) => sum + file.content.size, 0);
+    const usage = await assertStorageAvailable(
+      req.user.organization._id,
+      totalSize
+    );
+
+    const attachments = await storeAttachments(files, {
+      attachedTo,
+      attachedToModel,
+      description,
+      uploadedBy: req.user._id,
+      organization: req.user.organization._id,
+    });
+
+    await notifyStorageQuotaWarnings(getSocketIO(req), usage, totalSize);
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.ATTACHMENT_ADDED, req.task, {
+      attachedTo,
+      attachedToModel,
+      attachments,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        attachments.length === 1
+          ? "File uploaded successfully"
+          : `${attachments.length} files uploaded successfully`,
+      data: {
+        attachments,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Upload attachments error:", error);
+    throw CustomError.internalServer(
+      "Failed to upload files. Please try again."
+    );
+  }
+});
+
+/**
+ * Get the rendition named in a request
+ * @param {Object} attachment - Attachment document
+ * @param {string} size - Rendition size, or empty for the file itself
+ * @returns {Object|null} Rendition, or null when the file is requested
+ * @throws {CustomError} If the attachment has no rendition of that size
+ */
+const getRequestedRendition = (attachment, size) => {
+  if (!size) {
+    return null;
+  }
+
+  const rendition = attachment.getRendition(size);
+  if (!rendition) {
+    throw CustomError.notFound(`No ${size} rendition for this attachment.`);
+  }
+
+  return rendition;
+};
+
+/**
+ * Build a Content-Disposition header value
+ * Non-ASCII names are sent in the RFC 5987 form with an ASCII fallback
+ * @param {string} type - "attachment" or "inline"
+ * @param {string} filename - Filename to suggest
+ * @returns {string} Header value
+ */
+const buildContentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeRfc3986(
+    filename
+  )}`;
+};
+
+/**
+ * Get the filename to suggest for a download
+ * Renditions are named after the file, e.g. "photo_small.jpg"
+ * @param {Object} attachment - Attachment document
+ * @param {Object} rendition - Downloaded rendition, if any
+ * @returns {string} Filename
+ */
+const getDownloadFilename = (attachment, rendition) => {
+  if (!rendition) {
+    return attachment.originalName;
+  }
+
+  const baseName = attachment.originalName.replace(/\.[^.]*$/, "");
+  const extension = rendition.key.split(".").pop();
+
+  return `${baseName}_${rendition.size}.${extension}`;
+};
+
+/**
+ * Get a short-lived signed URL to download an attachment or a rendition
+ * @route GET /api/attachments/:id/download-url
+ * @access Private (users who can read the attachment's task)
+ */
+export const getAttachmentDownloadUrl = asyncHandler(async (req, res) => {
+  const { rendition } = req.query;
+  getRequestedRendition(req.attachment, rendition);
+
+  const { url, expiresAt } = createSignedDownloadUrl(
+    req.attachment,
+    req.user,
+    { rendition }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      url,
+      expiresAt,
+    },
+  });
+});
+
+/**
+ * Download an attachment or a rendition through a signed URL
+ * The user the link was issued to must still be able to read the task the
+ * attachment belongs to; every download is recorded
+ * @route GET /api/attachments/:id/download
+ * @access Public (signed URL)
+ */
+export const downloadAttachment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { user: userId, expires, signature, rendition: size } = req.query;
+
+  const verification = verifySignedDownload({
+    attachmentId: id,
+    userId,
+    rendition: size || "",
+    expires,
+    signature,
+  });
+  if (verification === "expired") {
+    throw CustomError.forbidden(
+      "This download link has expired.",
+      ERROR_CODES.DOWNLOAD_URL_EXPIRED
+    );
+  }
+  if (verification !== "valid") {
+    throw CustomError.forbidden(
+      "This download link is not valid.",
+      ERROR_CODES.DOWNLOAD_URL_INVALID
+    );
+  }
+
+  const attachment = await Attachment.findById(id);
+  if (!attachment) {
+    throw CustomError.notFound("Attachment not found.");
+  }
+  const rendition = getRequestedRendition(attachment, size);
+
+  const [user, task] = await Promise.all([
+    User.findById(userId)
+      .populate("organization", "name _id")
+      .populate("department", "name _id"),
+    findAttachmentTask(attachment),
+  ]);
+
+  if (
+    !user ||
+    user.isDeleted ||
+    !user.organization ||
+    !user.department ||
+    !task ||
+    !hasPermission(user, "read", "attachments", task)
+  ) {
+    throw CustomError.forbidden(
+      "You no longer have access to this attachment.",
+      ERROR_CODES.INSUFFICIENT_PERMISSIONS
+    );
+  }
+
+  try {
+    const content = await readAttachmentContent(attachment, rendition);
+
+    await AttachmentDownload.create({
+      attachment: attachment._id,
+      organization: attachment.organization,
+      downloadedBy: user._id,
+      rendition: rendition?.size || null,
+      ipAddress: req.ip || null,
+      userAgent:
+        req.get("user-agent")?.slice(
+          0,
+          ATTACHMENT_DOWNLOAD_CONFIG.USER_AGENT_MAX
+        ) || null,
+    });
+
+    res.set({
+      "Content-Type": rendition?.mimeType || attachment.mimeType,
+      "Content-Length": content.length,
+      "Content-Disposition": buildContentDisposition(
+        rendition ? "inline" : "attachment",
+        getDownloadFilename(attachment, rendition)
+      ),
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, no-store",
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Download attachment error:", error);
+    throw CustomError.internalServer(
+      "Failed to download file. Please try again."
+    );
+  }
+});
+
+/**
+ * Get the download audit of an attachment
+ * @route GET /api/attachments/:id/downloads
+ * @access Private (SuperAdmin, Admin)
+ */
+export const getAttachmentDownloads = asyncHandler(async (req, res) => {
+  const { page = 1, limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT } = req.query;
+
+  try {
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [downloads, totalCount] = await Promise.all([
+      AttachmentDownload.findByAttachment(req.attachment._id)
+        .populate("downloadedBy", "firstName lastName email role")
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AttachmentDownload.countDocuments({ attachment: req.attachment._id }),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const hasNextPage = parseInt(page) < totalPages;
+    const hasPrevPage = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        downloads,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage,
+          hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get attachment downloads error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve downloads. Please try again."
+    );
+  }
+});
+
+export default {
+  uploadAttachments,
+  getAttachmentDownloadUrl,
+  downloadAttachment,
+  getAttachmentDownloads,
+};
@@ -0,0 +1,91 @@
+/**
+ * Change Log Controllers
+ * Handles queries over the field-level change log
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import ChangeLog from "../models/ChangeLog.js";
+import CustomError from "../utils/CustomError.js";
+import { VALIDATION_LIMITS } from "../constants/index.js";
+
+/**
+ * Build the change log filter from query parameters
+ * Results are always limited to the user's organization
+ * @param {Object} req - Express request object
+ * @returns {Object} MongoDB filter
+ */
+const buildChangeLogFilters = (req) => {
+  const { entityType, entityId, field, changedBy, from, to } = req.query;
+
+  const filters = {
+    organization: new mongoose.Types.ObjectId(req.user.organization._id),
+  };
+
+  if (entityType) filters.entityType = entityType;
+  if (entityId) filters.entityId = new mongoose.Types.ObjectId(entityId);
+  if (field) filters.field = field;
+  if (changedBy) filters.changedBy = new mongoose.Types.ObjectId(changedBy);
+
+  if (from || to) {
+    filters.changedAt = {};
+    if (from) filters.changedAt.$gte = new Date(from);
+    if (to) filters.changedAt.$lte = new Date(to);
+  }
+
+  return filters;
+};
+
+/**
+ * Get field-level changes filtered by entity, field, actor and date range
+ * @route GET /api/change-logs
+ * @access Private (SuperAdmin, Admin)
+ */
+export const getChangeLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT } = req.query;
+
+  try {
+    const filters = buildChangeLogFilters(req);
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [changes, totalCount] = await Promise.all([
+      ChangeLog.find(filters)
+        .populate("changedBy", "firstName lastName email role")
+        .sort({ changedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ChangeLog.countDocuments(filters),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const hasNextPage = parseInt(page) < totalPages;
+    const hasPrevPage = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        changes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage,
+          hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get change logs error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve change logs. Please try again."
+    );
+  }
+});
+
+export default {
+  getChangeLogs,
+};
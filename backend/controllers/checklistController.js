@@ -0,0 +1,327 @@
+/**
+ * Checklist Controllers
+ * Handles lightweight checklist items on AssignedTask and ProjectTask
+ */
+
+import asyncHandler from "express-async-handler";
+import CustomError from "../utils/CustomError.js";
+import { getSocketIO, emitTaskEvent } from "../utils/socketUtils.js";
+import {
+  SOCKET_EVENTS,
+  BUSINESS_RULES,
+  VALIDATION_LIMITS,
+} from "../constants/index.js";
+
+// Populate paths used when returning checklists
+const CHECKLIST_POPULATE = [
+  { path: "checklist.assignedTo", select: "firstName lastName email profilePicture" },
+  { path: "checklist.completedBy", select: "firstName lastName email" },
+];
+
+/**
+ * Ensure the loaded task supports checklists
+ * @param {Object} task - Task document
+ * @throws {CustomError} If the task type has no checklist
+ */
+const assertChecklistSupported = (task) => {
+  if (!BUSINESS_RULES.CHECKLIST_SUPPORTED_TASK_TYPES.includes(task.taskType)) {
+    throw CustomError.badRequest(
+      `Checklists are not supported for ${
+        task.taskType
+      }. Only ${BUSINESS_RULES.CHECKLIST_SUPPORTED_TASK_TYPES.join(
+        ", "
+      )} support checklists.`
+    );
+  }
+};
+
+/**
+ * Find a checklist item on a task
+ * @param {Object} task - Task document
+ * @param {string} itemId - Checklist item ID
+ * @returns {Object} Checklist item subdocument
+ * @throws {CustomError} If the item does not exist
+ */
+const findChecklistItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+  if (!item) {
+    throw CustomError.notFound("Checklist item not found.");
+  }
+  return item;
+};
+
+/**
+ * Save a checklist change, broadcast it and build the response payload
+ * @param {Object} req - Express request object
+ * @param {Object} task - Task document with modified checklist
+ * @param {Object} details - Change details included in the socket payload
+ * @returns {Promise<Object>} { checklist, progress }
+ */
+const saveChecklistChange = async (req, task, details) => {
+  await task.save();
+  await task.populate(CHECKLIST_POPULATE);
+
+  const { checklist, progress } = task;
+
+  emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.TASK_UPDATED, task, {
+    actor: req.user._id,
+    changes: ["checklist", "progress"],
+    checklistChange: details,
+    progress,
+  });
+
+  return { checklist, progress };
+};
+
+/**
+ * Get task checklist
+ * @route GET /api/tasks/:id/checklist
+ * @access Private
+ */
+export const getChecklist = asyncHandler(async (req, res) => {
+  try {
+    assertChecklistSupported(req.task);
+
+    await req.task.populate(CHECKLIST_POPULATE);
+    const { checklist, progress } = req.task;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        checklist,
+        progress,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Get checklist error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve checklist. Please try again."
+    );
+  }
+});
+
+/**
+ * Add checklist item
+ * @route POST /api/tasks/:id/checklist
+ * @access Private
+ */
+export const addChecklistItem = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { title, assignedTo, position } = req.body;
+
+  try {
+    assertChecklistSupported(task);
+
+    if (task.checklist.length >= VALIDATION_LIMITS.CHECKLIST_ITEMS_MAX) {
+      throw CustomError.badRequest(
+        `A checklist cannot have more than ${VALIDATION_LIMITS.CHECKLIST_ITEMS_MAX} items.`
+      );
+    }
+
+    const index =
+      position === undefined
+        ? task.checklist.length
+        : Math.min(position, task.checklist.length);
+
+    task.checklist.splice(index, 0, {
+      title,
+      assignedTo: assignedTo || null,
+      createdBy: req.user._id,
+    });
+    const item = task.checklist[index];
+
+    const result = await saveChecklistChange(req, task, {
+      action: "added",
+      itemId: item._id,
+    });
+
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.ACTIVITY_ADDED, task, {
+      actor: req.user._id,
+      checklistItem: item,
+      progress: result.progress,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Checklist item added successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Add checklist item error:", error);
+    throw CustomError.internalServer(
+      "Failed to add checklist item. Please try again."
+    );
+  }
+});
+
+/**
+ * Update checklist item (title, assignee or completion)
+ * @route PUT /api/tasks/:id/checklist/:itemId
+ * @access Private
+ */
+export const updateChecklistItem = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { title, assignedTo, isCompleted } = req.body;
+
+  try {
+    assertChecklistSupported(task);
+
+    const item = findChecklistItem(task, req.params.itemId);
+
+    // Completion and assignment changes also appear in the activity feed
+    const activityChanges = [];
+
+    if (title !== undefined) item.title = title;
+    if (
+      assignedTo !== undefined &&
+      String(assignedTo || null) !== String(item.assignedTo || null)
+    ) {
+      item.assignedTo = assignedTo || null;
+      activityChanges.push("assignedTo");
+    }
+    if (isCompleted !== undefined && isCompleted !== item.isCompleted) {
+      item.isCompleted = isCompleted;
+      item.completedBy = isCompleted ? req.user._id : null;
+      item.completedAt = isCompleted ? new Date() : null;
+      activityChanges.push("isCompleted");
+    }
+
+    const result = await saveChecklistChange(req, task, {
+      action: "updated",
+      itemId: item._id,
+    });
+
+    if (activityChanges.length > 0) {
+      emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.ACTIVITY_ADDED, task, {
+        actor: req.user._id,
+        checklistItem: item,
+        changes: activityChanges,
+        progress: result.progress,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist item updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update checklist item error:", error);
+    throw CustomError.internalServer(
+      "Failed to update checklist item. Please try again."
+    );
+  }
+});
+
+/**
+ * Delete checklist item
+ * @route DELETE /api/tasks/:id/checklist/:itemId
+ * @access Private
+ */
+export const deleteChecklistItem = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    assertChecklistSupported(task);
+
+    const item = findChecklistItem(task, req.params.itemId);
+    task.checklist.pull(item._id);
+
+    const result = await saveChecklistChange(req, task, {
+      action: "deleted",
+      itemId: item._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist item deleted successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Delete checklist item error:", error);
+    throw CustomError.internalServer(
+      "Failed to delete checklist item. Please try again."
+    );
+  }
+});
+
+/**
+ * Reorder checklist items
+ * itemIds must list every checklist item exactly once in the new order
+ * @route PUT /api/tasks/:id/checklist/reorder
+ * @access Private
+ */
+export const reorderChecklist = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { itemIds } = req.body;
+
+  try {
+    assertChecklistSupported(task);
+
+    const currentIds = task.checklist.map((item) => item._id.toString());
+    if (
+      itemIds.length !== currentIds.length ||
+      !itemIds.every((itemId) => currentIds.includes(itemId))
+    ) {
+      throw CustomError.badRequest(
+        "Item IDs must list every checklist item exactly once."
+      );
+    }
+
+    const reordered = itemIds.map((itemId) =>
+      task.checklist.id(itemId).toObject()
+    );
+    task.checklist = reordered;
+
+    const result = await saveChecklistChange(req, task, {
+      action: "reordered",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Checklist reordered successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Reorder checklist error:", error);
+    throw CustomError.internalServer(
+      "Failed to reorder checklist. Please try again."
+    );
+  }
+});
+
+export default {
+  getChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklist,
+};
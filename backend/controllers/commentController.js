@@ -0,0 +1,665 @@
+/**
+ * Comment Controllers
+ * Handles task comments and replies
+ */
+
+import asyncHandler from "express-async-handler";
+import { BaseTask } from "../models/BaseTask.js";
+import TaskComment from "../models/TaskComment.js";
+import Organization from "../models/Organization.js";
+import CustomError from "../utils/CustomError.js";
+import { isWithinEditWindow } from "../utils/commentUtils.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { getSocketIO, emitTaskEvent } from "../utils/socketUtils.js";
+import {
+  resolveCommentMentions,
+  notifyMentionedUsers,
+} from "../services/mentionService.js";
+import {
+  COMMENT_POPULATE,
+  createTaskComment,
+} from "../services/commentService.js";
+import {
+  SOCKET_EVENTS,
+  VALIDATION_LIMITS,
+  BUSINESS_RULES,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+/**
+ * Build pagination info for a comment listing
+ * @param {number} page - Current page
+ * @param {number} limit - Page size
+ * @param {number} totalCount - Total matching comments
+ * @returns {Object} Pagination info
+ */
+const buildPagination = (page, limit, totalCount) => {
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return {
+    currentPage: page,
+    totalPages,
+    totalCount,
+    limit,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+/**
+ * Get task comments as nested threads
+ * Root comments are paginated; each reply level shows up to replyLimit replies.
+ * Pinned comments are also listed on their own, most recently pinned first
+ * @route GET /api/tasks/:id/comments
+ * @access Private
+ */
+export const getTaskComments = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT,
+    replyLimit = VALIDATION_LIMITS.COMMENT_REPLY_LIMIT_DEFAULT,
+    resolved,
+  } = req.query;
+
+  try {
+    // Comments saved before resolution existed count as unresolved
+    const conditions =
+      resolved === undefined
+        ? {}
+        : { isResolved: resolved ? true : { $ne: true } };
+
+    const [{ comments, totalCount }, pinnedComments, unresolvedThreadCount] =
+      await Promise.all([
+        TaskComment.findByTaskWithThreading(req.task._id, {
+          conditions,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          replyLimit: parseInt(replyLimit),
+          populate: COMMENT_POPULATE,
+        }),
+        TaskComment.findPinned(req.task._id).populate([
+          ...COMMENT_POPULATE,
+          { path: "pinnedBy", select: "firstName lastName" },
+        ]),
+        TaskComment.countUnresolvedThreads(req.task._id),
+      ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments,
+        pinnedComments,
+        unresolvedThreadCount,
+        pagination: buildPagination(
+          parseInt(page),
+          parseInt(limit),
+          totalCount
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get task comments error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve comments. Please try again."
+    );
+  }
+});
+
+/**
+ * Get a page of a comment's direct replies with their nested replies
+ * @route GET /api/comments/:id/replies
+ * @access Private
+ */
+export const getCommentReplies = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT,
+    replyLimit = VALIDATION_LIMITS.COMMENT_REPLY_LIMIT_DEFAULT,
+  } = req.query;
+
+  try {
+    const { comments, totalCount } =
+      await TaskComment.findRepliesWithThreading(req.comment._id, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        replyLimit: parseInt(replyLimit),
+        populate: COMMENT_POPULATE,
+      });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        replies: comments,
+        pagination: buildPagination(
+          parseInt(page),
+          parseInt(limit),
+          totalCount
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get comment replies error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve replies. Please try again."
+    );
+  }
+});
+
+/**
+ * Get a comment with its whole reply thread
+ * @route GET /api/comments/:id/thread
+ * @access Private
+ */
+export const getCommentThread = asyncHandler(async (req, res) => {
+  try {
+    const thread = await TaskComment.findThread(
+      req.comment._id,
+      COMMENT_POPULATE
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        thread,
+      },
+    });
+  } catch (error) {
+    console.error("Get comment thread error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve thread. Please try again."
+    );
+  }
+});
+
+/**
+ * Add a comment or reply to a task
+ * Mentions are resolved and notified, the author starts watching the task
+ * and existing watchers are notified
+ * @route POST /api/tasks/:id/comments
+ * @access Private
+ */
+export const addTaskComment = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { content, parentComment, commentType } = req.body;
+
+  try {
+    const comment = await createTaskComment(getSocketIO(req), task, req.user, {
+      content,
+      parentComment,
+      commentType,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added successfully",
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Threading rule violations raised by model hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Add task comment error:", error);
+    throw CustomError.internalServer(
+      "Failed to add comment. Please try again."
+    );
+  }
+});
+
+/**
+ * Get comments mentioning the current user, newest first
+ * @route GET /api/comments/mentions
+ * @access Private
+ */
+export const getMyMentions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT } = req.query;
+
+  try {
+    // Only comments on tasks that still exist in the user's organization
+    const taskIds = await TaskComment.distinct("task", {
+      "mentions.user": req.user._id,
+    });
+    const visibleTaskIds = await BaseTask.distinct("_id", {
+      _id: { $in: taskIds },
+      organization: req.user.organization._id,
+    });
+    const conditions = { task: { $in: visibleTaskIds } };
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [comments, totalCount] = await Promise.all([
+      TaskComment.findMentioningUser(req.user._id, conditions)
+        .populate(COMMENT_POPULATE)
+        .populate("task", "title taskType status priority")
+        .skip(skip)
+        .limit(parseInt(limit)),
+      TaskComment.countDocuments({
+        ...conditions,
+        "mentions.user": req.user._id,
+      }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments,
+        pagination: buildPagination(
+          parseInt(page),
+          parseInt(limit),
+          totalCount
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get my mentions error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve mentions. Please try again."
+    );
+  }
+});
+
+/**
+ * Ensure the current user may edit a comment
+ * Authors can edit within the organization's edit window; admins with
+ * write access to the task can edit any comment at any time
+ * @param {Object} req - Express request object with comment and task loaded
+ * @throws {CustomError} If editing is not allowed
+ */
+const assertCanEditComment = async (req) => {
+  const { comment, task, user } = req;
+
+  if (comment.isSystemGenerated) {
+    throw CustomError.forbidden("System comments cannot be edited.");
+  }
+
+  if (
+    BUSINESS_RULES.HOD_ROLES.includes(user.role) &&
+    hasPermission(user, "update", "tasks", task)
+  ) {
+    return;
+  }
+
+  if (!comment.createdBy.equals(user._id)) {
+    throw CustomError.forbidden("You can only edit your own comments.");
+  }
+
+  const organization = await Organization.findById(
+    user.organization._id
+  ).select("settings.commentEditWindowMinutes");
+  const windowMinutes =
+    organization?.settings?.commentEditWindowMinutes === undefined
+      ? BUSINESS_RULES.DEFAULT_COMMENT_EDIT_WINDOW_MINUTES
+      : organization.settings.commentEditWindowMinutes;
+
+  if (!isWithinEditWindow(comment.createdAt, windowMinutes)) {
+    throw CustomError.forbidden(
+      `Comments can only be edited within ${windowMinutes} minutes of posting. Ask an admin to make changes.`,
+      ERROR_CODES.COMMENT_EDIT_WINDOW_EXPIRED
+    );
+  }
+};
+
+/**
+ * Edit a comment
+ * The replaced version is kept in the edit history and newly
+ * mentioned users are notified
+ * @route PUT /api/comments/:id
+ * @access Private
+ */
+export const updateComment = asyncHandler(async (req, res) => {
+  const { comment, task } = req;
+  const { content } = req.body;
+
+  try {
+    await assertCanEditComment(req);
+
+    if (content === comment.content) {
+      await comment.populate(COMMENT_POPULATE);
+      return res.status(200).json({
+        success: true,
+        message: "Comment unchanged",
+        data: {
+          comment,
+        },
+      });
+    }
+
+    const previouslyMentioned = new Set(
+      comment.mentions
+        .filter((mention) => mention.user)
+        .map((mention) => mention.user.toString())
+    );
+
+    comment.content = content;
+    comment.editedBy = req.user._id;
+    const mentionedUsers = await resolveCommentMentions(comment, task);
+    await comment.save();
+
+    await comment.populate(COMMENT_POPULATE);
+
+    const socketIO = getSocketIO(req);
+    emitTaskEvent(socketIO, SOCKET_EVENTS.COMMENT_UPDATED, task, {
+      actor: req.user._id,
+      comment,
+    });
+
+    await notifyMentionedUsers(
+      socketIO,
+      task,
+      comment,
+      mentionedUsers.filter(
+        (user) => !previouslyMentioned.has(user._id.toString())
+      ),
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Comment updated successfully",
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update comment error:", error);
+    throw CustomError.internalServer(
+      "Failed to update comment. Please try again."
+    );
+  }
+});
+
+/**
+ * Get a comment's revisions with word diffs between versions
+ * @route GET /api/comments/:id/history
+ * @access Private
+ */
+export const getCommentHistory = asyncHandler(async (req, res) => {
+  try {
+    const comment = await req.comment.populate([
+      { path: "createdBy", select: "firstName lastName profilePicture" },
+      { path: "editHistory.editedBy", select: "firstName lastName profilePicture" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        commentId: comment._id,
+        isEdited: comment.isEdited,
+        revisions: comment.getRevisions(),
+      },
+    });
+  } catch (error) {
+    console.error("Get comment history error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve comment history. Please try again."
+    );
+  }
+});
+
+/**
+ * Build a handler that adds or removes the user's reaction on a comment
+ * Both are idempotent and broadcast the new counts to the task's viewers
+ * @param {string} action - "added" or "removed"
+ * @returns {Function} Express handler
+ */
+const updateCommentReaction = (action) =>
+  asyncHandler(async (req, res) => {
+    const { reaction } = req.body;
+
+    try {
+      const comment =
+        action === "added"
+          ? (await TaskComment.addReaction(
+              req.comment._id,
+              req.user._id,
+              reaction
+            )) || req.comment
+          : await TaskComment.removeReaction(
+              req.comment._id,
+              req.user._id,
+              reaction
+            );
+
+      emitTaskEvent(
+        getSocketIO(req),
+        SOCKET_EVENTS.COMMENT_REACTION_UPDATED,
+        req.task,
+        {
+          commentId: comment._id,
+          reaction,
+          action,
+          user: req.user._id,
+          reactionCounts: comment.reactionCounts,
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: action === "added" ? "Reaction added" : "Reaction removed",
+        data: {
+          commentId: comment._id,
+          reactions: comment.reactions,
+          reactionCounts: comment.reactionCounts,
+        },
+      });
+    } catch (error) {
+      console.error(`Comment reaction (${action}) error:`, error);
+      throw CustomError.internalServer(
+        "Failed to update reaction. Please try again."
+      );
+    }
+  });
+
+/**
+ * Ensure the current user may pin or resolve a comment
+ * Users who can update the task may moderate any comment; authors may
+ * resolve their own threads
+ * @param {Object} req - Express request object with comment and task loaded
+ * @param {Object} options - { allowAuthor }
+ * @throws {CustomError} If the user may not moderate the comment
+ */
+const assertCanModerateComment = (req, { allowAuthor = false } = {}) => {
+  const { comment, task, user } = req;
+
+  if (hasPermission(user, "update", "tasks", task)) {
+    return;
+  }
+
+  if (allowAuthor && comment.createdBy.equals(user._id)) {
+    return;
+  }
+
+  throw CustomError.forbidden(
+    allowAuthor
+      ? "Only the author or users who can update the task can do this."
+      : "Only users who can update the task can do this.",
+    ERROR_CODES.INSUFFICIENT_PERMISSIONS
+  );
+};
+
+/**
+ * Save a pin or resolution change and broadcast the updated comment
+ * @param {Object} req - Express request object with comment and task loaded
+ * @param {Object} res - Express response object
+ * @param {string} message - Success message
+ */
+const saveModeratedComment = async (req, res, message) => {
+  const { comment } = req;
+
+  await comment.save();
+  await comment.populate([
+    ...COMMENT_POPULATE,
+    { path: "pinnedBy", select: "firstName lastName" },
+    { path: "resolvedBy", select: "firstName lastName" },
+  ]);
+
+  emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.COMMENT_UPDATED, req.task, {
+    actor: req.user._id,
+    comment,
+  });
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      comment,
+    },
+  });
+};
+
+/**
+ * Build a handler that pins or unpins a comment
+ * Any comment of a thread can be pinned, such as the reply holding a decision
+ * @param {boolean} pinned - Whether to pin the comment
+ * @returns {Function} Express handler
+ */
+const updateCommentPin = (pinned) =>
+  asyncHandler(async (req, res) => {
+    const { comment } = req;
+
+    try {
+      assertCanModerateComment(req);
+
+      if (comment.isPinned !== pinned) {
+        comment.isPinned = pinned;
+        comment.pinnedBy = pinned ? req.user._id : null;
+        comment.pinnedAt = pinned ? new Date() : null;
+      }
+
+      await saveModeratedComment(
+        req,
+        res,
+        pinned ? "Comment pinned" : "Comment unpinned"
+      );
+    } catch (error) {
+      if (error instanceof CustomError) {
+        throw error;
+      }
+
+      console.error(`Comment pin (${pinned}) error:`, error);
+      throw CustomError.internalServer(
+        "Failed to update comment pin. Please try again."
+      );
+    }
+  });
+
+/**
+ * Build a handler that marks a thread as resolved or unresolved
+ * Only the root comment of a thread carries its resolution
+ * @param {boolean} resolved - Whether the thread is resolved
+ * @returns {Function} Express handler
+ */
+const updateThreadResolution = (resolved) =>
+  asyncHandler(async (req, res) => {
+    const { comment } = req;
+
+    try {
+      if (comment.parentComment) {
+        throw CustomError.badRequest(
+          "Only the first comment of a thread can be resolved.",
+          ERROR_CODES.THREAD_ROOT_REQUIRED
+        );
+      }
+
+      assertCanModerateComment(req, { allowAuthor: true });
+
+      if (comment.isResolved !== resolved) {
+        comment.isResolved = resolved;
+        comment.resolvedBy = resolved ? req.user._id : null;
+        comment.resolvedAt = resolved ? new Date() : null;
+      }
+
+      await saveModeratedComment(
+        req,
+        res,
+        resolved ? "Thread resolved" : "Thread reopened"
+      );
+    } catch (error) {
+      if (error instanceof CustomError) {
+        throw error;
+      }
+
+      console.error(`Thread resolution (${resolved}) error:`, error);
+      throw CustomError.internalServer(
+        "Failed to update thread resolution. Please try again."
+      );
+    }
+  });
+
+/**
+ * Pin a comment to the top of its task
+ * @route POST /api/comments/:id/pin
+ * @access Private
+ */
+export const pinComment = updateCommentPin(true);
+
+/**
+ * Unpin a comment
+ * @route DELETE /api/comments/:id/pin
+ * @access Private
+ */
+export const unpinComment = updateCommentPin(false);
+
+/**
+ * Mark the thread started by a comment as resolved
+ * @route POST /api/comments/:id/resolve
+ * @access Private
+ */
+export const resolveCommentThread = updateThreadResolution(true);
+
+/**
+ * Mark the thread started by a comment as unresolved
+ * @route DELETE /api/comments/:id/resolve
+ * @access Private
+ */
+export const unresolveCommentThread = updateThreadResolution(false);
+
+/**
+ * Add a reaction to a comment
+ * @route POST /api/comments/:id/reactions
+ * @access Private
+ */
+export const addCommentReaction = updateCommentReaction("added");
+
+/**
+ * Remove the user's reaction from a comment
+ * @route DELETE /api/comments/:id/reactions
+ * @access Private
+ */
+export const removeCommentReaction = updateCommentReaction("removed");
+
+export default {
+  getTaskComments,
+  getCommentReplies,
+  getCommentThread,
+  addTaskComment,
+  getMyMentions,
+  updateComment,
+  getCommentHistory,
+  addCommentReaction,
+  removeCommentReaction,
+  pinComment,
+  unpinComment,
+  resolveCommentThread,
+  unresolveCommentThread,
+};
@@ -0,0 +1,63 @@
+/**
+ * Inbound Email Controllers
+ * Handles replies to notification emails posted by a mail gateway
+ */
+
+import asyncHandler from "express-async-handler";
+import CustomError from "../utils/CustomError.js";
+import { getSocketIO } from "../utils/socketUtils.js";
+import { processInboundEmail } from "../services/inboundEmailService.js";
+import { ERROR_CODES } from "../constants/index.js";
+
+/**
+ * Post a raw RFC 822 reply (.eml) as a task comment
+ * The comment is created as the user the notification email was sent to;
+ * supported attachments are stored on the comment
+ * @route POST /api/inbound-email
+ * @access Mail gateway (shared secret)
+ */
+export const receiveInboundEmail = asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw CustomError.badRequest(
+      "Request body must be a raw RFC 822 message",
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  try {
+    const { comment, attachments } = await processInboundEmail(req.body, {
+      socketIO: getSocketIO(req),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Email reply posted as a comment",
+      data: {
+        comment,
+        attachments,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Threading rule violations raised by model hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Inbound email error:", error);
+    throw CustomError.internalServer(
+      "Failed to process email reply. Please try again."
+    );
+  }
+});
+
+export default {
+  receiveInboundEmail,
+};
@@ -9,7 +9,13 @@ import Organization from "../models/Organization.js";
 import Department from "../models/Department.js";
 import User from "../models/User.js";
 import CustomError from "../utils/CustomError.js";
-import { PLATFORM_ORGANIZATION_ID } from "../constants/index.js";
+import {
+  getStorageUsageByOrganization,
+} from "../services/storageQuotaService.js";
+import {
+  PLATFORM_ORGANIZATION_ID,
+  STORAGE_QUOTA_WARNING_THRESHOLDS,
+} from "../constants/index.js";
 
 /**
  * Get all organizations (Platform admins only)
@@ -496,26 +502,29 @@ export const getOrganizationStatistics = asyncHandler(async (req, res) => {
       deletedOrganizations,
       organizationsBySize,
       recentOrganizations,
+      storageUsage,
     ] = await Promise.all([
       // Total customer organizations (excluding platform)
       Organization.countDocuments({
-        _id: { $ne: mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
+        _id: { $ne: new mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
       }),
       // Active customer organizations
       Organization.countDocuments({
-        _id: { $ne: mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
+        _id: { $ne: new mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
         isDeleted: { $ne: true },
       }),
       // Deleted customer organizations
       Organization.countDocuments({
-        _id: { $ne: mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
+        _id: { $ne: new mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
         isDeleted: true,
       }),
       // Organizations by size
       Organization.aggregate([
         {
           $match: {
-            _id: { $ne: mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
+            _id: {
+              $ne: new mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID),
+            },
             isDeleted: { $ne: true },
           },
         },
@@ -528,13 +537,19 @@ export const getOrganizationStatistics = asyncHandler(async (req, res) => {
       ]),
       // Recent organizations (last 30 days)
       Organization.countDocuments({
-        _id: { $ne: mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
+        _id: { $ne: new mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
         isDeleted: { $ne: true },
         createdAt: {
           $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
         },
       }),
+      // Attachment storage against each organization's quota
+      getStorageUsageByOrganization({
+        _id: { $ne: new mongoose.Types.ObjectId(PLATFORM_ORGANIZATION_ID) },
+        isDeleted: { $ne: true },
+      }),
     ]);
+    const [firstWarningThreshold] = STORAGE_QUOTA_WARNING_THRESHOLDS;
 
     const statistics = {
       totalOrganizations,
@@ -545,6 +560,14 @@ export const getOrganizationStatistics = asyncHandler(async (req, res) => {
         acc[item._id] = item.count;
         return acc;
       }, {}),
+      storage: {
+        totalUsed: storageUsage.reduce((sum, usage) => sum + usage.used, 0),
+        totalQuota: storageUsage.reduce((sum, usage) => sum + usage.quota, 0),
+        // Organizations past the first warning threshold, fullest first
+        organizationsNearQuota: storageUsage.filter(
+          (usage) => usage.usagePercent >= firstWarningThreshold
+        ),
+      },
     };
 
     res.status(200).json({
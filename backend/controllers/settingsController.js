@@ -0,0 +1,328 @@
+/**
+ * Settings Controllers
+ * Handles organization-level configuration for the current user's organization
+ */
+
+import asyncHandler from "express-async-handler";
+import Organization from "../models/Organization.js";
+import CustomError from "../utils/CustomError.js";
+import { getAllTransitionTables } from "../services/taskStatusService.js";
+import { rescheduleHolidayTemplates } from "../services/recurrenceService.js";
+
+/**
+ * Load the current user's organization
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Organization document
+ */
+const findCurrentOrganization = async (req) => {
+  const organization = await Organization.findById(
+    req.user.organization._id
+  ).select("name settings");
+
+  if (!organization) {
+    throw CustomError.notFound("Organization not found.");
+  }
+
+  return organization;
+};
+
+/**
+ * Get organization settings
+ * @route GET /api/settings
+ * @access Private
+ */
+export const getSettings = asyncHandler(async (req, res) => {
+  try {
+    const organization = await findCurrentOrganization(req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: organization.settings,
+        effectiveTaskStatusTransitions: getAllTransitionTables(organization),
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Get settings error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve settings. Please try again."
+    );
+  }
+});
+
+/**
+ * Replace task status transition overrides
+ * @route PUT /api/settings/task-status-transitions
+ * @access Private (SuperAdmin only)
+ */
+export const updateTaskStatusTransitions = asyncHandler(async (req, res) => {
+  const { taskStatusTransitions } = req.body;
+
+  try {
+    const organization = await findCurrentOrganization(req);
+
+    // Keep only the known rule properties
+    const overrides = Object.fromEntries(
+      Object.entries(taskStatusTransitions).map(([taskType, table]) => [
+        taskType,
+        Object.fromEntries(
+          Object.entries(table).map(([from, rules]) => [
+            from,
+            rules.map(({ to, roles, requiresReason }) => ({
+              to,
+              ...(roles ? { roles } : {}),
+              ...(requiresReason ? { requiresReason } : {}),
+            })),
+          ])
+        ),
+      ])
+    );
+
+    organization.set("settings.taskStatusTransitions", overrides);
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Task status transitions updated successfully",
+      data: {
+        settings: organization.settings,
+        effectiveTaskStatusTransitions: getAllTransitionTables(organization),
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Update task status transitions error:", error);
+    throw CustomError.internalServer(
+      "Failed to update task status transitions. Please try again."
+    );
+  }
+});
+
+/**
+ * Replace organization holidays
+ * Recurring routine tasks that skip holidays are rescheduled
+ * @route PUT /api/settings/holidays
+ * @access Private (SuperAdmin only)
+ */
+export const updateHolidays = asyncHandler(async (req, res) => {
+  const { holidays } = req.body;
+
+  try {
+    const organization = await findCurrentOrganization(req);
+
+    organization.set(
+      "settings.holidays",
+      holidays.map(({ date, name }) => ({ date, name }))
+    );
+    await organization.save();
+
+    const rescheduledTemplates = await rescheduleHolidayTemplates(
+      organization._id,
+      organization.settings.holidays
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Holidays updated successfully",
+      data: {
+        holidays: organization.settings.holidays,
+        rescheduledTemplates,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Update holidays error:", error);
+    throw CustomError.internalServer(
+      "Failed to update holidays. Please try again."
+    );
+  }
+});
+
+/**
+ * Replace organization SLA policies
+ * Takes effect on the next run of the SLA job
+ * @route PUT /api/settings/sla-policies
+ * @access Private (SuperAdmin only)
+ */
+export const updateSlaPolicies = asyncHandler(async (req, res) => {
+  const { slaPolicies } = req.body;
+
+  try {
+    const organization = await findCurrentOrganization(req);
+
+    organization.set(
+      "settings.slaPolicies",
+      slaPolicies.map(
+        ({ priority, taskType, completionHours, escalationHours, isActive }) => ({
+          priority,
+          taskType: taskType || null,
+          completionHours,
+          escalationHours: escalationHours ?? null,
+          isActive,
+        })
+      )
+    );
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "SLA policies updated successfully",
+      data: {
+        slaPolicies: organization.settings.slaPolicies,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update SLA policies error:", error);
+    throw CustomError.internalServer(
+      "Failed to update SLA policies. Please try again."
+    );
+  }
+});
+
+/**
+ * Set the window during which authors can edit their comments
+ * @route PUT /api/settings/comment-edit-window
+ * @access Private (SuperAdmin only)
+ */
+export const updateCommentEditWindow = asyncHandler(async (req, res) => {
+  const { commentEditWindowMinutes } = req.body;
+
+  try {
+    const organization = await findCurrentOrganization(req);
+
+    organization.set(
+      "settings.commentEditWindowMinutes",
+      commentEditWindowMinutes ?? null
+    );
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comment edit window updated successfully",
+      data: {
+        commentEditWindowMinutes:
+          organization.settings.commentEditWindowMinutes,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update comment edit window error:", error);
+    throw CustomError.internalServer(
+      "Failed to update comment edit window. Please try again."
+    );
+  }
+});
+
+/**
+ * Set the deepest reply level allowed in comment threads
+ * Existing deeper threads are kept; only new replies are checked
+ * @route PUT /api/settings/comment-thread-depth
+ * @access Private (SuperAdmin only)
+ */
+export const updateCommentThreadDepth = asyncHandler(async (req, res) => {
+  const { commentMaxThreadDepth } = req.body;
+
+  try {
+    const organization = await findCurrentOrganization(req);
+
+    organization.set("settings.commentMaxThreadDepth", commentMaxThreadDepth);
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comment thread depth updated successfully",
+      data: {
+        commentMaxThreadDepth: organization.settings.commentMaxThreadDepth,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update comment thread depth error:", error);
+    throw CustomError.internalServer(
+      "Failed to update comment thread depth. Please try again."
+    );
+  }
+});
+
+/**
+ * Set whether tasks can be completed while comment threads are unresolved
+ * @route PUT /api/settings/comment-resolution
+ * @access Private (SuperAdmin only)
+ */
+export const updateCommentResolutionRule = asyncHandler(async (req, res) => {
+  const { blockCompletionOnUnresolvedComments } = req.body;
+
+  try {
+    const organization = await findCurrentOrganization(req);
+
+    organization.set(
+      "settings.blockCompletionOnUnresolvedComments",
+      blockCompletionOnUnresolvedComments
+    );
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comment resolution rule updated successfully",
+      data: {
+        blockCompletionOnUnresolvedComments:
+          organization.settings.blockCompletionOnUnresolvedComments,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update comment resolution rule error:", error);
+    throw CustomError.internalServer(
+      "Failed to update comment resolution rule. Please try again."
+    );
+  }
+});
+
+export default {
+  getSettings,
+  updateTaskStatusTransitions,
+  updateHolidays,
+  updateSlaPolicies,
+  updateCommentEditWindow,
+  updateCommentThreadDepth,
+  updateCommentResolutionRule,
+};
@@ -0,0 +1,142 @@
+/**
+ * SLA Controllers
+ * Handles SLA breach history for reports
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import SlaBreach from "../models/SlaBreach.js";
+import CustomError from "../utils/CustomError.js";
+import {
+  BUSINESS_RULES,
+  SLA_BREACH_STATUS,
+  VALIDATION_LIMITS,
+} from "../constants/index.js";
+
+// Populate paths used when returning breaches
+const BREACH_POPULATE = [
+  { path: "task", select: "title status taskType priority dueDate" },
+  { path: "department", select: "name" },
+  { path: "escalatedTo", select: "firstName lastName email" },
+];
+
+/**
+ * Build the breach filter from query parameters
+ * HODs see every department; other users only their own
+ * @param {Object} req - Express request object
+ * @returns {Object} MongoDB filter
+ */
+const buildBreachFilters = (req) => {
+  const { department, task, priority, taskType, status, from, to } = req.query;
+
+  const filters = {
+    organization: new mongoose.Types.ObjectId(req.user.organization._id),
+  };
+
+  if (BUSINESS_RULES.CROSS_DEPT_ROLES.includes(req.user.role)) {
+    if (department) {
+      filters.department = new mongoose.Types.ObjectId(department);
+    }
+  } else {
+    filters.department = new mongoose.Types.ObjectId(req.user.department._id);
+  }
+
+  if (task) filters.task = new mongoose.Types.ObjectId(task);
+  if (priority) filters.priority = priority;
+  if (taskType) filters.taskType = taskType;
+
+  if (status === SLA_BREACH_STATUS.RESOLVED) {
+    filters.resolvedAt = { $ne: null };
+  } else if (status === SLA_BREACH_STATUS.ESCALATED) {
+    filters.resolvedAt = null;
+    filters.escalatedAt = { $ne: null };
+  } else if (status === SLA_BREACH_STATUS.OPEN) {
+    filters.resolvedAt = null;
+    filters.escalatedAt = null;
+  }
+
+  if (from || to) {
+    filters.breachedAt = {};
+    if (from) filters.breachedAt.$gte = new Date(from);
+    if (to) filters.breachedAt.$lte = new Date(to);
+  }
+
+  return filters;
+};
+
+/**
+ * Get SLA breach history with a summary for reports
+ * @route GET /api/sla-breaches
+ * @access Private
+ */
+export const getSlaBreaches = asyncHandler(async (req, res) => {
+  const { page = 1, limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT } = req.query;
+
+  try {
+    const filters = buildBreachFilters(req);
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [breaches, totalCount, summary] = await Promise.all([
+      SlaBreach.find(filters)
+        .populate(BREACH_POPULATE)
+        .sort({ breachedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SlaBreach.countDocuments(filters),
+      SlaBreach.aggregate([
+        { $match: filters },
+        {
+          $group: {
+            _id: "$priority",
+            total: { $sum: 1 },
+            escalated: {
+              $sum: { $cond: [{ $ne: ["$escalatedAt", null] }, 1, 0] },
+            },
+            resolved: {
+              $sum: { $cond: [{ $ne: ["$resolvedAt", null] }, 1, 0] },
+            },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const hasNextPage = parseInt(page) < totalPages;
+    const hasPrevPage = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        breaches,
+        summary: summary.map(({ _id, total, escalated, resolved }) => ({
+          priority: _id,
+          total,
+          escalated,
+          resolved,
+          open: total - resolved,
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage,
+          hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get SLA breaches error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve SLA breaches. Please try again."
+    );
+  }
+});
+
+export default {
+  getSlaBreaches,
+};
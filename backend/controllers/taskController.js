@@ -0,0 +1,1209 @@
+/**
+ * Task Controllers
+ * Handles task management for RoutineTask, AssignedTask and ProjectTask discriminators
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import {
+  BaseTask,
+  RoutineTask,
+  AssignedTask,
+  ProjectTask,
+} from "../models/BaseTask.js";
+import CustomError from "../utils/CustomError.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { getSocketIO, emitTaskEvent } from "../utils/socketUtils.js";
+import {
+  applyStatusTransition,
+  getTransitionTable,
+} from "../services/taskStatusService.js";
+import {
+  addDependency,
+  removeDependency,
+  buildDependencyGraph,
+} from "../services/taskDependencyService.js";
+import { notifyTaskWatchers } from "../services/notificationService.js";
+import { findTaskTimeline } from "../services/timelineService.js";
+import {
+  TASK_STATUS,
+  TASK_TYPES,
+  SOCKET_EVENTS,
+  NOTIFICATION_TYPES,
+  USER_ROLES,
+  VALIDATION_LIMITS,
+  BULK_TASK_OPERATIONS,
+  INITIAL_TASK_STATUS,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+// Discriminator models keyed by taskType
+const TASK_MODELS = {
+  [TASK_TYPES.ROUTINE_TASK]: RoutineTask,
+  [TASK_TYPES.ASSIGNED_TASK]: AssignedTask,
+  [TASK_TYPES.PROJECT_TASK]: ProjectTask,
+};
+
+// Fields shared by every task type
+const BASE_TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+];
+
+// Discriminator specific fields that may be set by clients
+const TASK_TYPE_FIELDS = {
+  [TASK_TYPES.ROUTINE_TASK]: ["frequency", "estimatedDuration", "recurrence"],
+  [TASK_TYPES.ASSIGNED_TASK]: ["assignedTo"],
+  [TASK_TYPES.PROJECT_TASK]: [
+    "vendor",
+    "estimatedCost",
+    "actualCost",
+    "startDate",
+    "projectManager",
+  ],
+};
+
+// Recurrence rule fields that may be set by clients (scheduler state is server-managed)
+const RECURRENCE_FIELDS = [
+  "enabled",
+  "weekdays",
+  "dayOfMonth",
+  "skipHolidays",
+  "startDate",
+  "endDate",
+];
+
+// Populate paths used when returning tasks
+const TASK_POPULATE = [
+  { path: "createdBy", select: "firstName lastName email profilePicture" },
+  { path: "department", select: "name" },
+  { path: "assignedTo", select: "firstName lastName email profilePicture" },
+  { path: "assignedBy", select: "firstName lastName email" },
+  { path: "projectManager", select: "firstName lastName email" },
+  { path: "vendor", select: "name contactPerson email phone" },
+  { path: "statusHistory.changedBy", select: "firstName lastName email" },
+  { path: "blockedBy", select: "title status taskType dueDate" },
+  { path: "checklist.assignedTo", select: "firstName lastName email" },
+];
+
+/**
+ * Resolve the discriminator model for a task type
+ * @param {string} taskType - Task discriminator key
+ * @returns {mongoose.Model} Discriminator model
+ */
+const getTaskModel = (taskType) => {
+  const Model = TASK_MODELS[taskType];
+  if (!Model) {
+    throw CustomError.badRequest(`Unsupported task type: ${taskType}`);
+  }
+  return Model;
+};
+
+/**
+ * Pick allowed fields for a task type from a payload
+ * @param {Object} source - Request payload
+ * @param {string} taskType - Task discriminator key
+ * @returns {Object} Filtered data
+ */
+const pickTaskFields = (source, taskType) => {
+  const allowedFields = [...BASE_TASK_FIELDS, ...TASK_TYPE_FIELDS[taskType]];
+
+  return allowedFields.reduce((data, field) => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+    return data;
+  }, {});
+};
+
+/**
+ * Flatten a recurrence payload into dotted paths so partial updates
+ * keep the remaining rule fields and the scheduler state
+ * @param {Object} recurrence - Recurrence payload
+ * @returns {Object} Dotted recurrence paths
+ */
+const flattenRecurrence = (recurrence = {}) => {
+  return RECURRENCE_FIELDS.reduce((data, field) => {
+    if (recurrence[field] !== undefined) {
+      data[`recurrence.${field}`] = recurrence[field];
+    }
+    return data;
+  }, {});
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Load a freshly populated copy of a task for responses
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} Populated task
+ */
+const findPopulatedTask = (taskId) => {
+  return BaseTask.findById(taskId).populate(TASK_POPULATE);
+};
+
+/**
+ * Emit socket events describing a task change and notify watchers
+ * @param {Object} req - Express request object
+ * @param {Object} task - Updated (populated) task
+ * @param {Object} details - Change details
+ * @param {string} details.previousStatus - Status before the change
+ * @param {Array<string>} details.changes - Changed field names
+ * @param {Object} details.statusChange - Recorded status history entry
+ */
+const emitTaskChangeEvents = async (req, task, details = {}) => {
+  const { previousStatus, changes = [], statusChange = null } = details;
+  const socketIO = getSocketIO(req);
+  const completed =
+    changes.includes("status") &&
+    previousStatus !== TASK_STATUS.COMPLETED &&
+    task.status === TASK_STATUS.COMPLETED;
+
+  emitTaskEvent(socketIO, SOCKET_EVENTS.TASK_UPDATED, task, {
+    actor: req.user._id,
+    changes,
+    statusChange,
+  });
+
+  if (changes.includes("assignedTo")) {
+    emitTaskEvent(socketIO, SOCKET_EVENTS.TASK_ASSIGNED, task, {
+      actor: req.user._id,
+    });
+  }
+
+  if (completed) {
+    emitTaskEvent(socketIO, SOCKET_EVENTS.TASK_COMPLETED, task, {
+      actor: req.user._id,
+    });
+  }
+
+  // Completion supersedes the generic update notification
+  await notifyTaskWatchers(
+    socketIO,
+    task,
+    completed ? NOTIFICATION_TYPES.TASK_COMPLETED : NOTIFICATION_TYPES.TASK_UPDATED,
+    { actor: req.user, changes }
+  );
+};
+
+/**
+ * Apply one bulk operation to a single task
+ * Mirrors the single-task endpoints: scope checks, status transitions and
+ * discriminator hooks all apply, and the matching socket events are emitted
+ * @param {Object} req - Express request object
+ * @param {Object} task - Task document
+ * @param {string} operation - Bulk operation (see BULK_TASK_OPERATIONS)
+ * @param {Object} payload - Operation payload
+ * @returns {Promise<Object>} Per-item result details
+ */
+const applyBulkOperation = async (req, task, operation, payload) => {
+  const action = operation === BULK_TASK_OPERATIONS.DELETE ? "delete" : "update";
+
+  if (!hasPermission(req.user, action, "tasks", task)) {
+    throw CustomError.forbidden(`Insufficient permissions to ${action} this task.`);
+  }
+
+  if (operation === BULK_TASK_OPERATIONS.DELETE) {
+    await task.softDelete(req.user._id);
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.TASK_DELETED, task, {
+      actor: req.user._id,
+      bulk: true,
+    });
+    return {};
+  }
+
+  const previousStatus = task.status;
+  const changes = [];
+  let statusChange = null;
+
+  switch (operation) {
+    case BULK_TASK_OPERATIONS.REASSIGN:
+      if (task.taskType !== TASK_TYPES.ASSIGNED_TASK) {
+        throw CustomError.badRequest("Only AssignedTask can be reassigned.");
+      }
+      task.assignedTo = payload.assignedTo;
+      task.assignedBy = req.user._id;
+      task.assignedAt = new Date();
+      changes.push("assignedTo");
+      break;
+
+    case BULK_TASK_OPERATIONS.REPRIORITIZE:
+      task.priority = payload.priority;
+      changes.push("priority");
+      break;
+
+    case BULK_TASK_OPERATIONS.CHANGE_STATUS:
+      statusChange = await applyStatusTransition(task, payload.status, {
+        actor: req.user,
+        comment: payload.comment,
+        overrideDependencies: payload.overrideDependencies,
+      });
+      if (statusChange) changes.push("status");
+      break;
+
+    case BULK_TASK_OPERATIONS.MOVE_DEPARTMENT: {
+      // The user must also be allowed to manage tasks in the target department
+      const target = {
+        organization: task.organization,
+        department: payload.department,
+      };
+      if (!hasPermission(req.user, "update", "tasks", target)) {
+        throw CustomError.forbidden(
+          "Insufficient permissions to move tasks to this department."
+        );
+      }
+      task.department = payload.department;
+      changes.push("department");
+      break;
+    }
+
+    default:
+      throw CustomError.badRequest(`Unsupported bulk operation: ${operation}`);
+  }
+
+  await task.save();
+
+  const populatedTask = await findPopulatedTask(task._id);
+  await emitTaskChangeEvents(req, populatedTask, {
+    previousStatus,
+    changes,
+    statusChange,
+  });
+
+  return { status: populatedTask.status };
+};
+
+/**
+ * Describe a failed bulk item the way single-task endpoints report errors
+ * @param {Error} error - Error raised while processing the item
+ * @returns {Object} { message, code, statusCode }
+ */
+const toBulkItemError = (error) => {
+  if (error instanceof CustomError) {
+    return {
+      message: error.message,
+      code: error.code,
+      statusCode: error.statusCode,
+    };
+  }
+
+  // Business rule violations raised by discriminator hooks
+  if (error.code && typeof error.code === "string") {
+    return { message: error.message, code: error.code, statusCode: 400 };
+  }
+
+  if (error.name === "ValidationError") {
+    return { message: error.message, statusCode: 400 };
+  }
+
+  return {
+    message: "Failed to update task. Please try again.",
+    statusCode: 500,
+  };
+};
+
+/**
+ * Get tasks with filtering and pagination
+ * @route GET /api/tasks
+ * @access Private
+ */
+export const getTasks = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT,
+    search,
+    status,
+    priority,
+    taskType,
+    department,
+    assignedTo,
+    createdBy,
+    vendor,
+    template,
+    isTemplate,
+    overdue,
+    dueDateFrom,
+    dueDateTo,
+    sortBy = "createdAt",
+    sortOrder = "desc",
+    includeDeleted = false,
+  } = req.query;
+
+  try {
+    // Build query filters, always scoped to the user's organization
+    const filters = {
+      organization: req.user.organization._id,
+    };
+    const conditions = [];
+
+    // Regular users are limited to their own department
+    if (req.user.role === USER_ROLES.USER) {
+      filters.department = req.user.department._id;
+    } else if (department) {
+      filters.department = new mongoose.Types.ObjectId(department);
+    }
+
+    // Deleted tasks are only visible to users who can restore them
+    if (includeDeleted === true || includeDeleted === "true") {
+      if (!hasPermission(req.user, "restore", "tasks")) {
+        throw CustomError.forbidden(
+          "Insufficient permissions to view deleted tasks."
+        );
+      }
+      filters.isDeleted = { $in: [true, false] };
+    }
+
+    if (status) filters.status = status;
+    if (priority) filters.priority = priority;
+    if (taskType) filters.taskType = taskType;
+
+    // Discriminator paths are not cast by BaseTask, so cast explicitly
+    if (createdBy) filters.createdBy = new mongoose.Types.ObjectId(createdBy);
+    if (assignedTo) filters.assignedTo = new mongoose.Types.ObjectId(assignedTo);
+    if (vendor) filters.vendor = new mongoose.Types.ObjectId(vendor);
+    if (template) filters.template = new mongoose.Types.ObjectId(template);
+
+    // Recurrence templates are RoutineTasks with an enabled rule
+    if (isTemplate !== undefined) {
+      filters["recurrence.enabled"] =
+        isTemplate === true || isTemplate === "true" ? true : { $ne: true };
+    }
+
+    // Search filter
+    if (search) {
+      const pattern = escapeRegex(search);
+      conditions.push({
+        $or: [
+          { title: { $regex: pattern, $options: "i" } },
+          { description: { $regex: pattern, $options: "i" } },
+        ],
+      });
+    }
+
+    // Due date range filter
+    if (dueDateFrom || dueDateTo) {
+      const dueDateRange = {};
+      if (dueDateFrom) dueDateRange.$gte = new Date(dueDateFrom);
+      if (dueDateTo) dueDateRange.$lte = new Date(dueDateTo);
+      conditions.push({ dueDate: dueDateRange });
+    }
+
+    // Overdue filter mirrors BaseTask.isOverdue()
+    if (overdue !== undefined) {
+      const now = new Date();
+      if (overdue === true || overdue === "true") {
+        conditions.push({
+          dueDate: { $lt: now },
+          status: { $ne: TASK_STATUS.COMPLETED },
+        });
+      } else {
+        conditions.push({
+          $or: [
+            { dueDate: null },
+            { dueDate: { $gte: now } },
+            { status: TASK_STATUS.COMPLETED },
+          ],
+        });
+      }
+    }
+
+    if (conditions.length > 0) {
+      filters.$and = conditions;
+    }
+
+    // Build sort object
+    const sortOptions = {};
+    const sortDirection = sortOrder === "asc" || sortOrder === "1" ? 1 : -1;
+    sortOptions[sortBy] = sortDirection;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Execute query with pagination
+    const [tasks, totalCount] = await Promise.all([
+      BaseTask.find(filters)
+        .populate(TASK_POPULATE)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      BaseTask.countDocuments(filters),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const hasNextPage = parseInt(page) < totalPages;
+    const hasPrevPage = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tasks,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage,
+          hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Get tasks error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve tasks. Please try again."
+    );
+  }
+});
+
+/**
+ * Get single task by ID
+ * @route GET /api/tasks/:id
+ * @access Private
+ */
+export const getTaskById = asyncHandler(async (req, res) => {
+  try {
+    const task = await findPopulatedTask(req.task._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        task,
+      },
+    });
+  } catch (error) {
+    console.error("Get task by ID error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task. Please try again."
+    );
+  }
+});
+
+/**
+ * Create new task
+ * The discriminator is selected from taskType (resolved by validateCreateTask)
+ * @route POST /api/tasks
+ * @access Private
+ */
+export const createTask = asyncHandler(async (req, res) => {
+  const { taskType, department } = req.body;
+
+  try {
+    const TaskModel = getTaskModel(taskType);
+
+    const { recurrence, status, ...fields } = pickTaskFields(
+      req.body,
+      taskType
+    );
+
+    // Every later status change goes through the transition table
+    const initialStatus = INITIAL_TASK_STATUS[taskType];
+    if (status && status !== initialStatus) {
+      throw CustomError.badRequest(
+        `A new ${taskType} starts as "${initialStatus}"; change its status once it is created.`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    const taskData = {
+      ...fields,
+      ...flattenRecurrence(recurrence),
+      status: initialStatus,
+      organization: req.user.organization._id,
+      department: department || req.user.department._id,
+      createdBy: req.user._id,
+    };
+
+    if (taskType === TASK_TYPES.ASSIGNED_TASK) {
+      taskData.assignedBy = req.body.assignedBy || req.user._id;
+    }
+
+    const task = await TaskModel.create(taskData);
+    const populatedTask = await findPopulatedTask(task._id);
+
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.TASK_CREATED, populatedTask, {
+      actor: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Task created successfully",
+      data: {
+        task: populatedTask,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Business rule violations raised by discriminator hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Create task error:", error);
+    throw CustomError.internalServer(
+      "Failed to create task. Please try again."
+    );
+  }
+});
+
+/**
+ * Update task
+ * Changes are applied through save() so discriminator hooks run
+ * @route PUT /api/tasks/:id
+ * @access Private
+ */
+export const updateTask = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    const { status, recurrence, ...updateData } = pickTaskFields(
+      req.body,
+      task.taskType
+    );
+    const previousStatus = task.status;
+
+    task.set({ ...updateData, ...flattenRecurrence(recurrence) });
+
+    // Status changes always go through the transition table
+    const statusChange = status
+      ? await applyStatusTransition(task, status, {
+          actor: req.user,
+          comment: req.body.statusComment,
+          overrideDependencies: req.body.overrideDependencies,
+        })
+      : null;
+
+    await task.save();
+
+    const populatedTask = await findPopulatedTask(task._id);
+
+    await emitTaskChangeEvents(req, populatedTask, {
+      previousStatus,
+      changes: Object.keys(updateData)
+        .concat(recurrence ? ["recurrence"] : [])
+        .concat(statusChange ? ["status"] : []),
+      statusChange,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Task updated successfully",
+      data: {
+        task: populatedTask,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Business rule violations raised by discriminator hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update task error:", error);
+    throw CustomError.internalServer(
+      "Failed to update task. Please try again."
+    );
+  }
+});
+
+/**
+ * Change task status
+ * Validates the transition against the organization's transition table
+ * and records it in the status history
+ * @route PATCH /api/tasks/:id/status
+ * @access Private
+ */
+export const changeTaskStatus = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { status, comment, overrideDependencies } = req.body;
+
+  try {
+    const previousStatus = task.status;
+
+    const statusChange = await applyStatusTransition(task, status, {
+      actor: req.user,
+      comment,
+      overrideDependencies,
+    });
+
+    if (!statusChange) {
+      throw CustomError.badRequest(`Task is already "${status}".`);
+    }
+
+    await task.save();
+
+    const populatedTask = await findPopulatedTask(task._id);
+
+    await emitTaskChangeEvents(req, populatedTask, {
+      previousStatus,
+      changes: ["status"],
+      statusChange,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Task status updated successfully",
+      data: {
+        task: populatedTask,
+        statusChange,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Business rule violations raised by discriminator hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    console.error("Change task status error:", error);
+    throw CustomError.internalServer(
+      "Failed to update task status. Please try again."
+    );
+  }
+});
+
+/**
+ * Get task status history
+ * @route GET /api/tasks/:id/status-history
+ * @access Private
+ */
+export const getTaskStatusHistory = asyncHandler(async (req, res) => {
+  try {
+    const task = await BaseTask.findById(req.task._id)
+      .select("status statusHistory taskType")
+      .populate("statusHistory.changedBy", "firstName lastName email role");
+
+    const transitionTable = await getTransitionTable(
+      task.taskType,
+      req.user.organization._id
+    );
+    const allowedTransitions = (transitionTable[task.status] || []).map(
+      (rule) => rule.to
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: task.status,
+        allowedTransitions,
+        history: task.statusHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Get task status history error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task status history. Please try again."
+    );
+  }
+});
+
+/**
+ * Get the task timeline
+ * Merges comments, activities, attachments, material usage, status changes
+ * and field changes, newest first
+ * @route GET /api/tasks/:id/timeline
+ * @access Private
+ */
+export const getTaskTimeline = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT,
+    kind,
+    actor,
+  } = req.query;
+
+  try {
+    const { items, totalCount } = await findTaskTimeline(req.task, {
+      kinds: kind,
+      actor,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get task timeline error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task timeline. Please try again."
+    );
+  }
+});
+
+/**
+ * Get occurrences generated from a recurring task template
+ * @route GET /api/tasks/:id/occurrences
+ * @access Private
+ */
+export const getTaskOccurrences = asyncHandler(async (req, res) => {
+  const template = req.task;
+  const {
+    page = 1,
+    limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT,
+    status,
+    isMissed,
+  } = req.query;
+
+  try {
+    if (template.taskType !== TASK_TYPES.ROUTINE_TASK) {
+      throw CustomError.badRequest(
+        "Only routine tasks can have recurring occurrences."
+      );
+    }
+
+    const filters = {
+      organization: req.user.organization._id,
+      template: template._id,
+    };
+
+    if (status) filters.status = status;
+    if (isMissed !== undefined) {
+      filters.isMissed = isMissed === true || isMissed === "true";
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [occurrences, totalCount, missedCount] = await Promise.all([
+      RoutineTask.find(filters)
+        .populate(TASK_POPULATE)
+        .sort({ occurrenceDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      RoutineTask.countDocuments(filters),
+      RoutineTask.countDocuments({
+        organization: req.user.organization._id,
+        template: template._id,
+        isMissed: true,
+      }),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const hasNextPage = parseInt(page) < totalPages;
+    const hasPrevPage = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recurrence: template.recurrence,
+        occurrences,
+        statistics: {
+          missedOccurrences: missedCount,
+          // Includes periods skipped entirely while no scheduler was running
+          missedRuns: template.recurrence?.missedCount || 0,
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage,
+          hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Get task occurrences error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task occurrences. Please try again."
+    );
+  }
+});
+
+/**
+ * Get the dependency graph of a task
+ * @route GET /api/tasks/:id/dependencies
+ * @access Private
+ */
+export const getTaskDependencies = asyncHandler(async (req, res) => {
+  const { depth = VALIDATION_LIMITS.DEPENDENCY_GRAPH_DEPTH_DEFAULT } = req.query;
+
+  try {
+    const graph = await buildDependencyGraph(req.task, parseInt(depth));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        root: req.task._id,
+        ...graph,
+      },
+    });
+  } catch (error) {
+    console.error("Get task dependencies error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task dependencies. Please try again."
+    );
+  }
+});
+
+/**
+ * Declare that a task is blocked by another task
+ * @route POST /api/tasks/:id/dependencies
+ * @access Private
+ */
+export const addTaskDependency = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    await addDependency(task, req.body.blockedBy);
+
+    const populatedTask = await findPopulatedTask(task._id);
+
+    await emitTaskChangeEvents(req, populatedTask, { changes: ["blockedBy"] });
+
+    res.status(201).json({
+      success: true,
+      message: "Task dependency added successfully",
+      data: {
+        task: populatedTask,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Business rule violations raised by model hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    console.error("Add task dependency error:", error);
+    throw CustomError.internalServer(
+      "Failed to add task dependency. Please try again."
+    );
+  }
+});
+
+/**
+ * Remove a blocked-by relationship from a task
+ * @route DELETE /api/tasks/:id/dependencies/:blockerId
+ * @access Private
+ */
+export const removeTaskDependency = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    await removeDependency(task, req.params.blockerId);
+
+    const populatedTask = await findPopulatedTask(task._id);
+
+    await emitTaskChangeEvents(req, populatedTask, { changes: ["blockedBy"] });
+
+    res.status(200).json({
+      success: true,
+      message: "Task dependency removed successfully",
+      data: {
+        task: populatedTask,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Remove task dependency error:", error);
+    throw CustomError.internalServer(
+      "Failed to remove task dependency. Please try again."
+    );
+  }
+});
+
+/**
+ * Get the users watching a task
+ * @route GET /api/tasks/:id/watchers
+ * @access Private
+ */
+export const getTaskWatchers = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    await task.populate({
+      path: "watchers",
+      select: "firstName lastName email profilePicture position",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        watchers: task.watchers,
+        isWatching: task.isWatchedBy(req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error("Get task watchers error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task watchers. Please try again."
+    );
+  }
+});
+
+/**
+ * Follow a task to receive its notifications
+ * @route POST /api/tasks/:id/watchers
+ * @access Private
+ */
+export const watchTask = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    const { modifiedCount } = await BaseTask.updateOne(
+      { _id: task._id },
+      { $addToSet: { watchers: req.user._id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: modifiedCount
+        ? "You are now watching this task"
+        : "You are already watching this task",
+      data: {
+        taskId: task._id,
+        isWatching: true,
+      },
+    });
+  } catch (error) {
+    console.error("Watch task error:", error);
+    throw CustomError.internalServer(
+      "Failed to watch task. Please try again."
+    );
+  }
+});
+
+/**
+ * Stop following a task
+ * @route DELETE /api/tasks/:id/watchers
+ * @access Private
+ */
+export const unwatchTask = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    const { modifiedCount } = await BaseTask.updateOne(
+      { _id: task._id },
+      { $pull: { watchers: req.user._id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: modifiedCount
+        ? "You are no longer watching this task"
+        : "You are not watching this task",
+      data: {
+        taskId: task._id,
+        isWatching: false,
+      },
+    });
+  } catch (error) {
+    console.error("Unwatch task error:", error);
+    throw CustomError.internalServer(
+      "Failed to unwatch task. Please try again."
+    );
+  }
+});
+
+/**
+ * Apply one operation to many tasks
+ * Each task is processed independently and reported with its own result
+ * @route POST /api/tasks/bulk
+ * @access Private
+ */
+export const bulkUpdateTasks = asyncHandler(async (req, res) => {
+  const { taskIds, operation, payload = {} } = req.body;
+
+  try {
+    const tasks = await BaseTask.find({
+      _id: { $in: taskIds },
+      organization: req.user.organization._id,
+    });
+    const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+    const results = [];
+    for (const taskId of taskIds) {
+      const task = tasksById.get(taskId);
+
+      if (!task) {
+        results.push({
+          taskId,
+          success: false,
+          error: { message: "Task not found.", statusCode: 404 },
+        });
+        continue;
+      }
+
+      try {
+        const details = await applyBulkOperation(req, task, operation, payload);
+        results.push({ taskId, success: true, ...details });
+      } catch (error) {
+        const itemError = toBulkItemError(error);
+        if (itemError.statusCode === 500) {
+          console.error(`Bulk ${operation} error for task ${taskId}:`, error);
+        }
+
+        results.push({ taskId, success: false, error: itemError });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      message: `Bulk ${operation} completed: ${succeeded} succeeded, ${
+        results.length - succeeded
+      } failed`,
+      data: {
+        operation,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+        },
+        results,
+      },
+    });
+  } catch (error) {
+    console.error("Bulk update tasks error:", error);
+    throw CustomError.internalServer(
+      "Failed to apply bulk operation. Please try again."
+    );
+  }
+});
+
+/**
+ * Soft delete task
+ * Cascades to activities, comments and attachments
+ * @route DELETE /api/tasks/:id
+ * @access Private
+ */
+export const deleteTask = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    await task.softDelete(req.user._id);
+
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.TASK_DELETED, task, {
+      actor: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Task deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete task error:", error);
+    throw CustomError.internalServer(
+      "Failed to delete task. Please try again."
+    );
+  }
+});
+
+/**
+ * Restore soft deleted task
+ * @route POST /api/tasks/:id/restore
+ * @access Private
+ */
+export const restoreTask = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  try {
+    if (!task.isDeleted) {
+      throw CustomError.badRequest("Task is not deleted.");
+    }
+
+    await task.restore();
+
+    const restoredTask = await findPopulatedTask(task._id);
+
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.TASK_UPDATED, restoredTask, {
+      actor: req.user._id,
+      restored: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Task restored successfully",
+      data: {
+        task: restoredTask,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Restore task error:", error);
+    throw CustomError.internalServer(
+      "Failed to restore task. Please try again."
+    );
+  }
+});
+
+export default {
+  getTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  changeTaskStatus,
+  getTaskStatusHistory,
+  getTaskTimeline,
+  getTaskOccurrences,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getTaskWatchers,
+  watchTask,
+  unwatchTask,
+  bulkUpdateTasks,
+  deleteTask,
+  restoreTask,
+};
@@ -0,0 +1,387 @@
+/**
+ * Task Template Controllers
+ * Handles organization and department task templates and their instantiation
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import TaskTemplate from "../models/TaskTemplate.js";
+import CustomError from "../utils/CustomError.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { getSocketIO, emitTaskEvent } from "../utils/socketUtils.js";
+import {
+  getTemplatePlaceholders,
+  instantiateTemplate,
+} from "../services/taskTemplateService.js";
+import {
+  SOCKET_EVENTS,
+  BUSINESS_RULES,
+  VALIDATION_LIMITS,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+// Populate paths used when returning templates
+const TEMPLATE_POPULATE = [
+  { path: "createdBy", select: "firstName lastName email" },
+  { path: "department", select: "name" },
+  { path: "task.assignedTo", select: "firstName lastName email" },
+  { path: "task.vendor", select: "name contactPerson email phone" },
+  { path: "task.projectManager", select: "firstName lastName email" },
+  { path: "materials.material", select: "name unit unitPrice" },
+];
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Ensure the user may manage organization-wide templates
+ * Department templates are covered by the authorization matrix
+ * @param {Object} user - Requesting user
+ * @param {Object} template - Template (or template data) being managed
+ * @throws {CustomError} If the template is organization-wide and the user is not an HOD
+ */
+const assertCanManageTemplate = (user, template) => {
+  if (!template.department && !BUSINESS_RULES.CROSS_DEPT_ROLES.includes(user.role)) {
+    throw CustomError.forbidden(
+      "Only SuperAdmin and Admin users can manage organization-wide templates."
+    );
+  }
+};
+
+/**
+ * Add template usage details to a response payload
+ * @param {Object} template - Template document
+ * @returns {Object} Template with the custom placeholders it requires
+ */
+const withPlaceholders = (template) => ({
+  ...template.toObject(),
+  placeholders: getTemplatePlaceholders(template),
+});
+
+/**
+ * Get task templates available to the user
+ * @route GET /api/task-templates
+ * @access Private
+ */
+export const getTaskTemplates = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT,
+    search,
+    taskType,
+    department,
+    isActive,
+  } = req.query;
+
+  try {
+    const filters = {
+      organization: req.user.organization._id,
+    };
+
+    // HODs see every template; others see organization-wide and own department templates
+    if (BUSINESS_RULES.CROSS_DEPT_ROLES.includes(req.user.role)) {
+      if (department) {
+        filters.department = new mongoose.Types.ObjectId(department);
+      }
+    } else {
+      filters.department = {
+        $in: [null, req.user.department._id],
+      };
+    }
+
+    if (taskType) filters.taskType = taskType;
+    if (isActive !== undefined) {
+      filters.isActive = isActive === true || isActive === "true";
+    }
+
+    if (search) {
+      filters.name = { $regex: escapeRegex(search), $options: "i" };
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [templates, totalCount] = await Promise.all([
+      TaskTemplate.find(filters)
+        .populate(TEMPLATE_POPULATE)
+        .sort({ usageCount: -1, name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      TaskTemplate.countDocuments(filters),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const hasNextPage = parseInt(page) < totalPages;
+    const hasPrevPage = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates: templates.map(withPlaceholders),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage,
+          hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get task templates error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task templates. Please try again."
+    );
+  }
+});
+
+/**
+ * Get single task template by ID
+ * @route GET /api/task-templates/:id
+ * @access Private
+ */
+export const getTaskTemplateById = asyncHandler(async (req, res) => {
+  try {
+    const template = await req.taskTemplate.populate(TEMPLATE_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        template: withPlaceholders(template),
+      },
+    });
+  } catch (error) {
+    console.error("Get task template by ID error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve task template. Please try again."
+    );
+  }
+});
+
+/**
+ * Create new task template
+ * @route POST /api/task-templates
+ * @access Private (Manager and above)
+ */
+export const createTaskTemplate = asyncHandler(async (req, res) => {
+  const { name, description, taskType, department, task, materials, isActive } =
+    req.body;
+
+  try {
+    assertCanManageTemplate(req.user, { department });
+
+    const template = await TaskTemplate.create({
+      name,
+      description,
+      taskType,
+      department: department || null,
+      task,
+      materials,
+      isActive,
+      organization: req.user.organization._id,
+      createdBy: req.user._id,
+    });
+
+    await template.populate(TEMPLATE_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: "Task template created successfully",
+      data: {
+        template: withPlaceholders(template),
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.code === 11000) {
+      throw CustomError.conflict(
+        "A template with this name already exists.",
+        ERROR_CODES.DUPLICATE_ENTRY
+      );
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Create task template error:", error);
+    throw CustomError.internalServer(
+      "Failed to create task template. Please try again."
+    );
+  }
+});
+
+/**
+ * Update task template
+ * Task fields are merged so partial updates keep the remaining values
+ * @route PUT /api/task-templates/:id
+ * @access Private (Manager and above)
+ */
+export const updateTaskTemplate = asyncHandler(async (req, res) => {
+  const template = req.taskTemplate;
+  const { name, description, task, materials, isActive } = req.body;
+
+  try {
+    assertCanManageTemplate(req.user, template);
+
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (isActive !== undefined) template.isActive = isActive;
+    if (materials !== undefined) template.materials = materials;
+
+    Object.entries(task || {}).forEach(([field, value]) => {
+      template.set(`task.${field}`, value);
+    });
+
+    await template.save();
+    await template.populate(TEMPLATE_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: "Task template updated successfully",
+      data: {
+        template: withPlaceholders(template),
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    if (error.code === 11000) {
+      throw CustomError.conflict(
+        "A template with this name already exists.",
+        ERROR_CODES.DUPLICATE_ENTRY
+      );
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Update task template error:", error);
+    throw CustomError.internalServer(
+      "Failed to update task template. Please try again."
+    );
+  }
+});
+
+/**
+ * Soft delete task template
+ * @route DELETE /api/task-templates/:id
+ * @access Private (Admin and above)
+ */
+export const deleteTaskTemplate = asyncHandler(async (req, res) => {
+  const template = req.taskTemplate;
+
+  try {
+    assertCanManageTemplate(req.user, template);
+
+    await template.softDelete(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Task template deleted successfully",
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    console.error("Delete task template error:", error);
+    throw CustomError.internalServer(
+      "Failed to delete task template. Please try again."
+    );
+  }
+});
+
+/**
+ * Create a task from a template
+ * @route POST /api/task-templates/:id/instantiate
+ * @access Private
+ */
+export const instantiateTaskTemplate = asyncHandler(async (req, res) => {
+  const template = req.taskTemplate;
+  const { variables, department, title, priority, dueDate, assignedTo } =
+    req.body;
+
+  try {
+    const overrides = Object.fromEntries(
+      Object.entries({ department, title, priority, dueDate, assignedTo }).filter(
+        ([, value]) => value !== undefined
+      )
+    );
+
+    // The created task must be in a department the user may create tasks in
+    const targetDepartment =
+      template.department || department || req.user.department._id;
+    if (
+      !hasPermission(req.user, "create", "tasks", {
+        organization: req.user.organization._id,
+        department: targetDepartment,
+      })
+    ) {
+      throw CustomError.forbidden("Insufficient permissions to create tasks.");
+    }
+
+    const { task, materials, skippedMaterials } = await instantiateTemplate(
+      template,
+      {
+        actor: req.user,
+        variables,
+        overrides,
+      }
+    );
+
+    emitTaskEvent(getSocketIO(req), SOCKET_EVENTS.TASK_CREATED, task, {
+      actor: req.user._id,
+      template: template._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Task created from template successfully",
+      data: {
+        task,
+        materials,
+        skippedMaterials,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Business rule violations raised by discriminator hooks
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Instantiate task template error:", error);
+    throw CustomError.internalServer(
+      "Failed to create task from template. Please try again."
+    );
+  }
+});
+
+export default {
+  getTaskTemplates,
+  getTaskTemplateById,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+  instantiateTaskTemplate,
+};
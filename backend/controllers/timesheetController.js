@@ -0,0 +1,268 @@
+/**
+ * Timesheet Controllers
+ * Handles weekly timesheets and their approval flow
+ */
+
+import asyncHandler from "express-async-handler";
+import Timesheet from "../models/Timesheet.js";
+import CustomError from "../utils/CustomError.js";
+import { getSocketIO } from "../utils/socketUtils.js";
+import { getWeekRange } from "../utils/timesheetUtils.js";
+import {
+  buildTimesheet,
+  submitTimesheet,
+  reviewTimesheet,
+} from "../services/timesheetService.js";
+import {
+  BUSINESS_RULES,
+  MANAGER_AND_ABOVE_ROLES,
+  TIMESHEET_STATUS,
+  VALIDATION_LIMITS,
+} from "../constants/index.js";
+
+// Populate paths used when returning timesheets
+const TIMESHEET_POPULATE = [
+  { path: "user", select: "firstName lastName email profilePicture" },
+  { path: "department", select: "name" },
+  { path: "reviewedBy", select: "firstName lastName email" },
+];
+
+/**
+ * Build the timesheet list filter from query parameters
+ * Users only see their own timesheets, reviewers their department
+ * and HODs every department
+ * @param {Object} req - Express request object
+ * @returns {Object} MongoDB filter
+ */
+const buildTimesheetFilters = (req) => {
+  const { user, department, status, week } = req.query;
+
+  const filters = { organization: req.user.organization._id };
+
+  if (!MANAGER_AND_ABOVE_ROLES.includes(req.user.role)) {
+    filters.user = req.user._id;
+  } else if (user) {
+    filters.user = user;
+  }
+
+  if (BUSINESS_RULES.CROSS_DEPT_ROLES.includes(req.user.role)) {
+    if (department) filters.department = department;
+  } else {
+    filters.department = req.user.department._id;
+  }
+
+  if (status) filters.status = status;
+  if (week) filters.weekStart = getWeekRange(week).weekStart;
+
+  return filters;
+};
+
+/**
+ * Get the current user's timesheet for a week
+ * @route GET /api/timesheets/me
+ * @access Private
+ */
+export const getMyTimesheet = asyncHandler(async (req, res) => {
+  try {
+    const timesheet = await buildTimesheet(req.user, req.query.week);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timesheet,
+      },
+    });
+  } catch (error) {
+    console.error("Get my timesheet error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve timesheet. Please try again."
+    );
+  }
+});
+
+/**
+ * Get another user's timesheet for a week
+ * @route GET /api/timesheets/users/:userId
+ * @access Private (Manager, Admin, SuperAdmin)
+ */
+export const getUserTimesheet = asyncHandler(async (req, res) => {
+  try {
+    const timesheet = await buildTimesheet(req.timesheetUser, req.query.week);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timesheet,
+      },
+    });
+  } catch (error) {
+    console.error("Get user timesheet error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve timesheet. Please try again."
+    );
+  }
+});
+
+/**
+ * Get submitted and reviewed timesheets with pagination
+ * @route GET /api/timesheets
+ * @access Private
+ */
+export const getTimesheets = asyncHandler(async (req, res) => {
+  const { page = 1, limit = VALIDATION_LIMITS.PAGE_SIZE_DEFAULT } = req.query;
+
+  try {
+    const filters = buildTimesheetFilters(req);
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [timesheets, totalCount] = await Promise.all([
+      Timesheet.find(filters)
+        .select("-history")
+        .populate(TIMESHEET_POPULATE)
+        .sort({ weekStart: -1, submittedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Timesheet.countDocuments(filters),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const hasNextPage = parseInt(page) < totalPages;
+    const hasPrevPage = parseInt(page) > 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timesheets,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage,
+          hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get timesheets error:", error);
+    throw CustomError.internalServer(
+      "Failed to retrieve timesheets. Please try again."
+    );
+  }
+});
+
+/**
+ * Submit the current user's week for approval
+ * @route POST /api/timesheets/submit
+ * @access Private
+ */
+export const submitMyTimesheet = asyncHandler(async (req, res) => {
+  try {
+    const timesheet = await submitTimesheet(req.user, req.body.week);
+
+    res.status(200).json({
+      success: true,
+      message: "Timesheet submitted for approval",
+      data: {
+        timesheet,
+      },
+    });
+  } catch (error) {
+    if (error instanceof CustomError) {
+      throw error;
+    }
+
+    // Business rule violations raised by the model
+    if (error.code && typeof error.code === "string") {
+      throw CustomError.badRequest(error.message, error.code);
+    }
+
+    if (error.name === "ValidationError") {
+      throw error;
+    }
+
+    console.error("Submit timesheet error:", error);
+    throw CustomError.internalServer(
+      "Failed to submit timesheet. Please try again."
+    );
+  }
+});
+
+/**
+ * Build a handler that approves or rejects a submitted timesheet
+ * @param {string} status - "approved" or "rejected"
+ * @returns {Function} Express handler
+ */
+const reviewTimesheetHandler = (status) =>
+  asyncHandler(async (req, res) => {
+    try {
+      const timesheet = await reviewTimesheet(
+        getSocketIO(req),
+        req.timesheet,
+        req.user,
+        status,
+        req.body.comment
+      );
+
+      await timesheet.populate(TIMESHEET_POPULATE);
+
+      res.status(200).json({
+        success: true,
+        message:
+          status === TIMESHEET_STATUS.APPROVED
+            ? "Timesheet approved"
+            : "Timesheet rejected",
+        data: {
+          timesheet,
+        },
+      });
+    } catch (error) {
+      if (error instanceof CustomError) {
+        throw error;
+      }
+
+      // Business rule violations raised by the model
+      if (error.code && typeof error.code === "string") {
+        throw CustomError.badRequest(error.message, error.code);
+      }
+
+      if (error.name === "ValidationError") {
+        throw error;
+      }
+
+      console.error(`Review timesheet (${status}) error:`, error);
+      throw CustomError.internalServer(
+        "Failed to review timesheet. Please try again."
+      );
+    }
+  });
+
+/**
+ * Approve a submitted timesheet and lock its time entries
+ * @route POST /api/timesheets/:id/approve
+ * @access Private (Manager, Admin, SuperAdmin)
+ */
+export const approveTimesheet = reviewTimesheetHandler(
+  TIMESHEET_STATUS.APPROVED
+);
+
+/**
+ * Reject a submitted timesheet with a comment
+ * @route POST /api/timesheets/:id/reject
+ * @access Private (Manager, Admin, SuperAdmin)
+ */
+export const rejectTimesheet = reviewTimesheetHandler(
+  TIMESHEET_STATUS.REJECTED
+);
+
+export default {
+  getMyTimesheet,
+  getUserTimesheet,
+  getTimesheets,
+  submitMyTimesheet,
+  approveTimesheet,
+  rejectTimesheet,
+};
@@ -1,3 +1,4 @@
+import crypto from "node:crypto";
 import asyncHandler from "express-async-handler";
 import User from "../models/User.js";
 import CustomError from "../utils/CustomError.js";
@@ -5,6 +6,7 @@ import {
   verifyAccessToken,
   extractTokensFromCookies,
 } from "../utils/jwtUtils.js";
+import { setRequestActor } from "../utils/requestContext.js";
 
 /**
  * Authentication Middleware
@@ -68,6 +70,7 @@ export const authenticate = asyncHandler(async (req, res, next) => {
 
     // Attach user to request object
     req.user = user;
+    setRequestActor(user);
 
     // Attach decoded token data for quick access
     req.tokenData = {
@@ -139,6 +142,7 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
         decoded.departmentId === user.department._id.toString()
       ) {
         req.user = user;
+        setRequestActor(user);
         req.tokenData = {
           userId: decoded.userId,
           email: decoded.email,
@@ -262,6 +266,31 @@ export const requirePlatformAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Authenticate a mail gateway posting inbound email
+ * The gateway sends the shared INBOUND_EMAIL_SECRET in the
+ * X-Inbound-Email-Secret header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticateInboundEmail = (req, res, next) => {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  if (!secret) {
+    throw CustomError.serviceUnavailable("Inbound email is not configured.");
+  }
+
+  // Compare digests so the check takes the same time for any input
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const provided = req.get("X-Inbound-Email-Secret") || "";
+
+  if (!crypto.timingSafeEqual(digest(provided), digest(secret))) {
+    throw CustomError.unauthorized("Invalid inbound email secret.");
+  }
+
+  next();
+};
+
 export default {
   authenticate,
   optionalAuth,
@@ -269,4 +298,5 @@ export default {
   requireActiveAccount,
   requireFreshToken,
   requirePlatformAdmin,
+  authenticateInboundEmail,
 };
@@ -20,6 +20,10 @@ const AUTHORIZATION_MATRIX = {
       departments: ["create", "read", "update", "delete", "restore"],
       organizations: ["create", "read", "update", "delete", "restore"], // Platform only
       tasks: ["create", "read", "update", "delete", "restore"],
+      taskTemplates: ["create", "read", "update", "delete"],
+      timesheets: ["read", "update"],
+      changeLogs: ["read"],
+      attachmentDownloads: ["read"],
       materials: ["create", "read", "update", "delete", "restore"],
       vendors: ["create", "read", "update", "delete", "restore"],
       notifications: ["read", "update", "delete"],
@@ -38,6 +42,10 @@ const AUTHORIZATION_MATRIX = {
       departments: ["read"], // Can view all departments in org
       organizations: ["read"], // Can view own organization only
       tasks: ["create", "read", "update", "delete"],
+      taskTemplates: ["create", "read", "update", "delete"],
+      timesheets: ["read", "update"], // Review timesheets within department
+      changeLogs: ["read"],
+      attachmentDownloads: ["read"],
       materials: ["create", "read", "update", "delete"],
       vendors: ["create", "read", "update", "delete"],
       notifications: ["read", "update", "delete"],
@@ -56,6 +64,8 @@ const AUTHORIZATION_MATRIX = {
       departments: ["read"], // Can view departments in org
       organizations: ["read"], // Can view own organization
       tasks: ["create", "read", "update", "delete"],
+      taskTemplates: ["create", "read", "update"],
+      timesheets: ["read", "update"], // Review timesheets within department
       materials: ["create", "read", "update"],
       vendors: ["read", "update"],
       notifications: ["read", "update"],
@@ -74,6 +84,8 @@ const AUTHORIZATION_MATRIX = {
       departments: ["read"], // Can view own department
       organizations: ["read"], // Can view own organization
       tasks: ["create", "read", "update"], // Can manage assigned tasks
+      taskTemplates: ["read"],
+      timesheets: ["read"], // Own timesheets only
       materials: ["read"],
       vendors: ["read"],
       notifications: ["read", "update"],
@@ -136,6 +148,16 @@ const determineScopeLevel = (user, targetResource, resourceType) => {
     return "own";
   }
 
+  // Users assigned to a task work on it as if they owned it
+  if (
+    Array.isArray(targetResource.assignedTo) &&
+    targetResource.assignedTo.some(
+      (assignee) => (assignee?._id || assignee)?.toString() === userId
+    )
+  ) {
+    return "own";
+  }
+
   // Cross-organization access (only for platform admins)
   if (targetOrgId && targetOrgId !== userOrgId) {
     return isPlatformAdmin ? "crossOrg" : null;
@@ -168,7 +190,7 @@ const determineScopeLevel = (user, targetResource, resourceType) => {
  * @param {string} resourceType - Type of resource for scope determination
  * @returns {boolean} True if user has permission
  */
-const hasPermission = (
+export const hasPermission = (
   user,
   action,
   resource,
@@ -0,0 +1,63 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import CustomError from "../utils/CustomError.js";
+
+/**
+ * Resource Loading Middleware
+ * Loads a document by route parameter and attaches it to the request so that
+ * authorization middleware can evaluate scope against the real resource
+ */
+
+/**
+ * Load a document by ID from a route parameter
+ * @param {string} modelName - Mongoose model name
+ * @param {Object} options - Loading options
+ * @param {string} options.paramName - Route parameter holding the ID (default: 'id')
+ * @param {Function} options.getId - Read the ID from the request instead of a parameter
+ * @param {string} options.requestKey - Request property to attach the document to
+ * @param {boolean} options.scopeToOrganization - Restrict lookup to user's organization
+ * @param {boolean} options.withDeleted - Include soft deleted documents
+ * @param {string} options.label - Human readable resource name for errors
+ * @returns {Function} Express middleware function
+ */
+export const loadResource = (modelName, options = {}) => {
+  const {
+    paramName = "id",
+    getId = (req) => req.params[paramName],
+    requestKey = "resource",
+    scopeToOrganization = true,
+    withDeleted = false,
+    label = modelName,
+  } = options;
+
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      throw CustomError.unauthorized("Authentication required.");
+    }
+
+    const Model = mongoose.model(modelName);
+    const query = { _id: getId(req) };
+
+    if (scopeToOrganization) {
+      query.organization = req.user.organization._id;
+    }
+
+    // Providing isDeleted explicitly bypasses the soft delete query filter
+    if (withDeleted) {
+      query.isDeleted = { $in: [true, false] };
+    }
+
+    const document = await Model.findOne(query);
+
+    if (!document) {
+      throw CustomError.notFound(`${label} not found.`);
+    }
+
+    req[requestKey] = document;
+    next();
+  });
+};
+
+export default {
+  loadResource,
+};
@@ -0,0 +1,54 @@
+import asyncHandler from "express-async-handler";
+import CustomError from "../utils/CustomError.js";
+import {
+  getMultipartBoundary,
+  parseMultipartStream,
+  removeUploadedFiles,
+} from "../utils/multipartUtils.js";
+import { ERROR_CODES } from "../constants/index.js";
+
+/**
+ * Upload Middleware
+ * Streams multipart/form-data requests to temporary files. Form fields become
+ * req.body so the usual validators apply, and files become req.files
+ */
+
+/**
+ * Parse a multipart/form-data upload
+ * Requests over a limit are rejected as soon as the limit is crossed; the
+ * connection is then closed instead of reading the rest of the body.
+ * Each file in req.files has the path of its temporary file, which is
+ * removed once the response is done
+ * @param {Object} options - Parsing options (see createMultipartParser)
+ * @returns {Function} Express middleware function
+ */
+export const parseMultipartUpload = (options = {}) =>
+  asyncHandler(async (req, res, next) => {
+    try {
+      const boundary = getMultipartBoundary(req.headers["content-type"]);
+      if (!boundary) {
+        throw CustomError.unsupportedMediaType(
+          "Request must be multipart/form-data",
+          ERROR_CODES.MALFORMED_MULTIPART
+        );
+      }
+
+      const { fields, files } = await parseMultipartStream(
+        req,
+        boundary,
+        options
+      );
+      req.body = fields;
+      req.files = files;
+      res.once("close", () => removeUploadedFiles(files));
+    } catch (error) {
+      res.set("Connection", "close");
+      throw error;
+    }
+
+    next();
+  });
+
+export default {
+  parseMultipartUpload,
+};
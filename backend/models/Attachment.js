@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
+import { createSignedDownloadUrl } from "../utils/downloadUrlUtils.js";
 
 const attachmentSchema = new mongoose.Schema(
   {
@@ -25,17 +27,67 @@ const attachmentSchema = new mongoose.Schema(
       required: [true, "File size is required"],
       min: [1, "File size must be greater than 0"],
     },
-    cloudinaryUrl: {
-      type: String,
-      required: [true, "Cloudinary URL is required"],
-      trim: true,
-      match: [/^https?:\/\/.+/, "Cloudinary URL must be a valid URL"],
-    },
-    cloudinaryPublicId: {
-      type: String,
-      required: [true, "Cloudinary public ID is required"],
-      trim: true,
+    // Where the file is stored; key is unique within its provider
+    storage: {
+      provider: {
+        type: String,
+        required: [true, "Storage provider is required"],
+        enum: {
+          values: ["local", "s3", "cloudinary"],
+          message: "Storage provider must be one of: local, s3, cloudinary",
+        },
+      },
+      key: {
+        type: String,
+        required: [true, "Storage key is required"],
+        trim: true,
+        maxlength: [512, "Storage key cannot exceed 512 characters"],
+      },
+      url: {
+        type: String,
+        trim: true,
+        default: null,
+        match: [/^https?:\/\/.+/, "Storage URL must be a valid URL"],
+      },
     },
+    // Thumbnails, document previews and video poster frames generated at
+    // upload time, stored with the same provider as the original
+    renditions: [
+      {
+        _id: false,
+        kind: {
+          type: String,
+          required: [true, "Rendition kind is required"],
+          enum: {
+            values: ["thumbnail", "preview", "poster"],
+            message: "Rendition kind must be one of: thumbnail, preview, poster",
+          },
+        },
+        size: {
+          type: String,
+          required: [true, "Rendition size is required"],
+          enum: {
+            values: ["small", "medium", "large"],
+            message: "Rendition size must be one of: small, medium, large",
+          },
+        },
+        mimeType: {
+          type: String,
+          required: [true, "Rendition MIME type is required"],
+        },
+        width: Number,
+        height: Number,
+        fileSize: Number,
+        key: {
+          type: String,
+          required: [true, "Rendition storage key is required"],
+        },
+        url: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
     // Polymorphic relationship - can be attached to different models
     attachedTo: {
       type: mongoose.Schema.Types.ObjectId,
@@ -82,19 +134,31 @@ const attachmentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Files are only served through signed download links
+      transform: function (doc, ret) {
+        if (ret.storage) delete ret.storage.url;
+        ret.renditions?.forEach((rendition) => delete rendition.url);
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
 
 // Apply soft delete plugin
 attachmentSchema.plugin(softDeletePlugin);
+
+// Apply change tracking plugin
+attachmentSchema.plugin(changeTrackingPlugin);
+
 // Indexes for better query performance
 attachmentSchema.index({ attachedTo: 1, attachedToModel: 1 });
 attachmentSchema.index({ organization: 1, fileCategory: 1 });
 attachmentSchema.index({ uploadedBy: 1, createdAt: -1 });
 attachmentSchema.index({ organization: 1, createdAt: -1 });
-attachmentSchema.index({ cloudinaryPublicId: 1 });
+attachmentSchema.index({ "storage.provider": 1, "storage.key": 1 });
 
 // Virtual for file size in human readable format
 attachmentSchema.virtual("fileSizeFormatted").get(function () {
@@ -113,8 +177,9 @@ attachmentSchema.virtual("fileExtension").get(function () {
   return this.originalName.split(".").pop().toLowerCase();
 });
 
-// Pre-save middleware to determine file category based on MIME type
-attachmentSchema.pre("save", function (next) {
+// Determine file category based on MIME type
+// Runs before validation so the required category is set on new attachments
+attachmentSchema.pre("validate", function (next) {
   if (this.isNew || this.isModified("mimeType")) {
     const mimeType = this.mimeType.toLowerCase();
 
@@ -181,7 +246,7 @@ attachmentSchema.statics.getStorageStats = async function (organizationId) {
   const stats = await this.aggregate([
     {
       $match: {
-        organization: mongoose.Types.ObjectId(organizationId),
+        organization: new mongoose.Types.ObjectId(organizationId),
         isDeleted: { $ne: true },
       },
     },
@@ -197,7 +262,7 @@ attachmentSchema.statics.getStorageStats = async function (organizationId) {
   const totalStats = await this.aggregate([
     {
       $match: {
-        organization: mongoose.Types.ObjectId(organizationId),
+        organization: new mongoose.Types.ObjectId(organizationId),
         isDeleted: { $ne: true },
       },
     },
@@ -216,6 +281,29 @@ attachmentSchema.statics.getStorageStats = async function (organizationId) {
   };
 };
 
+// Static method to move attachments stored with the Cloudinary-only fields
+// (cloudinaryUrl, cloudinaryPublicId) to the storage shape
+// Safe to run repeatedly; resolves with the number of migrated attachments
+attachmentSchema.statics.migrateLegacyStorage = async function () {
+  const result = await this.collection.updateMany(
+    { storage: { $exists: false }, cloudinaryPublicId: { $exists: true } },
+    [
+      {
+        $set: {
+          storage: {
+            provider: "cloudinary",
+            key: "$cloudinaryPublicId",
+            url: { $ifNull: ["$cloudinaryUrl", null] },
+          },
+        },
+      },
+      { $unset: ["cloudinaryUrl", "cloudinaryPublicId"] },
+    ]
+  );
+
+  return result.modifiedCount;
+};
+
 // Instance method to check if file is an image
 attachmentSchema.methods.isImage = function () {
   return this.fileCategory === "image";
@@ -226,11 +314,15 @@ attachmentSchema.methods.isDocument = function () {
   return this.fileCategory === "document";
 };
 
-// Instance method to get secure URL (for future implementation with signed URLs)
-attachmentSchema.methods.getSecureUrl = function () {
-  // For now, return the Cloudinary URL directly
-  // In production, this could generate signed URLs for additional security
-  return this.cloudinaryUrl;
+// Instance method to get a rendition of a size (thumbnail, preview or poster)
+attachmentSchema.methods.getRendition = function (size) {
+  return this.renditions.find((rendition) => rendition.size === size) || null;
+};
+
+// Instance method to get a short-lived signed download URL for a user
+// Callers must first check that the user can read the attachment's parent
+attachmentSchema.methods.getSecureUrl = function (user, options = {}) {
+  return createSignedDownloadUrl(this, user, options).url;
 };
 
 const Attachment = mongoose.model("Attachment", attachmentSchema);
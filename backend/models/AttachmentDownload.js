@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// Audit record of an attachment download, one record per served file
+const attachmentDownloadSchema = new mongoose.Schema(
+  {
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attachment",
+      required: [true, "Attachment is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+    // User the signed download link was issued to
+    downloadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Downloaded by is required"],
+    },
+    // Rendition size, or null when the original file was downloaded
+    rendition: {
+      type: String,
+      enum: {
+        values: ["small", "medium", "large", null],
+        message: "Rendition must be one of: small, medium, large",
+      },
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    downloadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for download audit queries
+attachmentDownloadSchema.index({ attachment: 1, downloadedAt: -1 });
+attachmentDownloadSchema.index({ organization: 1, downloadedAt: -1 });
+attachmentDownloadSchema.index({ organization: 1, downloadedBy: 1 });
+
+// Static method to find the downloads of one attachment
+attachmentDownloadSchema.statics.findByAttachment = function (
+  attachmentId,
+  conditions = {}
+) {
+  return this.find({ ...conditions, attachment: attachmentId }).sort({
+    downloadedAt: -1,
+  });
+};
+
+const AttachmentDownload = mongoose.model(
+  "AttachmentDownload",
+  attachmentDownloadSchema
+);
+
+export default AttachmentDownload;
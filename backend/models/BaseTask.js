@@ -1,5 +1,51 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
+import { getNextOccurrence } from "../utils/recurrenceUtils.js";
+
+// Status history entry recorded for every status transition
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: {
+        values: ["To Do", "In Progress", "Completed", "On Hold"],
+        message:
+          "Status must be one of: To Do, In Progress, Completed, On Hold",
+      },
+      default: null,
+    },
+    to: {
+      type: String,
+      enum: {
+        values: ["To Do", "In Progress", "Completed", "On Hold"],
+        message:
+          "Status must be one of: To Do, In Progress, Completed, On Hold",
+      },
+      required: [true, "Target status is required"],
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Status change actor is required"],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Status comment cannot exceed 500 characters"],
+    },
+    // Set when a manager moved the task forward despite unresolved blockers
+    dependencyOverride: {
+      type: Boolean,
+      default: undefined,
+    },
+  },
+  { _id: true }
+);
 
 // Base Task Schema with discriminator pattern
 const baseTaskSchema = new mongoose.Schema(
@@ -61,6 +107,46 @@ const baseTaskSchema = new mongoose.Schema(
       required: [true, "Created by is required"],
       index: true,
     },
+    // Audit trail of status transitions
+    statusHistory: [statusHistorySchema],
+    // Tasks that must be completed before this task can start
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "BaseTask",
+      },
+    ],
+    // Users who receive notifications about this task
+    watchers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // SLA state maintained by the SLA engine
+    sla: {
+      // When the SLA was restarted; it otherwise runs from createdAt
+      startedAt: {
+        type: Date,
+        default: null,
+      },
+      deadline: {
+        type: Date,
+        default: null,
+      },
+      breachedAt: {
+        type: Date,
+        default: null,
+      },
+      escalateAt: {
+        type: Date,
+        default: null,
+      },
+      escalatedAt: {
+        type: Date,
+        default: null,
+      },
+    },
   },
   {
     timestamps: true,
@@ -80,6 +166,20 @@ baseTaskSchema.plugin(softDeletePlugin, {
   ],
 });
 
+// Apply change tracking plugin
+baseTaskSchema.plugin(changeTrackingPlugin, {
+  // Histories and scheduler state are recorded elsewhere or change constantly
+  exclude: [
+    "statusHistory",
+    "sla",
+    "recurrence.nextRunAt",
+    "recurrence.lastRunAt",
+    "recurrence.missedCount",
+    "recurrence.lockedUntil",
+    "recurrence.lockedBy",
+  ],
+});
+
 // Indexes for better query performance
 baseTaskSchema.index({ organization: 1, department: 1 });
 baseTaskSchema.index({ organization: 1, createdBy: 1 });
@@ -87,6 +187,10 @@ baseTaskSchema.index({ status: 1, priority: 1 });
 baseTaskSchema.index({ dueDate: 1 });
 baseTaskSchema.index({ createdAt: -1 });
 baseTaskSchema.index({ taskType: 1 });
+baseTaskSchema.index({ blockedBy: 1 });
+baseTaskSchema.index({ watchers: 1 });
+baseTaskSchema.index({ organization: 1, status: 1, "sla.breachedAt": 1 });
+baseTaskSchema.index({ "sla.escalateAt": 1, "sla.escalatedAt": 1 });
 
 // Virtual for comments
 baseTaskSchema.virtual("comments", {
@@ -95,6 +199,13 @@ baseTaskSchema.virtual("comments", {
   foreignField: "task",
 });
 
+// Virtual for tasks blocked by this task
+baseTaskSchema.virtual("blocks", {
+  ref: "BaseTask",
+  localField: "_id",
+  foreignField: "blockedBy",
+});
+
 // Virtual for attachments
 baseTaskSchema.virtual("attachments", {
   ref: "Attachment",
@@ -110,6 +221,83 @@ baseTaskSchema.virtual("materials", {
   foreignField: "tasks.task",
 });
 
+// Pre-save middleware to record the initial status of new tasks
+baseTaskSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.createdBy,
+      changedAt: new Date(),
+    });
+  }
+  next();
+});
+
+// Remember the stored status so saves can tell when a task is reopened
+function rememberSavedStatus() {
+  this.$locals.savedStatus = this.status;
+}
+
+baseTaskSchema.post("init", rememberSavedStatus);
+baseTaskSchema.post("save", rememberSavedStatus);
+
+// Pre-save middleware to restart the SLA of rescheduled or reopened tasks
+// The SLA engine only records a breach for tasks without one, and measures
+// the new window from startedAt
+baseTaskSchema.pre("save", function (next) {
+  const reopened =
+    this.isModified("status") &&
+    this.$locals.savedStatus === "Completed" &&
+    this.status !== "Completed";
+
+  if (
+    !this.isNew &&
+    this.sla?.breachedAt &&
+    (reopened || this.isModified("dueDate"))
+  ) {
+    this.sla = {
+      startedAt: new Date(),
+      deadline: null,
+      breachedAt: null,
+      escalateAt: null,
+      escalatedAt: null,
+    };
+  }
+  next();
+});
+
+// Pre-save validation to keep a task from blocking itself
+baseTaskSchema.pre("save", function (next) {
+  if (
+    this.isModified("blockedBy") &&
+    this.blockedBy.some((blockerId) => blockerId.equals(this._id))
+  ) {
+    const error = new Error("A task cannot block itself");
+    error.code = "INVALID_DEPENDENCY";
+    return next(error);
+  }
+  next();
+});
+
+// Pre-save middleware to auto-watch the creator, assignees and project manager
+baseTaskSchema.pre("save", function (next) {
+  const autoWatchers = [];
+
+  if (this.isNew) {
+    autoWatchers.push(this.createdBy);
+  }
+  if (this.isNew || this.isModified("assignedTo")) {
+    autoWatchers.push(...(this.assignedTo || []));
+  }
+  if (this.isNew || this.isModified("projectManager")) {
+    autoWatchers.push(this.projectManager);
+  }
+
+  this.addWatchers(autoWatchers);
+  next();
+});
+
 // Static method to find tasks by organization
 baseTaskSchema.statics.findByOrganization = function (
   organizationId,
@@ -140,6 +328,28 @@ baseTaskSchema.statics.findByUser = function (userId, conditions = {}) {
   });
 };
 
+// Instance method to check if a user watches the task
+baseTaskSchema.methods.isWatchedBy = function (userId) {
+  return this.watchers.some(
+    (watcher) => (watcher?._id || watcher).toString() === userId.toString()
+  );
+};
+
+// Instance method to add watchers, ignoring users already watching
+baseTaskSchema.methods.addWatchers = function (userIds = []) {
+  const added = [];
+
+  userIds.filter(Boolean).forEach((userId) => {
+    const id = userId?._id || userId;
+    if (!this.isWatchedBy(id)) {
+      this.watchers.push(id);
+      added.push(id);
+    }
+  });
+
+  return added;
+};
+
 // Instance method to check if task is overdue
 baseTaskSchema.methods.isOverdue = function () {
   return (
@@ -173,6 +383,99 @@ const routineTaskSchema = new mongoose.Schema({
     min: [1, "Estimated duration must be at least 1 minute"],
     max: [480, "Estimated duration cannot exceed 8 hours (480 minutes)"],
   },
+  // Recurrence rule - a RoutineTask with an enabled rule acts as a template
+  recurrence: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    weekdays: [
+      {
+        type: Number,
+        min: [0, "Weekday must be between 0 (Sunday) and 6 (Saturday)"],
+        max: [6, "Weekday must be between 0 (Sunday) and 6 (Saturday)"],
+      },
+    ],
+    dayOfMonth: {
+      type: Number,
+      min: [1, "Day of month must be between 1 and 31"],
+      max: [31, "Day of month must be between 1 and 31"],
+    },
+    skipHolidays: {
+      type: Boolean,
+      default: false,
+    },
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+    // Scheduler state
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    missedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  // Occurrence link back to the template it was generated from
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BaseTask",
+    default: undefined,
+    index: true,
+  },
+  occurrenceDate: {
+    type: Date,
+  },
+  // Set when an occurrence was not completed before the next one was due
+  isMissed: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Scheduler lookup for due templates
+routineTaskSchema.index({
+  "recurrence.enabled": 1,
+  "recurrence.nextRunAt": 1,
+});
+
+// One occurrence per template and day, even with several scheduler processes
+routineTaskSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { template: { $exists: true } },
+  }
+);
+
+// Virtual to check if this routine task is a recurrence template
+routineTaskSchema.virtual("isTemplate").get(function () {
+  return !!this.recurrence?.enabled;
+});
+
+// Virtual for occurrences generated from this template
+routineTaskSchema.virtual("occurrences", {
+  ref: "BaseTask",
+  localField: "_id",
+  foreignField: "template",
 });
 
 // Pre-save validation for RoutineTask restrictions
@@ -194,8 +497,135 @@ routineTaskSchema.pre("save", function (next) {
   next();
 });
 
+// Pre-save middleware to schedule the next occurrence when the rule changes
+routineTaskSchema.pre("save", async function (next) {
+  const ruleFields = [
+    "recurrence.enabled",
+    "recurrence.weekdays",
+    "recurrence.dayOfMonth",
+    "recurrence.skipHolidays",
+    "recurrence.startDate",
+    "recurrence.endDate",
+    "frequency",
+  ];
+
+  if (!this.isNew && !ruleFields.some((field) => this.isModified(field))) {
+    return next();
+  }
+
+  if (!this.recurrence?.enabled) {
+    this.recurrence.nextRunAt = null;
+    return next();
+  }
+
+  if (this.template) {
+    const error = new Error("A task occurrence cannot itself be recurring");
+    error.code = "INVALID_RECURRENCE_TEMPLATE";
+    return next(error);
+  }
+
+  // Rules without weekdays or dayOfMonth repeat relative to the start date
+  if (!this.recurrence.startDate) {
+    this.recurrence.startDate = this.createdAt || new Date();
+  }
+
+  if (
+    this.recurrence.startDate &&
+    this.recurrence.endDate &&
+    this.recurrence.endDate < this.recurrence.startDate
+  ) {
+    const error = new Error("Recurrence end date must be after start date");
+    error.code = "INVALID_RECURRENCE_RANGE";
+    return next(error);
+  }
+
+  try {
+    const organization = await mongoose
+      .model("Organization")
+      .findById(this.organization)
+      .select("settings.holidays")
+      .lean();
+
+    this.recurrence.nextRunAt = getNextOccurrence(
+      new Date(),
+      this.frequency,
+      this.recurrence,
+      organization?.settings?.holidays
+    );
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 const RoutineTask = BaseTask.discriminator("RoutineTask", routineTaskSchema);
 
+// Lightweight checklist item used by AssignedTask and ProjectTask
+// Items are kept in display order inside the checklist array
+const checklistItemSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Checklist item title is required"],
+      trim: true,
+      maxlength: [200, "Checklist item title cannot exceed 200 characters"],
+    },
+    isCompleted: {
+      type: Boolean,
+      default: false,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Checklist item creator is required"],
+    },
+  },
+  { _id: true, timestamps: true }
+);
+
+/**
+ * Calculate task progress from checklist items
+ * @param {Array<Object>} checklist - Checklist items
+ * @returns {number} Percentage of completed items (0-100)
+ */
+const calculateChecklistProgress = (checklist = []) => {
+  if (checklist.length === 0) {
+    return 0;
+  }
+  const completed = checklist.filter((item) => item.isCompleted).length;
+  return Math.round((completed / checklist.length) * 100);
+};
+
+// Pre-save middleware keeping checklist completion data and progress in sync
+function syncChecklistProgress(next) {
+  if (this.isModified("checklist")) {
+    this.checklist.forEach((item) => {
+      if (!item.isCompleted) {
+        item.completedAt = null;
+        item.completedBy = null;
+      } else if (!item.completedAt) {
+        item.completedAt = new Date();
+      }
+    });
+    this.progress = calculateChecklistProgress(this.checklist);
+  }
+  next();
+}
+
 // AssignedTask discriminator - Tasks assigned to specific users within a department
 const assignedTaskSchema = new mongoose.Schema({
   assignedTo: [
@@ -216,6 +646,14 @@ const assignedTaskSchema = new mongoose.Schema({
   completedAt: {
     type: Date,
   },
+  checklist: [checklistItemSchema],
+  // Percentage of completed checklist items
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
 });
 
 // Virtual for activities
@@ -237,6 +675,8 @@ assignedTaskSchema.pre("save", function (next) {
   next();
 });
 
+assignedTaskSchema.pre("save", syncChecklistProgress);
+
 const AssignedTask = BaseTask.discriminator("AssignedTask", assignedTaskSchema);
 
 // ProjectTask discriminator - Complex tasks outsourced to external vendors with full feature set
@@ -265,6 +705,14 @@ const projectTaskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
+  checklist: [checklistItemSchema],
+  // Percentage of completed checklist items
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
 });
 
 // Virtual for activities
@@ -292,6 +740,8 @@ projectTaskSchema.methods.getCostVariance = function () {
   return ((this.actualCost - this.estimatedCost) / this.estimatedCost) * 100;
 };
 
+projectTaskSchema.pre("save", syncChecklistProgress);
+
 const ProjectTask = BaseTask.discriminator("ProjectTask", projectTaskSchema);
 
 // Export all models
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// Field-level change log, one record per changed path
+const changeLogSchema = new mongoose.Schema(
+  {
+    // Model name of the changed document (e.g. "Vendor")
+    entityType: {
+      type: String,
+      required: [true, "Entity type is required"],
+      trim: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Entity ID is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    field: {
+      type: String,
+      required: [true, "Changed field is required"],
+      trim: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Null for changes made outside a request (schedulers, scripts)
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    operation: {
+      type: String,
+      enum: {
+        values: ["save", "update"],
+        message: "Operation must be one of: save, update",
+      },
+      required: [true, "Operation is required"],
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for change log queries
+changeLogSchema.index({ entityType: 1, entityId: 1, changedAt: -1 });
+changeLogSchema.index({ organization: 1, changedAt: -1 });
+changeLogSchema.index({ organization: 1, changedBy: 1, changedAt: -1 });
+changeLogSchema.index({ organization: 1, entityType: 1, field: 1 });
+
+// Static method to find the change history of one document
+changeLogSchema.statics.findByEntity = function (
+  entityType,
+  entityId,
+  conditions = {}
+) {
+  return this.find({ ...conditions, entityType, entityId }).sort({
+    changedAt: -1,
+  });
+};
+
+const ChangeLog = mongoose.model("ChangeLog", changeLogSchema);
+
+export default ChangeLog;
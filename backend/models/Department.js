@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
 
 const departmentSchema = new mongoose.Schema(
   {
@@ -41,6 +42,9 @@ departmentSchema.plugin(softDeletePlugin, {
   ],
 });
 
+// Apply change tracking plugin
+departmentSchema.plugin(changeTrackingPlugin);
+
 // Compound index for unique department name within organization
 departmentSchema.index({ name: 1, organization: 1 }, { unique: true });
 
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
 
 const materialSchema = new mongoose.Schema(
   {
@@ -72,6 +73,11 @@ const materialSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        assignedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
       },
     ],
   },
@@ -84,6 +90,10 @@ const materialSchema = new mongoose.Schema(
 
 // Apply soft delete plugin
 materialSchema.plugin(softDeletePlugin);
+
+// Apply change tracking plugin
+materialSchema.plugin(changeTrackingPlugin);
+
 // Compound index for unique material name within organization
 materialSchema.index({ name: 1, organization: 1 }, { unique: true });
 
@@ -72,6 +72,7 @@ const notificationSchema = new mongoose.Schema(
             "BaseTask",
             "TaskActivity",
             "TaskComment",
+            "Timesheet",
             "User",
             "Department",
             "Organization",
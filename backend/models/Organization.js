@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
 
 const organizationSchema = new mongoose.Schema(
   {
@@ -62,6 +63,95 @@ const organizationSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Bytes of attachment storage allowed; null uses the default for the
+    // organization size. Set by platform admins
+    storageQuota: {
+      type: Number,
+      min: [0, "Storage quota cannot be negative"],
+      default: null,
+    },
+    // Organization-level configuration
+    settings: {
+      // Overrides of the default task status transition tables,
+      // keyed by task type and then by source status
+      taskStatusTransitions: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+      // Days skipped by recurring tasks with skipHolidays enabled
+      holidays: [
+        {
+          date: {
+            type: Date,
+            required: [true, "Holiday date is required"],
+          },
+          name: {
+            type: String,
+            trim: true,
+            maxlength: [100, "Holiday name cannot exceed 100 characters"],
+          },
+        },
+      ],
+      // Completion deadlines keyed by priority and optionally task type
+      slaPolicies: [
+        {
+          priority: {
+            type: String,
+            enum: {
+              values: ["Low", "Medium", "High", "Critical"],
+              message: "Priority must be one of: Low, Medium, High, Critical",
+            },
+            required: [true, "SLA policy priority is required"],
+          },
+          // null applies the policy to every task type
+          taskType: {
+            type: String,
+            enum: {
+              values: ["RoutineTask", "AssignedTask", "ProjectTask", null],
+              message:
+                "Task type must be one of: RoutineTask, AssignedTask, ProjectTask",
+            },
+            default: null,
+          },
+          // Hours after creation within which the task must be completed
+          completionHours: {
+            type: Number,
+            required: [true, "SLA completion hours are required"],
+            min: [1, "SLA completion hours must be at least 1"],
+          },
+          // Hours after the breach before escalating to the department HOD
+          escalationHours: {
+            type: Number,
+            min: [0, "SLA escalation hours cannot be negative"],
+            default: null,
+          },
+          isActive: {
+            type: Boolean,
+            default: true,
+          },
+        },
+      ],
+      // Minutes after posting during which authors can edit their comments;
+      // afterwards only admins can. null removes the limit
+      commentEditWindowMinutes: {
+        type: Number,
+        min: [0, "Comment edit window cannot be negative"],
+        max: [10080, "Comment edit window cannot exceed 10080 minutes"],
+        default: 15,
+      },
+      // Deepest reply level allowed in comment threads (root comments are level 0)
+      commentMaxThreadDepth: {
+        type: Number,
+        min: [1, "Comment thread depth must be at least 1"],
+        max: [20, "Comment thread depth cannot exceed 20"],
+        default: 5,
+      },
+      // Refuse to complete tasks while comment threads are unresolved
+      blockCompletionOnUnresolvedComments: {
+        type: Boolean,
+        default: false,
+      },
+    },
   },
   {
     timestamps: true,
@@ -82,6 +172,9 @@ organizationSchema.plugin(softDeletePlugin, {
   ],
 });
 
+// Apply change tracking plugin
+organizationSchema.plugin(changeTrackingPlugin, { organizationPath: "_id" });
+
 // Indexes for better query performance
 // organizationSchema.index({ name: 1 });
 // organizationSchema.index({ email: 1 });
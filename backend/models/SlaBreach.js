@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+
+// SLA breach history, one record per task breach
+const slaBreachSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BaseTask",
+      required: [true, "Task reference is required"],
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+      index: true,
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+      index: true,
+    },
+    // Task details at breach time
+    taskType: {
+      type: String,
+      required: [true, "Task type is required"],
+    },
+    priority: {
+      type: String,
+      required: [true, "Priority is required"],
+    },
+    // Policy that was breached
+    policy: {
+      completionHours: {
+        type: Number,
+        required: [true, "SLA completion hours are required"],
+      },
+      escalationHours: {
+        type: Number,
+        default: null,
+      },
+    },
+    deadline: {
+      type: Date,
+      required: [true, "SLA deadline is required"],
+    },
+    breachedAt: {
+      type: Date,
+      required: [true, "Breach time is required"],
+    },
+    // Users notified about the breach
+    notifiedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    escalatedAt: {
+      type: Date,
+      default: null,
+    },
+    escalatedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set when the task is completed or deleted
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for reports
+slaBreachSchema.index({ organization: 1, breachedAt: -1 });
+slaBreachSchema.index({ organization: 1, department: 1, breachedAt: -1 });
+slaBreachSchema.index({ organization: 1, resolvedAt: 1 });
+
+// Virtual for the breach lifecycle status
+slaBreachSchema.virtual("status").get(function () {
+  if (this.resolvedAt) return "resolved";
+  return this.escalatedAt ? "escalated" : "open";
+});
+
+// Virtual for hours past the deadline (until resolution or now)
+slaBreachSchema.virtual("overrunHours").get(function () {
+  const end = this.resolvedAt || new Date();
+  return Math.max(0, Math.round(((end - this.deadline) / 36e5) * 10) / 10);
+});
+
+// Static method to find unresolved breaches of an organization
+slaBreachSchema.statics.findOpenByOrganization = function (
+  organizationId,
+  conditions = {}
+) {
+  return this.find({
+    ...conditions,
+    organization: organizationId,
+    resolvedAt: null,
+  });
+};
+
+const SlaBreach = mongoose.model("SlaBreach", slaBreachSchema);
+
+export default SlaBreach;
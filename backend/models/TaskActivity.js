@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
 
 const taskActivitySchema = new mongoose.Schema(
   {
@@ -71,9 +72,23 @@ const taskActivitySchema = new mongoose.Schema(
 taskActivitySchema.plugin(softDeletePlugin, {
   cascadeDelete: [
     { model: "Attachment", field: "attachedTo", deletedBy: true },
+    { model: "TimeEntry", field: "activity", deletedBy: true },
   ],
 });
 
+// Apply change tracking plugin
+taskActivitySchema.plugin(changeTrackingPlugin, {
+  // Activities belong to an organization through their task
+  getOrganization: async (activity) => {
+    const task = await mongoose
+      .model("BaseTask")
+      .findOne({ _id: activity.task, isDeleted: { $in: [true, false] } })
+      .select("organization")
+      .lean();
+    return task?.organization;
+  },
+});
+
 // Indexes for better query performance
 taskActivitySchema.index({ task: 1, createdAt: 1 });
 taskActivitySchema.index({ createdBy: 1, createdAt: -1 });
@@ -88,6 +103,13 @@ taskActivitySchema.virtual("attachments", {
   match: { attachedToModel: "TaskActivity" },
 });
 
+// Virtual for tracked time entries
+taskActivitySchema.virtual("timeEntries", {
+  ref: "TimeEntry",
+  localField: "_id",
+  foreignField: "activity",
+});
+
 // Pre-save middleware to validate task type
 taskActivitySchema.pre("save", async function (next) {
   try {
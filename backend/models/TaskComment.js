@@ -1,5 +1,16 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import { extractMentionTexts } from "../utils/mentionUtils.js";
+import {
+  extractTaskReferences,
+  renderMarkdown,
+} from "../utils/markdownUtils.js";
+import {
+  buildCommentRevisions,
+  buildCommentTree,
+} from "../utils/commentUtils.js";
+
+const REACTION_TYPES = ["like", "dislike", "love", "laugh", "angry", "sad"];
 
 const taskCommentSchema = new mongoose.Schema(
   {
@@ -9,6 +20,18 @@ const taskCommentSchema = new mongoose.Schema(
       trim: true,
       maxlength: [2000, "Comment cannot exceed 2000 characters"],
     },
+    // Sanitized HTML rendered from the Markdown content
+    contentHtml: {
+      type: String,
+      default: "",
+    },
+    // Tasks of the same organization referenced as #<taskId>
+    taskReferences: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "BaseTask",
+      },
+    ],
     task: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "BaseTask",
@@ -28,6 +51,13 @@ const taskCommentSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // Materialized path from the root comment down to the parent
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TaskComment",
+      },
+    ],
     // Mentions in the comment
     mentions: [
       {
@@ -39,6 +69,36 @@ const taskCommentSchema = new mongoose.Schema(
           type: String,
           trim: true,
         },
+        // Users matching an ambiguous mention (user stays null)
+        candidates: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+      },
+    ],
+    // Reactions, at most one of each type per user
+    reactions: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: [true, "Reaction user is required"],
+        },
+        type: {
+          type: String,
+          enum: {
+            values: REACTION_TYPES,
+            message: `Reaction must be one of: ${REACTION_TYPES.join(", ")}`,
+          },
+          required: [true, "Reaction type is required"],
+        },
+        reactedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
       },
     ],
     // Comment type for different kinds of comments
@@ -51,6 +111,34 @@ const taskCommentSchema = new mongoose.Schema(
       },
       default: "general",
     },
+    // Pinned comments are shown at the top of the task
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    // Resolution of the thread started by a root comment
+    isResolved: {
+      type: Boolean,
+      default: false,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
     // For system-generated comments
     isSystemGenerated: {
       type: Boolean,
@@ -64,6 +152,11 @@ const taskCommentSchema = new mongoose.Schema(
     editedAt: {
       type: Date,
     },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Previous versions, each recorded when it was replaced
     editHistory: [
       {
         content: String,
@@ -71,6 +164,10 @@ const taskCommentSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        editedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
       },
     ],
   },
@@ -85,6 +182,7 @@ const taskCommentSchema = new mongoose.Schema(
 taskCommentSchema.plugin(softDeletePlugin, {
   cascadeDelete: [
     { model: "TaskComment", field: "parentComment", deletedBy: true }, // Delete child comments
+    { model: "TaskComment", field: "ancestors", deletedBy: true }, // Delete deeper replies
     { model: "Attachment", field: "attachedTo", deletedBy: true },
   ],
 });
@@ -95,6 +193,10 @@ taskCommentSchema.index({ createdBy: 1, createdAt: -1 });
 taskCommentSchema.index({ parentComment: 1, createdAt: 1 });
 taskCommentSchema.index({ task: 1, parentComment: 1, createdAt: 1 });
 taskCommentSchema.index({ "mentions.user": 1 });
+taskCommentSchema.index({ ancestors: 1, createdAt: 1 });
+taskCommentSchema.index({ taskReferences: 1 });
+taskCommentSchema.index({ task: 1, isPinned: 1, pinnedAt: -1 });
+taskCommentSchema.index({ task: 1, parentComment: 1, isResolved: 1 });
 
 // Virtual for replies (child comments)
 taskCommentSchema.virtual("replies", {
@@ -111,103 +213,318 @@ taskCommentSchema.virtual("attachments", {
   match: { attachedToModel: "TaskComment" },
 });
 
+// Virtual for reaction counts per type
+taskCommentSchema.virtual("reactionCounts").get(function () {
+  const counts = Object.fromEntries(REACTION_TYPES.map((type) => [type, 0]));
+  (this.reactions || []).forEach((reaction) => {
+    counts[reaction.type] += 1;
+  });
+  return counts;
+});
+
 // Virtual to check if this is a root comment (not a reply)
 taskCommentSchema.virtual("isRootComment").get(function () {
   return !this.parentComment;
 });
 
-// Virtual to get the depth level of the comment in the thread
+// Virtual to get the depth level of the comment in the thread (0 for root comments)
 taskCommentSchema.virtual("threadDepth").get(function () {
-  // This would need to be calculated by traversing up the parent chain
-  // For now, return 0 for root comments, 1 for direct replies
+  // Replies saved before paths were stored are direct replies
+  if (this.ancestors?.length) return this.ancestors.length;
   return this.parentComment ? 1 : 0;
 });
 
+// Remember the stored content so edits can record the version they replace
+taskCommentSchema.post("init", function () {
+  this.$locals.savedContent = this.content;
+});
+
+taskCommentSchema.post("save", function () {
+  this.$locals.savedContent = this.content;
+});
+
 // Pre-save middleware to detect and extract mentions
 taskCommentSchema.pre("save", function (next) {
   if (this.isModified("content")) {
     // Extract mentions from content (e.g., @username or @"Full Name")
-    const mentionRegex = /@([a-zA-Z0-9._-]+|"[^"]+"|'[^']+')/g;
-    const mentions = [];
-    let match;
-
-    while ((match = mentionRegex.exec(this.content)) !== null) {
-      const mentionText = match[1].replace(/['"]/g, ""); // Remove quotes
-      mentions.push({
-        mentionText: mentionText,
-        user: null, // Will be resolved later by the controller
-      });
-    }
+    // Mentions already resolved by the controller are kept
+    const resolved = new Map(
+      this.mentions.map((mention) => [mention.mentionText, mention])
+    );
 
-    this.mentions = mentions;
+    this.mentions = extractMentionTexts(this.content).map((mentionText) => ({
+      mentionText,
+      user: resolved.get(mentionText)?.user || null,
+      candidates: resolved.get(mentionText)?.candidates || [],
+    }));
 
     // Track edit history if content is being modified (not on creation)
-    if (!this.isNew && this.isModified("content")) {
+    const previousContent = this.$locals.savedContent;
+    if (
+      !this.isNew &&
+      previousContent !== undefined &&
+      previousContent !== this.content
+    ) {
+      const editedAt = new Date();
       this.editHistory.push({
-        content: this.content,
-        editedAt: new Date(),
+        content: previousContent,
+        editedAt,
+        editedBy: this.editedBy,
       });
       this.isEdited = true;
-      this.editedAt = new Date();
+      this.editedAt = editedAt;
     }
   }
   next();
 });
 
-// Pre-save middleware to validate parent comment
+// Pre-save middleware to render the Markdown content and link task references
 taskCommentSchema.pre("save", async function (next) {
-  if (this.parentComment) {
-    try {
-      const parentComment = await this.constructor.findById(this.parentComment);
-
-      if (!parentComment) {
-        const error = new Error("Parent comment does not exist");
-        error.code = "PARENT_COMMENT_NOT_FOUND";
-        return next(error);
-      }
-
-      // Ensure parent comment belongs to the same task
-      if (parentComment.task.toString() !== this.task.toString()) {
-        const error = new Error("Parent comment must belong to the same task");
-        error.code = "INVALID_PARENT_COMMENT_TASK";
-        return next(error);
-      }
-
-      // Prevent deep nesting (limit to 2 levels: root -> reply)
-      if (parentComment.parentComment) {
-        const error = new Error("Comments can only be nested one level deep");
-        error.code = "MAX_NESTING_EXCEEDED";
-        return next(error);
-      }
-
-      next();
-    } catch (error) {
-      next(error);
+  if (!this.isModified("content") && this.contentHtml) {
+    return next();
+  }
+
+  try {
+    // Only tasks of the comment's organization are linked
+    const references = extractTaskReferences(this.content);
+    let linkedTaskIds = new Set();
+
+    if (references.length > 0) {
+      const BaseTask = mongoose.model("BaseTask");
+      const task = await BaseTask.findById(this.task).select("organization");
+      const referencedTasks = task
+        ? await BaseTask.find({
+            _id: { $in: references },
+            organization: task.organization,
+          }).select("_id")
+        : [];
+      linkedTaskIds = new Set(
+        referencedTasks.map((referencedTask) => referencedTask._id.toString())
+      );
     }
-  } else {
+
+    this.taskReferences = references.filter((id) => linkedTaskIds.has(id));
+    this.contentHtml = renderMarkdown(this.content, {
+      taskIds: linkedTaskIds,
+    });
     next();
+  } catch (error) {
+    next(error);
   }
 });
 
-// Static method to find comments by task with threading
+// Pre-save middleware to validate the parent comment and store the thread path
+taskCommentSchema.pre("save", async function (next) {
+  if (!this.isNew && !this.isModified("parentComment")) {
+    return next();
+  }
+
+  if (!this.parentComment) {
+    this.ancestors = [];
+    return next();
+  }
+
+  try {
+    const parentComment = await this.constructor.findById(this.parentComment);
+
+    if (!parentComment) {
+      const error = new Error("Parent comment does not exist");
+      error.code = "PARENT_COMMENT_NOT_FOUND";
+      return next(error);
+    }
+
+    // Ensure parent comment belongs to the same task
+    if (parentComment.task.toString() !== this.task.toString()) {
+      const error = new Error("Parent comment must belong to the same task");
+      error.code = "INVALID_PARENT_COMMENT_TASK";
+      return next(error);
+    }
+
+    // Replies saved before paths were stored only know their parent
+    const parentPath =
+      parentComment.ancestors.length > 0 || !parentComment.parentComment
+        ? parentComment.ancestors
+        : [parentComment.parentComment];
+    const ancestors = [...parentPath, parentComment._id];
+
+    // Enforce the organization's maximum thread depth
+    const task = await mongoose
+      .model("BaseTask")
+      .findById(this.task)
+      .select("organization");
+    const organization = task
+      ? await mongoose
+          .model("Organization")
+          .findById(task.organization)
+          .select("settings.commentMaxThreadDepth")
+      : null;
+    const maxDepth = organization?.settings?.commentMaxThreadDepth ?? 5;
+
+    if (ancestors.length > maxDepth) {
+      const error = new Error(
+        `Comments can only be nested ${maxDepth} level(s) deep`
+      );
+      error.code = "MAX_NESTING_EXCEEDED";
+      return next(error);
+    }
+
+    this.ancestors = ancestors;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Populate paths used when building comment trees
+const THREAD_POPULATE = [
+  { path: "createdBy", select: "firstName lastName profilePicture" },
+  { path: "mentions.user", select: "firstName lastName" },
+];
+
+/**
+ * Load the replies below a set of comments one level at a time
+ * Each comment's first replyLimit replies are picked in the database, so
+ * replies beyond the limit (and everything below them) are never loaded
+ * @param {Object} Model - TaskComment model
+ * @param {Array} parentIds - Comments whose replies are loaded
+ * @param {number} replyLimit - Replies kept per comment
+ * @param {Object} populate - Populate paths
+ * @returns {Promise<Object>} { descendants, replyCounts } where replyCounts
+ * maps comment IDs to their total number of replies
+ */
+const findLimitedReplies = async (Model, parentIds, replyLimit, populate) => {
+  const descendants = [];
+  const replyCounts = new Map();
+  let levelIds = parentIds;
+
+  while (levelIds.length > 0) {
+    // Aggregations skip the soft delete query hooks
+    const groups = await Model.aggregate([
+      {
+        $match: {
+          parentComment: { $in: levelIds },
+          isDeleted: { $ne: true },
+        },
+      },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: "$parentComment",
+          replies: { $push: "$_id" },
+          count: { $sum: 1 },
+        },
+      },
+      ...(Number.isFinite(replyLimit)
+        ? [
+            {
+              $project: {
+                count: 1,
+                replies: { $slice: ["$replies", replyLimit] },
+              },
+            },
+          ]
+        : []),
+    ]);
+
+    groups.forEach((group) =>
+      replyCounts.set(group._id.toString(), group.count)
+    );
+    levelIds = groups.flatMap((group) => group.replies);
+
+    if (levelIds.length > 0) {
+      descendants.push(
+        ...(await Model.find({ _id: { $in: levelIds } })
+          .populate(populate)
+          .sort({ createdAt: 1 }))
+      );
+    }
+  }
+
+  return { descendants, replyCounts };
+};
+
+/**
+ * Load a page of comments and their replies as nested trees
+ * @param {Object} Model - TaskComment model
+ * @param {Object} filter - Filter selecting the comments of the page
+ * @param {Object} options - { page, limit, replyLimit, populate }
+ * @returns {Promise<Object>} { comments, totalCount }
+ */
+const findCommentTrees = async (Model, filter, options = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    replyLimit = Infinity,
+    populate = THREAD_POPULATE,
+  } = options;
+
+  const [roots, totalCount] = await Promise.all([
+    Model.find(filter)
+      .populate(populate)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Model.countDocuments(filter),
+  ]);
+
+  const { descendants, replyCounts } = await findLimitedReplies(
+    Model,
+    roots.map((comment) => comment._id),
+    replyLimit,
+    populate
+  );
+
+  return {
+    comments: buildCommentTree(roots, descendants, replyLimit, replyCounts),
+    totalCount,
+  };
+};
+
+// Static method to find a task's root comments with their nested replies
+// Root comments are paginated; each reply level shows up to replyLimit replies
 taskCommentSchema.statics.findByTaskWithThreading = function (
   taskId,
-  conditions = {}
+  options = {}
 ) {
-  return this.find({
-    ...conditions,
-    task: taskId,
+  const { conditions = {}, ...treeOptions } = options;
+
+  return findCommentTrees(
+    this,
+    { ...conditions, task: taskId, parentComment: null },
+    treeOptions
+  );
+};
+
+// Static method to find a page of a comment's direct replies with their nested replies
+taskCommentSchema.statics.findRepliesWithThreading = function (
+  commentId,
+  options = {}
+) {
+  return findCommentTrees(this, { parentComment: commentId }, options);
+};
+
+// Static method to load a comment and its whole subtree in a single query
+taskCommentSchema.statics.findThread = async function (
+  commentId,
+  populate = THREAD_POPULATE
+) {
+  const comments = await this.find({
+    $or: [
+      { _id: commentId },
+      { ancestors: commentId },
+      { parentComment: commentId },
+    ],
   })
-    .populate("createdBy", "firstName lastName profilePicture")
-    .populate("mentions.user", "firstName lastName")
-    .populate({
-      path: "replies",
-      populate: {
-        path: "createdBy",
-        select: "firstName lastName profilePicture",
-      },
-    })
+    .populate(populate)
     .sort({ createdAt: 1 });
+
+  const root = comments.find((comment) => comment._id.equals(commentId));
+  if (!root) return null;
+
+  return buildCommentTree(
+    [root],
+    comments.filter((comment) => comment !== root)
+  )[0];
 };
 
 // Static method to find root comments (not replies)
@@ -222,6 +539,26 @@ taskCommentSchema.statics.findRootComments = function (
   }).sort({ createdAt: 1 });
 };
 
+// Static method to find a task's pinned comments, most recently pinned first
+taskCommentSchema.statics.findPinned = function (taskId, conditions = {}) {
+  return this.find({
+    ...conditions,
+    task: taskId,
+    isPinned: true,
+  }).sort({ pinnedAt: -1 });
+};
+
+// Static method to count a task's unresolved threads
+// System-generated comments do not start discussions that need resolving
+taskCommentSchema.statics.countUnresolvedThreads = function (taskId) {
+  return this.countDocuments({
+    task: taskId,
+    parentComment: null,
+    isResolved: { $ne: true },
+    isSystemGenerated: { $ne: true },
+  });
+};
+
 // Static method to find comments by user
 taskCommentSchema.statics.findByUser = function (userId, conditions = {}) {
   return this.find({
@@ -241,16 +578,43 @@ taskCommentSchema.statics.findMentioningUser = function (
   }).sort({ createdAt: -1 });
 };
 
+// Static method to add a reaction unless the user already has it
+// Returns null when the reaction already exists
+taskCommentSchema.statics.addReaction = function (commentId, userId, type) {
+  return this.findOneAndUpdate(
+    {
+      _id: commentId,
+      reactions: { $not: { $elemMatch: { user: userId, type } } },
+    },
+    { $push: { reactions: { user: userId, type, reactedAt: new Date() } } },
+    { new: true }
+  );
+};
+
+// Static method to remove a user's reaction
+taskCommentSchema.statics.removeReaction = function (commentId, userId, type) {
+  return this.findOneAndUpdate(
+    { _id: commentId },
+    { $pull: { reactions: { user: userId, type } } },
+    { new: true }
+  );
+};
+
 // Instance method to get all replies recursively
 taskCommentSchema.methods.getAllReplies = async function () {
   const replies = await this.constructor
-    .find({ parentComment: this._id })
+    .find({ $or: [{ ancestors: this._id }, { parentComment: this._id }] })
     .populate("createdBy", "firstName lastName profilePicture")
     .sort({ createdAt: 1 });
 
   return replies;
 };
 
+// Instance method to list the comment's versions with diffs
+taskCommentSchema.methods.getRevisions = function () {
+  return buildCommentRevisions(this);
+};
+
 // Instance method to check if user is mentioned
 taskCommentSchema.methods.mentionsUser = function (userId) {
   return this.mentions.some(
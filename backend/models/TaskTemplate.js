@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
+
+// Task template - reusable blueprint for creating tasks
+// Text fields may contain {{placeholder}} tokens resolved at instantiation
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    taskType: {
+      type: String,
+      required: [true, "Task type is required"],
+      enum: {
+        values: ["RoutineTask", "AssignedTask", "ProjectTask"],
+        message: "Task type must be one of: RoutineTask, AssignedTask, ProjectTask",
+      },
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+      index: true,
+    },
+    // Null for organization-wide templates
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      default: null,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Created by is required"],
+    },
+    // Fields copied onto the created task
+    task: {
+      title: {
+        type: String,
+        required: [true, "Template task title is required"],
+        trim: true,
+        maxlength: [200, "Title cannot exceed 200 characters"],
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, "Description cannot exceed 2000 characters"],
+      },
+      priority: {
+        type: String,
+        enum: {
+          values: ["Low", "Medium", "High", "Critical"],
+          message: "Priority must be one of: Low, Medium, High, Critical",
+        },
+        default: "Medium",
+      },
+      // Date offsets in days relative to instantiation
+      dueInDays: {
+        type: Number,
+        min: [0, "Due date offset cannot be negative"],
+        max: [3650, "Due date offset cannot exceed 3650 days"],
+      },
+      startInDays: {
+        type: Number,
+        min: [0, "Start date offset cannot be negative"],
+        max: [3650, "Start date offset cannot exceed 3650 days"],
+      },
+      // RoutineTask fields
+      frequency: {
+        type: String,
+        enum: {
+          values: ["Daily", "Weekly", "Monthly"],
+          message: "Frequency must be one of: Daily, Weekly, Monthly",
+        },
+      },
+      estimatedDuration: {
+        type: Number,
+        min: [1, "Estimated duration must be at least 1 minute"],
+        max: [480, "Estimated duration cannot exceed 8 hours (480 minutes)"],
+      },
+      // AssignedTask fields
+      assignedTo: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      // ProjectTask fields
+      vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Vendor",
+      },
+      estimatedCost: {
+        type: Number,
+        min: [0, "Estimated cost cannot be negative"],
+      },
+      projectManager: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      // Checklist items (AssignedTask and ProjectTask)
+      checklist: [
+        {
+          title: {
+            type: String,
+            required: [true, "Checklist item title is required"],
+            trim: true,
+            maxlength: [200, "Checklist item title cannot exceed 200 characters"],
+          },
+          _id: false,
+        },
+      ],
+    },
+    // Materials reserved for the created task
+    materials: [
+      {
+        material: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Material",
+          required: [true, "Material is required"],
+        },
+        quantity: {
+          type: Number,
+          min: [0, "Quantity cannot be negative"],
+          default: 0,
+        },
+        _id: false,
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    usageCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Apply soft delete plugin
+taskTemplateSchema.plugin(softDeletePlugin);
+
+// Apply change tracking plugin
+taskTemplateSchema.plugin(changeTrackingPlugin, { exclude: ["usageCount", "lastUsedAt"] });
+
+// Compound index for unique template name within organization and department
+taskTemplateSchema.index(
+  { organization: 1, department: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+
+// Additional indexes for better query performance
+taskTemplateSchema.index({ organization: 1, taskType: 1 });
+
+// Virtual to check if template is available to every department
+taskTemplateSchema.virtual("isOrganizationWide").get(function () {
+  return !this.department;
+});
+
+// Static method to find templates available to a department
+taskTemplateSchema.statics.findAvailable = function (
+  organizationId,
+  departmentId,
+  conditions = {}
+) {
+  return this.find({
+    ...conditions,
+    organization: organizationId,
+    $or: [{ department: null }, { department: departmentId }],
+  });
+};
+
+// Instance method to record a template use
+taskTemplateSchema.methods.recordUsage = function () {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+};
+
+const TaskTemplate = mongoose.model("TaskTemplate", taskTemplateSchema);
+
+export default TaskTemplate;
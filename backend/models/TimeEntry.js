@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDelete.js";
+
+// Time tracked by a user against a task activity
+const timeEntrySchema = new mongoose.Schema(
+  {
+    activity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskActivity",
+      required: [true, "Activity reference is required"],
+      index: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BaseTask",
+      required: [true, "Task reference is required"],
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+      index: true,
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    startedAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Whole entry length, set when the entry is closed
+    durationMinutes: {
+      type: Number,
+      min: [0, "Duration cannot be negative"],
+      default: 0,
+    },
+    isRunning: {
+      type: Boolean,
+      default: true,
+    },
+    // Why the entry was closed; a paused timer can be resumed
+    endReason: {
+      type: String,
+      enum: {
+        values: ["paused", "stopped"],
+        message: "End reason must be one of: paused, stopped",
+      },
+      default: null,
+    },
+    // Set when the week's timesheet is approved; locked entries are read-only
+    timesheet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Timesheet",
+      default: null,
+    },
+    isLocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Apply soft delete plugin
+timeEntrySchema.plugin(softDeletePlugin);
+
+// A user can only have one running timer (deleted entries no longer count)
+timeEntrySchema.index(
+  { user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { isRunning: true, isDeleted: false },
+  }
+);
+timeEntrySchema.index({ activity: 1, isRunning: 1 });
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+timeEntrySchema.index({ organization: 1, isRunning: 1 });
+
+// Pre-save middleware to keep entries of approved weeks unchanged
+timeEntrySchema.pre("save", function (next) {
+  if (!this.isNew && this.isLocked && !this.isModified("isLocked")) {
+    const error = new Error(
+      "Time entry belongs to an approved timesheet and cannot be changed"
+    );
+    error.code = "TIMESHEET_LOCKED";
+    return next(error);
+  }
+  next();
+});
+
+// Virtual for the elapsed time of running and closed entries
+timeEntrySchema.virtual("elapsedMinutes").get(function () {
+  if (!this.isRunning) return this.durationMinutes;
+  return Math.round(((new Date() - this.startedAt) / 60000) * 100) / 100;
+});
+
+// Static method to find the running timer of a user
+timeEntrySchema.statics.findRunningForUser = function (userId) {
+  return this.findOne({ user: userId, isRunning: true });
+};
+
+// Instance method to close a running entry
+timeEntrySchema.methods.close = function (endReason, endedAt = new Date()) {
+  this.isRunning = false;
+  this.endedAt = endedAt;
+  this.endReason = endReason;
+  this.durationMinutes =
+    Math.round(((endedAt - this.startedAt) / 60000) * 100) / 100;
+  return this.save();
+};
+
+const TimeEntry = mongoose.model("TimeEntry", timeEntrySchema);
+
+export default TimeEntry;
@@ -0,0 +1,154 @@
+import mongoose from "mongoose";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
+
+const TIMESHEET_STATUSES = ["draft", "submitted", "approved", "rejected"];
+
+// Allowed review transitions; an approved week is final
+const TIMESHEET_TRANSITIONS = {
+  draft: ["submitted"],
+  submitted: ["approved", "rejected"],
+  rejected: ["submitted"],
+  approved: [],
+};
+
+// Weekly timesheet of a user, created when the week is submitted
+const timesheetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+      index: true,
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+    // Monday 00:00 UTC of the ISO week
+    weekStart: {
+      type: Date,
+      required: [true, "Week start is required"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: TIMESHEET_STATUSES,
+        message: "Status must be one of: draft, submitted, approved, rejected",
+      },
+      default: "draft",
+    },
+    // Hours recorded when the week was last submitted
+    totalHours: {
+      type: Number,
+      min: [0, "Total hours cannot be negative"],
+      default: 0,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewComment: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Review comment cannot exceed 500 characters"],
+      default: null,
+    },
+    // Submission and review trail
+    history: [
+      {
+        status: {
+          type: String,
+          enum: TIMESHEET_STATUSES,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        comment: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Apply change tracking plugin
+timesheetSchema.plugin(changeTrackingPlugin, { exclude: ["history"] });
+
+// One timesheet per user and week
+timesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ organization: 1, department: 1, status: 1, weekStart: -1 });
+
+// Virtual for whether the week's entries are locked
+timesheetSchema.virtual("isLocked").get(function () {
+  return this.status === "approved";
+});
+
+// Static method to find the timesheet of a user's week
+timesheetSchema.statics.findForWeek = function (userId, weekStart) {
+  return this.findOne({ user: userId, weekStart });
+};
+
+// Instance method to check a review transition
+timesheetSchema.methods.canTransitionTo = function (status) {
+  return (TIMESHEET_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to move the timesheet to a new status and record it
+timesheetSchema.methods.transitionTo = function (status, userId, comment) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(
+      `Cannot change a ${this.status} timesheet to ${status}`
+    );
+    error.code = "INVALID_TIMESHEET_STATUS";
+    throw error;
+  }
+
+  const now = new Date();
+  this.status = status;
+
+  if (status === "submitted") {
+    this.submittedAt = now;
+    this.reviewedBy = null;
+    this.reviewedAt = null;
+    this.reviewComment = null;
+  } else {
+    this.reviewedBy = userId;
+    this.reviewedAt = now;
+    this.reviewComment = comment || null;
+  }
+
+  this.history.push({ status, changedBy: userId, changedAt: now, comment });
+  return this;
+};
+
+const Timesheet = mongoose.model("Timesheet", timesheetSchema);
+
+export default Timesheet;
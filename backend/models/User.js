@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -103,6 +104,11 @@ const userSchema = new mongoose.Schema(
 // Apply soft delete plugin
 userSchema.plugin(softDeletePlugin);
 
+// Apply change tracking plugin
+userSchema.plugin(changeTrackingPlugin, {
+  exclude: ["password", "refreshToken", "refreshTokenExpiry", "lastLogin"],
+});
+
 // Compound indexes for better query performance and constraints
 userSchema.index({ email: 1, organization: 1 }, { unique: true });
 userSchema.index({ organization: 1, department: 1 });
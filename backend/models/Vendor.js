@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import softDeletePlugin from "./plugins/softDelete.js";
+import changeTrackingPlugin from "./plugins/changeTracking.js";
 
 const vendorSchema = new mongoose.Schema(
   {
@@ -82,6 +83,10 @@ const vendorSchema = new mongoose.Schema(
 
 // Apply soft delete plugin
 vendorSchema.plugin(softDeletePlugin);
+
+// Apply change tracking plugin
+vendorSchema.plugin(changeTrackingPlugin);
+
 // Compound index for unique vendor name within organization
 vendorSchema.index({ name: 1, organization: 1 }, { unique: true });
 
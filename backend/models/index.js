@@ -8,12 +8,19 @@ export {
   AssignedTask,
   ProjectTask,
 } from "./BaseTask.js";
+export { default as TaskTemplate } from "./TaskTemplate.js";
 export { default as TaskActivity } from "./TaskActivity.js";
+export { default as TimeEntry } from "./TimeEntry.js";
 export { default as TaskComment } from "./TaskComment.js";
 export { default as Material } from "./Material.js";
 export { default as Vendor } from "./Vendor.js";
 export { default as Attachment } from "./Attachment.js";
+export { default as AttachmentDownload } from "./AttachmentDownload.js";
 export { default as Notification } from "./Notification.js";
+export { default as SlaBreach } from "./SlaBreach.js";
+export { default as Timesheet } from "./Timesheet.js";
+export { default as ChangeLog } from "./ChangeLog.js";
 
 // Export plugins
 export { default as softDeletePlugin } from "./plugins/softDelete.js";
+export { default as changeTrackingPlugin } from "./plugins/changeTracking.js";
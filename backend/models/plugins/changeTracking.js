@@ -0,0 +1,186 @@
+import ChangeLog from "../ChangeLog.js";
+import { getRequestActor } from "../../utils/requestContext.js";
+
+// Paths that are never recorded
+const DEFAULT_EXCLUDED_PATHS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "isDeleted",
+  "deletedAt",
+  "deletedBy",
+];
+
+/**
+ * Read a dotted path from a plain object
+ * @param {Object} source - Plain object
+ * @param {string} path - Dotted path
+ * @returns {*} Value at the path, or null when missing
+ */
+const getPathValue = (source, path) =>
+  path.split(".").reduce((value, key) => value?.[key], source) ?? null;
+
+/**
+ * Compare two snapshots of tracked paths
+ * Values are compared by their JSON form so ObjectIds, dates and arrays
+ * compare by value
+ * @param {Object} before - Values keyed by path before the change
+ * @param {Object} after - Values keyed by path after the change
+ * @param {Array<string>} paths - Tracked paths
+ * @returns {Array<Object>} { field, from, to } for every changed path
+ */
+export const diffSnapshots = (before, after, paths) =>
+  paths
+    .filter(
+      (path) =>
+        JSON.stringify(before[path] ?? null) !==
+        JSON.stringify(after[path] ?? null)
+    )
+    .map((path) => ({
+      field: path,
+      from: before[path] ?? null,
+      to: after[path] ?? null,
+    }));
+
+/**
+ * Change Tracking Plugin for Mongoose Models
+ * Records before/after values of changed paths in the ChangeLog collection
+ * on save() and findOneAndUpdate(), attributed to the user of the current
+ * request (see utils/requestContext.js)
+ *
+ * Options:
+ * - fields: paths to track (defaults to every schema path)
+ * - exclude: paths (and their sub-paths) that are never tracked
+ * - organizationPath: path holding the owning organization
+ * - getOrganization: async (entity) => organization ID, for models without
+ *   an organization path
+ *
+ * The actor can be overridden with doc.$locals.changedBy before save();
+ * code running outside a request can use runWithRequestContext()
+ */
+const changeTrackingPlugin = function (schema, options = {}) {
+  const {
+    fields = null,
+    exclude = [],
+    organizationPath = "organization",
+    getOrganization = (entity) => getPathValue(entity, organizationPath),
+  } = options;
+  const excludedPaths = [...DEFAULT_EXCLUDED_PATHS, ...exclude];
+  const trackedPathsBySchema = new WeakMap();
+
+  // Tracked paths are resolved per schema so discriminator fields are included
+  const getTrackedPaths = (docSchema) => {
+    if (!trackedPathsBySchema.has(docSchema)) {
+      const paths = (fields || Object.keys(docSchema.paths)).filter(
+        (path) =>
+          !excludedPaths.some(
+            (excluded) => path === excluded || path.startsWith(`${excluded}.`)
+          )
+      );
+      trackedPathsBySchema.set(docSchema, paths);
+    }
+    return trackedPathsBySchema.get(docSchema);
+  };
+
+  const takeSnapshot = (source, paths) =>
+    Object.fromEntries(paths.map((path) => [path, getPathValue(source, path)]));
+
+  const writeChangeLogs = async (entity, changes, context) => {
+    if (changes.length === 0) {
+      return;
+    }
+
+    try {
+      const changedAt = new Date();
+      const organization = (await getOrganization(entity)) || null;
+      await ChangeLog.insertMany(
+        changes.map((change) => ({
+          ...change,
+          entityType: context.entityType,
+          entityId: entity._id,
+          organization,
+          changedBy: context.changedBy || null,
+          changedAt,
+          operation: context.operation,
+        }))
+      );
+    } catch (error) {
+      // A failed log write must not fail the change itself
+      console.error("Change log write error:", error);
+    }
+  };
+
+  const toPlainObject = (doc) =>
+    doc.toObject({ depopulate: true, virtuals: false, transform: false });
+
+  // Remember the stored values so saves can record what they replace
+  schema.post("init", function () {
+    this.$locals.trackedSnapshot = takeSnapshot(
+      toPlainObject(this),
+      getTrackedPaths(this.schema)
+    );
+  });
+
+  // Compare after saving so changes made by later pre-save hooks are included
+  schema.post("save", async function () {
+    const paths = getTrackedPaths(this.schema);
+    const plain = toPlainObject(this);
+    const after = takeSnapshot(plain, paths);
+    const before = this.$locals.trackedSnapshot;
+    this.$locals.trackedSnapshot = after;
+
+    // New documents have nothing to compare against
+    if (!before) {
+      return;
+    }
+
+    await writeChangeLogs(plain, diffSnapshots(before, after, paths), {
+      entityType: this.constructor.modelName,
+      changedBy: this.$locals.changedBy || getRequestActor(),
+      operation: "save",
+    });
+  });
+
+  // Sorted updates change the first match in their sort order
+  schema.pre("findOneAndUpdate", async function () {
+    this._changeTrackingBefore = await this.model
+      .findOne(this.getFilter())
+      .sort(this.getOptions().sort ?? {})
+      .lean();
+  });
+
+  schema.post("findOneAndUpdate", async function () {
+    const before = this._changeTrackingBefore;
+    if (!before) {
+      return;
+    }
+
+    // Read the stored document directly so query middleware does not hide it
+    const after = await this.model.collection.findOne({ _id: before._id });
+    if (!after) {
+      return;
+    }
+
+    const discriminatorKey = this.model.schema.options.discriminatorKey;
+    const Model =
+      this.model.discriminators?.[after[discriminatorKey]] || this.model;
+    const paths = getTrackedPaths(Model.schema);
+
+    await writeChangeLogs(
+      after,
+      diffSnapshots(
+        takeSnapshot(before, paths),
+        takeSnapshot(after, paths),
+        paths
+      ),
+      {
+        entityType: Model.modelName,
+        changedBy: getRequestActor(),
+        operation: "update",
+      }
+    );
+  });
+};
+
+export default changeTrackingPlugin;
@@ -0,0 +1,132 @@
+/**
+ * Attachment Routes
+ * Routes for uploading and downloading files of tasks, activities and
+ * comments
+ */
+
+import express from "express";
+import {
+  uploadAttachments,
+  getAttachmentDownloadUrl,
+  downloadAttachment,
+  getAttachmentDownloads,
+} from "../controllers/attachmentController.js";
+import {
+  validateFileUpload,
+  validateDownloadUrlRequest,
+  validateSignedDownload,
+  validateAttachmentDownloadsQuery,
+} from "../validators/attachmentValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorization.js";
+import { loadResource } from "../middleware/loadResource.js";
+import { parseMultipartUpload } from "../middleware/upload.js";
+import {
+  ATTACHMENT_MODELS,
+  ATTACHMENT_MODELS_ARRAY,
+} from "../constants/index.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/attachments/:id/download
+ * @desc    Download a file through a signed, expiring URL
+ * @access  Public (the signature identifies the user)
+ */
+router.get(
+  "/:id/download",
+  validateSignedDownload,
+  handleValidationErrors,
+  downloadAttachment
+);
+
+// All other attachment routes require authentication
+router.use(authenticate);
+
+// Parent of the attachment being requested, or of the upload
+const getParentRef = (req) => req.attachment || req.body;
+
+// Loaders for each kind of parent; only tasks carry an organization, so
+// activities and comments are scoped through their task
+const parentLoaders = Object.fromEntries(
+  ATTACHMENT_MODELS_ARRAY.map((modelName) => [
+    modelName,
+    loadResource(modelName, {
+      requestKey: "attachmentParent",
+      label: modelName === ATTACHMENT_MODELS.BASE_TASK ? "Task" : modelName,
+      getId: (req) => getParentRef(req).attachedTo,
+      scopeToOrganization: modelName === ATTACHMENT_MODELS.BASE_TASK,
+    }),
+  ])
+);
+
+// Load the document named by attachedTo and attachedToModel
+const loadAttachmentParent = (req, res, next) =>
+  parentLoaders[getParentRef(req).attachedToModel](req, res, next);
+
+// Load the task the parent belongs to for scope checks
+const loadAttachmentTask = loadResource("BaseTask", {
+  requestKey: "task",
+  label: "Task",
+  getId: (req) =>
+    getParentRef(req).attachedToModel === ATTACHMENT_MODELS.BASE_TASK
+      ? req.attachmentParent._id
+      : req.attachmentParent.task,
+});
+
+// Load the attachment named in the route
+const loadAttachment = loadResource("Attachment", {
+  requestKey: "attachment",
+});
+
+// Scope target for a task loaded by loadAttachmentTask
+const getTask = (req) => req.task;
+
+/**
+ * @route   POST /api/attachments
+ * @desc    Upload files (multipart/form-data) to a task, activity or comment
+ * @access  Private
+ */
+router.post(
+  "/",
+  parseMultipartUpload(),
+  validateFileUpload,
+  handleValidationErrors,
+  loadAttachmentParent,
+  loadAttachmentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  uploadAttachments
+);
+
+/**
+ * @route   GET /api/attachments/:id/download-url
+ * @desc    Get a short-lived signed URL for a file or one of its renditions
+ * @access  Private (users who can read the attachment's task)
+ */
+router.get(
+  "/:id/download-url",
+  validateDownloadUrlRequest,
+  handleValidationErrors,
+  loadAttachment,
+  loadAttachmentParent,
+  loadAttachmentTask,
+  authorize("read", "attachments", { getTargetResource: getTask }),
+  getAttachmentDownloadUrl
+);
+
+/**
+ * @route   GET /api/attachments/:id/downloads
+ * @desc    Get the download audit of a file
+ * @access  Private (SuperAdmin, Admin)
+ */
+router.get(
+  "/:id/downloads",
+  validateAttachmentDownloadsQuery,
+  handleValidationErrors,
+  loadAttachment,
+  authorize("read", "attachmentDownloads"),
+  getAttachmentDownloads
+);
+
+export default router;
@@ -0,0 +1,31 @@
+/**
+ * Change Log Routes
+ * Routes for the field-level change log
+ */
+
+import express from "express";
+import { getChangeLogs } from "../controllers/changeLogController.js";
+import { validateChangeLogQuery } from "../validators/changeLogValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorization.js";
+
+const router = express.Router();
+
+// All change log routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/change-logs
+ * @desc    Get field-level changes by entity, field, actor and date range
+ * @access  Private (SuperAdmin, Admin)
+ */
+router.get(
+  "/",
+  validateChangeLogQuery,
+  handleValidationErrors,
+  authorize("read", "changeLogs"),
+  getChangeLogs
+);
+
+export default router;
@@ -0,0 +1,217 @@
+/**
+ * Comment Routes
+ * Routes for comments across tasks
+ */
+
+import express from "express";
+import {
+  getMyMentions,
+  getCommentReplies,
+  getCommentThread,
+  updateComment,
+  getCommentHistory,
+  addCommentReaction,
+  removeCommentReaction,
+  pinComment,
+  unpinComment,
+  resolveCommentThread,
+  unresolveCommentThread,
+} from "../controllers/commentController.js";
+import {
+  validateMentionFeedQuery,
+  validateCommentId,
+  validateCommentRepliesQuery,
+  validateEditComment,
+} from "../validators/commentValidators.js";
+import { validateCommentReaction } from "../validators/taskCommentValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorization.js";
+import { loadResource } from "../middleware/loadResource.js";
+
+const router = express.Router();
+
+// All comment routes require authentication
+router.use(authenticate);
+
+// Load the comment referenced by :id; comments are scoped through their task
+const loadComment = loadResource("TaskComment", {
+  requestKey: "comment",
+  label: "Comment",
+  scopeToOrganization: false,
+});
+
+// Load the task of the loaded comment for scope checks
+const loadCommentTask = loadResource("BaseTask", {
+  requestKey: "task",
+  label: "Task",
+  getId: (req) => req.comment.task,
+});
+
+// Scope target for a task loaded by loadCommentTask
+const getTask = (req) => req.task;
+
+/**
+ * @route   GET /api/comments/mentions
+ * @desc    Get comments mentioning the current user
+ * @access  Private
+ */
+router.get(
+  "/mentions",
+  validateMentionFeedQuery,
+  handleValidationErrors,
+  authorize("read", "tasks"),
+  getMyMentions
+);
+
+/**
+ * @route   GET /api/comments/:id/replies
+ * @desc    Get a page of a comment's replies with their nested replies
+ * @access  Private
+ */
+router.get(
+  "/:id/replies",
+  validateCommentRepliesQuery,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getCommentReplies
+);
+
+/**
+ * @route   GET /api/comments/:id/thread
+ * @desc    Get a comment with its whole reply thread
+ * @access  Private
+ */
+router.get(
+  "/:id/thread",
+  validateCommentId,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getCommentThread
+);
+
+/**
+ * @route   PUT /api/comments/:id
+ * @desc    Edit a comment (authors within the edit window, admins anytime)
+ * @access  Private
+ */
+router.put(
+  "/:id",
+  validateEditComment,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  updateComment
+);
+
+/**
+ * @route   GET /api/comments/:id/history
+ * @desc    Get a comment's revisions with diffs between versions
+ * @access  Private
+ */
+router.get(
+  "/:id/history",
+  validateCommentId,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getCommentHistory
+);
+
+/**
+ * @route   POST /api/comments/:id/reactions
+ * @desc    Add a reaction to a comment
+ * @access  Private
+ */
+router.post(
+  "/:id/reactions",
+  validateCommentReaction,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  addCommentReaction
+);
+
+/**
+ * @route   DELETE /api/comments/:id/reactions
+ * @desc    Remove the current user's reaction from a comment
+ * @access  Private
+ */
+router.delete(
+  "/:id/reactions",
+  validateCommentReaction,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  removeCommentReaction
+);
+
+/**
+ * @route   POST /api/comments/:id/pin
+ * @desc    Pin a comment to the top of its task
+ * @access  Private (users who can update the task)
+ */
+router.post(
+  "/:id/pin",
+  validateCommentId,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  pinComment
+);
+
+/**
+ * @route   DELETE /api/comments/:id/pin
+ * @desc    Unpin a comment
+ * @access  Private (users who can update the task)
+ */
+router.delete(
+  "/:id/pin",
+  validateCommentId,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  unpinComment
+);
+
+/**
+ * @route   POST /api/comments/:id/resolve
+ * @desc    Mark the thread started by a comment as resolved
+ * @access  Private (thread author or users who can update the task)
+ */
+router.post(
+  "/:id/resolve",
+  validateCommentId,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  resolveCommentThread
+);
+
+/**
+ * @route   DELETE /api/comments/:id/resolve
+ * @desc    Mark the thread started by a comment as unresolved
+ * @access  Private (thread author or users who can update the task)
+ */
+router.delete(
+  "/:id/resolve",
+  validateCommentId,
+  handleValidationErrors,
+  loadComment,
+  loadCommentTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  unresolveCommentThread
+);
+
+export default router;
@@ -0,0 +1,30 @@
+/**
+ * Inbound Email Routes
+ * Routes for replies to notification emails
+ */
+
+import express from "express";
+import { receiveInboundEmail } from "../controllers/inboundEmailController.js";
+import { authenticateInboundEmail } from "../middleware/auth.js";
+import { EMAIL_REPLY_CONFIG } from "../constants/index.js";
+
+const router = express.Router();
+
+// Inbound email is posted by a mail gateway, not a logged-in user
+router.use(authenticateInboundEmail);
+
+/**
+ * @route   POST /api/inbound-email
+ * @desc    Post a raw RFC 822 reply (.eml) as a task comment
+ * @access  Mail gateway (X-Inbound-Email-Secret header)
+ */
+router.post(
+  "/",
+  express.raw({
+    type: ["message/rfc822", "application/octet-stream", "text/plain"],
+    limit: EMAIL_REPLY_CONFIG.MESSAGE_SIZE_MAX,
+  }),
+  receiveInboundEmail
+);
+
+export default router;
@@ -0,0 +1,119 @@
+/**
+ * Settings Routes
+ * Routes for managing the current organization's settings
+ */
+
+import express from "express";
+import {
+  getSettings,
+  updateTaskStatusTransitions,
+  updateHolidays,
+  updateSlaPolicies,
+  updateCommentEditWindow,
+  updateCommentThreadDepth,
+  updateCommentResolutionRule,
+} from "../controllers/settingsController.js";
+import {
+  validateTaskStatusTransitions,
+  validateHolidays,
+  validateSlaPolicies,
+  validateCommentEditWindow,
+  validateCommentThreadDepth,
+  validateCommentResolutionRule,
+} from "../validators/settingsValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { requireRole } from "../middleware/authorization.js";
+import { USER_ROLES } from "../constants/index.js";
+
+const router = express.Router();
+
+// All settings routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get organization settings with effective defaults
+ * @access  Private
+ */
+router.get("/", getSettings);
+
+/**
+ * @route   PUT /api/settings/task-status-transitions
+ * @desc    Replace task status transition overrides
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/task-status-transitions",
+  requireRole(USER_ROLES.SUPER_ADMIN),
+  validateTaskStatusTransitions,
+  handleValidationErrors,
+  updateTaskStatusTransitions
+);
+
+/**
+ * @route   PUT /api/settings/holidays
+ * @desc    Replace organization holidays used by recurring tasks
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/holidays",
+  requireRole(USER_ROLES.SUPER_ADMIN),
+  validateHolidays,
+  handleValidationErrors,
+  updateHolidays
+);
+
+/**
+ * @route   PUT /api/settings/sla-policies
+ * @desc    Replace SLA policies used for overdue detection and escalation
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/sla-policies",
+  requireRole(USER_ROLES.SUPER_ADMIN),
+  validateSlaPolicies,
+  handleValidationErrors,
+  updateSlaPolicies
+);
+
+/**
+ * @route   PUT /api/settings/comment-edit-window
+ * @desc    Set how long authors can edit their comments
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/comment-edit-window",
+  requireRole(USER_ROLES.SUPER_ADMIN),
+  validateCommentEditWindow,
+  handleValidationErrors,
+  updateCommentEditWindow
+);
+
+/**
+ * @route   PUT /api/settings/comment-thread-depth
+ * @desc    Set the deepest reply level allowed in comment threads
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/comment-thread-depth",
+  requireRole(USER_ROLES.SUPER_ADMIN),
+  validateCommentThreadDepth,
+  handleValidationErrors,
+  updateCommentThreadDepth
+);
+
+/**
+ * @route   PUT /api/settings/comment-resolution
+ * @desc    Set whether unresolved comment threads block task completion
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/comment-resolution",
+  requireRole(USER_ROLES.SUPER_ADMIN),
+  validateCommentResolutionRule,
+  handleValidationErrors,
+  updateCommentResolutionRule
+);
+
+export default router;
@@ -0,0 +1,31 @@
+/**
+ * SLA Routes
+ * Routes for SLA breach history
+ */
+
+import express from "express";
+import { getSlaBreaches } from "../controllers/slaController.js";
+import { validateSlaBreachQuery } from "../validators/slaValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorization.js";
+
+const router = express.Router();
+
+// All SLA routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/sla-breaches
+ * @desc    Get SLA breach history with a per-priority summary
+ * @access  Private
+ */
+router.get(
+  "/",
+  validateSlaBreachQuery,
+  handleValidationErrors,
+  authorize("read", "tasks"),
+  getSlaBreaches
+);
+
+export default router;
@@ -0,0 +1,507 @@
+/**
+ * Task Routes
+ * Routes for RoutineTask, AssignedTask and ProjectTask management
+ */
+
+import express from "express";
+import {
+  getTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  changeTaskStatus,
+  getTaskStatusHistory,
+  getTaskTimeline,
+  getTaskOccurrences,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getTaskWatchers,
+  watchTask,
+  unwatchTask,
+  bulkUpdateTasks,
+  deleteTask,
+  restoreTask,
+} from "../controllers/taskController.js";
+import {
+  getChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklist,
+} from "../controllers/checklistController.js";
+import {
+  getTaskComments,
+  addTaskComment,
+} from "../controllers/commentController.js";
+import {
+  getTaskActivities,
+  createTaskActivity,
+  startActivityTimer,
+  pauseActivityTimer,
+  stopActivityTimer,
+} from "../controllers/activityController.js";
+import {
+  validateTaskId,
+  validateCreateTask,
+  validateUpdateTask,
+  validateTaskStatusChange,
+  validateTaskDependencyQuery,
+  validateAddTaskDependency,
+  validateRemoveTaskDependency,
+  validateTaskQuery,
+  validateTaskOccurrencesQuery,
+  validateTaskTimelineQuery,
+  validateBulkTaskOperation,
+  validateDeleteTask,
+  validateRestoreTask,
+} from "../validators/taskValidators.js";
+import {
+  validateAddChecklistItem,
+  validateUpdateChecklistItem,
+  validateDeleteChecklistItem,
+  validateReorderChecklist,
+} from "../validators/checklistValidators.js";
+import {
+  validateTaskCommentQuery,
+  validateAddTaskComment,
+} from "../validators/commentValidators.js";
+import {
+  validateActivityId,
+  validateCreateActivity,
+} from "../validators/activityValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorization.js";
+import { loadResource } from "../middleware/loadResource.js";
+
+const router = express.Router();
+
+// All task routes require authentication
+router.use(authenticate);
+
+// Load the task referenced by :id for scope checks
+const loadTask = loadResource("BaseTask", {
+  requestKey: "task",
+  label: "Task",
+});
+
+const loadTaskWithDeleted = loadResource("BaseTask", {
+  requestKey: "task",
+  label: "Task",
+  withDeleted: true,
+});
+
+// Scope target for a task loaded by loadTask
+const getTask = (req) => req.task;
+
+// Scope target for a task about to be created
+const getNewTask = (req) => ({
+  organization: req.user.organization._id,
+  department: req.body.department || req.user.department._id,
+});
+
+/**
+ * @route   GET /api/tasks
+ * @desc    Get tasks with filtering and pagination
+ * @access  Private
+ */
+router.get(
+  "/",
+  validateTaskQuery,
+  handleValidationErrors,
+  authorize("read", "tasks"),
+  getTasks
+);
+
+/**
+ * @route   GET /api/tasks/:id
+ * @desc    Get single task by ID
+ * @access  Private
+ */
+router.get(
+  "/:id",
+  validateTaskId,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskById
+);
+
+/**
+ * @route   POST /api/tasks
+ * @desc    Create new task (discriminator selected from taskType)
+ * @access  Private
+ */
+router.post(
+  "/",
+  validateCreateTask,
+  handleValidationErrors,
+  authorize("create", "tasks", { getTargetResource: getNewTask }),
+  createTask
+);
+
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Apply one operation to many tasks (per-task scope checked in controller)
+ * @access  Private
+ */
+router.post(
+  "/bulk",
+  validateBulkTaskOperation,
+  handleValidationErrors,
+  authorize("update", "tasks"),
+  bulkUpdateTasks
+);
+
+/**
+ * @route   PUT /api/tasks/:id
+ * @desc    Update task
+ * @access  Private
+ */
+router.put(
+  "/:id",
+  validateUpdateTask,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  updateTask
+);
+
+/**
+ * @route   PATCH /api/tasks/:id/status
+ * @desc    Change task status through the transition table
+ * @access  Private
+ */
+router.patch(
+  "/:id/status",
+  validateTaskStatusChange,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  changeTaskStatus
+);
+
+/**
+ * @route   GET /api/tasks/:id/status-history
+ * @desc    Get task status history and currently allowed transitions
+ * @access  Private
+ */
+router.get(
+  "/:id/status-history",
+  validateTaskId,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskStatusHistory
+);
+
+/**
+ * @route   GET /api/tasks/:id/timeline
+ * @desc    Get the task timeline, filterable by kind and actor
+ * @access  Private
+ */
+router.get(
+  "/:id/timeline",
+  validateTaskTimelineQuery,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskTimeline
+);
+
+/**
+ * @route   GET /api/tasks/:id/occurrences
+ * @desc    Get occurrences generated from a recurring routine task
+ * @access  Private
+ */
+router.get(
+  "/:id/occurrences",
+  validateTaskOccurrencesQuery,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskOccurrences
+);
+
+/**
+ * @route   GET /api/tasks/:id/dependencies
+ * @desc    Get the dependency graph (blocks / blocked-by) of a task
+ * @access  Private
+ */
+router.get(
+  "/:id/dependencies",
+  validateTaskDependencyQuery,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskDependencies
+);
+
+/**
+ * @route   POST /api/tasks/:id/dependencies
+ * @desc    Declare that a task is blocked by another task
+ * @access  Private
+ */
+router.post(
+  "/:id/dependencies",
+  validateAddTaskDependency,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  addTaskDependency
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/dependencies/:blockerId
+ * @desc    Remove a blocked-by relationship from a task
+ * @access  Private
+ */
+router.delete(
+  "/:id/dependencies/:blockerId",
+  validateRemoveTaskDependency,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  removeTaskDependency
+);
+
+/**
+ * @route   GET /api/tasks/:id/watchers
+ * @desc    Get the users watching a task
+ * @access  Private
+ */
+router.get(
+  "/:id/watchers",
+  validateTaskId,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskWatchers
+);
+
+/**
+ * @route   POST /api/tasks/:id/watchers
+ * @desc    Follow a task
+ * @access  Private
+ */
+router.post(
+  "/:id/watchers",
+  validateTaskId,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  watchTask
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/watchers
+ * @desc    Unfollow a task
+ * @access  Private
+ */
+router.delete(
+  "/:id/watchers",
+  validateTaskId,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  unwatchTask
+);
+
+/**
+ * @route   GET /api/tasks/:id/comments
+ * @desc    Get task comments with replies
+ * @access  Private
+ */
+router.get(
+  "/:id/comments",
+  validateTaskCommentQuery,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskComments
+);
+
+/**
+ * @route   POST /api/tasks/:id/comments
+ * @desc    Add a comment or reply to a task
+ * @access  Private
+ */
+router.post(
+  "/:id/comments",
+  validateAddTaskComment,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  addTaskComment
+);
+
+/**
+ * @route   GET /api/tasks/:id/activities
+ * @desc    Get task activities with running timers
+ * @access  Private
+ */
+router.get(
+  "/:id/activities",
+  validateTaskId,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getTaskActivities
+);
+
+/**
+ * @route   POST /api/tasks/:id/activities
+ * @desc    Add an activity to a task
+ * @access  Private
+ */
+router.post(
+  "/:id/activities",
+  validateCreateActivity,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  createTaskActivity
+);
+
+/**
+ * @route   POST /api/tasks/:id/activities/:activityId/timer/start
+ * @desc    Start or resume a timer on an activity
+ * @access  Private
+ */
+router.post(
+  "/:id/activities/:activityId/timer/start",
+  validateActivityId,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  startActivityTimer
+);
+
+/**
+ * @route   POST /api/tasks/:id/activities/:activityId/timer/pause
+ * @desc    Pause the user's timer on an activity
+ * @access  Private
+ */
+router.post(
+  "/:id/activities/:activityId/timer/pause",
+  validateActivityId,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  pauseActivityTimer
+);
+
+/**
+ * @route   POST /api/tasks/:id/activities/:activityId/timer/stop
+ * @desc    Stop the user's timer on an activity
+ * @access  Private
+ */
+router.post(
+  "/:id/activities/:activityId/timer/stop",
+  validateActivityId,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  stopActivityTimer
+);
+
+/**
+ * @route   GET /api/tasks/:id/checklist
+ * @desc    Get task checklist and progress
+ * @access  Private
+ */
+router.get(
+  "/:id/checklist",
+  validateTaskId,
+  handleValidationErrors,
+  loadTask,
+  authorize("read", "tasks", { getTargetResource: getTask }),
+  getChecklist
+);
+
+/**
+ * @route   POST /api/tasks/:id/checklist
+ * @desc    Add checklist item
+ * @access  Private
+ */
+router.post(
+  "/:id/checklist",
+  validateAddChecklistItem,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  addChecklistItem
+);
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/reorder
+ * @desc    Reorder checklist items
+ * @access  Private
+ */
+router.put(
+  "/:id/checklist/reorder",
+  validateReorderChecklist,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  reorderChecklist
+);
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/:itemId
+ * @desc    Update checklist item (title, assignee or completion)
+ * @access  Private
+ */
+router.put(
+  "/:id/checklist/:itemId",
+  validateUpdateChecklistItem,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  updateChecklistItem
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @desc    Delete checklist item
+ * @access  Private
+ */
+router.delete(
+  "/:id/checklist/:itemId",
+  validateDeleteChecklistItem,
+  handleValidationErrors,
+  loadTask,
+  authorize("update", "tasks", { getTargetResource: getTask }),
+  deleteChecklistItem
+);
+
+/**
+ * @route   DELETE /api/tasks/:id
+ * @desc    Soft delete task
+ * @access  Private
+ */
+router.delete(
+  "/:id",
+  validateDeleteTask,
+  handleValidationErrors,
+  loadTask,
+  authorize("delete", "tasks", { getTargetResource: getTask }),
+  deleteTask
+);
+
+/**
+ * @route   POST /api/tasks/:id/restore
+ * @desc    Restore soft deleted task
+ * @access  Private
+ */
+router.post(
+  "/:id/restore",
+  validateRestoreTask,
+  handleValidationErrors,
+  loadTaskWithDeleted,
+  authorize("restore", "tasks", { getTargetResource: getTask }),
+  restoreTask
+);
+
+export default router;
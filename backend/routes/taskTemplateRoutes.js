@@ -0,0 +1,131 @@
+/**
+ * Task Template Routes
+ * Routes for organization and department task templates
+ */
+
+import express from "express";
+import {
+  getTaskTemplates,
+  getTaskTemplateById,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+  instantiateTaskTemplate,
+} from "../controllers/taskTemplateController.js";
+import {
+  validateTaskTemplateId,
+  validateCreateTaskTemplate,
+  validateUpdateTaskTemplate,
+  validateTaskTemplateQuery,
+  validateInstantiateTaskTemplate,
+} from "../validators/taskTemplateValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { authorize } from "../middleware/authorization.js";
+import { loadResource } from "../middleware/loadResource.js";
+
+const router = express.Router();
+
+// All task template routes require authentication
+router.use(authenticate);
+
+// Load the template referenced by :id for scope checks
+const loadTaskTemplate = loadResource("TaskTemplate", {
+  requestKey: "taskTemplate",
+  label: "Task template",
+});
+
+// Scope target for a template loaded by loadTaskTemplate
+const getTaskTemplate = (req) => req.taskTemplate;
+
+// Scope target for a template about to be created
+const getNewTaskTemplate = (req) => ({
+  organization: req.user.organization._id,
+  department: req.body.department || null,
+});
+
+/**
+ * @route   GET /api/task-templates
+ * @desc    Get task templates available to the user
+ * @access  Private
+ */
+router.get(
+  "/",
+  validateTaskTemplateQuery,
+  handleValidationErrors,
+  authorize("read", "taskTemplates"),
+  getTaskTemplates
+);
+
+/**
+ * @route   GET /api/task-templates/:id
+ * @desc    Get single task template by ID
+ * @access  Private
+ */
+router.get(
+  "/:id",
+  validateTaskTemplateId,
+  handleValidationErrors,
+  loadTaskTemplate,
+  authorize("read", "taskTemplates", { getTargetResource: getTaskTemplate }),
+  getTaskTemplateById
+);
+
+/**
+ * @route   POST /api/task-templates
+ * @desc    Create new task template
+ * @access  Private (Manager and above)
+ */
+router.post(
+  "/",
+  validateCreateTaskTemplate,
+  handleValidationErrors,
+  authorize("create", "taskTemplates", {
+    getTargetResource: getNewTaskTemplate,
+  }),
+  createTaskTemplate
+);
+
+/**
+ * @route   PUT /api/task-templates/:id
+ * @desc    Update task template
+ * @access  Private (Manager and above)
+ */
+router.put(
+  "/:id",
+  validateUpdateTaskTemplate,
+  handleValidationErrors,
+  loadTaskTemplate,
+  authorize("update", "taskTemplates", { getTargetResource: getTaskTemplate }),
+  updateTaskTemplate
+);
+
+/**
+ * @route   DELETE /api/task-templates/:id
+ * @desc    Soft delete task template
+ * @access  Private (Admin and above)
+ */
+router.delete(
+  "/:id",
+  validateTaskTemplateId,
+  handleValidationErrors,
+  loadTaskTemplate,
+  authorize("delete", "taskTemplates", { getTargetResource: getTaskTemplate }),
+  deleteTaskTemplate
+);
+
+/**
+ * @route   POST /api/task-templates/:id/instantiate
+ * @desc    Create a task from a template
+ * @access  Private
+ */
+router.post(
+  "/:id/instantiate",
+  validateInstantiateTaskTemplate,
+  handleValidationErrors,
+  loadTaskTemplate,
+  authorize("read", "taskTemplates", { getTargetResource: getTaskTemplate }),
+  instantiateTaskTemplate
+);
+
+export default router;
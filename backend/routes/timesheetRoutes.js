@@ -0,0 +1,139 @@
+/**
+ * Timesheet Routes
+ * Routes for weekly timesheets and their approval
+ */
+
+import express from "express";
+import {
+  getMyTimesheet,
+  getUserTimesheet,
+  getTimesheets,
+  submitMyTimesheet,
+  approveTimesheet,
+  rejectTimesheet,
+} from "../controllers/timesheetController.js";
+import {
+  validateTimesheetWeekQuery,
+  validateUserTimesheetQuery,
+  validateTimesheetQuery,
+  validateSubmitTimesheet,
+  validateApproveTimesheet,
+  validateRejectTimesheet,
+} from "../validators/timesheetValidators.js";
+import { handleValidationErrors } from "../validators/validationMiddleware.js";
+import { authenticate } from "../middleware/auth.js";
+import { authorize, requireRole } from "../middleware/authorization.js";
+import { loadResource } from "../middleware/loadResource.js";
+import { MANAGER_AND_ABOVE_ROLES } from "../constants/index.js";
+
+const router = express.Router();
+
+// All timesheet routes require authentication
+router.use(authenticate);
+
+// Load the timesheet referenced by :id for scope checks
+const loadTimesheet = loadResource("Timesheet", {
+  requestKey: "timesheet",
+  label: "Timesheet",
+});
+
+// Load the user referenced by :userId for scope checks
+const loadTimesheetUser = loadResource("User", {
+  paramName: "userId",
+  requestKey: "timesheetUser",
+  label: "User",
+});
+
+// Scope target for a timesheet loaded by loadTimesheet; it is owned by its user
+const getTimesheet = (req) => ({
+  organization: req.timesheet.organization,
+  department: req.timesheet.department,
+  createdBy: req.timesheet.user,
+});
+
+/**
+ * @route   GET /api/timesheets
+ * @desc    Get submitted and reviewed timesheets with filtering and pagination
+ * @access  Private
+ */
+router.get(
+  "/",
+  validateTimesheetQuery,
+  handleValidationErrors,
+  authorize("read", "timesheets"),
+  getTimesheets
+);
+
+/**
+ * @route   GET /api/timesheets/me
+ * @desc    Get the current user's timesheet for a week
+ * @access  Private
+ */
+router.get(
+  "/me",
+  validateTimesheetWeekQuery,
+  handleValidationErrors,
+  authorize("read", "timesheets"),
+  getMyTimesheet
+);
+
+/**
+ * @route   POST /api/timesheets/submit
+ * @desc    Submit the current user's week for approval
+ * @access  Private
+ */
+router.post(
+  "/submit",
+  validateSubmitTimesheet,
+  handleValidationErrors,
+  authorize("read", "timesheets"),
+  submitMyTimesheet
+);
+
+/**
+ * @route   GET /api/timesheets/users/:userId
+ * @desc    Get another user's timesheet for a week
+ * @access  Private (Manager, Admin, SuperAdmin)
+ */
+router.get(
+  "/users/:userId",
+  requireRole(MANAGER_AND_ABOVE_ROLES),
+  validateUserTimesheetQuery,
+  handleValidationErrors,
+  loadTimesheetUser,
+  authorize("read", "timesheets", {
+    getTargetResource: (req) => req.timesheetUser,
+    resourceType: "user",
+  }),
+  getUserTimesheet
+);
+
+/**
+ * @route   POST /api/timesheets/:id/approve
+ * @desc    Approve a submitted timesheet and lock its time entries
+ * @access  Private (Manager, Admin, SuperAdmin of the same department)
+ */
+router.post(
+  "/:id/approve",
+  validateApproveTimesheet,
+  handleValidationErrors,
+  loadTimesheet,
+  authorize("update", "timesheets", { getTargetResource: getTimesheet }),
+  approveTimesheet
+);
+
+/**
+ * @route   POST /api/timesheets/:id/reject
+ * @desc    Reject a submitted timesheet with a comment
+ * @access  Private (Manager, Admin, SuperAdmin of the same department)
+ */
+router.post(
+  "/:id/reject",
+  validateRejectTimesheet,
+  handleValidationErrors,
+  loadTimesheet,
+  authorize("update", "timesheets", { getTargetResource: getTimesheet }),
+  rejectTimesheet
+);
+
+export default router;
@@ -3,14 +3,21 @@ import connectDB from "./config/database.js";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import dotenv from "dotenv";
+import { initializeRecurrenceScheduler } from "./services/recurrenceService.js";
+import { initializeSlaScheduler } from "./services/slaService.js";
+import { initializeInboundSmtpServer } from "./services/inboundSmtpServer.js";
+import { migrateAttachmentStorage } from "./services/attachmentService.js";
+import { checkRenditionConverters } from "./services/renditionService.js";
+import { initializeSocketHandlers } from "./services/socketService.js";
 
 // Load environment variables
 dotenv.config();
 
 const PORT = process.env.PORT || 4000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then move attachments created before pluggable storage
+// to the current shape
+connectDB().then(migrateAttachmentStorage);
 
 // Create HTTP server
 const server = createServer(app);
@@ -26,6 +33,9 @@ const io = new Server(server, {
   },
 });
 
+// Authenticate connections and join them to their rooms
+initializeSocketHandlers(io);
+
 // Make io accessible to the app
 app.set("io", io);
 
@@ -34,6 +44,35 @@ server.listen(PORT, () => {
   console.log(
     `🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`
   );
+
+  // Materialize recurring RoutineTask occurrences
+  // Set RECURRENCE_SCHEDULER_ENABLED=false on processes that should not run jobs
+  if (process.env.RECURRENCE_SCHEDULER_ENABLED !== "false") {
+    const recurrenceInterval = initializeRecurrenceScheduler(io);
+    server.on("close", () => clearInterval(recurrenceInterval));
+  }
+
+  // Detect SLA breaches and escalate overdue tasks
+  // Set SLA_SCHEDULER_ENABLED=false on processes that should not run jobs
+  if (process.env.SLA_SCHEDULER_ENABLED !== "false") {
+    const slaInterval = initializeSlaScheduler(io);
+    server.on("close", () => clearInterval(slaInterval));
+  }
+
+  // Accept replies to notification emails over SMTP
+  // Set INBOUND_SMTP_PORT (and optionally INBOUND_SMTP_HOST) to enable
+  if (process.env.INBOUND_SMTP_PORT) {
+    const smtpServer = initializeInboundSmtpServer(
+      io,
+      Number(process.env.INBOUND_SMTP_PORT),
+      process.env.INBOUND_SMTP_HOST
+    );
+    server.on("close", () => smtpServer.close());
+  }
+
+  // Report missing attachment rendition converters
+  // Set FFMPEG_PATH and PDFTOPPM_PATH when they are not on the PATH
+  checkRenditionConverters();
 });
 
 // Graceful shutdown
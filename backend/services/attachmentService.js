@@ -0,0 +1,169 @@
+import mongoose from "mongoose";
+import Attachment from "../models/Attachment.js";
+import { BaseTask } from "../models/BaseTask.js";
+import { getStorageProvider } from "./storage/index.js";
+import { queueAttachmentRenditions } from "./renditionService.js";
+import { buildStorageKey, getContentSize } from "../utils/storageUtils.js";
+import { ATTACHMENT_MODELS } from "../constants/index.js";
+
+/**
+ * Attachment Service
+ * Stores attachment files with the configured storage provider and keeps
+ * Attachment records in step with the stored objects
+ */
+
+/**
+ * Store a file and create its attachment record
+ * Thumbnails, previews or poster frames of supported types are generated in
+ * the background afterwards. The stored object is removed again if the record
+ * cannot be created
+ * @param {Buffer|Object} content - File bytes, or { path, size } of a file
+ * on disk
+ * @param {Object} details - Attachment details
+ * @param {string} details.originalName - Original filename
+ * @param {string} details.mimeType - MIME type
+ * @param {string} details.attachedTo - Parent document ID
+ * @param {string} details.attachedToModel - Parent model name
+ * @param {string} details.uploadedBy - Uploading user ID
+ * @param {string} details.organization - Owning organization ID
+ * @param {string} details.description - Optional description
+ * @returns {Promise<Object>} Created attachment
+ */
+export const storeAttachment = async (content, details) => {
+  const provider = getStorageProvider();
+  const { originalName, mimeType, organization } = details;
+
+  const stored = await provider.putObject(
+    buildStorageKey({ organization, filename: originalName }),
+    content,
+    { contentType: mimeType, filename: originalName }
+  );
+
+  let attachment;
+  try {
+    attachment = await Attachment.create({
+      ...details,
+      filename: stored.key.split("/").pop(),
+      fileSize: getContentSize(content),
+      storage: { provider: provider.name, key: stored.key, url: stored.url },
+    });
+  } catch (error) {
+    await provider.deleteObject(stored.key, stored).catch((cleanupError) => {
+      console.error("Stored file cleanup error:", cleanupError);
+    });
+    throw error;
+  }
+
+  queueAttachmentRenditions(attachment);
+  return attachment;
+};
+
+/**
+ * Store several files on the same parent
+ * Either every file is stored or none: attachments stored before a failure
+ * are removed again
+ * @param {Array<Object>} files - Files as { content, originalName, mimeType }
+ * @param {Object} details - Shared attachment details (see storeAttachment)
+ * @returns {Promise<Array>} Created attachments
+ */
+export const storeAttachments = async (files, details) => {
+  const attachments = [];
+
+  try {
+    for (const { content, originalName, mimeType } of files) {
+      attachments.push(
+        await storeAttachment(content, { ...details, originalName, mimeType })
+      );
+    }
+  } catch (error) {
+    await Promise.all(
+      attachments.map((attachment) =>
+        deleteAttachmentContent(attachment)
+          .then(() => Attachment.hardDelete({ _id: attachment._id }))
+          .catch((cleanupError) => {
+            console.error("Attachment rollback error:", cleanupError);
+          })
+      )
+    );
+    throw error;
+  }
+
+  return attachments;
+};
+
+/**
+ * Read the file of an attachment, or one of its renditions, from the
+ * provider that stored it
+ * @param {Object} attachment - Attachment document
+ * @param {Object} rendition - Rendition to read instead of the file
+ * @returns {Promise<Buffer>} File bytes
+ */
+export const readAttachmentContent = (attachment, rendition = null) => {
+  const stored = rendition || attachment.storage;
+
+  return getStorageProvider(attachment.storage.provider).getObject(
+    stored.key,
+    stored
+  );
+};
+
+/**
+ * Find the task an attachment belongs to
+ * Attachments on activities and comments belong to the parent's task
+ * @param {Object} attachment - Attachment document
+ * @returns {Promise<Object|null>} Task, or null if the parent is gone
+ */
+export const findAttachmentTask = async (attachment) => {
+  if (attachment.attachedToModel === ATTACHMENT_MODELS.BASE_TASK) {
+    return BaseTask.findById(attachment.attachedTo);
+  }
+
+  const parent = await mongoose
+    .model(attachment.attachedToModel)
+    .findById(attachment.attachedTo)
+    .select("task");
+
+  return parent ? BaseTask.findById(parent.task) : null;
+};
+
+/**
+ * Delete the file of an attachment and its renditions from the provider
+ * that stored them
+ * @param {Object} attachment - Attachment document
+ * @returns {Promise<void>}
+ */
+export const deleteAttachmentContent = async (attachment) => {
+  const provider = getStorageProvider(attachment.storage.provider);
+
+  await Promise.all(
+    (attachment.renditions || []).map((rendition) =>
+      provider.deleteObject(rendition.key, rendition)
+    )
+  );
+  await provider.deleteObject(attachment.storage.key, attachment.storage);
+};
+
+/**
+ * Migrate attachments created before pluggable storage
+ * Run at startup; failures are logged and retried on the next start
+ * @returns {Promise<void>}
+ */
+export const migrateAttachmentStorage = async () => {
+  try {
+    const migrated = await Attachment.migrateLegacyStorage();
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} attachments to pluggable storage`);
+    }
+  } catch (error) {
+    console.error("Attachment storage migration error:", error);
+  }
+};
+
+export default {
+  storeAttachment,
+  storeAttachments,
+  readAttachmentContent,
+  findAttachmentTask,
+  deleteAttachmentContent,
+  migrateAttachmentStorage,
+};
@@ -0,0 +1,118 @@
+import { BaseTask } from "../models/BaseTask.js";
+import TaskComment from "../models/TaskComment.js";
+import Organization from "../models/Organization.js";
+import CustomError from "../utils/CustomError.js";
+import { emitTaskEvent } from "../utils/socketUtils.js";
+import { notifyTaskWatchers } from "./notificationService.js";
+import {
+  resolveCommentMentions,
+  notifyMentionedUsers,
+} from "./mentionService.js";
+import {
+  SOCKET_EVENTS,
+  NOTIFICATION_TYPES,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+/**
+ * Comment Service
+ * Creates task comments and delivers their side effects, shared by the
+ * comment API and inbound email replies
+ */
+
+// Populate paths used when returning comments
+export const COMMENT_POPULATE = [
+  { path: "createdBy", select: "firstName lastName profilePicture" },
+  { path: "mentions.user", select: "firstName lastName" },
+  { path: "mentions.candidates", select: "firstName lastName email" },
+];
+
+/**
+ * Create a comment on a task
+ * The author starts watching the task, mentioned users get a mention
+ * notification and the other watchers a comment notification
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Object} task - Task document
+ * @param {Object} author - Comment author
+ * @param {Object} data - Comment fields
+ * @param {string} data.content - Comment content
+ * @param {string} data.parentComment - Parent comment ID for replies
+ * @param {string} data.commentType - Comment type
+ * @returns {Promise<Object>} Saved and populated comment
+ */
+export const createTaskComment = async (socketIO, task, author, data) => {
+  const { content, parentComment, commentType } = data;
+
+  const comment = new TaskComment({
+    content,
+    task: task._id,
+    parentComment: parentComment || null,
+    commentType,
+    createdBy: author._id,
+  });
+
+  const mentionedUsers = await resolveCommentMentions(comment, task);
+  await comment.save();
+
+  await BaseTask.updateOne(
+    { _id: task._id },
+    { $addToSet: { watchers: author._id } }
+  );
+
+  await comment.populate(COMMENT_POPULATE);
+
+  emitTaskEvent(socketIO, SOCKET_EVENTS.COMMENT_ADDED, task, {
+    actor: author._id,
+    comment,
+  });
+
+  // Mentioned users get a mention notification instead of the comment one
+  const mentioned = await notifyMentionedUsers(
+    socketIO,
+    task,
+    comment,
+    mentionedUsers,
+    author
+  );
+
+  await notifyTaskWatchers(socketIO, task, NOTIFICATION_TYPES.COMMENT_ADDED, {
+    actor: author,
+    exclude: mentioned,
+    comment,
+    relatedEntity: { entityId: comment._id, entityType: "TaskComment" },
+    metadata: { commentId: comment._id },
+  });
+
+  return comment;
+};
+
+/**
+ * Ensure a task can be completed given its comment threads
+ * Only enforced when the organization blocks completion on unresolved threads
+ * @param {Object} task - Task document
+ * @throws {CustomError} If unresolved threads remain
+ * @returns {Promise<void>}
+ */
+export const assertCommentThreadsResolved = async (task) => {
+  const organization = await Organization.findById(
+    task.organization?._id || task.organization
+  ).select("settings.blockCompletionOnUnresolvedComments");
+
+  if (!organization?.settings?.blockCompletionOnUnresolvedComments) {
+    return;
+  }
+
+  const unresolvedCount = await TaskComment.countUnresolvedThreads(task._id);
+  if (unresolvedCount > 0) {
+    throw CustomError.badRequest(
+      `Task has ${unresolvedCount} unresolved comment thread(s). Resolve them before completing the task.`,
+      ERROR_CODES.UNRESOLVED_COMMENT_THREADS
+    );
+  }
+};
+
+export default {
+  COMMENT_POPULATE,
+  createTaskComment,
+  assertCommentThreadsResolved,
+};
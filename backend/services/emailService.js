@@ -0,0 +1,176 @@
+import nodemailer from "nodemailer";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { escapeHtml } from "../utils/markdownUtils.js";
+import {
+  isEmailReplyConfigured,
+  createReplyToken,
+  buildReplyAddress,
+} from "../utils/replyTokenUtils.js";
+import { EMAIL_REPLY_CONFIG } from "../constants/index.js";
+
+/**
+ * Email Service
+ * Sends notification emails over SMTP. Comment emails carry a signed
+ * reply-to address so recipients can answer from their mail client
+ *
+ * Configure with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * and EMAIL_FROM; reply addresses need EMAIL_REPLY_DOMAIN and
+ * EMAIL_REPLY_SECRET. Without SMTP_HOST no email is sent
+ */
+
+let transporter = null;
+
+/**
+ * Get the shared SMTP transporter
+ * @returns {Object|null} Nodemailer transporter, or null when SMTP is not configured
+ */
+export const getTransporter = () => {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Build the email for a comment notification
+ * @param {Object} params - Email parameters
+ * @param {Object} params.notification - Notification with title and message
+ * @param {Object} params.task - Task the comment belongs to
+ * @param {Object} params.comment - Comment with content and contentHtml
+ * @param {Object} params.recipient - Recipient with email
+ * @param {string|null} params.replyTo - Signed reply address
+ * @returns {Object} Nodemailer message options
+ */
+export const buildCommentEmail = ({
+  notification,
+  task,
+  comment,
+  recipient,
+  replyTo = null,
+}) => {
+  const replyHint = replyTo
+    ? "Reply to this email to add a comment to the task."
+    : null;
+
+  const text = [
+    replyTo ? EMAIL_REPLY_CONFIG.REPLY_MARKER : null,
+    notification.message,
+    "",
+    comment.content,
+    "",
+    replyHint,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+
+  const html = [
+    replyTo ? `<p>${escapeHtml(EMAIL_REPLY_CONFIG.REPLY_MARKER)}</p>` : "",
+    `<p>${escapeHtml(notification.message)}</p>`,
+    `<blockquote>${comment.contentHtml || escapeHtml(comment.content)}</blockquote>`,
+    replyHint ? `<p>${escapeHtml(replyHint)}</p>` : "",
+  ].join("");
+
+  return {
+    from:
+      process.env.EMAIL_FROM ||
+      `no-reply@${process.env.EMAIL_REPLY_DOMAIN || "localhost"}`,
+    to: recipient.email,
+    ...(replyTo && { replyTo }),
+    subject: `[${task.title}] ${notification.title}`,
+    text,
+    html,
+  };
+};
+
+/**
+ * Email comment notifications to their recipients
+ * Delivery results are recorded on each notification's email channel;
+ * failures are logged and never thrown
+ * @param {Array<Object>} notifications - Created notifications
+ * @param {Object} task - Task document
+ * @param {Object} comment - Comment the notifications are about
+ * @returns {Promise<void>}
+ */
+export const sendCommentNotificationEmails = async (
+  notifications,
+  task,
+  comment
+) => {
+  const mailer = getTransporter();
+  if (!mailer || notifications.length === 0) {
+    return;
+  }
+
+  try {
+    const recipients = await User.find({
+      _id: { $in: notifications.map((notification) => notification.recipient) },
+    }).select("firstName lastName email");
+    const recipientsById = new Map(
+      recipients.map((recipient) => [recipient._id.toString(), recipient])
+    );
+
+    await Promise.all(
+      notifications.map(async (notification) => {
+        const recipient = recipientsById.get(notification.recipient.toString());
+        if (!recipient) return;
+
+        let deliveryError = null;
+        try {
+          const replyTo = isEmailReplyConfigured()
+            ? buildReplyAddress(
+                createReplyToken({
+                  userId: recipient._id,
+                  commentId: comment._id,
+                })
+              )
+            : null;
+
+          await mailer.sendMail(
+            buildCommentEmail({
+              notification,
+              task,
+              comment,
+              recipient,
+              replyTo,
+            })
+          );
+        } catch (error) {
+          deliveryError = error;
+          console.error("Notification email error:", error);
+        }
+
+        await Notification.updateOne(
+          { _id: notification._id },
+          {
+            "channels.email.sent": !deliveryError,
+            "channels.email.sentAt": new Date(),
+            ...(deliveryError && {
+              "channels.email.error": deliveryError.toString(),
+            }),
+          }
+        );
+      })
+    );
+  } catch (error) {
+    console.error("Error sending notification emails:", error);
+  }
+};
+
+export default {
+  getTransporter,
+  buildCommentEmail,
+  sendCommentNotificationEmails,
+};
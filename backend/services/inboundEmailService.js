@@ -0,0 +1,224 @@
+import User from "../models/User.js";
+import TaskComment from "../models/TaskComment.js";
+import { BaseTask } from "../models/BaseTask.js";
+import CustomError from "../utils/CustomError.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { runWithRequestContext } from "../utils/requestContext.js";
+import {
+  parseEmailMessage,
+  htmlToText,
+  stripQuotedReply,
+} from "../utils/emailUtils.js";
+import {
+  extractReplyToken,
+  verifyReplyToken,
+} from "../utils/replyTokenUtils.js";
+import { detectFileType } from "../utils/fileTypeUtils.js";
+import { createTaskComment } from "./commentService.js";
+import { storeAttachment } from "./attachmentService.js";
+import {
+  assertStorageAvailable,
+  notifyStorageQuotaWarnings,
+} from "./storageQuotaService.js";
+import {
+  ALLOWED_FILE_TYPES,
+  FILE_UPLOAD,
+  VALIDATION_LIMITS,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+/**
+ * Inbound Email Service
+ * Turns replies to notification emails into task comments. The signed
+ * reply address identifies the replying user and the comment answered, and
+ * the reply must come from that user's email address
+ */
+
+// Headers that may hold the reply address the message was delivered to
+const RECIPIENT_HEADERS = [
+  "delivered-to",
+  "x-original-to",
+  "envelope-to",
+  "to",
+  "cc",
+];
+
+/**
+ * Find the reply token a message was sent to
+ * @param {Object} message - Parsed message
+ * @param {Array<string>} envelopeRecipients - SMTP RCPT TO addresses
+ * @returns {string|null} First reply token found
+ */
+export const findReplyToken = (message, envelopeRecipients = []) => {
+  const addresses = [
+    ...envelopeRecipients,
+    ...RECIPIENT_HEADERS.flatMap((name) =>
+      name === "to" || name === "cc"
+        ? message[name].map(({ address }) => address)
+        : (message.headers[name] || []).map((value) =>
+            value.replace(/^<|>$/g, "")
+          )
+    ),
+  ];
+
+  return addresses.map(extractReplyToken).find(Boolean) || null;
+};
+
+/**
+ * Extract the new text of a reply from a parsed message
+ * @param {Object} message - Parsed message
+ * @returns {string} Reply text without quoted history or signature
+ */
+export const extractReplyText = (message) =>
+  stripQuotedReply(message.text || htmlToText(message.html));
+
+/**
+ * Store the attachments of a reply on a comment
+ * Types are detected from file content; files of disallowed types or over
+ * the size limit are skipped, and a failed upload, including one over the
+ * storage quota, is logged and does not undo the comment
+ * @param {Array<Object>} files - Parsed attachments
+ * @param {Object} comment - Saved comment
+ * @param {Object} user - Replying user
+ * @param {Object} task - Task the comment belongs to
+ * @param {Object} socketIO - Socket.IO server instance
+ * @returns {Promise<Array>} Created attachments
+ */
+const saveReplyAttachments = async (files, comment, user, task, socketIO) => {
+  const attachments = [];
+  const organization = task.organization?._id || task.organization;
+
+  for (const file of files) {
+    const mimeType = detectFileType(file.content, file.filename);
+
+    if (
+      !ALLOWED_FILE_TYPES.includes(mimeType) ||
+      file.size < 1 ||
+      file.size > FILE_UPLOAD.MAX_FILE_SIZE
+    ) {
+      continue;
+    }
+
+    try {
+      const usage = await assertStorageAvailable(organization, file.size);
+      attachments.push(
+        await storeAttachment(file.content, {
+          originalName: file.filename,
+          mimeType,
+          attachedTo: comment._id,
+          attachedToModel: "TaskComment",
+          uploadedBy: user._id,
+          organization,
+        })
+      );
+      await notifyStorageQuotaWarnings(socketIO, usage, file.size);
+    } catch (error) {
+      console.error("Email attachment upload error:", error);
+    }
+  }
+
+  return attachments;
+};
+
+/**
+ * Post a reply to a notification email as a task comment
+ * The comment is created as a reply to the notified comment by the user the
+ * email was sent to; when the thread is already at its maximum depth it is
+ * added next to that comment instead
+ * @param {Buffer|string} raw - Raw RFC 822 message
+ * @param {Object} options - Processing options
+ * @param {Object} options.socketIO - Socket.IO server instance
+ * @param {Array<string>} options.recipients - SMTP envelope recipients
+ * @returns {Promise<Object>} { comment, attachments }
+ */
+export const processInboundEmail = async (raw, options = {}) => {
+  const { socketIO = null, recipients = [] } = options;
+  const message = parseEmailMessage(raw);
+
+  const tokenData = verifyReplyToken(findReplyToken(message, recipients));
+  if (!tokenData) {
+    throw CustomError.badRequest(
+      "Email was not sent to a valid reply address, or the address has expired",
+      ERROR_CODES.REPLY_TOKEN_INVALID
+    );
+  }
+
+  const [user, repliedComment] = await Promise.all([
+    User.findById(tokenData.userId)
+      .populate("organization", "name _id")
+      .populate("department", "name _id"),
+    TaskComment.findById(tokenData.commentId),
+  ]);
+
+  if (!user || user.isDeleted || !user.organization || !user.department) {
+    throw CustomError.forbidden("The reply address is no longer valid");
+  }
+
+  // A leaked reply address is not enough to post as its recipient
+  if (message.from?.address?.toLowerCase() !== user.email.toLowerCase()) {
+    throw CustomError.forbidden(
+      "Replies must be sent from the address the notification was sent to",
+      ERROR_CODES.REPLY_SENDER_MISMATCH
+    );
+  }
+
+  const task = repliedComment
+    ? await BaseTask.findById(repliedComment.task)
+    : null;
+  if (!task) {
+    throw CustomError.notFound("The task of this comment no longer exists");
+  }
+
+  if (!hasPermission(user, "read", "tasks", task)) {
+    throw CustomError.forbidden("You no longer have access to this task");
+  }
+
+  const content = extractReplyText(message);
+  if (!content) {
+    throw CustomError.badRequest(
+      "The reply has no text to post as a comment",
+      ERROR_CODES.EMPTY_EMAIL_REPLY
+    );
+  }
+  if (content.length > VALIDATION_LIMITS.COMMENT_CONTENT_MAX) {
+    throw CustomError.badRequest(
+      `Comment content cannot exceed ${VALIDATION_LIMITS.COMMENT_CONTENT_MAX} characters`,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  // Changes are attributed to the replying user, as in an API request
+  return runWithRequestContext({ actor: user._id }, async () => {
+    let comment;
+    try {
+      comment = await createTaskComment(socketIO, task, user, {
+        content,
+        parentComment: repliedComment._id,
+      });
+    } catch (error) {
+      if (error.code !== "MAX_NESTING_EXCEEDED") {
+        throw error;
+      }
+      comment = await createTaskComment(socketIO, task, user, {
+        content,
+        parentComment: repliedComment.parentComment,
+      });
+    }
+
+    const attachments = await saveReplyAttachments(
+      message.attachments,
+      comment,
+      user,
+      task,
+      socketIO
+    );
+
+    return { comment, attachments };
+  });
+};
+
+export default {
+  findReplyToken,
+  extractReplyText,
+  processInboundEmail,
+};
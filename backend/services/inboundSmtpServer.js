@@ -0,0 +1,257 @@
+import net from "node:net";
+import os from "node:os";
+import CustomError from "../utils/CustomError.js";
+import { extractReplyToken } from "../utils/replyTokenUtils.js";
+import { processInboundEmail } from "./inboundEmailService.js";
+import { EMAIL_REPLY_CONFIG } from "../constants/index.js";
+
+/**
+ * Inbound SMTP Server
+ * Minimal SMTP listener that accepts replies to notification emails and
+ * posts them as task comments. Only reply addresses are accepted as
+ * recipients; it is meant to sit behind the organization's mail exchanger
+ */
+
+// Most recipients accepted for one message
+const MAX_RECIPIENTS = 50;
+
+/**
+ * Map a processing error to an SMTP reply
+ * Rejected replies bounce back to the sender with the reason
+ * @param {Error} error - Processing error
+ * @returns {string} SMTP reply line
+ */
+const toSmtpReply = (error) => {
+  if (error instanceof CustomError && error.statusCode < 500) {
+    return `550 ${error.message}`;
+  }
+  if (error.name === "ValidationError" || typeof error.code === "string") {
+    return `550 ${error.message}`;
+  }
+
+  console.error("Inbound email processing error:", error);
+  return "451 Temporary failure, please try again later";
+};
+
+/**
+ * Handle one SMTP connection
+ * @param {net.Socket} socket - Client connection
+ * @param {Object} options - Server options (see createInboundSmtpServer)
+ */
+const handleConnection = (socket, { socketIO, hostname }) => {
+  let buffer = "";
+  let busy = false;
+  let session = { from: null, recipients: [] };
+  let dataLines = null;
+  let dataSize = 0;
+
+  const reply = (line) => {
+    if (!socket.destroyed) socket.write(`${line}\r\n`);
+  };
+
+  const resetSession = () => {
+    session = { from: null, recipients: [] };
+    dataLines = null;
+    dataSize = 0;
+  };
+
+  const finishData = async () => {
+    const raw = Buffer.from(dataLines.join("\r\n"), "latin1");
+    const { recipients } = session;
+    const tooLarge = dataSize > EMAIL_REPLY_CONFIG.MESSAGE_SIZE_MAX;
+    resetSession();
+
+    if (tooLarge) {
+      reply("552 Message exceeds fixed maximum message size");
+      return;
+    }
+
+    try {
+      await processInboundEmail(raw, { socketIO, recipients });
+      reply("250 OK: reply posted");
+    } catch (error) {
+      reply(toSmtpReply(error));
+    }
+  };
+
+  const handleCommand = (line) => {
+    const [verb, ...rest] = line.split(" ");
+    const argument = rest.join(" ");
+
+    switch (verb.toUpperCase()) {
+      case "EHLO":
+        reply(`250-${hostname}`);
+        reply(`250-SIZE ${EMAIL_REPLY_CONFIG.MESSAGE_SIZE_MAX}`);
+        reply("250 8BITMIME");
+        return;
+
+      case "HELO":
+        reply(`250 ${hostname}`);
+        return;
+
+      case "MAIL": {
+        const match = argument.match(/^FROM:\s*<([^>]*)>(.*)$/i);
+        if (!match) {
+          reply("501 Syntax: MAIL FROM:<address>");
+          return;
+        }
+        const size = Number(match[2].match(/SIZE=(\d+)/i)?.[1] || 0);
+        if (size > EMAIL_REPLY_CONFIG.MESSAGE_SIZE_MAX) {
+          reply("552 Message exceeds fixed maximum message size");
+          return;
+        }
+        resetSession();
+        session.from = match[1];
+        reply("250 OK");
+        return;
+      }
+
+      case "RCPT": {
+        const match = argument.match(/^TO:\s*<([^>]*)>/i);
+        if (session.from === null) {
+          reply("503 Need MAIL command first");
+        } else if (!match) {
+          reply("501 Syntax: RCPT TO:<address>");
+        } else if (session.recipients.length >= MAX_RECIPIENTS) {
+          reply("452 Too many recipients");
+        } else if (!extractReplyToken(match[1])) {
+          reply("550 No such reply address");
+        } else {
+          session.recipients.push(match[1]);
+          reply("250 OK");
+        }
+        return;
+      }
+
+      case "DATA":
+        if (session.recipients.length === 0) {
+          reply("503 Need RCPT command first");
+          return;
+        }
+        dataLines = [];
+        reply("354 End data with <CR><LF>.<CR><LF>");
+        return;
+
+      case "RSET":
+        resetSession();
+        reply("250 OK");
+        return;
+
+      case "NOOP":
+        reply("250 OK");
+        return;
+
+      case "VRFY":
+        reply("252 Cannot verify user");
+        return;
+
+      case "QUIT":
+        reply(`221 ${hostname} closing connection`);
+        socket.end();
+        return;
+
+      default:
+        reply("502 Command not implemented");
+    }
+  };
+
+  // Lines are handled one at a time; input waits while a message is posted
+  const processBuffer = async () => {
+    if (busy) return;
+    busy = true;
+
+    let lineEnd;
+    while (!socket.destroyed && (lineEnd = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, lineEnd).replace(/\r$/, "");
+      buffer = buffer.slice(lineEnd + 1);
+
+      if (dataLines === null) {
+        handleCommand(line);
+      } else if (line === ".") {
+        socket.pause();
+        await finishData();
+        socket.resume();
+      } else {
+        // Lines beyond the size limit are counted but not kept
+        dataSize += line.length + 2;
+        if (dataSize <= EMAIL_REPLY_CONFIG.MESSAGE_SIZE_MAX) {
+          dataLines.push(line.startsWith(".") ? line.slice(1) : line);
+        }
+      }
+    }
+
+    busy = false;
+  };
+
+  socket.setTimeout(EMAIL_REPLY_CONFIG.SMTP_IDLE_TIMEOUT, () => {
+    reply("421 Idle timeout, closing connection");
+    socket.end();
+  });
+
+  socket.on("data", (chunk) => {
+    // Input after the connection was closed is not buffered
+    if (socket.writableEnded) return;
+    buffer += chunk.toString("latin1");
+    processBuffer();
+
+    // Neither a command nor a message line is ever longer than the line
+    // limit, so a client that keeps sending without a line break is cut off
+    // before it fills memory
+    const partialLength = buffer.length - buffer.lastIndexOf("\n") - 1;
+    if (partialLength > EMAIL_REPLY_CONFIG.SMTP_LINE_MAX - 2) {
+      reply(dataLines === null ? "500 Line too long" : "552 Line too long");
+      socket.end();
+    }
+  });
+
+  socket.on("error", (error) => {
+    console.error("Inbound SMTP connection error:", error.message);
+  });
+
+  reply(`220 ${hostname} ESMTP ready`);
+};
+
+/**
+ * Create the inbound SMTP server
+ * @param {Object} options - Server options
+ * @param {Object} options.socketIO - Socket.IO server instance
+ * @param {string} options.hostname - Name announced to clients
+ * @returns {net.Server} SMTP server (not yet listening)
+ */
+export const createInboundSmtpServer = (options = {}) => {
+  const serverOptions = {
+    socketIO: options.socketIO || null,
+    hostname: options.hostname || os.hostname(),
+  };
+
+  return net.createServer((socket) => handleConnection(socket, serverOptions));
+};
+
+/**
+ * Start the inbound SMTP server
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {number} port - Port to listen on
+ * @param {string} host - Interface to bind (all interfaces when omitted)
+ * @returns {net.Server} Listening SMTP server
+ */
+export const initializeInboundSmtpServer = (socketIO, port, host) => {
+  const server = createInboundSmtpServer({
+    socketIO,
+    hostname: process.env.EMAIL_REPLY_DOMAIN,
+  });
+
+  server.on("error", (error) => {
+    console.error("Inbound SMTP server error:", error);
+  });
+
+  server.listen(port, host, () => {
+    console.log(`Inbound SMTP server listening on port ${port}`);
+  });
+
+  return server;
+};
+
+export default {
+  createInboundSmtpServer,
+  initializeInboundSmtpServer,
+};
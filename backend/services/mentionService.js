@@ -0,0 +1,133 @@
+import User from "../models/User.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { emitToRooms, getUserRoom } from "../utils/socketUtils.js";
+import { extractMentionTexts, matchMention } from "../utils/mentionUtils.js";
+import { notifyTaskUsers } from "./notificationService.js";
+import { NOTIFICATION_TYPES, SOCKET_EVENTS } from "../constants/index.js";
+
+/**
+ * Mention Service
+ * Resolves @mentions in comments to users of the task's organization
+ * and notifies the mentioned users
+ */
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Resolve mention texts against the users of an organization
+ * @param {Array<string>} mentionTexts - Mention texts without quotes
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} Mentions as { mentionText, user, candidates }
+ */
+export const resolveMentions = async (mentionTexts, organizationId) => {
+  if (mentionTexts.length === 0) return [];
+
+  // Narrow the search by email local-part or first name, then match exactly
+  const users = await User.find({
+    organization: organizationId,
+    $or: mentionTexts.flatMap((text) => [
+      { email: { $regex: `^${escapeRegex(text)}@`, $options: "i" } },
+      {
+        firstName: {
+          $regex: `^${escapeRegex(text.split(/\s+/)[0])}$`,
+          $options: "i",
+        },
+      },
+    ]),
+  }).select("firstName lastName email role organization department");
+
+  return mentionTexts.map((mentionText) => {
+    const { user, candidates } = matchMention(mentionText, users);
+
+    return {
+      mentionText,
+      user: user?._id || null,
+      candidates: candidates.map((candidate) => candidate._id),
+      resolvedUser: user,
+    };
+  });
+};
+
+/**
+ * Resolve the mentions in a comment's content before it is saved
+ * @param {Object} comment - Unsaved comment document
+ * @param {Object} task - Task the comment belongs to
+ * @returns {Promise<Array>} Users resolved from the mentions
+ */
+export const resolveCommentMentions = async (comment, task) => {
+  const mentions = await resolveMentions(
+    extractMentionTexts(comment.content),
+    task.organization?._id || task.organization
+  );
+
+  comment.mentions = mentions.map(({ mentionText, user, candidates }) => ({
+    mentionText,
+    user,
+    candidates,
+  }));
+
+  return mentions.map((mention) => mention.resolvedUser).filter(Boolean);
+};
+
+/**
+ * Notify mentioned users who can see the task
+ * Each user gets a mention notification and a realtime mention event
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Object} task - Task document
+ * @param {Object} comment - Saved comment
+ * @param {Array<Object>} users - Mentioned users
+ * @param {Object} actor - Comment author
+ * @returns {Promise<Array<string>>} IDs of the notified users
+ */
+export const notifyMentionedUsers = async (
+  socketIO,
+  task,
+  comment,
+  users,
+  actor
+) => {
+  const recipients = [
+    ...new Map(users.map((user) => [user._id.toString(), user])).values(),
+  ].filter(
+    (user) =>
+      !user._id.equals(actor._id) &&
+      hasPermission(user, "read", "tasks", task)
+  );
+
+  if (recipients.length === 0) return [];
+
+  const recipientIds = recipients.map((user) => user._id.toString());
+
+  await notifyTaskUsers(socketIO, task, NOTIFICATION_TYPES.MENTION, recipientIds, {
+    actor,
+    comment,
+    relatedEntity: { entityId: comment._id, entityType: "TaskComment" },
+    metadata: { commentId: comment._id },
+  });
+
+  emitToRooms(
+    socketIO,
+    recipientIds.map((id) => getUserRoom(id)),
+    SOCKET_EVENTS.COMMENT_MENTION,
+    {
+      taskId: task._id,
+      taskTitle: task.title,
+      comment,
+      actor: actor._id,
+      timestamp: new Date(),
+    }
+  );
+
+  return recipientIds;
+};
+
+export default {
+  resolveMentions,
+  resolveCommentMentions,
+  notifyMentionedUsers,
+};
@@ -0,0 +1,218 @@
+import Notification from "../models/Notification.js";
+import { emitToRooms, getUserRoom } from "../utils/socketUtils.js";
+import { sendCommentNotificationEmails } from "./emailService.js";
+import { NOTIFICATION_TYPES, SOCKET_EVENTS } from "../constants/index.js";
+
+/**
+ * Notification Service
+ * Stores notifications and pushes them to the recipients' personal rooms
+ */
+
+// Notification priority for each task notification type
+const TASK_NOTIFICATION_PRIORITIES = {
+  [NOTIFICATION_TYPES.TASK_UPDATED]: "low",
+  [NOTIFICATION_TYPES.TASK_COMPLETED]: "medium",
+  [NOTIFICATION_TYPES.TASK_OVERDUE]: "high",
+  [NOTIFICATION_TYPES.COMMENT_ADDED]: "medium",
+  [NOTIFICATION_TYPES.MENTION]: "medium",
+};
+
+// Notification types that are also emailed, with a reply-to address
+const COMMENT_EMAIL_TYPES = [
+  NOTIFICATION_TYPES.COMMENT_ADDED,
+  NOTIFICATION_TYPES.MENTION,
+];
+
+/**
+ * Format a user's display name
+ * @param {Object} user - User document
+ * @returns {string} Full name, or "Someone" when unknown
+ */
+const displayName = (user) => {
+  return user?.firstName ? `${user.firstName} ${user.lastName}` : "Someone";
+};
+
+/**
+ * Build the title and message of a task notification
+ * @param {string} type - Notification type (see NOTIFICATION_TYPES)
+ * @param {Object} task - Task document
+ * @param {Object} details - Notification details
+ * @param {Object} details.actor - User who triggered the notification
+ * @param {Array<string>} details.changes - Changed field names
+ * @returns {Object} { title, message }
+ */
+export const buildTaskNotification = (type, task, details = {}) => {
+  const { actor, changes = [] } = details;
+  const actorName = displayName(actor);
+
+  switch (type) {
+    case NOTIFICATION_TYPES.TASK_COMPLETED:
+      return {
+        title: "Task completed",
+        message: `${actorName} completed "${task.title}".`,
+      };
+
+    case NOTIFICATION_TYPES.TASK_OVERDUE:
+      return {
+        title: "Task overdue",
+        message: `"${task.title}" has missed its SLA deadline.`,
+      };
+
+    case NOTIFICATION_TYPES.COMMENT_ADDED:
+      return {
+        title: "New comment",
+        message: `${actorName} commented on "${task.title}".`,
+      };
+
+    case NOTIFICATION_TYPES.MENTION:
+      return {
+        title: "You were mentioned",
+        message: `${actorName} mentioned you in a comment on "${task.title}".`,
+      };
+
+    default:
+      return {
+        title: "Task updated",
+        message: changes.length
+          ? `${actorName} updated ${changes.join(", ")} on "${task.title}".`
+          : `${actorName} updated "${task.title}".`,
+      };
+  }
+};
+
+/**
+ * Get the watchers of a task who should be notified
+ * @param {Object} task - Task document
+ * @param {Array<string>} excludeIds - Users to leave out (usually the actor)
+ * @returns {Array<string>} Unique recipient IDs
+ */
+export const getWatcherRecipients = (task, excludeIds = []) => {
+  const excluded = new Set(
+    excludeIds.filter(Boolean).map((id) => (id?._id || id).toString())
+  );
+
+  const recipients = (task.watchers || [])
+    .map((watcher) => (watcher?._id || watcher).toString())
+    .filter((id) => !excluded.has(id));
+
+  return [...new Set(recipients)];
+};
+
+/**
+ * Create notifications for several recipients and push them in real time
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Array<string>} recipients - Recipient user IDs
+ * @param {Object} data - Shared notification fields
+ * @returns {Promise<Array>} Created notifications
+ */
+export const createNotifications = async (socketIO, recipients, data) => {
+  if (recipients.length === 0) return [];
+
+  const notifications = await Notification.insertMany(
+    recipients.map((recipient) => ({
+      ...data,
+      recipient,
+      isSystemGenerated: !data.sender,
+    }))
+  );
+
+  if (socketIO) {
+    notifications.forEach((notification) => {
+      emitToRooms(
+        socketIO,
+        [getUserRoom(notification.recipient)],
+        SOCKET_EVENTS.NOTIFICATION_CREATED,
+        { notification, timestamp: new Date() }
+      );
+    });
+
+    await Notification.updateMany(
+      { _id: { $in: notifications.map((notification) => notification._id) } },
+      {
+        "channels.realTime.sent": true,
+        "channels.realTime.sentAt": new Date(),
+      }
+    );
+  }
+
+  return notifications;
+};
+
+/**
+ * Notify users about a task
+ * Failures are logged and never interrupt the request that triggered them
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Object} task - Task document
+ * @param {string} type - Notification type (see NOTIFICATION_TYPES)
+ * @param {Array<string>} recipients - Recipient user IDs
+ * @param {Object} details - Notification details
+ * @param {Object} details.actor - User who triggered the notification
+ * @param {Array<string>} details.changes - Changed field names
+ * @param {Object} details.comment - Comment that comment emails quote
+ * @param {Object} details.relatedEntity - Entity to link instead of the task
+ * @param {Object} details.metadata - Additional context
+ * @returns {Promise<Array>} Created notifications
+ */
+export const notifyTaskUsers = async (
+  socketIO,
+  task,
+  type,
+  recipients,
+  details = {}
+) => {
+  const { actor, comment, relatedEntity, metadata = {} } = details;
+
+  try {
+    const notifications = await createNotifications(socketIO, recipients, {
+      ...buildTaskNotification(type, task, details),
+      type,
+      priority: TASK_NOTIFICATION_PRIORITIES[type] || "medium",
+      sender: actor?._id || null,
+      organization: task.organization?._id || task.organization,
+      relatedEntity: relatedEntity || {
+        entityId: task._id,
+        entityType: "BaseTask",
+      },
+      metadata: { ...metadata, taskId: task._id },
+    });
+
+    // Emails are sent in the background so SMTP never delays the request
+    if (comment && COMMENT_EMAIL_TYPES.includes(type)) {
+      sendCommentNotificationEmails(notifications, task, comment);
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error(`Error notifying task users (${type}):`, error);
+    return [];
+  }
+};
+
+/**
+ * Notify the watchers of a task, leaving out the actor
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Object} task - Task document
+ * @param {string} type - Notification type (see NOTIFICATION_TYPES)
+ * @param {Object} details - Notification details (see notifyTaskUsers)
+ * @param {Array<string>} details.exclude - Other users to leave out
+ * @returns {Promise<Array>} Created notifications
+ */
+export const notifyTaskWatchers = (socketIO, task, type, details = {}) => {
+  const { actor, exclude = [] } = details;
+
+  return notifyTaskUsers(
+    socketIO,
+    task,
+    type,
+    getWatcherRecipients(task, [actor?._id, ...exclude]),
+    details
+  );
+};
+
+export default {
+  buildTaskNotification,
+  getWatcherRecipients,
+  createNotifications,
+  notifyTaskUsers,
+  notifyTaskWatchers,
+};
@@ -0,0 +1,301 @@
+import os from "os";
+import dayjs from "dayjs";
+import { RoutineTask } from "../models/BaseTask.js";
+import Organization from "../models/Organization.js";
+import {
+  collectDueOccurrences,
+  getNextOccurrence,
+  getAnchoredRecurrence,
+} from "../utils/recurrenceUtils.js";
+import { emitTaskEvent } from "../utils/socketUtils.js";
+import {
+  TASK_STATUS,
+  SOCKET_EVENTS,
+  RECURRENCE_CONFIG,
+} from "../constants/index.js";
+
+/**
+ * Recurrence Service
+ * Materializes RoutineTask occurrences from recurring templates
+ *
+ * Safe with several server processes: a template is claimed with an atomic
+ * lease (recurrence.lockedUntil) before it is processed, and a unique index on
+ * { template, occurrenceDate } rejects any duplicate occurrence that slips through
+ */
+
+// Identifies this process in template leases
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Atomically claim one due template for processing
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed template or null when none is due
+ */
+const claimDueTemplate = (now) => {
+  return RoutineTask.findOneAndUpdate(
+    {
+      "recurrence.enabled": true,
+      "recurrence.nextRunAt": { $ne: null, $lte: now },
+      status: { $ne: TASK_STATUS.ON_HOLD },
+      $or: [
+        { "recurrence.lockedUntil": null },
+        { "recurrence.lockedUntil": { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        "recurrence.lockedUntil": new Date(
+          now.getTime() + RECURRENCE_CONFIG.LOCK_TIMEOUT
+        ),
+        "recurrence.lockedBy": INSTANCE_ID,
+      },
+    },
+    { new: true, sort: { "recurrence.nextRunAt": 1 } }
+  );
+};
+
+/**
+ * Check whether a processing error can succeed on a later run
+ * Validation and business rule errors fail the same way every time
+ * @param {Error} error - Processing error
+ * @returns {boolean} True if the template should be retried
+ */
+const isRetryableError = (error) =>
+  error.name !== "ValidationError" && typeof error.code !== "string";
+
+/**
+ * Create an occurrence of a template
+ * Duplicate key errors mean another process already created it
+ * @param {Object} template - Template RoutineTask
+ * @param {Date} occurrenceDate - Occurrence day
+ * @param {Date|null} nextRunAt - Following occurrence, used as due date
+ * @returns {Promise<Object|null>} Created occurrence or null if it already existed
+ */
+const createOccurrence = async (template, occurrenceDate, nextRunAt) => {
+  // After the end date there is no following occurrence, so the occurrence is
+  // due at the end of its day; a catch-up occurrence whose day has already
+  // ended gets no due date, as due dates must lie in the future
+  const dueDate = nextRunAt || dayjs(occurrenceDate).endOf("day").toDate();
+
+  try {
+    return await RoutineTask.create({
+      title: template.title,
+      description: template.description,
+      status: TASK_STATUS.IN_PROGRESS,
+      priority: template.priority,
+      frequency: template.frequency,
+      estimatedDuration: template.estimatedDuration,
+      organization: template.organization,
+      department: template.department,
+      createdBy: template.createdBy,
+      template: template._id,
+      occurrenceDate,
+      dueDate: dueDate > new Date() ? dueDate : undefined,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Process a claimed template: create the current occurrence, record missed runs
+ * and advance the schedule
+ * @param {Object} template - Claimed template
+ * @param {Date} now - Current time
+ * @param {Object} socketIO - Socket.IO instance for broadcasting (optional)
+ * @returns {Promise<Object>} Processing summary
+ */
+export const processTemplate = async (template, now = new Date(), socketIO = null) => {
+  const summary = { created: 0, missed: 0 };
+  let schedule = null;
+
+  try {
+    const organization = await Organization.findById(template.organization)
+      .select("settings.holidays")
+      .lean();
+
+    schedule = collectDueOccurrences(
+      template.recurrence.nextRunAt,
+      now,
+      template.frequency,
+      getAnchoredRecurrence(template),
+      organization?.settings?.holidays
+    );
+    const { due, nextRunAt } = schedule;
+
+    // Only the latest due occurrence is materialized; earlier ones were
+    // missed while no scheduler was running
+    const currentOccurrence = due[due.length - 1];
+    summary.missed += Math.max(due.length - 1, 0);
+
+    if (currentOccurrence) {
+      // Earlier occurrences that were never completed are now missed
+      const { modifiedCount } = await RoutineTask.updateMany(
+        {
+          template: template._id,
+          occurrenceDate: { $lt: currentOccurrence },
+          status: { $ne: TASK_STATUS.COMPLETED },
+          isMissed: false,
+        },
+        { $set: { isMissed: true } }
+      );
+      summary.missed += modifiedCount;
+
+      const occurrence = await createOccurrence(
+        template,
+        currentOccurrence,
+        nextRunAt
+      );
+
+      if (occurrence) {
+        summary.created += 1;
+        emitTaskEvent(socketIO, SOCKET_EVENTS.TASK_CREATED, occurrence, {
+          template: template._id,
+        });
+      }
+    }
+
+    await RoutineTask.updateOne(
+      { _id: template._id, "recurrence.lockedBy": INSTANCE_ID },
+      {
+        $set: {
+          "recurrence.nextRunAt": nextRunAt,
+          "recurrence.lastRunAt": now,
+          "recurrence.lockedUntil": null,
+          "recurrence.lockedBy": null,
+        },
+        $inc: { "recurrence.missedCount": summary.missed },
+      }
+    );
+  } catch (error) {
+    // Release the lease so another run can retry the template. Occurrences
+    // that can never be created are skipped, so the template does not fail
+    // again on every run
+    const update = {
+      "recurrence.lockedUntil": null,
+      "recurrence.lockedBy": null,
+    };
+    if (schedule && !isRetryableError(error)) {
+      update["recurrence.nextRunAt"] = schedule.nextRunAt;
+      update["recurrence.lastRunAt"] = now;
+    }
+
+    await RoutineTask.updateOne(
+      { _id: template._id, "recurrence.lockedBy": INSTANCE_ID },
+      { $set: update }
+    );
+    throw error;
+  }
+
+  return summary;
+};
+
+/**
+ * Process every template that is due
+ * @param {Object} socketIO - Socket.IO instance for broadcasting (optional)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Totals for this run
+ */
+export const processDueTemplates = async (socketIO = null, now = new Date()) => {
+  const totals = { templates: 0, created: 0, missed: 0, failed: 0 };
+
+  for (let i = 0; i < RECURRENCE_CONFIG.BATCH_SIZE; i++) {
+    const template = await claimDueTemplate(now);
+    if (!template) break;
+
+    totals.templates += 1;
+
+    try {
+      const summary = await processTemplate(template, now, socketIO);
+      totals.created += summary.created;
+      totals.missed += summary.missed;
+    } catch (error) {
+      totals.failed += 1;
+      console.error(
+        `Error processing recurring task template ${template._id}:`,
+        error
+      );
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Recompute the next run of holiday-aware templates after holidays change
+ * Pending runs that are already due are kept due
+ * @param {string} organizationId - Organization ID
+ * @param {Array<Object>} holidays - Updated holidays
+ * @returns {Promise<number>} Number of rescheduled templates
+ */
+export const rescheduleHolidayTemplates = async (organizationId, holidays = []) => {
+  const now = new Date();
+  const templates = await RoutineTask.find({
+    organization: organizationId,
+    "recurrence.enabled": true,
+    "recurrence.skipHolidays": true,
+  })
+    .select("frequency recurrence createdAt")
+    .lean();
+
+  const operations = templates.map((template) => {
+    const pendingRun = template.recurrence.nextRunAt;
+    const from = pendingRun && pendingRun < now ? pendingRun : now;
+
+    return {
+      updateOne: {
+        filter: { _id: template._id },
+        update: {
+          $set: {
+            "recurrence.nextRunAt": getNextOccurrence(
+              from,
+              template.frequency,
+              getAnchoredRecurrence(template),
+              holidays
+            ),
+          },
+        },
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await RoutineTask.bulkWrite(operations);
+  }
+
+  return operations.length;
+};
+
+/**
+ * Initialize the recurrence scheduler
+ * Periodically materializes due RoutineTask occurrences
+ * @param {Object} socketIO - Socket.IO instance
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const initializeRecurrenceScheduler = (socketIO) => {
+  const interval = setInterval(async () => {
+    try {
+      const totals = await processDueTemplates(socketIO);
+      if (totals.created > 0 || totals.missed > 0) {
+        console.log(
+          `Recurrence run: ${totals.created} occurrences created, ${totals.missed} missed`
+        );
+      }
+    } catch (error) {
+      console.error("Error in periodic recurrence run:", error);
+    }
+  }, RECURRENCE_CONFIG.SCHEDULER_INTERVAL);
+
+  console.log("Recurrence scheduler initialized");
+  return interval;
+};
+
+export default {
+  processTemplate,
+  processDueTemplates,
+  rescheduleHolidayTemplates,
+  initializeRecurrenceScheduler,
+};
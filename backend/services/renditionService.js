@@ -0,0 +1,380 @@
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import Attachment from "../models/Attachment.js";
+import { getStorageProvider } from "./storage/index.js";
+import { getImageDimensions } from "../utils/fileTypeUtils.js";
+import {
+  RENDITION_KINDS,
+  RENDITION_SIZES,
+  RENDITION_CONFIG,
+} from "../constants/index.js";
+
+/**
+ * Rendition Service
+ * Generates thumbnails of images, first-page previews of PDFs and poster
+ * frames of videos with external converters: ffmpeg (FFMPEG_PATH) for images
+ * and video, pdftoppm from poppler (PDFTOPPM_PATH) for PDFs. When a converter
+ * is not installed, attachments of that kind simply get no renditions
+ *
+ * Both variables default to the executable name on the PATH. Missing
+ * converters are reported at startup by checkRenditionConverters
+ *
+ * Renditions are generated one attachment at a time, after the upload
+ * request has returned. Uploads are untrusted, so ffmpeg may only read local
+ * files and must use the demuxer of the type detected from the content
+ */
+
+// Source types rendered to PNG so their transparency is kept
+const TRANSPARENT_TYPES = ["image/png", "image/gif", "image/webp"];
+
+// ffmpeg demuxer for each detected type; other types get no renditions
+const FFMPEG_DEMUXERS = {
+  "image/jpeg": "jpeg_pipe",
+  "image/jpg": "jpeg_pipe",
+  "image/png": "png_pipe",
+  "image/gif": "gif",
+  "image/webp": "webp_pipe",
+  "video/mp4": "mov",
+  "video/mov": "mov",
+  "video/avi": "avi",
+  "video/wmv": "asf",
+};
+
+// Rendition jobs run one after another
+let renditionQueue = Promise.resolve();
+
+// Converters found missing, so each is reported only once
+const missingConverters = new Set();
+
+/**
+ * Get the converter executables
+ * Read on every call so variables loaded from .env after import apply
+ * @returns {Object} { ffmpeg, pdftoppm }
+ */
+const getConverterPaths = () => ({
+  ffmpeg: process.env.FFMPEG_PATH || "ffmpeg",
+  pdftoppm: process.env.PDFTOPPM_PATH || "pdftoppm",
+});
+
+/**
+ * Check whether a converter error means the executable is missing
+ * @param {Error} error - Error from execFile
+ * @returns {boolean} True if the executable could not be started
+ */
+const isMissingConverter = (error) =>
+  error?.code === "ENOENT" && !!error.syscall?.startsWith("spawn");
+
+/**
+ * Get the kind of rendition generated for a MIME type
+ * @param {string} mimeType - Attachment MIME type
+ * @returns {string|null} Rendition kind, or null if none is generated
+ */
+export const getRenditionKind = (mimeType = "") => {
+  if (mimeType.startsWith("image/")) return RENDITION_KINDS.THUMBNAIL;
+  if (mimeType === "application/pdf") return RENDITION_KINDS.PREVIEW;
+  if (mimeType.startsWith("video/")) return RENDITION_KINDS.POSTER;
+  return null;
+};
+
+/**
+ * Run a converter
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<void>} Resolves when the converter exits successfully
+ */
+const runConverter = (command, args) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      { timeout: RENDITION_CONFIG.PROCESS_TIMEOUT, windowsHide: true },
+      (error) => (error ? reject(error) : resolve())
+    );
+  });
+
+/**
+ * Read a converter's output file
+ * @param {string} outputPath - Output file
+ * @returns {Promise<Buffer|null>} File bytes, or null if nothing was written
+ */
+const readOutput = async (outputPath) => {
+  const output = await fs.readFile(outputPath).catch(() => null);
+  return output?.length ? output : null;
+};
+
+/**
+ * Render a single rendition file
+ * Scaling keeps the aspect ratio and never enlarges the source
+ * @param {string} kind - Rendition kind
+ * @param {string} demuxer - ffmpeg demuxer of the source (images and video)
+ * @param {string} inputPath - Source file
+ * @param {string} outputPath - Output file (.jpg or .png)
+ * @param {number} size - Longest side in pixels
+ * @returns {Promise<Buffer|null>} Rendition bytes
+ */
+const renderFile = async (kind, demuxer, inputPath, outputPath, size) => {
+  if (kind === RENDITION_KINDS.PREVIEW) {
+    // pdftoppm appends the extension to the output name itself
+    await runConverter(getConverterPaths().pdftoppm, [
+      "-f",
+      "1",
+      "-l",
+      "1",
+      "-singlefile",
+      "-jpeg",
+      "-scale-to",
+      String(size),
+      inputPath,
+      outputPath.replace(/\.jpg$/, ""),
+    ]);
+    return readOutput(outputPath);
+  }
+
+  const render = async (seekSeconds) => {
+    await runConverter(getConverterPaths().ffmpeg, [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-y",
+      // Never follow references in the input to other files or URLs
+      "-protocol_whitelist",
+      "file",
+      "-format_whitelist",
+      demuxer,
+      "-f",
+      demuxer,
+      ...(seekSeconds ? ["-ss", String(seekSeconds)] : []),
+      "-i",
+      inputPath,
+      "-frames:v",
+      "1",
+      "-vf",
+      `scale='min(${size},iw)':'min(${size},ih)':force_original_aspect_ratio=decrease`,
+      ...(outputPath.endsWith(".jpg")
+        ? ["-q:v", String(RENDITION_CONFIG.JPEG_QUALITY)]
+        : []),
+      outputPath,
+    ]);
+    return readOutput(outputPath);
+  };
+
+  // Videos shorter than the poster offset fall back to their first frame
+  if (kind === RENDITION_KINDS.POSTER) {
+    return (await render(RENDITION_CONFIG.POSTER_FRAME_OFFSET)) || render(0);
+  }
+
+  return render(0);
+};
+
+/**
+ * Render every rendition size of a file
+ * @param {Buffer} content - Source file bytes
+ * @param {string} mimeType - Source MIME type
+ * @returns {Promise<Array>} Renditions as { kind, size, mimeType, content,
+ * width, height }; empty when the type has none or its converter is missing
+ * @throws {Error} If the converter fails on the file
+ */
+export const renderRenditions = async (content, mimeType) => {
+  const kind = getRenditionKind(mimeType);
+  const demuxer = FFMPEG_DEMUXERS[mimeType];
+  if (!kind || (kind !== RENDITION_KINDS.PREVIEW && !demuxer)) {
+    return [];
+  }
+
+  const outputType =
+    kind === RENDITION_KINDS.THUMBNAIL && TRANSPARENT_TYPES.includes(mimeType)
+      ? "image/png"
+      : "image/jpeg";
+  const extension = outputType === "image/png" ? "png" : "jpg";
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "renditions-"));
+
+  try {
+    const inputPath = path.join(workDir, "source");
+    await fs.writeFile(inputPath, content);
+
+    const renditions = [];
+    for (const [name, pixels] of Object.entries(RENDITION_SIZES)) {
+      const size = name.toLowerCase();
+      const output = await renderFile(
+        kind,
+        demuxer,
+        inputPath,
+        path.join(workDir, `${size}.${extension}`),
+        pixels
+      );
+
+      if (!output) {
+        throw new Error(`Converter produced no ${size} ${kind}`);
+      }
+
+      renditions.push({
+        kind,
+        size,
+        mimeType: outputType,
+        content: output,
+        ...getImageDimensions(output),
+      });
+    }
+
+    return renditions;
+  } catch (error) {
+    if (isMissingConverter(error)) {
+      if (!missingConverters.has(error.path)) {
+        missingConverters.add(error.path);
+        console.warn(
+          `Rendition converter "${error.path}" not found; ${kind} renditions are disabled`
+        );
+      }
+      return [];
+    }
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Log once for every converter that is not installed
+ * Called at startup so a missing converter is noticed before uploads come in
+ * @returns {Promise<Array<string>>} Executables that could not be started
+ */
+export const checkRenditionConverters = async () => {
+  const converters = [
+    {
+      command: getConverterPaths().ffmpeg,
+      variable: "FFMPEG_PATH",
+      renditions: "image thumbnails and video posters",
+    },
+    {
+      command: getConverterPaths().pdftoppm,
+      variable: "PDFTOPPM_PATH",
+      renditions: "PDF previews",
+    },
+  ];
+  const missing = [];
+
+  for (const { command, variable, renditions } of converters) {
+    // Any exit status means the executable exists
+    const error = await runConverter(command, ["-v"]).catch((error) => error);
+    if (!isMissingConverter(error)) continue;
+
+    missing.push(command);
+    if (!missingConverters.has(command)) {
+      missingConverters.add(command);
+      console.warn(
+        `Rendition converter "${command}" not found; ${renditions} are disabled. Install it or set ${variable}`
+      );
+    }
+  }
+
+  return missing;
+};
+
+/**
+ * Generate and store the renditions of a newly stored attachment
+ * Renditions are stored next to the original ("<key>_<size>.<ext>") with the
+ * same provider. Failures are logged and leave the attachment without
+ * renditions
+ * @param {Object} attachment - Attachment document
+ * @param {Buffer} content - Original file bytes
+ * @returns {Promise<Object>} The attachment
+ */
+export const generateAttachmentRenditions = async (attachment, content) => {
+  const provider = getStorageProvider(attachment.storage.provider);
+  const baseKey = attachment.storage.key.replace(/\.[^./]+$/, "");
+  const renditions = [];
+
+  try {
+    const rendered = await renderRenditions(content, attachment.mimeType);
+    if (!rendered.length) {
+      return attachment;
+    }
+
+    for (const { content: file, ...rendition } of rendered) {
+      const extension = rendition.mimeType === "image/png" ? "png" : "jpg";
+      const stored = await provider.putObject(
+        `${baseKey}_${rendition.size}.${extension}`,
+        file,
+        { contentType: rendition.mimeType }
+      );
+
+      renditions.push({
+        ...rendition,
+        fileSize: file.length,
+        key: stored.key,
+        url: stored.url,
+      });
+    }
+
+    attachment.renditions = renditions;
+    await attachment.save();
+  } catch (error) {
+    console.error("Attachment rendition error:", error);
+    attachment.renditions = [];
+    await Promise.all(
+      renditions.map((rendition) =>
+        provider.deleteObject(rendition.key, rendition).catch(() => {})
+      )
+    );
+  }
+
+  return attachment;
+};
+
+/**
+ * Generate the renditions of a stored attachment from its stored original
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Object|null>} The attachment, or null if it is gone
+ */
+const renderStoredAttachment = async (attachmentId) => {
+  try {
+    const attachment = await Attachment.findById(attachmentId);
+    if (!attachment || !getRenditionKind(attachment.mimeType)) {
+      return attachment;
+    }
+
+    const content = await getStorageProvider(
+      attachment.storage.provider
+    ).getObject(attachment.storage.key, attachment.storage);
+    return await generateAttachmentRenditions(attachment, content);
+  } catch (error) {
+    console.error("Attachment rendition error:", error);
+    return null;
+  }
+};
+
+/**
+ * Queue rendition generation for a newly stored attachment
+ * Callers do not wait for it, so converters never hold up a request
+ * @param {Object} attachment - Attachment document
+ * @returns {Promise<Object|null>} Resolves with the attachment once its
+ * renditions are stored; never rejects
+ */
+export const queueAttachmentRenditions = (attachment) => {
+  const job = renditionQueue.then(() => renderStoredAttachment(attachment._id));
+  renditionQueue = job;
+  return job;
+};
+
+/**
+ * Wait until every queued rendition job has finished
+ * @returns {Promise<void>} Resolves when the queue is empty
+ */
+export const waitForQueuedRenditions = async () => {
+  let pending;
+  do {
+    pending = renditionQueue;
+    await pending;
+  } while (pending !== renditionQueue);
+};
+
+export default {
+  getRenditionKind,
+  renderRenditions,
+  checkRenditionConverters,
+  generateAttachmentRenditions,
+  queueAttachmentRenditions,
+  waitForQueuedRenditions,
+};
@@ -0,0 +1,358 @@
+import { BaseTask } from "../models/BaseTask.js";
+import Department from "../models/Department.js";
+import Organization from "../models/Organization.js";
+import SlaBreach from "../models/SlaBreach.js";
+import { emitTaskEvent } from "../utils/socketUtils.js";
+import {
+  resolveSlaPolicy,
+  getSlaDeadline,
+  getEscalationTime,
+} from "../utils/slaUtils.js";
+import {
+  createNotifications,
+  notifyTaskWatchers,
+} from "./notificationService.js";
+import {
+  TASK_STATUS,
+  SOCKET_EVENTS,
+  NOTIFICATION_TYPES,
+  SLA_CONFIG,
+} from "../constants/index.js";
+
+/**
+ * SLA Service
+ * Detects tasks that miss their organization's SLA, notifies watchers,
+ * escalates to the department HOD and keeps the breach history
+ *
+ * Safe with several server processes: each breach and escalation is claimed
+ * with a conditional update on the task's sla fields before it is recorded
+ */
+
+/**
+ * Build the task query for one SLA policy
+ * Type-specific policies take precedence, so a policy for every type
+ * skips the task types that have their own policy for the same priority
+ * @param {Object} organization - Organization with settings.slaPolicies
+ * @param {Object} policy - Active SLA policy
+ * @param {Array<Object>} policies - All active policies
+ * @param {Date} now - Current time
+ * @returns {Object} MongoDB filter for tasks in breach of the policy
+ */
+const buildBreachQuery = (organization, policy, policies, now) => {
+  const cutoff = new Date(now.getTime() - policy.completionHours * 36e5);
+  const query = {
+    organization: organization._id,
+    priority: policy.priority,
+    status: { $ne: TASK_STATUS.COMPLETED },
+    "sla.breachedAt": null,
+    // Recurring templates only spawn occurrences and are never worked on
+    "recurrence.enabled": { $ne: true },
+    // Same window as getSlaDeadline: from the last restart, else creation
+    $or: [
+      { "sla.startedAt": { $lte: cutoff } },
+      { "sla.startedAt": null, createdAt: { $lte: cutoff } },
+    ],
+  };
+
+  if (policy.taskType) {
+    query.taskType = policy.taskType;
+  } else {
+    const overriddenTypes = policies
+      .filter((other) => other.priority === policy.priority && other.taskType)
+      .map((other) => other.taskType);
+    if (overriddenTypes.length > 0) {
+      query.taskType = { $nin: overriddenTypes };
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Record a breach for a task and notify its watchers
+ * @param {Object} task - Task in breach
+ * @param {Object} policy - Breached SLA policy
+ * @param {Date} now - Current time
+ * @param {Object} socketIO - Socket.IO server instance
+ * @returns {Promise<Object|null>} Breach record, or null if another process claimed it
+ */
+const recordBreach = async (task, policy, now, socketIO) => {
+  const deadline = getSlaDeadline(task, policy);
+
+  const claimed = await BaseTask.findOneAndUpdate(
+    { _id: task._id, "sla.breachedAt": null },
+    {
+      $set: {
+        "sla.deadline": deadline,
+        "sla.breachedAt": now,
+        "sla.escalateAt": getEscalationTime(deadline, policy),
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const breach = await SlaBreach.create({
+    task: claimed._id,
+    organization: claimed.organization,
+    department: claimed.department,
+    taskType: claimed.taskType,
+    priority: claimed.priority,
+    policy: {
+      completionHours: policy.completionHours,
+      escalationHours: policy.escalationHours ?? null,
+    },
+    deadline,
+    breachedAt: now,
+  });
+
+  emitTaskEvent(socketIO, SOCKET_EVENTS.TASK_OVERDUE, claimed, {
+    breachId: breach._id,
+    deadline,
+  });
+
+  const notifications = await notifyTaskWatchers(
+    socketIO,
+    claimed,
+    NOTIFICATION_TYPES.TASK_OVERDUE,
+    { metadata: { breachId: breach._id, deadline } }
+  );
+
+  if (notifications.length > 0) {
+    breach.notifiedUsers = notifications.map(
+      (notification) => notification.recipient
+    );
+    await breach.save();
+  }
+
+  return breach;
+};
+
+/**
+ * Escalate a breached task to the HOD of its department
+ * @param {Object} task - Task due for escalation
+ * @param {Date} now - Current time
+ * @param {Object} socketIO - Socket.IO server instance
+ * @returns {Promise<boolean>} True if this process escalated the task
+ */
+const escalateBreach = async (task, now, socketIO) => {
+  const claimed = await BaseTask.findOneAndUpdate(
+    { _id: task._id, "sla.escalatedAt": null },
+    { $set: { "sla.escalatedAt": now } },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const department = await Department.findById(claimed.department);
+  const hod = department ? await department.getHOD() : null;
+
+  if (hod) {
+    await createNotifications(socketIO, [hod._id], {
+      title: "Task escalated",
+      message: `"${claimed.title}" in ${department.name} is past its SLA deadline and needs attention.`,
+      type: NOTIFICATION_TYPES.TASK_OVERDUE,
+      priority: "urgent",
+      organization: claimed.organization,
+      relatedEntity: { entityId: claimed._id, entityType: "BaseTask" },
+      metadata: {
+        taskId: claimed._id,
+        deadline: claimed.sla.deadline,
+        escalated: true,
+      },
+    });
+
+    // The HOD keeps receiving updates until the task is done
+    await BaseTask.updateOne(
+      { _id: claimed._id },
+      { $addToSet: { watchers: hod._id } }
+    );
+  }
+
+  await SlaBreach.updateOne(
+    { task: claimed._id, resolvedAt: null },
+    { $set: { escalatedAt: now, escalatedTo: hod?._id || null } }
+  );
+
+  emitTaskEvent(socketIO, SOCKET_EVENTS.TASK_ESCALATED, claimed, {
+    escalatedTo: hod?._id || null,
+    deadline: claimed.sla.deadline,
+  });
+
+  return true;
+};
+
+/**
+ * Close breaches whose task was completed or deleted, or whose SLA was
+ * restarted because the task was rescheduled or reopened
+ * @param {Object} organization - Organization document
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of resolved breaches
+ */
+const resolveFinishedBreaches = async (organization, now) => {
+  const openBreaches = await SlaBreach.findOpenByOrganization(organization._id)
+    .select("task breachedAt")
+    .limit(SLA_CONFIG.BATCH_SIZE);
+  if (openBreaches.length === 0) return 0;
+
+  const tasks = await BaseTask.find({
+    _id: { $in: openBreaches.map((breach) => breach.task) },
+    isDeleted: { $in: [true, false] },
+  }).select("status statusHistory sla isDeleted deletedAt");
+  const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+  const operations = [];
+  for (const breach of openBreaches) {
+    const task = tasksById.get(breach.task.toString());
+    let resolvedAt = null;
+
+    if (!task) {
+      resolvedAt = now;
+    } else if (task.isDeleted) {
+      resolvedAt = task.deletedAt || now;
+    } else if (task.status === TASK_STATUS.COMPLETED) {
+      const completion = [...task.statusHistory]
+        .reverse()
+        .find((entry) => entry.to === TASK_STATUS.COMPLETED);
+      resolvedAt = completion?.changedAt || now;
+    } else if (
+      task.sla?.breachedAt?.getTime() !== breach.breachedAt.getTime()
+    ) {
+      resolvedAt = now;
+    }
+
+    if (resolvedAt) {
+      operations.push({
+        updateOne: {
+          filter: { _id: breach._id, resolvedAt: null },
+          update: { $set: { resolvedAt } },
+        },
+      });
+    }
+  }
+
+  if (operations.length === 0) return 0;
+
+  const result = await SlaBreach.bulkWrite(operations);
+  return result.modifiedCount;
+};
+
+/**
+ * Evaluate the SLA policies of one organization
+ * @param {Object} organization - Organization with settings.slaPolicies
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { breached, escalated, resolved }
+ */
+export const processOrganizationSla = async (
+  organization,
+  socketIO = null,
+  now = new Date()
+) => {
+  const totals = { breached: 0, escalated: 0, resolved: 0 };
+  const policies = (organization.settings?.slaPolicies || []).filter(
+    (policy) => policy.isActive !== false
+  );
+
+  for (const policy of policies) {
+    const tasks = await BaseTask.find(
+      buildBreachQuery(organization, policy, policies, now)
+    )
+      .sort({ createdAt: 1 })
+      .limit(SLA_CONFIG.BATCH_SIZE);
+
+    for (const task of tasks) {
+      // Skip duplicate policies for the same priority and type
+      if (resolveSlaPolicy(policies, task) !== policy) continue;
+
+      try {
+        if (await recordBreach(task, policy, now, socketIO)) {
+          totals.breached += 1;
+        }
+      } catch (error) {
+        console.error(`Error recording SLA breach for task ${task._id}:`, error);
+      }
+    }
+  }
+
+  const dueEscalations = await BaseTask.find({
+    organization: organization._id,
+    status: { $ne: TASK_STATUS.COMPLETED },
+    "sla.escalateAt": { $ne: null, $lte: now },
+    "sla.escalatedAt": null,
+  })
+    .sort({ "sla.escalateAt": 1 })
+    .limit(SLA_CONFIG.BATCH_SIZE);
+
+  for (const task of dueEscalations) {
+    try {
+      if (await escalateBreach(task, now, socketIO)) {
+        totals.escalated += 1;
+      }
+    } catch (error) {
+      console.error(`Error escalating SLA breach for task ${task._id}:`, error);
+    }
+  }
+
+  totals.resolved = await resolveFinishedBreaches(organization, now);
+
+  return totals;
+};
+
+/**
+ * Evaluate SLA policies of every organization that has any
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Totals of breached, escalated and resolved tasks
+ */
+export const processSlaPolicies = async (socketIO = null, now = new Date()) => {
+  const totals = { breached: 0, escalated: 0, resolved: 0 };
+
+  const organizations = await Organization.find({
+    "settings.slaPolicies.isActive": true,
+  }).select("settings.slaPolicies");
+
+  for (const organization of organizations) {
+    try {
+      const result = await processOrganizationSla(organization, socketIO, now);
+      totals.breached += result.breached;
+      totals.escalated += result.escalated;
+      totals.resolved += result.resolved;
+    } catch (error) {
+      console.error(
+        `Error processing SLA policies for organization ${organization._id}:`,
+        error
+      );
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Start the periodic SLA job
+ * @param {Object} socketIO - Socket.IO server instance
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const initializeSlaScheduler = (socketIO) => {
+  const interval = setInterval(async () => {
+    try {
+      const totals = await processSlaPolicies(socketIO);
+      if (totals.breached > 0 || totals.escalated > 0) {
+        console.log(
+          `SLA run: ${totals.breached} breaches, ${totals.escalated} escalations, ${totals.resolved} resolved`
+        );
+      }
+    } catch (error) {
+      console.error("Error in periodic SLA run:", error);
+    }
+  }, SLA_CONFIG.SCHEDULER_INTERVAL);
+
+  console.log("SLA scheduler initialized");
+  return interval;
+};
+
+export default {
+  processOrganizationSla,
+  processSlaPolicies,
+  initializeSlaScheduler,
+};
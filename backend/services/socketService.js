@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import cookieParser from "cookie-parser";
+import { BaseTask } from "../models/BaseTask.js";
+import { authenticate } from "../middleware/auth.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { getUserRoom, getTaskRoom } from "../utils/socketUtils.js";
+import { SOCKET_EVENTS } from "../constants/index.js";
+
+/**
+ * Socket Service
+ * Authenticates Socket.IO connections with the same HTTP-only cookies as the
+ * API and manages the rooms events are broadcast to
+ *
+ * Every connection joins its user_<id> and dept_<id> rooms. Task rooms
+ * (task_<id>) are joined on request once the user may read the task
+ */
+
+/**
+ * Run an Express middleware on the handshake request of a socket
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} Socket.IO middleware
+ */
+const wrapMiddleware = (middleware) => (socket, next) =>
+  middleware(socket.request, {}, next);
+
+/**
+ * Join the personal and department rooms of an authenticated socket
+ * @param {Object} socket - Socket with request.user set
+ */
+export const joinUserRooms = (socket) => {
+  const { user } = socket.request;
+
+  socket.join([getUserRoom(user._id), `dept_${user.department._id}`]);
+};
+
+/**
+ * Join the room of a task the socket's user may read
+ * @param {Object} socket - Socket with request.user set
+ * @param {Object} payload - { taskId }
+ * @returns {Promise<Object>} { success, message }
+ */
+export const joinTaskRoom = async (socket, { taskId } = {}) => {
+  const { user } = socket.request;
+
+  if (!mongoose.isValidObjectId(taskId)) {
+    return { success: false, message: "Invalid task ID format" };
+  }
+
+  const task = await BaseTask.findOne({
+    _id: taskId,
+    organization: user.organization._id,
+  }).select("organization department createdBy assignedTo");
+
+  if (!task) {
+    return { success: false, message: "Task not found." };
+  }
+
+  if (!hasPermission(user, "read", "tasks", task)) {
+    return {
+      success: false,
+      message: "Insufficient permissions to read tasks.",
+    };
+  }
+
+  socket.join(getTaskRoom(taskId));
+  return { success: true, message: "Joined task room" };
+};
+
+/**
+ * Leave the room of a task
+ * @param {Object} socket - Socket
+ * @param {Object} payload - { taskId }
+ * @returns {Object} { success, message }
+ */
+export const leaveTaskRoom = (socket, { taskId } = {}) => {
+  if (!mongoose.isValidObjectId(taskId)) {
+    return { success: false, message: "Invalid task ID format" };
+  }
+
+  socket.leave(getTaskRoom(taskId));
+  return { success: true, message: "Left task room" };
+};
+
+/**
+ * Register a room request handler that answers through the ack callback
+ * @param {Object} socket - Socket
+ * @param {string} event - Event name
+ * @param {Function} handler - Room handler (socket, payload)
+ */
+const handleRoomRequest = (socket, event, handler) => {
+  socket.on(event, async (payload, ack) => {
+    let result;
+    try {
+      result = await handler(socket, payload);
+    } catch (error) {
+      console.error(`Socket ${event} error:`, error);
+      result = { success: false, message: "Failed to update rooms." };
+    }
+
+    if (typeof ack === "function") {
+      ack(result);
+    }
+  });
+};
+
+/**
+ * Authenticate connections and register room handlers
+ * Connections without a valid access token cookie are refused
+ * @param {Object} io - Socket.IO server instance
+ */
+export const initializeSocketHandlers = (io) => {
+  io.use(wrapMiddleware(cookieParser()));
+  io.use(wrapMiddleware(authenticate));
+
+  io.on(SOCKET_EVENTS.CONNECTION, (socket) => {
+    joinUserRooms(socket);
+    handleRoomRequest(socket, SOCKET_EVENTS.JOIN_ROOM, joinTaskRoom);
+    handleRoomRequest(socket, SOCKET_EVENTS.LEAVE_ROOM, leaveTaskRoom);
+  });
+};
+
+export default {
+  joinUserRooms,
+  joinTaskRoom,
+  leaveTaskRoom,
+  initializeSocketHandlers,
+};
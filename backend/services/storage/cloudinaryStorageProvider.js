@@ -0,0 +1,182 @@
+import crypto from "node:crypto";
+import CustomError from "../../utils/CustomError.js";
+import {
+  normalizeStorageKey,
+  openContentBlob,
+} from "../../utils/storageUtils.js";
+import { STORAGE_PROVIDERS, ERROR_CODES } from "../../constants/index.js";
+
+/**
+ * Cloudinary Storage Provider
+ * Stores attachment files through Cloudinary's signed upload API. Attachments
+ * uploaded before pluggable storage live here too. Configure with
+ * CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET
+ *
+ * Cloudinary addresses files by delivery URL rather than by public ID alone,
+ * so reads and deletes take the stored URL of the object
+ */
+
+/**
+ * Get the Cloudinary credentials
+ * @returns {Object} { cloudName, apiKey, apiSecret }
+ */
+const getCloudinaryConfig = () => {
+  const config = {
+    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    apiKey: process.env.CLOUDINARY_API_KEY,
+    apiSecret: process.env.CLOUDINARY_API_SECRET,
+  };
+
+  if (!config.cloudName || !config.apiKey || !config.apiSecret) {
+    throw new Error("Cloudinary is not configured");
+  }
+
+  return config;
+};
+
+/**
+ * Sign API parameters as Cloudinary expects
+ * Parameters are sorted by name, joined as key=value pairs with "&" and
+ * hashed together with the API secret
+ * @param {Object} params - API parameters (without file and api_key)
+ * @param {string} apiSecret - Cloudinary API secret
+ * @returns {string} SHA-1 signature
+ */
+export const signCloudinaryParams = (params, apiSecret) => {
+  const serialized = Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== "")
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+
+  return crypto
+    .createHash("sha1")
+    .update(serialized + apiSecret)
+    .digest("hex");
+};
+
+/**
+ * Get the resource type of a Cloudinary delivery URL
+ * @param {string} url - Delivery URL
+ * @returns {string} image, video or raw
+ */
+const getResourceType = (url) =>
+  String(url || "").match(/\/(image|video|raw)\/upload\//)?.[1] || "image";
+
+/**
+ * Call a signed Cloudinary API endpoint
+ * @param {string} path - Endpoint path under the cloud
+ * @param {Object} params - Signed parameters
+ * @param {Object} file - Optional { content, contentType, filename }, where
+ * content is a Buffer or { path, size } of a file
+ * @returns {Promise<Object>} Response body
+ */
+const callCloudinary = async (path, params, file) => {
+  const { cloudName, apiKey, apiSecret } = getCloudinaryConfig();
+  const signedParams = {
+    ...params,
+    timestamp: Math.floor(Date.now() / 1000),
+  };
+
+  const form = new FormData();
+  if (file) {
+    form.append(
+      "file",
+      await openContentBlob(file.content, file.contentType),
+      file.filename
+    );
+  }
+  Object.entries(signedParams).forEach(([key, value]) => {
+    if (value !== undefined) form.append(key, String(value));
+  });
+  form.append("api_key", apiKey);
+  form.append("signature", signCloudinaryParams(signedParams, apiSecret));
+
+  const response = await fetch(
+    `https://api.cloudinary.com/v1_1/${cloudName}/${path}`,
+    { method: "POST", body: form }
+  );
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(
+      result.error?.message || `Cloudinary request failed (${response.status})`
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Create a Cloudinary storage provider
+ * @returns {Object} Storage provider
+ */
+export const createCloudinaryStorageProvider = () => ({
+  name: STORAGE_PROVIDERS.CLOUDINARY,
+
+  /**
+   * Upload a file; the key becomes its public ID
+   * @param {string} key - Object key
+   * @param {Buffer|Object} content - File bytes, or { path, size } of a file
+   * @param {Object} options - { contentType, filename }
+   * @returns {Promise<Object>} { key, url }
+   */
+  async putObject(key, content, { contentType, filename } = {}) {
+    const result = await callCloudinary(
+      "auto/upload",
+      { public_id: normalizeStorageKey(key) },
+      { content, contentType, filename: filename || key.split("/").pop() }
+    );
+
+    return { key: result.public_id, url: result.secure_url };
+  },
+
+  /**
+   * Download a file
+   * @param {string} key - Public ID
+   * @param {Object} stored - Stored object ({ url })
+   * @returns {Promise<Buffer>} File bytes
+   */
+  async getObject(key, { url } = {}) {
+    const response = url ? await fetch(url) : { status: 404 };
+
+    if (response.status === 404) {
+      throw CustomError.notFound(
+        "Stored file not found",
+        ERROR_CODES.STORED_FILE_NOT_FOUND
+      );
+    }
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed (${response.status})`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} key - Public ID
+   * @param {Object} stored - Stored object ({ url })
+   * @returns {Promise<void>}
+   */
+  async deleteObject(key, { url } = {}) {
+    await callCloudinary(`${getResourceType(url)}/destroy`, {
+      public_id: key,
+    });
+  },
+
+  /**
+   * Get the public URL of a file
+   * @param {string} key - Public ID
+   * @param {Object} stored - Stored object ({ url })
+   * @returns {string|null} Delivery URL
+   */
+  getObjectUrl(key, { url } = {}) {
+    return url || null;
+  },
+});
+
+export default {
+  signCloudinaryParams,
+  createCloudinaryStorageProvider,
+};
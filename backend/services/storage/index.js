@@ -0,0 +1,61 @@
+import { createLocalStorageProvider } from "./localStorageProvider.js";
+import { createS3StorageProvider } from "./s3StorageProvider.js";
+import {
+  createCloudinaryStorageProvider,
+} from "./cloudinaryStorageProvider.js";
+import { STORAGE_PROVIDERS } from "../../constants/index.js";
+
+/**
+ * Attachment Storage
+ * Registry of storage providers. New files go to the provider named by
+ * STORAGE_PROVIDER (local, s3 or cloudinary; defaults to local), while
+ * existing files are read from whichever provider stored them
+ *
+ * Every provider exposes the same interface:
+ * - name: provider name recorded on attachments
+ * - putObject(key, content, { contentType, filename }) → { key, url }
+ * - getObject(key, stored) → Buffer
+ * - deleteObject(key, stored) → void
+ * - getObjectUrl(key, stored) → public URL or null
+ * where stored is the { key, url } recorded when the object was written and
+ * content is a Buffer or { path, size } of a file on disk
+ */
+
+const PROVIDER_FACTORIES = {
+  [STORAGE_PROVIDERS.LOCAL]: createLocalStorageProvider,
+  [STORAGE_PROVIDERS.S3]: createS3StorageProvider,
+  [STORAGE_PROVIDERS.CLOUDINARY]: createCloudinaryStorageProvider,
+};
+
+// Providers are created on first use so unused backends need no configuration
+const providers = new Map();
+
+/**
+ * Get the name of the provider new files are stored with
+ * @returns {string} Provider name
+ */
+export const getDefaultStorageProviderName = () =>
+  process.env.STORAGE_PROVIDER || STORAGE_PROVIDERS.LOCAL;
+
+/**
+ * Get a storage provider
+ * @param {string} name - Provider name (defaults to STORAGE_PROVIDER)
+ * @returns {Object} Storage provider
+ * @throws {Error} If the provider is unknown or not configured
+ */
+export const getStorageProvider = (name = getDefaultStorageProviderName()) => {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+
+  return providers.get(name);
+};
+
+export default {
+  getDefaultStorageProviderName,
+  getStorageProvider,
+};
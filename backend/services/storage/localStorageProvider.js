@@ -0,0 +1,107 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import CustomError from "../../utils/CustomError.js";
+import { normalizeStorageKey } from "../../utils/storageUtils.js";
+import { STORAGE_PROVIDERS, ERROR_CODES } from "../../constants/index.js";
+
+/**
+ * Local Storage Provider
+ * Stores attachment files on the local filesystem under STORAGE_LOCAL_ROOT
+ * (defaults to ./uploads). Files have no public URL and are served through
+ * the API
+ */
+
+/**
+ * Create a local filesystem storage provider
+ * @param {Object} options - Provider options
+ * @param {string} options.root - Directory files are stored in
+ * @returns {Object} Storage provider
+ */
+export const createLocalStorageProvider = ({
+  root = process.env.STORAGE_LOCAL_ROOT || "uploads",
+} = {}) => {
+  const rootDir = path.resolve(root);
+
+  /**
+   * Resolve a key to a path inside the storage root
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   */
+  const resolvePath = (key) =>
+    path.join(rootDir, ...normalizeStorageKey(key).split("/"));
+
+  return {
+    name: STORAGE_PROVIDERS.LOCAL,
+
+    /**
+     * Write a file
+     * Content is written to a temporary file first and renamed into place so
+     * readers never see a partial file
+     * @param {string} key - Object key
+     * @param {Buffer|Object} content - File bytes, or { path } of a file to
+     * copy
+     * @returns {Promise<Object>} { key, url }
+     */
+    async putObject(key, content) {
+      const filePath = resolvePath(key);
+      const suffix = crypto.randomBytes(6).toString("hex");
+      const tempPath = `${filePath}.${suffix}.tmp`;
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        if (Buffer.isBuffer(content)) {
+          await fs.writeFile(tempPath, content);
+        } else {
+          await fs.copyFile(content.path, tempPath);
+        }
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+
+      return { key, url: null };
+    },
+
+    /**
+     * Read a file
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer>} File bytes
+     */
+    async getObject(key) {
+      try {
+        return await fs.readFile(resolvePath(key));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          throw CustomError.notFound(
+            "Stored file not found",
+            ERROR_CODES.STORED_FILE_NOT_FOUND
+          );
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Delete a file; missing files are ignored
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async deleteObject(key) {
+      await fs.rm(resolvePath(key), { force: true });
+    },
+
+    /**
+     * Get the public URL of a file
+     * @returns {null} Local files are not publicly addressable
+     */
+    getObjectUrl() {
+      return null;
+    },
+  };
+};
+
+export default {
+  createLocalStorageProvider,
+};
@@ -0,0 +1,190 @@
+import CustomError from "../../utils/CustomError.js";
+import {
+  normalizeStorageKey,
+  openContentBlob,
+} from "../../utils/storageUtils.js";
+import {
+  signAwsRequest,
+  hashPayload,
+  hashFile,
+  encodeRfc3986,
+} from "../../utils/awsSignatureUtils.js";
+import { STORAGE_PROVIDERS, ERROR_CODES } from "../../constants/index.js";
+
+/**
+ * S3 Storage Provider
+ * Stores attachment files in an S3-compatible bucket (AWS S3, MinIO, ...)
+ * using signed REST requests. Configure with S3_BUCKET, S3_ACCESS_KEY_ID,
+ * S3_SECRET_ACCESS_KEY and optionally S3_REGION, S3_ENDPOINT (e.g.
+ * http://localhost:9000 for MinIO), S3_FORCE_PATH_STYLE and S3_PUBLIC_URL
+ */
+
+/**
+ * Read the provider configuration from the environment
+ * Path-style URLs are used by default with a custom endpoint, since MinIO
+ * and most self-hosted stores do not serve bucket subdomains
+ * @returns {Object} Provider configuration
+ */
+const getS3ConfigFromEnv = () => ({
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION,
+  endpoint: process.env.S3_ENDPOINT,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === "true"
+    : undefined,
+  publicUrl: process.env.S3_PUBLIC_URL,
+});
+
+/**
+ * Get the error message of a failed S3 response
+ * @param {Response} response - Fetch response
+ * @param {string} action - Action that failed
+ * @returns {Promise<string>} Error message
+ */
+const getErrorMessage = async (response, action) => {
+  const body = await response.text().catch(() => "");
+  const message = body.match(/<Message>([^<]*)<\/Message>/)?.[1];
+  return `S3 ${action} failed (${response.status})${
+    message ? `: ${message}` : ""
+  }`;
+};
+
+/**
+ * Create an S3-compatible storage provider
+ * @param {Object} config - Provider configuration (defaults to S3_* env vars)
+ * @returns {Object} Storage provider
+ */
+export const createS3StorageProvider = (config = getS3ConfigFromEnv()) => {
+  const {
+    bucket,
+    region = "us-east-1",
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = Boolean(endpoint),
+    publicUrl,
+  } = config;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage is not configured");
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const credentials = { accessKeyId, secretAccessKey, region };
+
+  /**
+   * Build the URL of an object
+   * @param {string} key - Object key
+   * @returns {string} Object URL
+   */
+  const getRequestUrl = (key) => {
+    const path = encodeRfc3986(normalizeStorageKey(key), true);
+    const origin = forcePathStyle
+      ? `${baseUrl.origin}/${bucket}`
+      : `${baseUrl.protocol}//${bucket}.${baseUrl.host}`;
+
+    return `${origin}/${path}`;
+  };
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} options - { body, payloadHash, headers }; the payload
+   * hash is computed from the body when it is not given
+   * @returns {Promise<Response>} Fetch response
+   */
+  const send = (method, key, { body, payloadHash, headers } = {}) => {
+    const url = getRequestUrl(key);
+    const signedHeaders = signAwsRequest(
+      {
+        method,
+        url,
+        headers,
+        payloadHash: payloadHash || hashPayload(body || ""),
+      },
+      credentials
+    );
+
+    return fetch(url, { method, headers: signedHeaders, body });
+  };
+
+  return {
+    name: STORAGE_PROVIDERS.S3,
+
+    /**
+     * Upload an object
+     * A file on disk is hashed and then sent as it is read
+     * @param {string} key - Object key
+     * @param {Buffer|Object} content - File bytes, or { path, size } of a file
+     * @param {Object} options - { contentType }
+     * @returns {Promise<Object>} { key, url }
+     */
+    async putObject(key, content, { contentType } = {}) {
+      const isBuffer = Buffer.isBuffer(content);
+      const response = await send("PUT", key, {
+        body: isBuffer ? content : await openContentBlob(content),
+        payloadHash: isBuffer ? undefined : await hashFile(content.path),
+        headers: contentType ? { "content-type": contentType } : {},
+      });
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "upload"));
+      }
+
+      return { key, url: this.getObjectUrl(key) };
+    },
+
+    /**
+     * Download an object
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer>} File bytes
+     */
+    async getObject(key) {
+      const response = await send("GET", key);
+
+      if (response.status === 404) {
+        throw CustomError.notFound(
+          "Stored file not found",
+          ERROR_CODES.STORED_FILE_NOT_FOUND
+        );
+      }
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "download"));
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    /**
+     * Delete an object; missing objects are ignored
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async deleteObject(key) {
+      const response = await send("DELETE", key);
+
+      if (!response.ok && response.status !== 404) {
+        throw new Error(await getErrorMessage(response, "delete"));
+      }
+    },
+
+    /**
+     * Get the public URL of an object
+     * @param {string} key - Object key
+     * @returns {string|null} URL under S3_PUBLIC_URL, or null when the bucket
+     * is private
+     */
+    getObjectUrl(key) {
+      return publicUrl
+        ? `${publicUrl.replace(/\/+$/, "")}/${encodeRfc3986(key, true)}`
+        : null;
+    },
+  };
+};
+
+export default {
+  createS3StorageProvider,
+};
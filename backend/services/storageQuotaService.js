@@ -0,0 +1,215 @@
+import Attachment from "../models/Attachment.js";
+import Organization from "../models/Organization.js";
+import User from "../models/User.js";
+import CustomError from "../utils/CustomError.js";
+import { createNotifications } from "./notificationService.js";
+import {
+  STORAGE_QUOTAS,
+  STORAGE_QUOTA_WARNING_THRESHOLDS,
+  NOTIFICATION_TYPES,
+  USER_ROLES,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+/**
+ * Storage Quota Service
+ * Limits the attachment storage of each organization. Usage is the total
+ * size of the organization's attachments and their renditions (thumbnails,
+ * previews and posters)
+ */
+
+// Bytes stored for one attachment, renditions included
+const STORED_SIZE = { $add: ["$fileSize", { $sum: "$renditions.fileSize" }] };
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Byte count
+ * @returns {string} Size such as "4.5 GB"
+ */
+const formatBytes = (bytes) => {
+  const units = ["Bytes", "KB", "MB", "GB", "TB"];
+  const index =
+    bytes > 0
+      ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1)
+      : 0;
+
+  return `${parseFloat((bytes / Math.pow(1024, index)).toFixed(2))} ${
+    units[index]
+  }`;
+};
+
+/**
+ * Get the storage quota of an organization
+ * @param {Object} organization - Organization with size and storageQuota
+ * @returns {number} Quota in bytes
+ */
+export const getStorageQuota = (organization) =>
+  organization.storageQuota ?? STORAGE_QUOTAS[organization.size] ?? 0;
+
+/**
+ * Describe storage usage against a quota
+ * @param {number} used - Bytes in use
+ * @param {number} quota - Quota in bytes
+ * @returns {Object} { used, quota, available, usagePercent }
+ */
+export const buildQuotaUsage = (used, quota) => ({
+  used,
+  quota,
+  available: Math.max(quota - used, 0),
+  usagePercent:
+    quota > 0 ? Math.round((used / quota) * 10000) / 100 : used > 0 ? 100 : 0,
+});
+
+/**
+ * Get the warning thresholds passed when usage grows
+ * @param {number} before - Bytes in use before the upload
+ * @param {number} after - Bytes in use after the upload
+ * @param {number} quota - Quota in bytes
+ * @returns {Array<number>} Percentages crossed, lowest first
+ */
+export const getCrossedThresholds = (before, after, quota) =>
+  STORAGE_QUOTA_WARNING_THRESHOLDS.filter((percent) => {
+    const limit = (quota * percent) / 100;
+    return before < limit && after >= limit;
+  });
+
+/**
+ * Sum the stored bytes of attachments per organization
+ * @param {Object} match - Extra attachment filter
+ * @returns {Promise<Map>} Bytes in use keyed by organization ID
+ */
+const sumStoredBytes = async (match = {}) => {
+  const totals = await Attachment.aggregate([
+    { $match: { ...match, isDeleted: { $ne: true } } },
+    { $group: { _id: "$organization", totalSize: { $sum: STORED_SIZE } } },
+  ]);
+
+  return new Map(
+    totals.map((total) => [total._id.toString(), total.totalSize])
+  );
+};
+
+/**
+ * Get the storage usage of an organization
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} Usage (see buildQuotaUsage)
+ */
+export const getOrganizationStorageUsage = async (organization) => {
+  const usedById = await sumStoredBytes({ organization: organization._id });
+  return buildQuotaUsage(
+    usedById.get(organization._id.toString()) || 0,
+    getStorageQuota(organization)
+  );
+};
+
+/**
+ * Ensure an organization has room for new files
+ * Checked before storing, so uploads running at the same time may together
+ * go slightly over the quota
+ * @param {string} organizationId - Organization ID
+ * @param {number} bytes - Total size of the files to store
+ * @returns {Promise<Object>} Usage before the upload, with the organization
+ * @throws {CustomError} If the files would exceed the quota
+ */
+export const assertStorageAvailable = async (organizationId, bytes) => {
+  const organization = await Organization.findById(organizationId).select(
+    "name size storageQuota"
+  );
+  if (!organization) {
+    throw CustomError.notFound("Organization not found.");
+  }
+
+  const usage = await getOrganizationStorageUsage(organization);
+  if (usage.used + bytes > usage.quota) {
+    throw CustomError.payloadTooLarge(
+      `This upload needs ${formatBytes(bytes)} but only ${formatBytes(
+        usage.available
+      )} of the organization's ${formatBytes(
+        usage.quota
+      )} storage quota is left`,
+      ERROR_CODES.STORAGE_QUOTA_EXCEEDED
+    );
+  }
+
+  return { ...usage, organization };
+};
+
+/**
+ * Warn the organization's admins when an upload passes a quota threshold
+ * Failures are logged and never interrupt the upload
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Object} usage - Usage before the upload (see assertStorageAvailable)
+ * @param {number} bytes - Total size of the stored files
+ * @returns {Promise<Array>} Created notifications
+ */
+export const notifyStorageQuotaWarnings = async (socketIO, usage, bytes) => {
+  const { organization, used, quota } = usage;
+  const crossed = getCrossedThresholds(used, used + bytes, quota);
+  if (!crossed.length) return [];
+
+  try {
+    const percent = crossed[crossed.length - 1];
+    const admins = await User.find({
+      organization: organization._id,
+      role: { $in: [USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN] },
+    }).select("_id");
+
+    return await createNotifications(
+      socketIO,
+      admins.map((admin) => admin._id),
+      {
+        title: "Storage almost full",
+        message: `${organization.name} has used ${percent}% of its ${formatBytes(
+          quota
+        )} storage quota. Delete unused files or ask for a larger quota.`,
+        type: NOTIFICATION_TYPES.SYSTEM_ALERT,
+        priority:
+          percent === STORAGE_QUOTA_WARNING_THRESHOLDS.at(-1)
+            ? "urgent"
+            : "high",
+        organization: organization._id,
+        relatedEntity: {
+          entityId: organization._id,
+          entityType: "Organization",
+        },
+        metadata: { threshold: percent, used: used + bytes, quota },
+      }
+    );
+  } catch (error) {
+    console.error("Error sending storage quota warnings:", error);
+    return [];
+  }
+};
+
+/**
+ * Get the storage usage of several organizations
+ * @param {Object} filters - Filters selecting the organizations
+ * @returns {Promise<Array>} Usage per organization, fullest first
+ */
+export const getStorageUsageByOrganization = async (filters = {}) => {
+  const [organizations, usedById] = await Promise.all([
+    Organization.find(filters).select("name size storageQuota").lean(),
+    sumStoredBytes(),
+  ]);
+
+  return organizations
+    .map((organization) => ({
+      organization: organization._id,
+      name: organization.name,
+      ...buildQuotaUsage(
+        usedById.get(organization._id.toString()) || 0,
+        getStorageQuota(organization)
+      ),
+    }))
+    .sort((a, b) => b.usagePercent - a.usagePercent);
+};
+
+export default {
+  getStorageQuota,
+  buildQuotaUsage,
+  getCrossedThresholds,
+  getOrganizationStorageUsage,
+  assertStorageAvailable,
+  notifyStorageQuotaWarnings,
+  getStorageUsageByOrganization,
+};
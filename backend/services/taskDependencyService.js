@@ -0,0 +1,352 @@
+import mongoose from "mongoose";
+import { BaseTask } from "../models/BaseTask.js";
+import CustomError from "../utils/CustomError.js";
+import {
+  TASK_STATUS,
+  ERROR_CODES,
+  BUSINESS_RULES,
+  MANAGER_AND_ABOVE_ROLES,
+  VALIDATION_LIMITS,
+} from "../constants/index.js";
+
+/**
+ * Task Dependency Service
+ * Manages blocks / blocked-by relationships between tasks
+ *
+ * Only blockedBy is stored; "blocks" is the inverse relationship and is
+ * resolved by querying tasks whose blockedBy contains the task
+ */
+
+// Fields returned for every node of a dependency graph
+const GRAPH_NODE_FIELDS =
+  "title status priority taskType dueDate department blockedBy";
+
+/**
+ * Find a blocked-by path between two tasks
+ * @param {Map<string, Array<string>>} edges - blockedBy lists keyed by task ID
+ * @param {string} fromId - Task to start from
+ * @param {string} targetId - Task to reach
+ * @returns {Array<string>|null} Task IDs from fromId to targetId, or null when unreachable
+ */
+export const findDependencyPath = (edges, fromId, targetId) => {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    if (current === targetId) {
+      const path = [];
+      for (let node = current; node !== null; node = previous.get(node)) {
+        path.unshift(node);
+      }
+      return path;
+    }
+
+    (edges.get(current) || []).forEach((next) => {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Load the blockedBy edges reachable upstream from a task
+ * @param {string} organizationId - Organization ID
+ * @param {string} startId - Task to start from
+ * @returns {Promise<Map<string, Array<string>>>} blockedBy lists keyed by task ID
+ */
+const loadUpstreamEdges = async (organizationId, startId) => {
+  const edges = new Map();
+  let frontier = [startId.toString()];
+
+  while (frontier.length > 0) {
+    const tasks = await BaseTask.find({
+      _id: { $in: frontier },
+      organization: organizationId,
+    })
+      .select("blockedBy")
+      .lean();
+
+    frontier = [];
+    tasks.forEach((task) => {
+      const blockers = (task.blockedBy || []).map((id) => id.toString());
+      edges.set(task._id.toString(), blockers);
+      blockers.forEach((blockerId) => {
+        if (!edges.has(blockerId) && !frontier.includes(blockerId)) {
+          frontier.push(blockerId);
+        }
+      });
+    });
+  }
+
+  return edges;
+};
+
+/**
+ * Declare that a task is blocked by another task
+ * @param {Object} task - Dependent task document
+ * @param {string} blockerId - ID of the blocking task
+ * @throws {CustomError} If the dependency is invalid or would create a cycle
+ * @returns {Promise<Object>} Blocking task
+ */
+export const addDependency = async (task, blockerId) => {
+  const supportedTypes = BUSINESS_RULES.DEPENDENCY_SUPPORTED_TASK_TYPES;
+
+  if (!supportedTypes.includes(task.taskType)) {
+    throw CustomError.badRequest(
+      `Dependencies are only supported for: ${supportedTypes.join(", ")}.`,
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  if (task._id.equals(blockerId)) {
+    throw CustomError.badRequest(
+      "A task cannot block itself.",
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  if (task.blockedBy.some((id) => id.equals(blockerId))) {
+    throw CustomError.conflict(
+      "Task is already blocked by this task.",
+      ERROR_CODES.RESOURCE_CONFLICT
+    );
+  }
+
+  if (task.blockedBy.length >= VALIDATION_LIMITS.TASK_BLOCKERS_MAX) {
+    throw CustomError.badRequest(
+      `A task cannot have more than ${VALIDATION_LIMITS.TASK_BLOCKERS_MAX} blocking tasks.`,
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  const blocker = await BaseTask.findOne({
+    _id: blockerId,
+    organization: task.organization,
+  }).select("title status taskType");
+
+  if (!blocker) {
+    throw CustomError.notFound("Blocking task not found.");
+  }
+
+  if (!supportedTypes.includes(blocker.taskType)) {
+    throw CustomError.badRequest(
+      `Only ${supportedTypes.join(", ")} can block other tasks.`,
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  // Adding task -> blocker closes a cycle if the blocker already waits on the task
+  const edges = await loadUpstreamEdges(task.organization, blocker._id);
+  const path = findDependencyPath(
+    edges,
+    blocker._id.toString(),
+    task._id.toString()
+  );
+
+  if (path) {
+    throw CustomError.badRequest(
+      `Dependency would create a cycle: ${[task._id.toString(), ...path].join(
+        " -> "
+      )}.`,
+      ERROR_CODES.DEPENDENCY_CYCLE
+    );
+  }
+
+  task.blockedBy.push(blocker._id);
+  await task.save();
+
+  return blocker;
+};
+
+/**
+ * Remove a blocked-by relationship
+ * @param {Object} task - Dependent task document
+ * @param {string} blockerId - ID of the blocking task
+ * @throws {CustomError} If the task is not blocked by the given task
+ */
+export const removeDependency = async (task, blockerId) => {
+  if (!task.blockedBy.some((id) => id.equals(blockerId))) {
+    throw CustomError.notFound("Task is not blocked by this task.");
+  }
+
+  task.blockedBy.pull(blockerId);
+  await task.save();
+};
+
+/**
+ * Get blocking tasks that are not completed yet
+ * Deleted blocking tasks no longer block
+ * @param {Object} task - Task document or plain object
+ * @returns {Promise<Array<Object>>} Unresolved blocking tasks
+ */
+export const getUnresolvedBlockers = (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return BaseTask.find({
+    _id: { $in: task.blockedBy },
+    status: { $ne: TASK_STATUS.COMPLETED },
+  })
+    .select("title status taskType")
+    .lean();
+};
+
+/**
+ * Ensure a task can start given its blocking tasks
+ * @param {Object} task - Task document
+ * @param {Object} context - Transition context
+ * @param {string} context.role - Role of the acting user
+ * @param {boolean} context.override - Whether the actor asked to override blockers
+ * @throws {CustomError} If unresolved blockers remain and no valid override was given
+ * @returns {Promise<boolean>} True when unresolved blockers were overridden
+ */
+export const assertDependenciesResolved = async (task, context = {}) => {
+  const blockers = await getUnresolvedBlockers(task);
+
+  if (blockers.length === 0) {
+    return false;
+  }
+
+  if (!context.override) {
+    throw CustomError.badRequest(
+      `Task is blocked by unfinished tasks: ${blockers
+        .map((blocker) => `"${blocker.title}"`)
+        .join(", ")}.`,
+      ERROR_CODES.TASK_BLOCKED
+    );
+  }
+
+  if (!MANAGER_AND_ABOVE_ROLES.includes(context.role)) {
+    throw CustomError.forbidden(
+      "Only managers can start a task before its blocking tasks are completed.",
+      ERROR_CODES.DEPENDENCY_OVERRIDE_FORBIDDEN
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Build the dependency graph around a task
+ * @param {Object} task - Root task
+ * @param {number} depth - Maximum number of hops in each direction
+ * @returns {Promise<Object>} { nodes, edges, truncated } where each edge points from blocker to dependent
+ */
+export const buildDependencyGraph = async (
+  task,
+  depth = VALIDATION_LIMITS.DEPENDENCY_GRAPH_DEPTH_DEFAULT
+) => {
+  const rootId = task._id.toString();
+  const nodes = new Map();
+  const edges = new Map();
+  let truncated = false;
+
+  const addEdge = (blockerId, dependentId) => {
+    edges.set(`${blockerId}:${dependentId}`, {
+      from: blockerId,
+      to: dependentId,
+    });
+  };
+
+  const root = await BaseTask.findById(task._id)
+    .select(GRAPH_NODE_FIELDS)
+    .lean();
+  nodes.set(rootId, { ...root, depth: 0 });
+
+  // Upstream: tasks this task is waiting for
+  let frontier = [root];
+  for (let level = 1; frontier.length > 0; level++) {
+    const blockerIds = frontier.flatMap((node) =>
+      (node.blockedBy || []).map((id) => id.toString())
+    );
+    frontier.forEach((node) =>
+      (node.blockedBy || []).forEach((id) =>
+        addEdge(id.toString(), node._id.toString())
+      )
+    );
+
+    const pendingIds = [...new Set(blockerIds)].filter((id) => !nodes.has(id));
+    if (pendingIds.length === 0) break;
+    if (level > depth) {
+      truncated = true;
+      break;
+    }
+
+    frontier = await BaseTask.find({
+      _id: { $in: pendingIds },
+      organization: task.organization,
+    })
+      .select(GRAPH_NODE_FIELDS)
+      .lean();
+    frontier.forEach((node) =>
+      nodes.set(node._id.toString(), { ...node, depth: -level })
+    );
+  }
+
+  // Downstream: tasks waiting for this task
+  frontier = [root];
+  for (let level = 1; frontier.length > 0; level++) {
+    const dependents = await BaseTask.find({
+      organization: task.organization,
+      blockedBy: {
+        $in: frontier.map((node) => new mongoose.Types.ObjectId(node._id)),
+      },
+    })
+      .select(GRAPH_NODE_FIELDS)
+      .lean();
+
+    const frontierIds = new Set(frontier.map((node) => node._id.toString()));
+    dependents.forEach((dependent) =>
+      (dependent.blockedBy || [])
+        .map((id) => id.toString())
+        .filter((id) => frontierIds.has(id))
+        .forEach((id) => addEdge(id, dependent._id.toString()))
+    );
+
+    const pending = dependents.filter(
+      (dependent) => !nodes.has(dependent._id.toString())
+    );
+    if (pending.length === 0) break;
+    if (level > depth) {
+      truncated = true;
+      break;
+    }
+
+    pending.forEach((node) =>
+      nodes.set(node._id.toString(), { ...node, depth: level })
+    );
+    frontier = pending;
+  }
+
+  // Drop edges to nodes cut off by the depth limit
+  const graphEdges = [...edges.values()].filter(
+    (edge) => nodes.has(edge.from) && nodes.has(edge.to)
+  );
+
+  const graphNodes = [...nodes.values()].map(({ blockedBy, ...node }) => ({
+    ...node,
+    isBlocked: graphEdges.some(
+      (edge) =>
+        edge.to === node._id.toString() &&
+        nodes.get(edge.from).status !== TASK_STATUS.COMPLETED
+    ),
+  }));
+
+  return { nodes: graphNodes, edges: graphEdges, truncated };
+};
+
+export default {
+  findDependencyPath,
+  addDependency,
+  removeDependency,
+  getUnresolvedBlockers,
+  assertDependenciesResolved,
+  buildDependencyGraph,
+};
@@ -0,0 +1,165 @@
+import Organization from "../models/Organization.js";
+import CustomError from "../utils/CustomError.js";
+import { assertDependenciesResolved } from "./taskDependencyService.js";
+import { assertCommentThreadsResolved } from "./commentService.js";
+import {
+  TASK_STATUS,
+  TASK_STATUS_TRANSITIONS,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+/**
+ * Task Status Service
+ * Enforces the declarative status transition tables per task type
+ * and records every transition in the task's status history
+ */
+
+/**
+ * Merge the default transition table of a task type with organization overrides
+ * Overrides replace the rule list of each source status they define
+ * @param {string} taskType - Task discriminator key
+ * @param {Object} overrides - Organization overrides keyed by task type
+ * @returns {Object} Effective transition table keyed by source status
+ */
+export const buildTransitionTable = (taskType, overrides = {}) => {
+  return {
+    ...(TASK_STATUS_TRANSITIONS[taskType] || {}),
+    ...(overrides?.[taskType] || {}),
+  };
+};
+
+/**
+ * Get the effective transition table for a task type in an organization
+ * @param {string} taskType - Task discriminator key
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} Effective transition table
+ */
+export const getTransitionTable = async (taskType, organizationId) => {
+  const organization = await Organization.findById(organizationId)
+    .select("settings")
+    .lean();
+
+  return buildTransitionTable(
+    taskType,
+    organization?.settings?.taskStatusTransitions
+  );
+};
+
+/**
+ * Get the effective transition tables for every task type in an organization
+ * @param {Object} organization - Organization document or plain object
+ * @returns {Object} Transition tables keyed by task type
+ */
+export const getAllTransitionTables = (organization) => {
+  const overrides = organization?.settings?.taskStatusTransitions;
+
+  return Object.keys(TASK_STATUS_TRANSITIONS).reduce((tables, taskType) => {
+    tables[taskType] = buildTransitionTable(taskType, overrides);
+    return tables;
+  }, {});
+};
+
+/**
+ * Check a transition against a transition table
+ * @param {Object} table - Effective transition table
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} context - Transition context
+ * @param {string} context.role - Role of the acting user
+ * @param {string} context.comment - Comment supplied with the transition
+ * @throws {CustomError} If the transition is not allowed
+ * @returns {Object} Matching transition rule
+ */
+export const assertTransitionAllowed = (table, from, to, context = {}) => {
+  const rule = (table[from] || []).find((candidate) => candidate.to === to);
+
+  if (!rule) {
+    throw CustomError.badRequest(
+      `Cannot change status from "${from}" to "${to}".`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  if (rule.roles && rule.roles.length > 0 && !rule.roles.includes(context.role)) {
+    throw CustomError.forbidden(
+      `Changing status from "${from}" to "${to}" requires one of the roles: ${rule.roles.join(
+        ", "
+      )}.`,
+      ERROR_CODES.STATUS_TRANSITION_FORBIDDEN
+    );
+  }
+
+  if (rule.requiresReason && !context.comment?.trim()) {
+    throw CustomError.badRequest(
+      `A reason is required to change status to "${to}".`,
+      ERROR_CODES.STATUS_REASON_REQUIRED
+    );
+  }
+
+  return rule;
+};
+
+/**
+ * Apply a status transition to a task and record it in the status history
+ * The task is not saved; callers persist it together with any other changes
+ * @param {Object} task - Task document
+ * @param {string} status - Requested status
+ * @param {Object} options - Transition options
+ * @param {Object} options.actor - User performing the transition
+ * @param {string} options.comment - Optional comment or reason
+ * @param {Object} options.table - Pre-resolved transition table (optional)
+ * @param {boolean} options.overrideDependencies - Start despite unresolved blockers (managers only)
+ * @returns {Promise<Object|null>} Recorded history entry or null when unchanged
+ */
+export const applyStatusTransition = async (task, status, options = {}) => {
+  const { actor, comment, table, overrideDependencies } = options;
+  const from = task.status;
+
+  if (from === status) {
+    return null;
+  }
+
+  const transitionTable =
+    table || (await getTransitionTable(task.taskType, task.organization));
+
+  assertTransitionAllowed(transitionTable, from, status, {
+    role: actor.role,
+    comment,
+  });
+
+  // A task cannot start until the tasks blocking it are completed
+  const dependencyOverride =
+    status === TASK_STATUS.IN_PROGRESS
+      ? await assertDependenciesResolved(task, {
+          role: actor.role,
+          override: overrideDependencies,
+        })
+      : false;
+
+  // The organization may require every discussion to be settled first
+  if (status === TASK_STATUS.COMPLETED) {
+    await assertCommentThreadsResolved(task);
+  }
+
+  const entry = {
+    from,
+    to: status,
+    changedBy: actor._id,
+    changedAt: new Date(),
+    comment: comment?.trim() || undefined,
+    dependencyOverride: dependencyOverride || undefined,
+  };
+
+  task.status = status;
+  task.statusHistory.push(entry);
+
+  return entry;
+};
+
+export default {
+  buildTransitionTable,
+  getTransitionTable,
+  getAllTransitionTables,
+  assertTransitionAllowed,
+  applyStatusTransition,
+};
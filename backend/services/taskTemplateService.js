@@ -0,0 +1,211 @@
+import {
+  RoutineTask,
+  AssignedTask,
+  ProjectTask,
+} from "../models/BaseTask.js";
+import Department from "../models/Department.js";
+import Material from "../models/Material.js";
+import CustomError from "../utils/CustomError.js";
+import {
+  BUILT_IN_PLACEHOLDERS,
+  extractPlaceholders,
+  renderPlaceholders,
+  buildBuiltInValues,
+  resolveDateOffset,
+} from "../utils/templateUtils.js";
+import {
+  TASK_STATUS,
+  TASK_TYPES,
+  ERROR_CODES,
+  BUSINESS_RULES,
+} from "../constants/index.js";
+
+/**
+ * Task Template Service
+ * Turns task templates into real tasks
+ */
+
+// Discriminator models keyed by taskType
+const TASK_MODELS = {
+  [TASK_TYPES.ROUTINE_TASK]: RoutineTask,
+  [TASK_TYPES.ASSIGNED_TASK]: AssignedTask,
+  [TASK_TYPES.PROJECT_TASK]: ProjectTask,
+};
+
+/**
+ * Get every custom placeholder a template needs
+ * @param {Object} template - Task template
+ * @returns {Array<string>} Placeholder names that are not built in
+ */
+export const getTemplatePlaceholders = (template) => {
+  const texts = [
+    template.task?.title,
+    template.task?.description,
+    ...(template.task?.checklist || []).map((item) => item.title),
+  ];
+
+  const names = texts.flatMap((text) => extractPlaceholders(text));
+  return [...new Set(names)].filter(
+    (name) => !BUILT_IN_PLACEHOLDERS.includes(name)
+  );
+};
+
+/**
+ * Build the data of a task created from a template
+ * @param {Object} template - Task template
+ * @param {Object} values - Placeholder values
+ * @param {Date} now - Instantiation time
+ * @returns {Object} Discriminator-specific task data
+ */
+export const buildTaskData = (template, values, now = new Date()) => {
+  const { task } = template;
+
+  const data = {
+    title: renderPlaceholders(task.title, values),
+    description: renderPlaceholders(task.description, values),
+    priority: task.priority,
+    dueDate: resolveDateOffset(task.dueInDays, now),
+  };
+
+  switch (template.taskType) {
+    case TASK_TYPES.ROUTINE_TASK:
+      data.status = TASK_STATUS.IN_PROGRESS;
+      data.frequency = task.frequency;
+      data.estimatedDuration = task.estimatedDuration;
+      break;
+
+    case TASK_TYPES.ASSIGNED_TASK:
+      data.assignedTo = task.assignedTo;
+      break;
+
+    case TASK_TYPES.PROJECT_TASK:
+      data.vendor = task.vendor;
+      data.estimatedCost = task.estimatedCost;
+      data.projectManager = task.projectManager;
+      data.startDate = resolveDateOffset(task.startInDays, now, "start");
+      break;
+
+    default:
+      break;
+  }
+
+  if (
+    BUSINESS_RULES.CHECKLIST_SUPPORTED_TASK_TYPES.includes(template.taskType) &&
+    task.checklist?.length > 0
+  ) {
+    data.checklist = task.checklist.map((item) => ({
+      title: renderPlaceholders(item.title, values),
+    }));
+  }
+
+  // Drop unset fields so model defaults apply
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * Create a task from a template
+ * @param {Object} template - Task template document
+ * @param {Object} options - Instantiation options
+ * @param {Object} options.actor - User creating the task
+ * @param {Object} options.variables - Values for custom placeholders
+ * @param {Object} options.overrides - Task fields that replace template values
+ * @returns {Promise<Object>} { task, materials, skippedMaterials }
+ */
+export const instantiateTemplate = async (template, options = {}) => {
+  const { actor, variables = {}, overrides = {} } = options;
+  const now = new Date();
+
+  if (!template.isActive) {
+    throw CustomError.badRequest(
+      "Inactive templates cannot be used.",
+      ERROR_CODES.TEMPLATE_INACTIVE
+    );
+  }
+
+  const missing = getTemplatePlaceholders(template).filter(
+    (name) => variables[name] === undefined || variables[name] === ""
+  );
+  if (missing.length > 0) {
+    throw CustomError.badRequest(
+      `Missing values for template placeholders: ${missing.join(", ")}.`,
+      ERROR_CODES.TEMPLATE_PLACEHOLDER_MISSING
+    );
+  }
+
+  // Department templates always create tasks in their own department
+  const departmentId =
+    template.department || overrides.department || actor.department._id;
+  const department = await Department.findOne({
+    _id: departmentId,
+    organization: actor.organization._id,
+  }).select("name");
+
+  if (!department) {
+    throw CustomError.notFound("Department not found.");
+  }
+
+  const values = {
+    ...variables,
+    ...buildBuiltInValues({
+      now,
+      department: department.name,
+      organization: actor.organization.name,
+      user: `${actor.firstName} ${actor.lastName}`,
+    }),
+  };
+
+  const taskData = {
+    ...buildTaskData(template, values, now),
+    ...overrides,
+    organization: actor.organization._id,
+    department: department._id,
+    createdBy: actor._id,
+  };
+
+  if (template.taskType === TASK_TYPES.ASSIGNED_TASK) {
+    if (!taskData.assignedTo || taskData.assignedTo.length === 0) {
+      throw CustomError.badRequest(
+        "Assigned users are required to create an AssignedTask from this template."
+      );
+    }
+    taskData.assignedBy = actor._id;
+  }
+  if (taskData.checklist) {
+    taskData.checklist = taskData.checklist.map((item) => ({
+      ...item,
+      createdBy: actor._id,
+    }));
+  }
+
+  const task = await TASK_MODELS[template.taskType].create(taskData);
+
+  // Reserve template materials; materials deleted since are reported back
+  const materials = [];
+  const skippedMaterials = [];
+  for (const { material: materialId, quantity } of template.materials) {
+    const material = await Material.findOne({
+      _id: materialId,
+      organization: actor.organization._id,
+    });
+
+    if (!material) {
+      skippedMaterials.push(materialId);
+      continue;
+    }
+
+    await material.addTaskAssociation(task._id, quantity);
+    materials.push({ material: material._id, name: material.name, quantity });
+  }
+
+  await template.recordUsage();
+
+  return { task, materials, skippedMaterials };
+};
+
+export default {
+  getTemplatePlaceholders,
+  buildTaskData,
+  instantiateTemplate,
+};
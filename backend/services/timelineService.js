@@ -0,0 +1,250 @@
+import TaskComment from "../models/TaskComment.js";
+import TaskActivity from "../models/TaskActivity.js";
+import Attachment from "../models/Attachment.js";
+import Material from "../models/Material.js";
+import User from "../models/User.js";
+import ChangeLog from "../models/ChangeLog.js";
+import { BaseTask } from "../models/BaseTask.js";
+import {
+  TASK_TRACKED_FIELDS,
+  TIMELINE_ITEM_KINDS,
+  TIMELINE_ITEM_KINDS_ARRAY,
+} from "../constants/index.js";
+
+/**
+ * Task Timeline Service
+ * Merges comments, activities, attachments, material usage, status changes
+ * and field changes of a task into one chronological feed
+ *
+ * Field changes are the change log entries of TASK_TRACKED_FIELDS, written
+ * by the change tracking plugin
+ *
+ * Every item has the shape { _id, kind, occurredAt, actor, ...details }
+ */
+
+// User fields returned for timeline actors
+const ACTOR_FIELDS = "firstName lastName email profilePicture";
+
+/**
+ * Convert the records of a task into timeline items
+ * @param {Object} task - Task with statusHistory
+ * @param {Object} sources - Related records
+ * @param {Array<Object>} sources.comments - Task comments
+ * @param {Array<Object>} sources.activities - Task activities
+ * @param {Array<Object>} sources.attachments - Task attachments
+ * @param {Array<Object>} sources.materials - Materials used on the task
+ * @param {Array<Object>} sources.fieldChanges - Change log entries of the task
+ * @returns {Array<Object>} Unsorted timeline items
+ */
+export const buildTimelineItems = (task, sources = {}) => {
+  const {
+    comments = [],
+    activities = [],
+    attachments = [],
+    materials = [],
+    fieldChanges = [],
+  } = sources;
+  const taskId = task._id.toString();
+
+  return [
+    ...comments.map((comment) => ({
+      _id: comment._id,
+      kind: TIMELINE_ITEM_KINDS.COMMENT,
+      occurredAt: comment.createdAt,
+      actor: comment.createdBy,
+      comment: {
+        content: comment.content,
+        contentHtml: comment.contentHtml || "",
+        parentComment: comment.parentComment || null,
+        commentType: comment.commentType,
+        isSystemGenerated: comment.isSystemGenerated || false,
+        isEdited: comment.isEdited || false,
+      },
+    })),
+    ...activities.map((activity) => ({
+      _id: activity._id,
+      kind: TIMELINE_ITEM_KINDS.ACTIVITY,
+      occurredAt: activity.createdAt,
+      actor: activity.createdBy,
+      activity: {
+        title: activity.title,
+        description: activity.description,
+        status: activity.status,
+        assignedTo: activity.assignedTo || null,
+      },
+    })),
+    ...attachments.map((attachment) => ({
+      _id: attachment._id,
+      kind: TIMELINE_ITEM_KINDS.ATTACHMENT,
+      occurredAt: attachment.createdAt,
+      actor: attachment.uploadedBy,
+      attachment: {
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType,
+        fileSize: attachment.fileSize,
+        fileCategory: attachment.fileCategory,
+        renditions: (attachment.renditions || []).map(
+          ({ kind, size, mimeType, width, height }) => ({
+            kind,
+            size,
+            mimeType,
+            width,
+            height,
+          })
+        ),
+      },
+    })),
+    ...materials.flatMap((material) =>
+      material.tasks
+        .filter((usage) => usage.task?.toString() === taskId)
+        .map((usage) => ({
+          _id: usage._id,
+          kind: TIMELINE_ITEM_KINDS.MATERIAL,
+          occurredAt: usage.assignedAt,
+          actor: usage.assignedBy || null,
+          material: {
+            _id: material._id,
+            name: material.name,
+            unit: material.unit,
+            quantityUsed: usage.quantityUsed,
+          },
+        }))
+    ),
+    ...(task.statusHistory || []).map((entry) => ({
+      _id: entry._id,
+      kind: TIMELINE_ITEM_KINDS.STATUS_CHANGE,
+      occurredAt: entry.changedAt,
+      actor: entry.changedBy,
+      from: entry.from,
+      to: entry.to,
+      comment: entry.comment || null,
+    })),
+    ...fieldChanges.map((entry) => ({
+      _id: entry._id,
+      kind: TIMELINE_ITEM_KINDS.FIELD_CHANGE,
+      occurredAt: entry.changedAt,
+      actor: entry.changedBy,
+      field: entry.field,
+      from: entry.from,
+      to: entry.to,
+    })),
+  ];
+};
+
+/**
+ * Filter timeline items by kind and actor and sort them newest first
+ * @param {Array<Object>} items - Timeline items
+ * @param {Object} filters - Filters
+ * @param {Array<string>} filters.kinds - Kinds to keep (all when empty)
+ * @param {string} filters.actor - User ID the items must be attributed to
+ * @returns {Array<Object>} Filtered and sorted items
+ */
+export const filterTimelineItems = (items, { kinds, actor } = {}) =>
+  items
+    .filter((item) => !kinds?.length || kinds.includes(item.kind))
+    .filter(
+      (item) =>
+        !actor ||
+        (item.actor &&
+          (item.actor._id || item.actor).toString() === actor.toString())
+    )
+    .sort(
+      (a, b) =>
+        new Date(b.occurredAt) - new Date(a.occurredAt) ||
+        TIMELINE_ITEM_KINDS_ARRAY.indexOf(b.kind) -
+          TIMELINE_ITEM_KINDS_ARRAY.indexOf(a.kind)
+    );
+
+/**
+ * Replace actor IDs with user summaries
+ * @param {Array<Object>} items - Timeline items
+ * @returns {Promise<Array<Object>>} Items with populated actors
+ */
+const populateActors = async (items) => {
+  const actorIds = [
+    ...new Set(
+      items.filter((item) => item.actor).map((item) => item.actor.toString())
+    ),
+  ];
+  const users = await User.find({ _id: { $in: actorIds } })
+    .select(ACTOR_FIELDS)
+    .lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return items.map((item) => ({
+    ...item,
+    actor: item.actor ? usersById.get(item.actor.toString()) || null : null,
+  }));
+};
+
+/**
+ * Get one page of a task's timeline
+ * Only the sources of the requested kinds are loaded
+ * @param {Object} task - Task document
+ * @param {Object} options - Timeline options
+ * @param {Array<string>} options.kinds - Kinds to include (all when empty)
+ * @param {string} options.actor - Only include items by this user
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Items per page
+ * @returns {Promise<Object>} { items, totalCount }
+ */
+export const findTaskTimeline = async (task, options = {}) => {
+  const { kinds, actor, page = 1, limit = 20 } = options;
+  const includes = (kind) => !kinds?.length || kinds.includes(kind);
+  const skipSource = Promise.resolve([]);
+
+  const [history, comments, activities, attachments, materials, fieldChanges] =
+    await Promise.all([
+      BaseTask.findById(task._id).select("statusHistory").lean(),
+      includes(TIMELINE_ITEM_KINDS.COMMENT)
+        ? TaskComment.find({ task: task._id })
+            .select(
+              "content contentHtml parentComment commentType isSystemGenerated isEdited createdBy createdAt"
+            )
+            .lean()
+        : skipSource,
+      includes(TIMELINE_ITEM_KINDS.ACTIVITY)
+        ? TaskActivity.find({ task: task._id })
+            .select("title description status assignedTo createdBy createdAt")
+            .lean()
+        : skipSource,
+      includes(TIMELINE_ITEM_KINDS.ATTACHMENT)
+        ? Attachment.findByParent(task._id, "BaseTask")
+            .select(
+              "originalName mimeType fileSize fileCategory renditions uploadedBy createdAt"
+            )
+            .lean()
+        : skipSource,
+      includes(TIMELINE_ITEM_KINDS.MATERIAL)
+        ? Material.find({ "tasks.task": task._id })
+            .select("name unit tasks")
+            .lean()
+        : skipSource,
+      includes(TIMELINE_ITEM_KINDS.FIELD_CHANGE)
+        ? ChangeLog.findByEntity(task.taskType, task._id, {
+            field: { $in: TASK_TRACKED_FIELDS },
+          })
+            .select("field from to changedBy changedAt")
+            .lean()
+        : skipSource,
+    ]);
+
+  const items = filterTimelineItems(
+    buildTimelineItems(
+      { _id: task._id, ...history },
+      { comments, activities, attachments, materials, fieldChanges }
+    ),
+    { kinds, actor }
+  );
+
+  return {
+    items: await populateActors(items.slice((page - 1) * limit, page * limit)),
+    totalCount: items.length,
+  };
+};
+
+export default {
+  buildTimelineItems,
+  filterTimelineItems,
+  findTaskTimeline,
+};
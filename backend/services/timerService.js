@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import TaskActivity from "../models/TaskActivity.js";
+import TimeEntry from "../models/TimeEntry.js";
+import CustomError from "../utils/CustomError.js";
+import { isWeekLocked } from "./timesheetService.js";
+import { ERROR_CODES } from "../constants/index.js";
+
+/**
+ * Timer Service
+ * Tracks time against task activities through start, pause and stop timers
+ *
+ * A timer is a series of time entries for one user and activity. Pausing closes
+ * the running entry and starting again opens a new one; stopping ends the series.
+ * A unique partial index keeps at most one running entry per user.
+ */
+
+/**
+ * Sum closed time entries into hours
+ * @param {Array<Object>} entries - Time entries with durationMinutes
+ * @returns {number} Hours rounded to two decimals
+ */
+export const calculateActualHours = (entries = []) => {
+  const minutes = entries
+    .filter((entry) => !entry.isRunning)
+    .reduce((total, entry) => total + (entry.durationMinutes || 0), 0);
+
+  return Math.round((minutes / 60) * 100) / 100;
+};
+
+/**
+ * Recompute an activity's actualHours from its closed time entries
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<number>} Recomputed hours
+ */
+export const recomputeActualHours = async (activityId) => {
+  const [totals] = await TimeEntry.aggregate([
+    {
+      $match: {
+        activity: new mongoose.Types.ObjectId(activityId),
+        isRunning: false,
+        isDeleted: { $ne: true },
+      },
+    },
+    { $group: { _id: null, minutes: { $sum: "$durationMinutes" } } },
+  ]);
+
+  const actualHours = calculateActualHours([
+    { durationMinutes: totals?.minutes || 0 },
+  ]);
+
+  await TaskActivity.updateOne({ _id: activityId }, { $set: { actualHours } });
+  return actualHours;
+};
+
+/**
+ * Start or resume a timer on an activity
+ * @param {Object} activity - Activity document
+ * @param {Object} task - Parent task document
+ * @param {Object} user - User starting the timer
+ * @returns {Promise<Object>} Running time entry
+ */
+export const startTimer = async (activity, task, user) => {
+  if (activity.status === "Completed") {
+    throw CustomError.badRequest("Timers cannot be started on completed activities.");
+  }
+
+  if (await isWeekLocked(user._id)) {
+    throw CustomError.badRequest(
+      "Your timesheet for this week has been approved. No more time can be tracked.",
+      ERROR_CODES.TIMESHEET_LOCKED
+    );
+  }
+
+  const running = await TimeEntry.findRunningForUser(user._id);
+  if (running) {
+    throw CustomError.conflict(
+      running.activity.equals(activity._id)
+        ? "A timer is already running on this activity."
+        : "You already have a running timer. Pause or stop it first.",
+      ERROR_CODES.TIMER_ALREADY_RUNNING
+    );
+  }
+
+  try {
+    const entry = await TimeEntry.create({
+      activity: activity._id,
+      task: task._id,
+      organization: task.organization?._id || task.organization,
+      department: task.department?._id || task.department,
+      user: user._id,
+      startedAt: new Date(),
+    });
+
+    if (activity.status === "Not Started") {
+      activity.status = "In Progress";
+      await activity.save();
+    }
+
+    return entry;
+  } catch (error) {
+    // Another request started a timer for this user in the meantime
+    if (error.code === 11000) {
+      throw CustomError.conflict(
+        "You already have a running timer. Pause or stop it first.",
+        ERROR_CODES.TIMER_ALREADY_RUNNING
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Pause or stop the user's timer on an activity
+ * Stopping a paused timer only ends the series
+ * @param {Object} activity - Activity document
+ * @param {Object} user - User owning the timer
+ * @param {string} endReason - "paused" or "stopped"
+ * @returns {Promise<Object>} { entry, actualHours }
+ */
+export const endTimer = async (activity, user, endReason) => {
+  const running = await TimeEntry.findOne({
+    activity: activity._id,
+    user: user._id,
+    isRunning: true,
+  });
+
+  if (running) {
+    await running.close(endReason);
+    const actualHours = await recomputeActualHours(activity._id);
+    return { entry: running, actualHours };
+  }
+
+  const last = await TimeEntry.findOne({
+    activity: activity._id,
+    user: user._id,
+  }).sort({ startedAt: -1 });
+
+  if (endReason === "stopped" && last?.endReason === "paused") {
+    // Entries of approved weeks stay as they were approved
+    if (!last.isLocked) {
+      last.endReason = "stopped";
+      await last.save();
+    }
+    return { entry: last, actualHours: activity.actualHours || 0 };
+  }
+
+  throw CustomError.badRequest(
+    endReason === "paused"
+      ? "No running timer to pause on this activity."
+      : "No running or paused timer to stop on this activity.",
+    ERROR_CODES.TIMER_NOT_RUNNING
+  );
+};
+
+/**
+ * Get the running timers on a task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Array>} Running entries with user and activity
+ */
+export const getRunningTimers = (taskId) => {
+  return TimeEntry.find({ task: taskId, isRunning: true })
+    .populate("user", "firstName lastName profilePicture")
+    .populate("activity", "title status")
+    .sort({ startedAt: 1 });
+};
+
+export default {
+  calculateActualHours,
+  recomputeActualHours,
+  startTimer,
+  endTimer,
+  getRunningTimers,
+};
@@ -0,0 +1,242 @@
+import TaskActivity from "../models/TaskActivity.js";
+import TimeEntry from "../models/TimeEntry.js";
+import Timesheet from "../models/Timesheet.js";
+import CustomError from "../utils/CustomError.js";
+import { getWeekRange, summarizeTimeEntries } from "../utils/timesheetUtils.js";
+import { createNotifications } from "./notificationService.js";
+import {
+  ERROR_CODES,
+  NOTIFICATION_TYPES,
+  TIMESHEET_STATUS,
+} from "../constants/index.js";
+
+/**
+ * Timesheet Service
+ * Weekly timesheets built from the time entries users track on task activities
+ *
+ * The hours are always derived from time entries; the Timesheet document only
+ * records the review status of a week. Approving a week locks its entries.
+ */
+
+/**
+ * Find a user's time entries that started within a week
+ * @param {string} userId - User ID
+ * @param {Object} range - { weekStart, weekEnd }
+ * @returns {Promise<Array>} Time entries
+ */
+const findWeekEntries = (userId, { weekStart, weekEnd }) => {
+  return TimeEntry.find({
+    user: userId,
+    startedAt: { $gte: weekStart, $lt: weekEnd },
+  }).sort({ startedAt: 1 });
+};
+
+/**
+ * Reject an operation while the user has a timer running within the week
+ * @param {Array<Object>} entries - The week's time entries
+ * @param {string} message - Error message
+ * @throws {CustomError} If an entry is still running
+ */
+const assertNoRunningEntries = (entries, message) => {
+  if (entries.some((entry) => entry.isRunning)) {
+    throw CustomError.badRequest(message, ERROR_CODES.TIMER_ALREADY_RUNNING);
+  }
+};
+
+/**
+ * Build a user's timesheet for the week containing a date
+ * Hours are grouped per activity with the activity's hours variance
+ * @param {Object} user - Timesheet owner (with _id)
+ * @param {Date|string} date - Any date within the week
+ * @returns {Promise<Object>} Timesheet view
+ */
+export const buildTimesheet = async (user, date) => {
+  const range = getWeekRange(date);
+
+  const [entries, timesheet] = await Promise.all([
+    findWeekEntries(user._id, range),
+    Timesheet.findForWeek(user._id, range.weekStart).populate(
+      "reviewedBy",
+      "firstName lastName email"
+    ),
+  ]);
+
+  const summary = summarizeTimeEntries(entries, range.weekStart);
+
+  const activities = await TaskActivity.find({
+    _id: { $in: summary.activities.map((row) => row.activity) },
+  }).populate("task", "title taskType status");
+  const activitiesById = new Map(
+    activities.map((activity) => [activity._id.toString(), activity])
+  );
+
+  return {
+    user: user._id,
+    weekStart: range.weekStart,
+    weekEnd: range.weekEnd,
+    status: timesheet?.status || TIMESHEET_STATUS.DRAFT,
+    isLocked: timesheet?.isLocked || false,
+    timesheet,
+    activities: summary.activities.map((row) => {
+      const activity = activitiesById.get(row.activity);
+
+      return {
+        activity: activity
+          ? {
+              _id: activity._id,
+              title: activity.title,
+              status: activity.status,
+              estimatedHours: activity.estimatedHours,
+              actualHours: activity.actualHours,
+            }
+          : { _id: row.activity },
+        task: activity?.task || null,
+        hours: row.hours,
+        days: row.days,
+        hoursVariance: activity ? activity.getHoursVariance() : 0,
+      };
+    }),
+    dailyTotals: summary.dailyTotals,
+    totalHours: summary.totalHours,
+    runningEntries: entries.filter((entry) => entry.isRunning).length,
+  };
+};
+
+/**
+ * Submit a user's week for approval
+ * @param {Object} user - Timesheet owner (with organization and department)
+ * @param {Date|string} date - Any date within the week
+ * @returns {Promise<Object>} Submitted timesheet
+ */
+export const submitTimesheet = async (user, date) => {
+  const range = getWeekRange(date);
+
+  if (range.weekStart > new Date()) {
+    throw CustomError.badRequest("Future weeks cannot be submitted.");
+  }
+
+  const entries = await findWeekEntries(user._id, range);
+  assertNoRunningEntries(
+    entries,
+    "Stop running timers in this week before submitting it."
+  );
+
+  const timesheet =
+    (await Timesheet.findForWeek(user._id, range.weekStart)) ||
+    new Timesheet({
+      user: user._id,
+      organization: user.organization?._id || user.organization,
+      department: user.department?._id || user.department,
+      weekStart: range.weekStart,
+    });
+
+  timesheet.transitionTo(TIMESHEET_STATUS.SUBMITTED, user._id);
+  timesheet.totalHours = summarizeTimeEntries(
+    entries,
+    range.weekStart
+  ).totalHours;
+
+  try {
+    return await timesheet.save();
+  } catch (error) {
+    // The same week was submitted by a concurrent request
+    if (error.code === 11000) {
+      throw CustomError.conflict("This week has already been submitted.");
+    }
+    throw error;
+  }
+};
+
+/**
+ * Approve or reject a submitted timesheet
+ * Approval locks the week's time entries
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Object} timesheet - Timesheet document
+ * @param {Object} reviewer - Reviewing user
+ * @param {string} status - "approved" or "rejected"
+ * @param {string} comment - Review comment (required to reject)
+ * @returns {Promise<Object>} Reviewed timesheet
+ */
+export const reviewTimesheet = async (
+  socketIO,
+  timesheet,
+  reviewer,
+  status,
+  comment
+) => {
+  if (timesheet.user.equals(reviewer._id)) {
+    throw CustomError.forbidden("You cannot review your own timesheet.");
+  }
+
+  if (status === TIMESHEET_STATUS.REJECTED && !comment?.trim()) {
+    throw CustomError.badRequest("A comment is required to reject a timesheet.");
+  }
+
+  const range = getWeekRange(timesheet.weekStart);
+  const entries = await findWeekEntries(timesheet.user, range);
+
+  if (status === TIMESHEET_STATUS.APPROVED) {
+    assertNoRunningEntries(
+      entries,
+      "The user has a timer running in this week. It must be stopped before approval."
+    );
+    timesheet.totalHours = summarizeTimeEntries(
+      entries,
+      range.weekStart
+    ).totalHours;
+  }
+
+  timesheet.transitionTo(status, reviewer._id, comment);
+  await timesheet.save();
+
+  if (status === TIMESHEET_STATUS.APPROVED) {
+    await TimeEntry.updateMany(
+      { _id: { $in: entries.map((entry) => entry._id) } },
+      { $set: { isLocked: true, timesheet: timesheet._id } }
+    );
+  }
+
+  try {
+    const week = range.weekStart.toISOString().slice(0, 10);
+    await createNotifications(socketIO, [timesheet.user], {
+      title: `Timesheet ${status}`,
+      message:
+        status === TIMESHEET_STATUS.APPROVED
+          ? `${reviewer.firstName} ${reviewer.lastName} approved your timesheet for the week of ${week}.`
+          : `${reviewer.firstName} ${reviewer.lastName} rejected your timesheet for the week of ${week}: ${comment}`,
+      type: NOTIFICATION_TYPES.SYSTEM,
+      priority: status === TIMESHEET_STATUS.APPROVED ? "low" : "medium",
+      sender: reviewer._id,
+      organization: timesheet.organization,
+      relatedEntity: { entityId: timesheet._id, entityType: "Timesheet" },
+      metadata: { weekStart: timesheet.weekStart, status },
+    });
+  } catch (error) {
+    console.error("Error notifying timesheet owner:", error);
+  }
+
+  return timesheet;
+};
+
+/**
+ * Check whether a date falls within one of the user's approved weeks
+ * @param {string} userId - User ID
+ * @param {Date} date - Date to check
+ * @returns {Promise<boolean>} True if the week is locked
+ */
+export const isWeekLocked = async (userId, date = new Date()) => {
+  const { weekStart } = getWeekRange(date);
+  const timesheet = await Timesheet.exists({
+    user: userId,
+    weekStart,
+    status: TIMESHEET_STATUS.APPROVED,
+  });
+  return Boolean(timesheet);
+};
+
+export default {
+  buildTimesheet,
+  submitTimesheet,
+  reviewTimesheet,
+  isWeekLocked,
+};
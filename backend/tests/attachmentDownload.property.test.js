@@ -0,0 +1,249 @@
+import fc from "fast-check";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, AttachmentDownload } from "../models/index.js";
+import {
+  createSignedDownloadUrl,
+  verifySignedDownload,
+} from "../utils/downloadUrlUtils.js";
+import { storeAttachment } from "../services/attachmentService.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+// Store files in a throwaway directory with the local provider
+const storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+process.env.STORAGE_PROVIDER = "local";
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+afterAll(async () => {
+  await fs.rm(storageRoot, { recursive: true, force: true });
+});
+
+/**
+ * Create an organization with a department, an admin, a user and a task
+ * @param {string} prefix - Prefix keeping emails unique across workspaces
+ * @returns {Promise<Object>} { organization, admin, owner, task }
+ */
+const createWorkspace = async (prefix = "") => {
+  const organization = await createTestOrganization();
+  const department = await createTestDepartment(organization);
+  const [admin, owner] = await Promise.all(
+    [
+      { name: "admin", role: "Admin" },
+      { name: "owner", role: "User" },
+    ].map(({ name, role }) =>
+      User.create({
+        firstName: name,
+        lastName: "Technician",
+        email: `${prefix}${name}@test.com`,
+        password: "Password123!",
+        role,
+        position: `Technician ${name}`,
+        organization: organization._id,
+        department: department._id,
+      })
+    )
+  );
+  const task = await AssignedTask.create({
+    title: "Replace pump seal",
+    organization: organization._id,
+    department: department._id,
+    createdBy: owner._id,
+    assignedTo: [owner._id],
+  });
+
+  return { organization, admin, owner, task };
+};
+
+/**
+ * Store a text file on a task
+ * @param {Object} task - Task document
+ * @param {Object} user - Uploading user
+ * @param {Buffer} content - File bytes
+ * @returns {Promise<Object>} Created attachment
+ */
+const attachFile = (task, user, content) =>
+  storeAttachment(content, {
+    originalName: "Pump log.txt",
+    mimeType: "text/plain",
+    attachedTo: task._id,
+    attachedToModel: "BaseTask",
+    uploadedBy: user._id,
+    organization: task.organization,
+  });
+
+// Parameters of a download link
+const downloadParamsArb = fc.record({
+  attachmentId: fc.hexaString({ minLength: 24, maxLength: 24 }),
+  userId: fc.hexaString({ minLength: 24, maxLength: 24 }),
+  rendition: fc.constantFrom("", "small", "medium", "large"),
+});
+
+/**
+ * Read the signed parameters back from a download URL
+ * @param {string} url - Download URL
+ * @returns {Object} Parameters for verifySignedDownload
+ */
+const parseDownloadUrl = (url) => {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+
+  return {
+    attachmentId: pathname.split("/")[3],
+    userId: searchParams.get("user"),
+    rendition: searchParams.get("rendition") || "",
+    expires: Number(searchParams.get("expires")),
+    signature: searchParams.get("signature"),
+  };
+};
+
+describe("Attachment Download Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 77: Signed attachment downloads**
+   * For any attachment, a download link should only be issued to users who
+   * can read its task, should stop working when it expires or any of its
+   * parameters change, and every download through it should be recorded
+   */
+  describe("Property 77: Signed attachment downloads", () => {
+    it("should only accept links with their signed parameters", () => {
+      fc.assert(
+        fc.property(
+          downloadParamsArb,
+          downloadParamsArb,
+          ({ attachmentId, userId, rendition }, other) => {
+            const { url, expiresAt } = createSignedDownloadUrl(
+              { _id: attachmentId },
+              { _id: userId },
+              { rendition }
+            );
+            const params = parseDownloadUrl(url);
+
+            expect(params).toMatchObject({ attachmentId, userId, rendition });
+            expect(params.expires * 1000).toBe(expiresAt.getTime());
+            expect(verifySignedDownload(params)).toBe("valid");
+
+            for (const key of ["attachmentId", "userId", "rendition"]) {
+              if (other[key] !== params[key]) {
+                expect(
+                  verifySignedDownload({ ...params, [key]: other[key] })
+                ).toBe("invalid");
+              }
+            }
+            expect(
+              verifySignedDownload({ ...params, expires: params.expires + 60 })
+            ).toBe("invalid");
+            expect(
+              verifySignedDownload({
+                ...params,
+                signature: params.signature.slice(1),
+              })
+            ).toBe("invalid");
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should report expired links", () => {
+      const params = parseDownloadUrl(
+        createSignedDownloadUrl(
+          { _id: new mongoose.Types.ObjectId() },
+          { _id: new mongoose.Types.ObjectId() },
+          { ttl: -1 }
+        ).url
+      );
+
+      expect(verifySignedDownload(params)).toBe("expired");
+    });
+
+    it("should serve files through signed links and record each download", async () => {
+      const { admin, owner, task } = await createWorkspace();
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.uint8Array({ minLength: 1, maxLength: 256 }),
+          async (bytes) => {
+            const content = Buffer.from(bytes);
+            const attachment = await attachFile(task, owner, content);
+
+            const issued = await request(app)
+              .get(`/api/attachments/${attachment._id}/download-url`)
+              .set("Cookie", authCookiesFor(owner));
+            expect(issued.status).toBe(200);
+
+            const download = await request(app)
+              .get(issued.body.data.url)
+              .set("User-Agent", "pump-inspector/1.0");
+            expect(download.status).toBe(200);
+            expect(Buffer.from(download.body)).toEqual(content);
+            expect(download.headers["content-disposition"]).toBe(
+              `attachment; filename="Pump log.txt"; filename*=UTF-8''Pump%20log.txt`
+            );
+            expect(download.headers["cache-control"]).toBe("private, no-store");
+
+            const downloads = await AttachmentDownload.findByAttachment(
+              attachment._id
+            );
+            expect(downloads).toHaveLength(1);
+            expect(downloads[0]).toMatchObject({
+              rendition: null,
+              userAgent: "pump-inspector/1.0",
+            });
+            expect(downloads[0].downloadedBy).toEqual(owner._id);
+
+            const audit = await request(app)
+              .get(`/api/attachments/${attachment._id}/downloads`)
+              .set("Cookie", authCookiesFor(admin));
+            expect(audit.status).toBe(200);
+            expect(audit.body.data.pagination.totalCount).toBe(1);
+          }
+        ),
+        { numRuns: 5 }
+      );
+    });
+
+    it("should refuse tampered links, other organizations and revoked users", async () => {
+      const { owner, task } = await createWorkspace();
+      const { owner: outsider } = await createWorkspace("outside-");
+      const attachment = await attachFile(task, owner, Buffer.from("seal"));
+
+      const outside = await request(app)
+        .get(`/api/attachments/${attachment._id}/download-url`)
+        .set("Cookie", authCookiesFor(outsider));
+      expect(outside.status).toBe(404);
+
+      const { url } = createSignedDownloadUrl(attachment, owner);
+      const tampered = await request(app).get(
+        url.replace(`user=${owner._id}`, `user=${outsider._id}`)
+      );
+      expect(tampered.status).toBe(403);
+      expect(tampered.body.code).toBe("DOWNLOAD_URL_INVALID");
+
+      const expired = await request(app).get(
+        createSignedDownloadUrl(attachment, owner, { ttl: -1 }).url
+      );
+      expect(expired.status).toBe(403);
+      expect(expired.body.code).toBe("DOWNLOAD_URL_EXPIRED");
+
+      const audit = await request(app)
+        .get(`/api/attachments/${attachment._id}/downloads`)
+        .set("Cookie", authCookiesFor(owner));
+      expect(audit.status).toBe(403);
+
+      await owner.softDelete();
+      const revoked = await request(app).get(url);
+      expect(revoked.status).toBe(403);
+
+      expect(await AttachmentDownload.countDocuments()).toBe(0);
+    });
+  });
+});
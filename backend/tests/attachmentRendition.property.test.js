@@ -0,0 +1,250 @@
+import fc from "fast-check";
+import mongoose from "mongoose";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  getRenditionKind,
+  renderRenditions,
+  waitForQueuedRenditions,
+} from "../services/renditionService.js";
+import { Attachment } from "../models/index.js";
+import {
+  storeAttachment,
+  deleteAttachmentContent,
+} from "../services/attachmentService.js";
+import { getImageDimensions } from "../utils/fileTypeUtils.js";
+
+// Store files in a throwaway directory with the local provider
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "renditions-test-"));
+const storageRoot = path.join(workDir, "storage");
+process.env.STORAGE_PROVIDER = "local";
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+afterAll(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Build the start of a PNG file with the given dimensions
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} PNG signature and IHDR chunk
+ */
+const pngHeader = (width, height) => {
+  const ihdr = Buffer.alloc(25);
+  ihdr.writeUInt32BE(13, 0);
+  ihdr.write("IHDR", 4, "latin1");
+  ihdr.writeUInt32BE(width, 8);
+  ihdr.writeUInt32BE(height, 12);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    ihdr,
+  ]);
+};
+
+/**
+ * Install a stand-in converter that writes a fixed image as its output
+ * Used in place of ffmpeg and pdftoppm, which are not needed to check how
+ * renditions are stored
+ * @param {string} name - Script name
+ * @param {Buffer} image - Image the converter "renders"
+ * @param {string} suffix - Appended to the output argument (pdftoppm adds
+ * the extension itself)
+ * @returns {Promise<string>} Script path
+ */
+const installConverter = async (name, image, suffix = "") => {
+  const imagePath = path.join(workDir, `${name}.out`);
+  const scriptPath = path.join(workDir, name);
+  await fs.writeFile(imagePath, image);
+  await fs.writeFile(
+    scriptPath,
+    `#!/bin/sh\necho "$@" >> "${scriptPath}.args"\nfor last; do :; done\ncp "${imagePath}" "$last${suffix}"\n`,
+    { mode: 0o755 }
+  );
+  await fs.rm(`${scriptPath}.args`, { force: true });
+  return scriptPath;
+};
+
+// Stand-in converters are shell scripts
+const itWithShell = process.platform === "win32" ? it.skip : it;
+
+describe("Attachment Rendition Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 76: Attachment renditions**
+   * For any uploaded image, PDF or video, a rendition of every size should be
+   * stored next to the original with its kind, type and dimensions, other
+   * files should get none, and a missing converter should never fail the
+   * upload
+   */
+  describe("Property 76: Attachment renditions", () => {
+    it("should pick the rendition kind from the MIME type", () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(
+            ["image/png", "thumbnail"],
+            ["image/jpeg", "thumbnail"],
+            ["application/pdf", "preview"],
+            ["video/mp4", "poster"],
+            ["text/csv", null],
+            ["application/msword", null]
+          ),
+          ([mimeType, kind]) => {
+            expect(getRenditionKind(mimeType)).toBe(kind);
+          }
+        )
+      );
+    });
+
+    it("should read PNG and JPEG dimensions", () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 65535 }),
+          fc.integer({ min: 1, max: 65535 }),
+          (width, height) => {
+            expect(getImageDimensions(pngHeader(width, height))).toEqual({
+              width,
+              height,
+            });
+
+            // SOI, an APP0 segment, then a baseline start-of-frame segment
+            const sof = Buffer.from([0xff, 0xc0, 0, 11, 8, 0, 0, 0, 0, 1, 0]);
+            sof.writeUInt16BE(height, 5);
+            sof.writeUInt16BE(width, 7);
+            const jpeg = Buffer.concat([
+              Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 4, 0, 0]),
+              sof,
+            ]);
+            expect(getImageDimensions(jpeg)).toEqual({ width, height });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it("should skip renditions when the converter is missing", async () => {
+      process.env.FFMPEG_PATH = path.join(workDir, "missing-ffmpeg");
+
+      await expect(
+        renderRenditions(pngHeader(10, 10), "image/png")
+      ).resolves.toEqual([]);
+    });
+
+    itWithShell("should render every size with the converter", async () => {
+      process.env.FFMPEG_PATH = await installConverter(
+        "ffmpeg",
+        pngHeader(128, 96)
+      );
+      process.env.PDFTOPPM_PATH = await installConverter(
+        "pdftoppm",
+        Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0, 11, 8, 0, 96, 0, 128, 1, 0]),
+        ".jpg"
+      );
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(
+            ["image/png", "thumbnail", "image/png"],
+            ["image/jpeg", "thumbnail", "image/jpeg"],
+            ["application/pdf", "preview", "image/jpeg"],
+            ["video/mp4", "poster", "image/jpeg"]
+          ),
+          async ([mimeType, kind, outputType]) => {
+            const renditions = await renderRenditions(
+              Buffer.from("source"),
+              mimeType
+            );
+
+            expect(renditions.map(({ size }) => size)).toEqual([
+              "small",
+              "medium",
+              "large",
+            ]);
+            renditions.forEach((rendition) => {
+              expect(rendition).toMatchObject({
+                kind,
+                mimeType: outputType,
+                width: 128,
+                height: 96,
+              });
+            });
+          }
+        ),
+        { numRuns: 10 }
+      );
+    });
+
+    itWithShell("should run ffmpeg with the detected demuxer only", async () => {
+      const ffmpegPath = await installConverter("ffmpeg", pngHeader(128, 96));
+      process.env.FFMPEG_PATH = ffmpegPath;
+
+      for (const [mimeType, demuxer] of [
+        ["image/png", "png_pipe"],
+        ["video/avi", "avi"],
+        ["video/mp4", "mov"],
+      ]) {
+        await fs.rm(`${ffmpegPath}.args`, { force: true });
+        await renderRenditions(Buffer.from("source"), mimeType);
+
+        const runs = (await fs.readFile(`${ffmpegPath}.args`, "utf8"))
+          .trim()
+          .split("\n");
+        runs.forEach((args) => {
+          expect(args).toContain(
+            `-protocol_whitelist file -format_whitelist ${demuxer} -f ${demuxer} `
+          );
+        });
+      }
+
+      // Types without a known demuxer are never handed to ffmpeg
+      await fs.rm(`${ffmpegPath}.args`, { force: true });
+      await expect(
+        renderRenditions(Buffer.from("source"), "image/bmp")
+      ).resolves.toEqual([]);
+      await expect(fs.access(`${ffmpegPath}.args`)).rejects.toThrow();
+    });
+
+    itWithShell("should store renditions next to the original", async () => {
+      process.env.FFMPEG_PATH = await installConverter(
+        "ffmpeg",
+        pngHeader(64, 48)
+      );
+
+      const stored = await storeAttachment(pngHeader(2048, 1536), {
+        originalName: "gauge.png",
+        mimeType: "image/png",
+        attachedTo: new mongoose.Types.ObjectId(),
+        attachedToModel: "BaseTask",
+        uploadedBy: new mongoose.Types.ObjectId(),
+        organization: new mongoose.Types.ObjectId(),
+      });
+
+      // Renditions are generated after the upload returns
+      expect(stored.renditions).toHaveLength(0);
+      await waitForQueuedRenditions();
+      const attachment = await Attachment.findById(stored._id);
+
+      const baseKey = attachment.storage.key.replace(/\.png$/, "");
+      const { renditions } = attachment.toJSON();
+      expect(renditions).toEqual(
+        ["small", "medium", "large"].map((size) => ({
+          kind: "thumbnail",
+          size,
+          mimeType: "image/png",
+          width: 64,
+          height: 48,
+          fileSize: pngHeader(64, 48).length,
+          key: `${baseKey}_${size}.png`,
+        }))
+      );
+      expect(attachment.getRendition("medium").key).toBe(
+        `${baseKey}_medium.png`
+      );
+
+      await deleteAttachmentContent(attachment);
+      await expect(
+        fs.readdir(path.dirname(path.join(storageRoot, baseKey)))
+      ).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,400 @@
+import fc from "fast-check";
+import { EventEmitter } from "node:events";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  AssignedTask,
+  TaskComment,
+  Attachment,
+} from "../models/index.js";
+import {
+  detectFileType,
+  detectFileTypeOfPath,
+} from "../utils/fileTypeUtils.js";
+import { createMultipartParser } from "../utils/multipartUtils.js";
+import { parseMultipartUpload } from "../middleware/upload.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+// Store uploads in a throwaway directory with the local provider, and
+// stream them through another one
+const storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+const uploadTempDir = await fs.mkdtemp(path.join(os.tmpdir(), "upload-tmp-"));
+process.env.STORAGE_PROVIDER = "local";
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+process.env.UPLOAD_TEMP_DIR = uploadTempDir;
+
+afterAll(async () => {
+  await fs.rm(storageRoot, { recursive: true, force: true });
+  await fs.rm(uploadTempDir, { recursive: true, force: true });
+});
+
+// Leading bytes of each detectable type
+const FILE_SIGNATURES = [
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff, 0xe0] },
+  {
+    mimeType: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: "image/gif", bytes: [...Buffer.from("GIF89a")] },
+  { mimeType: "image/webp", bytes: [...Buffer.from("RIFF\0\0\0\0WEBP")] },
+  { mimeType: "application/pdf", bytes: [...Buffer.from("%PDF-1.7")] },
+  { mimeType: "video/mp4", bytes: [...Buffer.from("\0\0\0\x18ftypisom")] },
+  { mimeType: "video/avi", bytes: [...Buffer.from("RIFF\0\0\0\0AVI ")] },
+];
+
+/**
+ * Create an organization with a department, two users and a task
+ * @returns {Promise<Object>} { organization, owner, other, task }
+ */
+const createWorkspace = async () => {
+  const organization = await createTestOrganization();
+  const department = await createTestDepartment(organization);
+  const [owner, other] = await Promise.all(
+    ["owner", "other"].map((name) =>
+      User.create({
+        firstName: name,
+        lastName: "Technician",
+        email: `${name}@test.com`,
+        password: "Password123!",
+        role: "User",
+        position: `Technician ${name}`,
+        organization: organization._id,
+        department: department._id,
+      })
+    )
+  );
+  const task = await AssignedTask.create({
+    title: "Replace pump seal",
+    organization: organization._id,
+    department: department._id,
+    createdBy: owner._id,
+    assignedTo: [owner._id],
+  });
+
+  return { organization, owner, other, task };
+};
+
+/**
+ * Encode a multipart/form-data body
+ * @param {string} boundary - Boundary
+ * @param {Object} fields - Field values
+ * @param {Array<Object>} files - Files as { name, filename, content }
+ * @returns {Buffer} Body
+ */
+const encodeMultipart = (boundary, fields, files) =>
+  Buffer.concat([
+    ...Object.entries(fields).map(([name, value]) =>
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+      )
+    ),
+    ...files.flatMap(({ name, filename, content }) => [
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\nContent-Type: application/octet-stream\r\n\r\n`
+      ),
+      content,
+      Buffer.from("\r\n"),
+    ]),
+    Buffer.from(`--${boundary}--\r\n`),
+  ]);
+
+describe("Attachment Upload Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 75: Multipart upload with content sniffing**
+   * For any upload, files should be parsed the same however the body is
+   * chunked, stored with the type detected from their content rather than
+   * the declared one, and rejected when over the size limit or of a type
+   * that is not allowed
+   */
+  describe("Property 75: Multipart upload with content sniffing", () => {
+    it("should detect file types from content regardless of name", () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...FILE_SIGNATURES),
+          fc.uint8Array({ maxLength: 256 }),
+          fc.constantFrom("photo.exe", "notes.txt", "report", "clip.csv"),
+          ({ mimeType, bytes }, tail, filename) => {
+            const content = Buffer.concat([Buffer.from(bytes), tail]);
+            expect(detectFileType(content, filename)).toBe(mimeType);
+          }
+        ),
+        { numRuns: 100 }
+      );
+
+      expect(detectFileType(Buffer.from("MZ\x90\0\x03\0"), "a.pdf")).toBe(
+        null
+      );
+      expect(detectFileType(Buffer.from("id,qty\n1,4\n"), "parts.csv")).toBe(
+        "text/csv"
+      );
+    });
+
+    it("should detect the same type from a file on disk", async () => {
+      const filePath = path.join(uploadTempDir, "sniff.bin");
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.oneof(
+            fc
+              .tuple(
+                fc.constantFrom(...FILE_SIGNATURES),
+                fc.uint8Array({ maxLength: 256 })
+              )
+              .map(([{ bytes }, tail]) =>
+                Buffer.concat([Buffer.from(bytes), tail])
+              ),
+            fc.uint8Array({ maxLength: 256 }).map((bytes) => Buffer.from(bytes)),
+            // Text longer than the sniffed sample, cut inside a character
+            fc
+              .integer({ min: 0, max: 3 })
+              .map((offset) =>
+                Buffer.from(`${"a".repeat(offset)}${"é".repeat(40 * 1024)}`)
+              )
+          ),
+          fc.constantFrom("notes.txt", "parts.csv"),
+          async (content, filename) => {
+            await fs.writeFile(filePath, content);
+            expect(await detectFileTypeOfPath(filePath, filename)).toBe(
+              detectFileType(content, filename)
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+      await fs.rm(filePath);
+    });
+
+    it("should parse bodies identically however they are chunked", async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.dictionary(
+            fc.stringMatching(/^[a-z]{1,10}$/),
+            fc.stringMatching(/^[^\r\n]{0,30}$/),
+            { maxKeys: 5 }
+          ),
+          fc.array(fc.uint8Array({ minLength: 1, maxLength: 512 }), {
+            maxLength: 3,
+          }),
+          fc.integer({ min: 1, max: 64 }),
+          async (fields, contents, chunkSize) => {
+            const boundary = "----formboundary7MA4YWxk";
+            const files = contents.map((content, index) => ({
+              name: "files",
+              filename: `file-${index}.bin`,
+              content: Buffer.from(content),
+            }));
+            const body = encodeMultipart(boundary, fields, files);
+
+            const parser = createMultipartParser(boundary);
+            for (let offset = 0; offset < body.length; offset += chunkSize) {
+              await parser.write(body.subarray(offset, offset + chunkSize));
+            }
+            const result = await parser.end();
+
+            expect(result.fields).toEqual(fields);
+            expect(
+              await Promise.all(
+                result.files.map(async (file) => ({
+                  filename: file.filename,
+                  content: await fs.readFile(file.path),
+                  size: file.size,
+                }))
+              )
+            ).toEqual(
+              files.map(({ filename, content }) => ({
+                filename,
+                content,
+                size: content.length,
+              }))
+            );
+
+            await parser.abort();
+            expect(await fs.readdir(uploadTempDir)).toEqual([]);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should stream files to temporary files removed after the response", async () => {
+      const boundary = "----formboundary7MA4YWxk";
+      const startUpload = (options) => {
+        const req = Object.assign(new PassThrough(), {
+          headers: {
+            "content-type": `multipart/form-data; boundary=${boundary}`,
+          },
+        });
+        const res = Object.assign(new EventEmitter(), { set: () => res });
+        const result = new Promise((resolve) =>
+          parseMultipartUpload(options)(req, res, resolve)
+        );
+        return { req, res, result };
+      };
+      const content = Buffer.alloc(1024 * 1024, 0x61);
+
+      // The body is written in small chunks and read as it arrives
+      const upload = startUpload();
+      const body = encodeMultipart(boundary, { note: "pump" }, [
+        { name: "files", filename: "log.txt", content },
+      ]);
+      for (let offset = 0; offset < body.length; offset += 16 * 1024) {
+        upload.req.write(body.subarray(offset, offset + 16 * 1024));
+      }
+      upload.req.end();
+
+      expect(await upload.result).toBeUndefined();
+      expect(upload.req.body).toEqual({ note: "pump" });
+      const [file] = upload.req.files;
+      expect(path.dirname(file.path)).toBe(uploadTempDir);
+      expect(file.size).toBe(content.length);
+      // Compared as a whole; a byte-by-byte diff of 1MB is slow
+      expect((await fs.readFile(file.path)).equals(content)).toBe(true);
+
+      upload.res.emit("close");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(await fs.readdir(uploadTempDir)).toEqual([]);
+
+      // Files written before a limit is crossed are removed too
+      const oversized = startUpload({ maxFileSize: 64 * 1024 });
+      oversized.req.end(
+        encodeMultipart(boundary, {}, [
+          { name: "files", filename: "small.txt", content: Buffer.from("ok") },
+          { name: "files", filename: "big.txt", content },
+        ])
+      );
+      expect(await oversized.result).toMatchObject({
+        statusCode: 413,
+        code: "FILE_TOO_LARGE",
+      });
+      expect(await fs.readdir(uploadTempDir)).toEqual([]);
+    });
+
+    it("should store uploads with the detected type and category", async () => {
+      const { owner, task } = await createWorkspace();
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(...FILE_SIGNATURES),
+          fc.uint8Array({ maxLength: 256 }),
+          async ({ mimeType, bytes }, tail) => {
+            const content = Buffer.concat([Buffer.from(bytes), tail]);
+
+            const response = await request(app)
+              .post("/api/attachments")
+              .set("Cookie", authCookiesFor(owner))
+              .field("attachedTo", task._id.toString())
+              .field("attachedToModel", "BaseTask")
+              .attach("files", content, {
+                filename: "upload.bin",
+                contentType: "text/plain",
+              })
+              .expect(201);
+
+            const [attachment] = response.body.data.attachments;
+            expect(attachment.mimeType).toBe(mimeType);
+            expect(attachment.fileCategory).toBe(
+              mimeType === "application/pdf" ? "document" : mimeType.split("/")[0]
+            );
+            expect(attachment.fileSize).toBe(content.length);
+            expect(attachment.storage.provider).toBe("local");
+
+            const stored = await fs.readFile(
+              path.join(storageRoot, ...attachment.storage.key.split("/"))
+            );
+            expect(stored).toEqual(content);
+          }
+        ),
+        { numRuns: 5 }
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(await fs.readdir(uploadTempDir)).toEqual([]);
+    }, 60000);
+
+    it("should reject oversized and disallowed files", async () => {
+      const { owner, task } = await createWorkspace();
+
+      const oversized = await request(app)
+        .post("/api/attachments")
+        .set("Cookie", authCookiesFor(owner))
+        .field("attachedTo", task._id.toString())
+        .field("attachedToModel", "BaseTask")
+        .attach(
+          "files",
+          Buffer.alloc(10 * 1024 * 1024 + 1, 0x61),
+          "huge.txt"
+        )
+        .catch((error) => error.response);
+      // The connection may close before the whole body is sent
+      if (oversized) {
+        expect(oversized.status).toBe(413);
+        expect(oversized.body.code).toBe("FILE_TOO_LARGE");
+      }
+
+      const executable = await request(app)
+        .post("/api/attachments")
+        .set("Cookie", authCookiesFor(owner))
+        .field("attachedTo", task._id.toString())
+        .field("attachedToModel", "BaseTask")
+        .attach("files", Buffer.from("MZ\x90\0\x03\0\0\0"), "invoice.pdf")
+        .expect(415);
+      expect(executable.body.code).toBe("INVALID_FILE_TYPE");
+
+      expect(await Attachment.countDocuments({ attachedTo: task._id })).toBe(0);
+    }, 60000);
+
+    it("should let only permitted users attach to a comment", async () => {
+      const { owner, other, task } = await createWorkspace();
+      const otherComment = await TaskComment.create({
+        content: "Photo of the worn seal attached",
+        task: task._id,
+        createdBy: other._id,
+      });
+      const ownerComment = await TaskComment.create({
+        content: "My own notes",
+        task: task._id,
+        createdBy: owner._id,
+      });
+      const png = Buffer.from(FILE_SIGNATURES[1].bytes);
+
+      // The assignee may attach files anywhere on the task
+      await request(app)
+        .post("/api/attachments")
+        .set("Cookie", authCookiesFor(owner))
+        .field("attachedTo", otherComment._id.toString())
+        .field("attachedToModel", "TaskComment")
+        .attach("files", png, "seal.png")
+        .expect(201);
+
+      // Other department members only to their own comments
+      await request(app)
+        .post("/api/attachments")
+        .set("Cookie", authCookiesFor(other))
+        .field("attachedTo", otherComment._id.toString())
+        .field("attachedToModel", "TaskComment")
+        .attach("files", png, "seal.png")
+        .expect(201);
+
+      const forbidden = await request(app)
+        .post("/api/attachments")
+        .set("Cookie", authCookiesFor(other))
+        .field("attachedTo", ownerComment._id.toString())
+        .field("attachedToModel", "TaskComment")
+        .attach("files", png, "seal.png")
+        .expect(403);
+      expect(forbidden.body.code).toBe("INSUFFICIENT_PERMISSIONS");
+    }, 60000);
+  });
+});
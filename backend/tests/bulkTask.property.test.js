@@ -0,0 +1,164 @@
+import fc from "fast-check";
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  Department,
+  BaseTask,
+  AssignedTask,
+  RoutineTask,
+} from "../models/index.js";
+import { authCookiesFor, createTestOrganization } from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Bulk Task Property Tests", () => {
+  let testOrganization;
+  let ownDepartment;
+  let otherDepartment;
+  let manager;
+  let otherUser;
+
+  beforeEach(async () => {
+    testOrganization = await createTestOrganization();
+
+    [ownDepartment, otherDepartment] = await Department.create([
+      { name: "Maintenance", organization: testOrganization._id },
+      { name: "Logistics", organization: testOrganization._id },
+    ]);
+
+    manager = await User.create({
+      firstName: "Maria",
+      lastName: "Manager",
+      email: "maria.manager@test.com",
+      password: "Password123!",
+      role: "Manager",
+      position: "Maintenance Manager",
+      organization: testOrganization._id,
+      department: ownDepartment._id,
+    });
+
+    otherUser = await User.create({
+      firstName: "Luis",
+      lastName: "Logistics",
+      email: "luis.logistics@test.com",
+      password: "Password123!",
+      role: "User",
+      position: "Dispatcher",
+      organization: testOrganization._id,
+      department: otherDepartment._id,
+    });
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 60: Bulk operation per-item results**
+   * For any mix of tasks, a bulk reprioritize should report one result per ID in request order,
+   * succeed only where a single update would and leave failed tasks unchanged
+   */
+  describe("Property 60: Bulk operation per-item results", () => {
+    it("should apply the operation item by item with scope and business rules", async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(
+            fc.constantFrom("ownAssigned", "ownRoutine", "otherDept", "missing"),
+            { minLength: 1, maxLength: 6 }
+          ),
+          fc.constantFrom("Low", "Medium", "High", "Critical"),
+          async (kinds, priority) => {
+            const taskIds = [];
+            for (const kind of kinds) {
+              if (kind === "missing") {
+                taskIds.push(new mongoose.Types.ObjectId().toString());
+                continue;
+              }
+
+              const common = {
+                title: `Bulk item ${Math.random()}`,
+                organization: testOrganization._id,
+                priority: "Medium",
+              };
+              const task =
+                kind === "ownRoutine"
+                  ? await RoutineTask.create({
+                      ...common,
+                      status: "In Progress",
+                      department: ownDepartment._id,
+                      createdBy: manager._id,
+                    })
+                  : await AssignedTask.create({
+                      ...common,
+                      department:
+                        kind === "otherDept"
+                          ? otherDepartment._id
+                          : ownDepartment._id,
+                      createdBy: kind === "otherDept" ? otherUser._id : manager._id,
+                      assignedTo: [kind === "otherDept" ? otherUser._id : manager._id],
+                    });
+              taskIds.push(task._id.toString());
+            }
+
+            const response = await request(app)
+              .post("/api/tasks/bulk")
+              .set("Cookie", authCookiesFor(manager))
+              .send({ taskIds, operation: "reprioritize", payload: { priority } })
+              .expect(200);
+
+            const { results, summary } = response.body.data;
+            expect(results.map((result) => result.taskId)).toEqual(taskIds);
+
+            for (const [index, kind] of kinds.entries()) {
+              const result = results[index];
+              const expectedStatus = {
+                ownAssigned: null,
+                ownRoutine: priority === "Low" ? 400 : null,
+                otherDept: 403,
+                missing: 404,
+              }[kind];
+
+              expect(result.success).toBe(expectedStatus === null);
+              if (expectedStatus !== null) {
+                expect(result.error.statusCode).toBe(expectedStatus);
+              }
+
+              if (kind !== "missing") {
+                const stored = await BaseTask.findById(result.taskId);
+                expect(stored.priority).toBe(result.success ? priority : "Medium");
+              }
+            }
+
+            expect(summary.total).toBe(kinds.length);
+            expect(summary.succeeded + summary.failed).toBe(kinds.length);
+          }
+        ),
+        { numRuns: 10 }
+      );
+    }, 60000);
+
+    it("should reject requests above the bulk limit or with unknown operations", async () => {
+      const cookies = authCookiesFor(manager);
+      const tooMany = Array.from({ length: 101 }, () =>
+        new mongoose.Types.ObjectId().toString()
+      );
+
+      await request(app)
+        .post("/api/tasks/bulk")
+        .set("Cookie", cookies)
+        .send({ taskIds: tooMany, operation: "delete" })
+        .expect(400);
+
+      await request(app)
+        .post("/api/tasks/bulk")
+        .set("Cookie", cookies)
+        .send({ taskIds: [tooMany[0]], operation: "archive" })
+        .expect(400);
+
+      await request(app)
+        .post("/api/tasks/bulk")
+        .set("Cookie", cookies)
+        .send({ taskIds: [tooMany[0]], operation: "reassign", payload: {} })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  AssignedTask,
+  Material,
+  Vendor,
+  ChangeLog,
+} from "../models/index.js";
+import { diffSnapshots } from "../models/plugins/changeTracking.js";
+import { runWithRequestContext } from "../utils/requestContext.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Change Tracking Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 70: Field change tracking**
+   * For any pair of snapshots, exactly the differing paths should be reported with their
+   * before and after values, and saves and updates should be logged with the acting user
+   */
+  describe("Property 70: Field change tracking", () => {
+    it("should report exactly the changed paths", () => {
+      const valueArbitrary = fc.oneof(
+        fc.constant(null),
+        fc.integer(),
+        fc.string({ maxLength: 5 }),
+        fc.array(fc.integer({ min: 0, max: 3 }), { maxLength: 3 })
+      );
+      const paths = ["a", "b", "c", "d"];
+      const snapshotArbitrary = fc.record({
+        a: valueArbitrary,
+        b: valueArbitrary,
+        c: valueArbitrary,
+        d: valueArbitrary,
+      });
+
+      fc.assert(
+        fc.property(snapshotArbitrary, snapshotArbitrary, (before, after) => {
+          const changes = diffSnapshots(before, after, paths);
+
+          paths.forEach((path) => {
+            const change = changes.find((item) => item.field === path);
+            const changed =
+              JSON.stringify(before[path]) !== JSON.stringify(after[path]);
+
+            expect(Boolean(change)).toBe(changed);
+            if (change) {
+              expect(change.from).toEqual(before[path]);
+              expect(change.to).toEqual(after[path]);
+            }
+          });
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should log saves and updates with the acting user", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const [admin, manager] = await Promise.all([
+        User.create({
+          firstName: "Ada",
+          lastName: "Admin",
+          email: "ada@test.com",
+          password: "Password123!",
+          role: "Admin",
+          position: "Head",
+          organization: organization._id,
+          department: department._id,
+        }),
+        User.create({
+          firstName: "Mona",
+          lastName: "Manager",
+          email: "mona@test.com",
+          password: "Password123!",
+          role: "Manager",
+          position: "Manager",
+          organization: organization._id,
+          department: department._id,
+        }),
+      ]);
+      const [vendor, material, belt, task] = await Promise.all([
+        Vendor.create({
+          name: "Acme Repairs",
+          contactPerson: "Rita",
+          email: "rita@acme.test",
+          phone: "+1234567890",
+          serviceCategories: ["HVAC"],
+          rating: 3,
+          organization: organization._id,
+          createdBy: admin._id,
+        }),
+        Material.create({
+          name: "Filter",
+          category: "HVAC",
+          unit: "piece",
+          unitPrice: 10,
+          organization: organization._id,
+          createdBy: admin._id,
+        }),
+        Material.create({
+          name: "Belt",
+          category: "HVAC",
+          unit: "piece",
+          unitPrice: 40,
+          organization: organization._id,
+          createdBy: admin._id,
+        }),
+        AssignedTask.create({
+          title: "Overhaul compressor",
+          priority: "Low",
+          organization: organization._id,
+          department: department._id,
+          createdBy: manager._id,
+          assignedTo: [manager._id],
+        }),
+      ]);
+
+      await runWithRequestContext({ actor: admin._id }, async () => {
+        vendor.rating = 5;
+        await vendor.save();
+        await Material.findOneAndUpdate(
+          { _id: material._id },
+          { unitPrice: 12.5 },
+          { new: true }
+        );
+        // Matches both materials; the sort picks the belt
+        await Material.findOneAndUpdate(
+          { organization: organization._id },
+          { $inc: { unitPrice: 5 } },
+          { sort: { unitPrice: -1 } }
+        );
+      });
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Cookie", authCookiesFor(manager))
+        .send({ priority: "High" })
+        .expect(200);
+
+      const ratingChange = await ChangeLog.findOne({
+        entityId: vendor._id,
+        field: "rating",
+      });
+      expect(ratingChange.from).toBe(3);
+      expect(ratingChange.to).toBe(5);
+      expect(ratingChange.changedBy.equals(admin._id)).toBe(true);
+
+      const priceChange = await ChangeLog.findOne({
+        entityId: material._id,
+        field: "unitPrice",
+      });
+      expect(priceChange.operation).toBe("update");
+      expect(priceChange.to).toBe(12.5);
+
+      const beltChanges = await ChangeLog.find({ entityId: belt._id });
+      expect(
+        beltChanges.map(({ field, from, to }) => ({ field, from, to }))
+      ).toEqual([{ field: "unitPrice", from: 40, to: 45 }]);
+
+      const response = await request(app)
+        .get("/api/change-logs")
+        .query({ field: "priority", changedBy: manager._id.toString() })
+        .set("Cookie", authCookiesFor(admin))
+        .expect(200);
+      expect(response.body.data.changes).toHaveLength(1);
+      expect(response.body.data.changes[0].entityId).toBe(task._id.toString());
+      expect(response.body.data.changes[0].from).toBe("Low");
+
+      await request(app)
+        .get("/api/change-logs")
+        .set("Cookie", authCookiesFor(manager))
+        .expect(403);
+    }, 60000);
+  });
+});
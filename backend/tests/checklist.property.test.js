@@ -0,0 +1,170 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, RoutineTask } from "../models/index.js";
+import { SOCKET_EVENTS } from "../constants/index.js";
+import {
+  authCookiesFor,
+  createRecordingIO,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Checklist Property Tests", () => {
+  let testOrganization;
+  let testDepartment;
+  let manager;
+
+  beforeEach(async () => {
+    testOrganization = await createTestOrganization();
+
+    testDepartment = await createTestDepartment(testOrganization, "Operations");
+
+    manager = await User.create({
+      firstName: "Maria",
+      lastName: "Manager",
+      email: "maria.manager@test.com",
+      password: "Password123!",
+      role: "Manager",
+      position: "Operations Manager",
+      organization: testOrganization._id,
+      department: testDepartment._id,
+    });
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 57: Checklist progress**
+   * For any set of checklist items with any completion flags, the task progress
+   * should equal the rounded percentage of completed items
+   */
+  describe("Property 57: Checklist progress", () => {
+    it("should compute task progress from checklist items", async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.boolean(), { minLength: 1, maxLength: 10 }),
+          async (completionFlags) => {
+            const task = await AssignedTask.create({
+              title: `Commission line ${Math.random()}`,
+              organization: testOrganization._id,
+              department: testDepartment._id,
+              createdBy: manager._id,
+              assignedTo: [manager._id],
+              checklist: completionFlags.map((isCompleted, index) => ({
+                title: `Step ${index + 1}`,
+                isCompleted,
+                createdBy: manager._id,
+              })),
+            });
+
+            const completed = completionFlags.filter(Boolean).length;
+            expect(task.progress).toBe(
+              Math.round((completed / completionFlags.length) * 100)
+            );
+            task.checklist.forEach((item) => {
+              expect(!!item.completedAt).toBe(item.isCompleted);
+            });
+          }
+        ),
+        { numRuns: 10 }
+      );
+    }, 30000);
+
+    it("should keep item order and update progress through the API", async () => {
+      const cookies = authCookiesFor(manager);
+      const task = await AssignedTask.create({
+        title: "Replace conveyor belt",
+        organization: testOrganization._id,
+        department: testDepartment._id,
+        createdBy: manager._id,
+        assignedTo: [manager._id],
+      });
+
+      const first = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set("Cookie", cookies)
+        .send({ title: "Order parts" })
+        .expect(201);
+
+      const second = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set("Cookie", cookies)
+        .send({ title: "Lock out line", position: 0 })
+        .expect(201);
+
+      expect(second.body.data.checklist.map((item) => item.title)).toEqual([
+        "Lock out line",
+        "Order parts",
+      ]);
+
+      const itemId = first.body.data.checklist[0]._id;
+      const updated = await request(app)
+        .put(`/api/tasks/${task._id}/checklist/${itemId}`)
+        .set("Cookie", cookies)
+        .send({ isCompleted: true })
+        .expect(200);
+
+      expect(updated.body.data.progress).toBe(50);
+
+      // RoutineTask has no checklist
+      const routineTask = await RoutineTask.create({
+        title: "Daily walkthrough",
+        status: "In Progress",
+        organization: testOrganization._id,
+        department: testDepartment._id,
+        createdBy: manager._id,
+      });
+
+      await request(app)
+        .post(`/api/tasks/${routineTask._id}/checklist`)
+        .set("Cookie", cookies)
+        .send({ title: "Not allowed" })
+        .expect(400);
+    }, 20000);
+
+    it("should add activity for item completion and assignment", async () => {
+      const cookies = authCookiesFor(manager);
+      const task = await AssignedTask.create({
+        title: "Replace conveyor belt",
+        organization: testOrganization._id,
+        department: testDepartment._id,
+        createdBy: manager._id,
+        assignedTo: [manager._id],
+        checklist: [{ title: "Order parts", createdBy: manager._id }],
+      });
+      const itemId = task.checklist[0]._id;
+
+      const io = createRecordingIO();
+      const previousIO = app.get("io");
+      app.set("io", io);
+      try {
+        for (const update of [
+          { title: "Order belt" },
+          { assignedTo: manager._id.toString() },
+          { isCompleted: true },
+          { isCompleted: true },
+        ]) {
+          await request(app)
+            .put(`/api/tasks/${task._id}/checklist/${itemId}`)
+            .set("Cookie", cookies)
+            .send(update)
+            .expect(200);
+        }
+      } finally {
+        app.set("io", previousIO);
+      }
+
+      // Only real completion and assignment changes are activity
+      const activity = io.emitted.filter(
+        ({ event }) => event === SOCKET_EVENTS.ACTIVITY_ADDED
+      );
+      expect(activity.map(({ payload }) => payload.changes)).toEqual([
+        ["assignedTo"],
+        ["isCompleted"],
+      ]);
+      expect(activity[1].payload.progress).toBe(100);
+    }, 20000);
+  });
+});
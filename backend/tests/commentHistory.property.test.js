@@ -0,0 +1,173 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, TaskComment } from "../models/index.js";
+import { diffWords } from "../utils/diffUtils.js";
+import {
+  isWithinEditWindow,
+  buildCommentRevisions,
+} from "../utils/commentUtils.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Comment History Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 67: Comment edit history**
+   * For any two texts, the diff should rebuild both versions; for any edit sequence the
+   * revisions should list every version in order; and authors should only edit within
+   * the organization's edit window
+   */
+  describe("Property 67: Comment edit history", () => {
+    const textArbitrary = fc
+      .array(fc.constantFrom("pump", "valve", "seal", "ok", " ", "  ", "\n"), {
+        maxLength: 20,
+      })
+      .map((tokens) => tokens.join(""));
+
+    it("should rebuild both versions from a diff", () => {
+      fc.assert(
+        fc.property(textArbitrary, textArbitrary, (before, after) => {
+          const parts = diffWords(before, after);
+          const join = (types) =>
+            parts
+              .filter((part) => types.includes(part.type))
+              .map((part) => part.value)
+              .join("");
+
+          expect(join(["equal", "removed"])).toBe(before);
+          expect(join(["equal", "added"])).toBe(after);
+        }),
+        { numRuns: 300 }
+      );
+    });
+
+    it("should list every version in order with the current one last", () => {
+      fc.assert(
+        fc.property(
+          fc.array(textArbitrary, { minLength: 1, maxLength: 6 }),
+          (versions) => {
+            const revisions = buildCommentRevisions({
+              content: versions[versions.length - 1],
+              createdBy: "author",
+              createdAt: new Date("2026-01-01T00:00:00Z"),
+              editHistory: versions.slice(0, -1).map((content, index) => ({
+                content,
+                editedBy: `editor${index}`,
+                editedAt: new Date(Date.UTC(2026, 0, 1, index + 1)),
+              })),
+            });
+
+            expect(revisions.map((revision) => revision.content)).toEqual(
+              versions
+            );
+            expect(revisions[0].author).toBe("author");
+            expect(
+              revisions.filter((revision) => revision.isCurrent)
+            ).toHaveLength(1);
+            expect(revisions[revisions.length - 1].isCurrent).toBe(true);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should close the edit window after the configured minutes", () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 10080 }),
+          fc.integer({ min: 0, max: 20000 }),
+          (windowMinutes, elapsedMinutes) => {
+            const createdAt = new Date("2026-01-01T00:00:00Z");
+            const now = new Date(createdAt.getTime() + elapsedMinutes * 60000);
+
+            expect(isWithinEditWindow(createdAt, windowMinutes, now)).toBe(
+              elapsedMinutes <= windowMinutes
+            );
+            expect(isWithinEditWindow(createdAt, null, now)).toBe(true);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should store replaced versions and enforce the edit window", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const createUser = (firstName, role) =>
+        User.create({
+          firstName,
+          lastName: "Tester",
+          email: `${firstName.toLowerCase()}@test.com`,
+          password: "Password123!",
+          role,
+          position: role,
+          organization: organization._id,
+          department: department._id,
+        });
+      const author = await createUser("Tara", "User");
+      const admin = await createUser("Ada", "Admin");
+
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: author._id,
+        assignedTo: [author._id],
+      });
+      const comment = await TaskComment.create({
+        content: "Seal is worn",
+        task: task._id,
+        createdBy: author._id,
+      });
+
+      await request(app)
+        .put(`/api/comments/${comment._id}`)
+        .set("Cookie", authCookiesFor(author))
+        .send({ content: "Seal and valve are worn" })
+        .expect(200);
+
+      const history = await request(app)
+        .get(`/api/comments/${comment._id}/history`)
+        .set("Cookie", authCookiesFor(author))
+        .expect(200);
+      expect(
+        history.body.data.revisions.map((revision) => revision.content)
+      ).toEqual(["Seal is worn", "Seal and valve are worn"]);
+
+      // Move the comment outside the default window
+      await TaskComment.updateOne(
+        { _id: comment._id },
+        { $set: { createdAt: new Date(Date.now() - 60 * 60000) } },
+        { timestamps: false }
+      );
+
+      const expired = await request(app)
+        .put(`/api/comments/${comment._id}`)
+        .set("Cookie", authCookiesFor(author))
+        .send({ content: "Seal replaced" })
+        .expect(403);
+      expect(expired.body.code).toBe("COMMENT_EDIT_WINDOW_EXPIRED");
+
+      await request(app)
+        .put(`/api/comments/${comment._id}`)
+        .set("Cookie", authCookiesFor(admin))
+        .send({ content: "Seal replaced" })
+        .expect(200);
+
+      const stored = await TaskComment.findById(comment._id);
+      expect(stored.editHistory.map((entry) => entry.content)).toEqual([
+        "Seal is worn",
+        "Seal and valve are worn",
+      ]);
+      expect(stored.editHistory[1].editedBy.toString()).toBe(
+        admin._id.toString()
+      );
+    }, 60000);
+  });
+});
@@ -0,0 +1,186 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  Organization,
+  AssignedTask,
+  TaskComment,
+} from "../models/index.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+/**
+ * Create an organization with a department, a user and a task
+ * @param {Object} settings - Organization settings
+ * @returns {Promise<Object>} { organization, user, task }
+ */
+const createWorkspace = async (settings = {}) => {
+  const organization = await createTestOrganization({ settings });
+  const department = await createTestDepartment(organization);
+  const user = await User.create({
+    firstName: "Tara",
+    lastName: "Technician",
+    email: "tara@test.com",
+    password: "Password123!",
+    role: "User",
+    position: "Technician",
+    organization: organization._id,
+    department: department._id,
+  });
+  const task = await AssignedTask.create({
+    title: "Overhaul compressor",
+    organization: organization._id,
+    department: department._id,
+    createdBy: user._id,
+    assignedTo: [user._id],
+  });
+
+  return { organization, user, task };
+};
+
+describe("Comment Resolution Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 73: Comment pinning and resolution**
+   * For any sequence of pin and resolve actions, a comment should reflect the
+   * last action with who performed it, unresolved filters should list only
+   * unresolved threads, and completion should be refused while unresolved
+   * threads remain when the organization requires it
+   */
+  describe("Property 73: Comment pinning and resolution", () => {
+    it("should reflect the last pin and resolve action", async () => {
+      const { user, task } = await createWorkspace();
+      const comment = await TaskComment.create({
+        content: "Which membrane do we order?",
+        task: task._id,
+        createdBy: user._id,
+      });
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(
+            fc.tuple(
+              fc.constantFrom("post", "delete"),
+              fc.constantFrom("pin", "resolve")
+            ),
+            { minLength: 1, maxLength: 6 }
+          ),
+          async (actions) => {
+            const stored = await TaskComment.findById(comment._id);
+            const expected = {
+              pin: stored.isPinned,
+              resolve: stored.isResolved,
+            };
+
+            for (const [method, action] of actions) {
+              const response = await request(app)
+                [method](`/api/comments/${comment._id}/${action}`)
+                .set("Cookie", authCookiesFor(user))
+                .expect(200);
+
+              expected[action] = method === "post";
+              const result = response.body.data.comment;
+
+              expect(result.isPinned).toBe(expected.pin);
+              expect(result.isResolved).toBe(expected.resolve);
+              expect(result.pinnedBy?._id ?? null).toBe(
+                expected.pin ? user._id.toString() : null
+              );
+              expect(result.resolvedBy?._id ?? null).toBe(
+                expected.resolve ? user._id.toString() : null
+              );
+            }
+          }
+        ),
+        { numRuns: 5 }
+      );
+    }, 60000);
+
+    it("should filter unresolved threads and list pinned comments", async () => {
+      const { user, task } = await createWorkspace();
+      const [first, second, third] = await Promise.all(
+        ["First", "Second", "Third"].map((content) =>
+          TaskComment.create({ content, task: task._id, createdBy: user._id })
+        )
+      );
+      const reply = await TaskComment.create({
+        content: "Decision: use the Viton membrane",
+        task: task._id,
+        createdBy: user._id,
+        parentComment: first._id,
+      });
+
+      await request(app)
+        .post(`/api/comments/${second._id}/resolve`)
+        .set("Cookie", authCookiesFor(user))
+        .expect(200);
+      await request(app)
+        .post(`/api/comments/${reply._id}/pin`)
+        .set("Cookie", authCookiesFor(user))
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/comments?resolved=false`)
+        .set("Cookie", authCookiesFor(user))
+        .expect(200);
+
+      const { comments, pinnedComments, unresolvedThreadCount } =
+        response.body.data;
+      expect(comments.map((comment) => comment._id).sort()).toEqual(
+        [first._id, third._id].map(String).sort()
+      );
+      expect(unresolvedThreadCount).toBe(2);
+      expect(pinnedComments.map((comment) => comment._id)).toEqual([
+        reply._id.toString(),
+      ]);
+
+      // Only thread roots carry a resolution
+      const replyResponse = await request(app)
+        .post(`/api/comments/${reply._id}/resolve`)
+        .set("Cookie", authCookiesFor(user))
+        .expect(400);
+      expect(replyResponse.body.code).toBe("THREAD_ROOT_REQUIRED");
+    }, 60000);
+
+    it("should block completion while threads are unresolved when required", async () => {
+      const { user, task } = await createWorkspace({
+        blockCompletionOnUnresolvedComments: true,
+      });
+      const comment = await TaskComment.create({
+        content: "Is the seal kit in stock?",
+        task: task._id,
+        createdBy: user._id,
+      });
+
+      await request(app)
+        .patch(`/api/tasks/${task._id}/status`)
+        .set("Cookie", authCookiesFor(user))
+        .send({ status: "In Progress" })
+        .expect(200);
+
+      const blocked = await request(app)
+        .patch(`/api/tasks/${task._id}/status`)
+        .set("Cookie", authCookiesFor(user))
+        .send({ status: "Completed" })
+        .expect(400);
+      expect(blocked.body.code).toBe("UNRESOLVED_COMMENT_THREADS");
+
+      await request(app)
+        .post(`/api/comments/${comment._id}/resolve`)
+        .set("Cookie", authCookiesFor(user))
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/tasks/${task._id}/status`)
+        .set("Cookie", authCookiesFor(user))
+        .send({ status: "Completed" })
+        .expect(200);
+    }, 60000);
+  });
+});
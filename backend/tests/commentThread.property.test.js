@@ -0,0 +1,213 @@
+import fc from "fast-check";
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, TaskComment } from "../models/index.js";
+import { buildCommentTree } from "../utils/commentUtils.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+/**
+ * Flatten a comment tree depth-first
+ * @param {Array<Object>} nodes - Tree nodes
+ * @param {number} depth - Depth of the nodes
+ * @returns {Array<Object>} { node, depth } pairs
+ */
+const flatten = (nodes, depth = 0) =>
+  nodes.flatMap((node) => [
+    { node, depth },
+    ...flatten(node.replies, depth + 1),
+  ]);
+
+describe("Comment Thread Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 68: Comment threads**
+   * For any set of comments, the tree should contain every comment once under its parent
+   * with per-level reply limits, and replies should be rejected beyond the organization's
+   * maximum thread depth
+   */
+  describe("Property 68: Comment threads", () => {
+    it("should nest every comment under its parent", () => {
+      fc.assert(
+        fc.property(
+          // Each comment's parent is an earlier comment or none
+          fc.array(fc.nat(), { minLength: 1, maxLength: 40 }),
+          fc.integer({ min: 0, max: 5 }),
+          (parentSeeds, replyLimit) => {
+            const comments = parentSeeds.map((seed, index) => ({
+              _id: new mongoose.Types.ObjectId(),
+              parentIndex: index === 0 || seed % 3 === 0 ? null : seed % index,
+            }));
+            comments.forEach((comment) => {
+              comment.parentComment =
+                comment.parentIndex === null
+                  ? null
+                  : comments[comment.parentIndex]._id;
+            });
+
+            const roots = comments.filter((comment) => !comment.parentComment);
+            const descendants = comments.filter(
+              (comment) => comment.parentComment
+            );
+
+            const full = flatten(buildCommentTree(roots, descendants));
+            expect(full).toHaveLength(comments.length);
+            full.forEach(({ node }) => {
+              node.replies.forEach((reply) => {
+                expect(reply.parentComment.equals(node._id)).toBe(true);
+              });
+            });
+
+            const limited = flatten(
+              buildCommentTree(roots, descendants, replyLimit)
+            );
+            limited.forEach(({ node }) => {
+              const childCount = descendants.filter((comment) =>
+                comment.parentComment.equals(node._id)
+              ).length;
+              expect(node.replyCount).toBe(childCount);
+              expect(node.replies.length).toBe(Math.min(childCount, replyLimit));
+              expect(node.hasMoreReplies).toBe(childCount > replyLimit);
+            });
+
+            // Counts from the query win over the replies that were loaded
+            const counted = buildCommentTree(
+              roots,
+              [],
+              replyLimit,
+              new Map([[roots[0]._id.toString(), replyLimit + 1]])
+            );
+            expect(counted[0].replyCount).toBe(replyLimit + 1);
+            expect(counted[0].hasMoreReplies).toBe(true);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should load only the replies within the limit", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const user = await User.create({
+        firstName: "Tara",
+        lastName: "Technician",
+        email: "tara@test.com",
+        password: "Password123!",
+        role: "User",
+        position: "Technician",
+        organization: organization._id,
+        department: department._id,
+      });
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: user._id,
+        assignedTo: [user._id],
+      });
+
+      const root = await TaskComment.create({
+        content: "Root",
+        task: task._id,
+        createdBy: user._id,
+      });
+      const replies = [];
+      for (let index = 0; index < 4; index += 1) {
+        const reply = await TaskComment.create({
+          content: `Reply ${index}`,
+          task: task._id,
+          createdBy: user._id,
+          parentComment: root._id,
+        });
+        await TaskComment.create({
+          content: `Nested ${index}`,
+          task: task._id,
+          createdBy: user._id,
+          parentComment: reply._id,
+        });
+        replies.push(reply);
+      }
+      await replies[1].softDelete(user._id);
+
+      const { comments } = await TaskComment.findByTaskWithThreading(
+        task._id,
+        { replyLimit: 2 }
+      );
+
+      // Deleted replies are neither counted nor shown
+      const [tree] = comments;
+      expect(tree.replyCount).toBe(3);
+      expect(tree.hasMoreReplies).toBe(true);
+      expect(tree.replies.map((reply) => reply.content)).toEqual([
+        "Reply 0",
+        "Reply 2",
+      ]);
+      expect(tree.replies[1].replies[0].content).toBe("Nested 2");
+      expect(tree.replies[1].replyCount).toBe(1);
+    }, 60000);
+
+    it("should store thread paths and enforce the maximum depth", async () => {
+      const organization = await createTestOrganization({
+        settings: { commentMaxThreadDepth: 3 },
+      });
+      const department = await createTestDepartment(organization);
+      const user = await User.create({
+        firstName: "Tara",
+        lastName: "Technician",
+        email: "tara@test.com",
+        password: "Password123!",
+        role: "User",
+        position: "Technician",
+        organization: organization._id,
+        department: department._id,
+      });
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: user._id,
+        assignedTo: [user._id],
+      });
+
+      const chain = [];
+      for (let depth = 0; depth <= 3; depth += 1) {
+        const response = await request(app)
+          .post(`/api/tasks/${task._id}/comments`)
+          .set("Cookie", authCookiesFor(user))
+          .send({
+            content: `Level ${depth}`,
+            parentComment: chain[chain.length - 1]?._id,
+          })
+          .expect(201);
+        chain.push(response.body.data.comment);
+        expect(response.body.data.comment.threadDepth).toBe(depth);
+      }
+
+      const tooDeep = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Cookie", authCookiesFor(user))
+        .send({ content: "Level 4", parentComment: chain[3]._id })
+        .expect(400);
+      expect(tooDeep.body.code).toBe("MAX_NESTING_EXCEEDED");
+
+      const deepest = await TaskComment.findById(chain[3]._id);
+      expect(deepest.ancestors.map((id) => id.toString())).toEqual(
+        chain.slice(0, 3).map((comment) => comment._id)
+      );
+
+      const thread = await request(app)
+        .get(`/api/comments/${chain[0]._id}/thread`)
+        .set("Cookie", authCookiesFor(user))
+        .expect(200);
+      expect(
+        thread.body.data.thread.replies[0].replies[0].replies[0].content
+      ).toBe("Level 3");
+    }, 60000);
+  });
+});
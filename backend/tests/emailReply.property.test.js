@@ -0,0 +1,386 @@
+import fc from "fast-check";
+import net from "node:net";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  AssignedTask,
+  TaskComment,
+  Notification,
+} from "../models/index.js";
+import {
+  createReplyToken,
+  verifyReplyToken,
+  buildReplyAddress,
+} from "../utils/replyTokenUtils.js";
+import {
+  parseEmailMessage,
+  stripQuotedReply,
+  htmlToText,
+} from "../utils/emailUtils.js";
+import { createInboundSmtpServer } from "../services/inboundSmtpServer.js";
+import { EMAIL_REPLY_CONFIG } from "../constants/index.js";
+import { createTestOrganization, createTestDepartment } from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+process.env.EMAIL_REPLY_SECRET = "test-reply-secret";
+process.env.INBOUND_EMAIL_SECRET = "test-inbound-secret";
+
+const objectIdArbitrary = fc.hexaString({ minLength: 24, maxLength: 24 });
+
+// Reply lines that never look like quoting, attributions or signatures
+const replyLineArbitrary = fc
+  .array(fc.stringMatching(/^[a-z0-9]{1,8}$/), { minLength: 1, maxLength: 6 })
+  .map((words) => words.join(" "));
+
+/**
+ * Build a raw reply message
+ * @param {Object} options - Message parts
+ * @returns {string} Raw RFC 822 message
+ */
+const buildRawReply = ({ to, text, from = "someone@mail.test" }) =>
+  [
+    `From: Someone <${from}>`,
+    `To: ${to}`,
+    "Subject: Re: New comment",
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+  ].join("\r\n");
+
+/**
+ * Send data to an SMTP server after its greeting
+ * @param {number} port - Server port
+ * @param {string} data - Client input
+ * @returns {Promise<string>} Server output until it closed the connection
+ */
+const talkToSmtpServer = (port, data) =>
+  new Promise((resolve, reject) => {
+    const client = net.connect(port, "127.0.0.1");
+    let output = "";
+    client.once("data", () => client.write(data));
+    client.on("data", (chunk) => {
+      output += chunk.toString();
+    });
+    client.on("error", reject);
+    client.on("close", () => resolve(output));
+  });
+
+describe("Email Reply Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 72: Reply by email**
+   * For any reply to a notification email, only a correctly signed reply
+   * address should be accepted, and the new text of the reply (without
+   * quoted history) should be posted as a comment by the email's recipient
+   */
+  describe("Property 72: Reply by email", () => {
+    it("should only verify untampered, unexpired reply tokens", () => {
+      fc.assert(
+        fc.property(
+          objectIdArbitrary,
+          objectIdArbitrary,
+          fc.date({
+            min: new Date("2020-01-01T00:00:00Z"),
+            max: new Date("2040-01-01T00:00:00Z"),
+          }),
+          fc.nat(),
+          fc.constantFrom(..."ABCxyz019-_"),
+          (userId, commentId, now, position, replacement) => {
+            const token = createReplyToken({ userId, commentId, now });
+            const expiry = now.getTime() + EMAIL_REPLY_CONFIG.TOKEN_EXPIRY;
+
+            expect(verifyReplyToken(token, now)).toEqual({
+              userId: userId.toLowerCase(),
+              commentId: commentId.toLowerCase(),
+            });
+            expect(
+              verifyReplyToken(token, new Date(expiry - 1000))
+            ).not.toBeNull();
+            expect(verifyReplyToken(token, new Date(expiry))).toBeNull();
+
+            const index = position % token.length;
+            const tampered =
+              token.slice(0, index) + replacement + token.slice(index + 1);
+            if (tampered !== token) {
+              expect(verifyReplyToken(tampered, now)).toBeNull();
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should only sign reply tokens with the reply secret", () => {
+      const ids = { userId: "a".repeat(24), commentId: "b".repeat(24) };
+      const token = createReplyToken(ids);
+
+      process.env.JWT_ACCESS_SECRET ||= "test-access-secret";
+      delete process.env.EMAIL_REPLY_SECRET;
+      try {
+        expect(() => createReplyToken(ids)).toThrow(
+          "Email reply secret not configured"
+        );
+        expect(() => verifyReplyToken(token)).toThrow(
+          "Email reply secret not configured"
+        );
+      } finally {
+        process.env.EMAIL_REPLY_SECRET = "test-reply-secret";
+      }
+    });
+
+    it("should keep only the new text of a reply", () => {
+      fc.assert(
+        fc.property(
+          fc.array(replyLineArbitrary, { minLength: 1, maxLength: 5 }),
+          fc.array(replyLineArbitrary, { maxLength: 5 }),
+          fc.constantFrom(
+            "On Mon, Jan 6, 2025 at 9:00 AM Mona <mona@test.com> wrote:",
+            "-----Original Message-----",
+            EMAIL_REPLY_CONFIG.REPLY_MARKER,
+            "-- "
+          ),
+          (replyLines, quotedLines, separator) => {
+            const text = [
+              ...replyLines,
+              "",
+              separator,
+              ...quotedLines.map((line) => `> ${line}`),
+            ].join("\r\n");
+
+            expect(stripQuotedReply(text)).toBe(replyLines.join("\n"));
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should convert HTML replies without their quoted part", () => {
+      fc.assert(
+        fc.property(
+          fc.array(replyLineArbitrary, { minLength: 1, maxLength: 5 }),
+          fc.array(replyLineArbitrary, { minLength: 1, maxLength: 5 }),
+          fc.integer({ min: 1, max: 3 }),
+          (lines, quoted, nesting) => {
+            const quote =
+              "<blockquote>".repeat(nesting) +
+              quoted.join("<br>") +
+              "</blockquote>".repeat(nesting);
+            const body = lines.map((line) => `<p>${line}</p>`).join("");
+
+            expect(htmlToText(`<div dir="ltr">${body}</div>${quote}`)).toBe(
+              lines.join("\n")
+            );
+            expect(
+              htmlToText(
+                `<div dir="ltr">${body}</div><div class="gmail_quote">${quoted.join("<br>")}</div>`
+              )
+            ).toBe(lines.join("\n"));
+          }
+        ),
+        { numRuns: 100 }
+      );
+
+      // Unclosed markup must not make the conversion scan the body repeatedly
+      const started = Date.now();
+      ['<div class="', "<!--", "<script", "<blockquote>", "<", " "].forEach(
+        (fragment) => htmlToText(fragment.repeat(100000))
+      );
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it("should decode text parts and attachments of any encoding", () => {
+      fc.assert(
+        fc.property(
+          fc.array(replyLineArbitrary, { minLength: 1, maxLength: 5 }),
+          fc.constantFrom("base64", "quoted-printable", "8bit"),
+          fc.uint8Array({ minLength: 1, maxLength: 200 }),
+          (lines, encoding, bytes) => {
+            const text = `${lines.join("\r\n")} café`;
+            const encodedText =
+              encoding === "base64"
+                ? Buffer.from(text).toString("base64")
+                : encoding === "quoted-printable"
+                  ? text.replace("é", "=C3=A9")
+                  : text;
+            const raw = [
+              "To: reply+token@mail.test",
+              'Content-Type: multipart/mixed; boundary="b1"',
+              "",
+              "--b1",
+              "Content-Type: text/plain; charset=utf-8",
+              `Content-Transfer-Encoding: ${encoding}`,
+              "",
+              encodedText,
+              "--b1",
+              'Content-Type: application/pdf; name="report.pdf"',
+              "Content-Disposition: attachment",
+              "Content-Transfer-Encoding: base64",
+              "",
+              Buffer.from(bytes).toString("base64"),
+              "--b1--",
+              "",
+            ].join("\r\n");
+
+            const message = parseEmailMessage(raw);
+
+            expect(message.to[0].address).toBe("reply+token@mail.test");
+            expect(message.text).toBe(text);
+            expect(message.attachments).toHaveLength(1);
+            expect(message.attachments[0].filename).toBe("report.pdf");
+            expect([...message.attachments[0].content]).toEqual([...bytes]);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should post a reply as a comment by the email recipient", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const createUser = (firstName, email) =>
+        User.create({
+          firstName,
+          lastName: "Test",
+          email,
+          password: "Password123!",
+          role: "Manager",
+          position: `${firstName} Test`,
+          organization: organization._id,
+          department: department._id,
+        });
+      const author = await createUser("Mona", "mona@test.com");
+      const recipient = await createUser("Tara", "tara@test.com");
+
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: author._id,
+        assignedTo: [author._id],
+        watchers: [author._id],
+      });
+      const original = await TaskComment.create({
+        content: "Can you check the valves?",
+        task: task._id,
+        createdBy: author._id,
+      });
+
+      const address = buildReplyAddress(
+        createReplyToken({ userId: recipient._id, commentId: original._id }),
+        "mail.test"
+      );
+      const raw = buildRawReply({
+        to: `Tasks <${address}>`,
+        from: "Tara@Test.com",
+        text: [
+          "Valves are fine.",
+          "",
+          "On Mon, Jan 6, 2025 at 9:00 AM Mona <mona@test.com> wrote:",
+          "> Can you check the valves?",
+        ].join("\r\n"),
+      });
+
+      const response = await request(app)
+        .post("/api/inbound-email")
+        .set("X-Inbound-Email-Secret", "test-inbound-secret")
+        .set("Content-Type", "message/rfc822")
+        .send(raw)
+        .expect(201);
+
+      const { comment } = response.body.data;
+      expect(comment.content).toBe("Valves are fine.");
+      expect(comment.createdBy._id).toBe(recipient._id.toString());
+      expect(comment.parentComment).toBe(original._id.toString());
+
+      const notifications = await Notification.find({
+        organization: organization._id,
+        type: "comment_added",
+      });
+      expect(notifications.map((n) => n.recipient.toString())).toEqual([
+        author._id.toString(),
+      ]);
+
+      // A reply address signed for another comment is rejected
+      const forged = address.replace(/\+(.)/, (match, char) =>
+        char === "A" ? "+B" : "+A"
+      );
+      await request(app)
+        .post("/api/inbound-email")
+        .set("X-Inbound-Email-Secret", "test-inbound-secret")
+        .set("Content-Type", "message/rfc822")
+        .send(
+          buildRawReply({ to: forged, from: "tara@test.com", text: "Forged" })
+        )
+        .expect(400);
+
+      // So is a reply from another sender, or to an expired address
+      const spoofed = await request(app)
+        .post("/api/inbound-email")
+        .set("X-Inbound-Email-Secret", "test-inbound-secret")
+        .set("Content-Type", "message/rfc822")
+        .send(buildRawReply({ to: address, text: "Spoofed" }))
+        .expect(403);
+      expect(spoofed.body.code).toBe("REPLY_SENDER_MISMATCH");
+
+      const expired = buildReplyAddress(
+        createReplyToken({
+          userId: recipient._id,
+          commentId: original._id,
+          now: new Date(Date.now() - EMAIL_REPLY_CONFIG.TOKEN_EXPIRY),
+        }),
+        "mail.test"
+      );
+      await request(app)
+        .post("/api/inbound-email")
+        .set("X-Inbound-Email-Secret", "test-inbound-secret")
+        .set("Content-Type", "message/rfc822")
+        .send(
+          buildRawReply({ to: expired, from: "tara@test.com", text: "Late" })
+        )
+        .expect(400);
+
+      await request(app)
+        .post("/api/inbound-email")
+        .set("X-Inbound-Email-Secret", "wrong-secret")
+        .set("Content-Type", "message/rfc822")
+        .send(raw)
+        .expect(401);
+
+      expect(await TaskComment.countDocuments({ task: task._id })).toBe(2);
+    }, 60000);
+
+    it("should close SMTP connections that send an overlong line", async () => {
+      const server = createInboundSmtpServer({ hostname: "mail.test" });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const address = buildReplyAddress(
+          createReplyToken({
+            userId: "a".repeat(24),
+            commentId: "b".repeat(24),
+          }),
+          "mail.test"
+        );
+        const output = await talkToSmtpServer(
+          server.address().port,
+          [
+            "HELO client.test",
+            "MAIL FROM:<someone@mail.test>",
+            `RCPT TO:<${address}>`,
+            "DATA",
+            "Subject: Endless",
+            "",
+            "x".repeat(EMAIL_REPLY_CONFIG.SMTP_LINE_MAX * 4),
+          ].join("\r\n")
+        );
+
+        expect(output).toMatch(/^354 /m);
+        expect(output).toMatch(/^552 Line too long\r\n$/m);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { Organization, Department } from "../models/index.js";
+import { generateTokenPair } from "../utils/jwtUtils.js";
+
+/**
+ * Test Helpers
+ * Fixtures and stand-ins shared by the property tests. Fixtures need the
+ * database connection opened in tests/setup.js
+ */
+
+// Keeps organizations unique when several are created in the same millisecond
+let organizationCount = 0;
+
+/**
+ * Build auth cookies for a user without going through the login endpoint
+ * @param {Object} user - Saved user document
+ * @returns {Array<string>} Cookie header values
+ */
+export const authCookiesFor = (user) => {
+  const { accessToken } = generateTokenPair(user);
+  return [`accessToken=${accessToken}`];
+};
+
+/**
+ * Create a stand-in Socket.IO server that records emitted events
+ * @returns {Object} Server with the emitted events in `emitted`
+ */
+export const createRecordingIO = () => ({
+  emitted: [],
+  to(rooms) {
+    return {
+      emit: (event, payload) =>
+        this.emitted.push({ rooms: [].concat(rooms), event, payload }),
+    };
+  },
+});
+
+/**
+ * Create an organization with a unique name and email
+ * @param {Object} fields - Fields to add or override, such as settings
+ * @returns {Promise<Object>} Saved organization
+ */
+export const createTestOrganization = (fields = {}) => {
+  organizationCount += 1;
+
+  return Organization.create({
+    name: `Test Org ${Date.now()}-${organizationCount}`,
+    email: `org${Date.now()}-${organizationCount}@test.com`,
+    phone: "+1234567890",
+    address: "Test Address",
+    size: "Small",
+    industry: "Technology",
+    ...fields,
+  });
+};
+
+/**
+ * Create a department in an organization
+ * @param {Object} organization - Saved organization
+ * @param {string} name - Department name
+ * @returns {Promise<Object>} Saved department
+ */
+export const createTestDepartment = (organization, name = "Workshop") =>
+  Department.create({ name, organization: organization._id });
+
+export default {
+  authCookiesFor,
+  createRecordingIO,
+  createTestOrganization,
+  createTestDepartment,
+};
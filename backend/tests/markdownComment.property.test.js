@@ -0,0 +1,178 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, TaskComment } from "../models/index.js";
+import { renderMarkdown, isSafeUrl } from "../utils/markdownUtils.js";
+import { extractMentionTexts } from "../utils/mentionUtils.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+/**
+ * Create an organization with a department, a user and a task
+ * @param {string} suffix - Unique suffix for names and emails
+ * @returns {Promise<Object>} { organization, user, task }
+ */
+const createWorkspace = async (suffix) => {
+  const organization = await createTestOrganization();
+  const department = await createTestDepartment(organization);
+  const user = await User.create({
+    firstName: "Tara",
+    lastName: suffix,
+    email: `tara-${suffix}@test.com`,
+    password: "Password123!",
+    role: "User",
+    position: "Technician",
+    organization: organization._id,
+    department: department._id,
+  });
+  const task = await AssignedTask.create({
+    title: `Task ${suffix}`,
+    organization: organization._id,
+    department: department._id,
+    createdBy: user._id,
+    assignedTo: [user._id],
+  });
+
+  return { organization, user, task };
+};
+
+const ALLOWED_TAGS = [
+  "p",
+  "br",
+  "hr",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "strong",
+  "em",
+  "del",
+  "code",
+  "pre",
+  "blockquote",
+  "ul",
+  "ol",
+  "li",
+  "a",
+];
+
+describe("Markdown Comment Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 71: Markdown comments**
+   * For any comment source, the rendered HTML should only contain allowlisted tags with
+   * safe attributes, task references should link only tasks of the same organization,
+   * and mentions inside code should be ignored
+   */
+  describe("Property 71: Markdown comments", () => {
+    it("should only render allowlisted markup", () => {
+      const fragmentArbitrary = fc.constantFrom(
+        "<script>alert(1)</script>",
+        "<img src=x onerror=alert(1)>",
+        '<a href="javascript:alert(1)">x</a>',
+        "[link](javascript:alert(1))",
+        "[link](https://example.com)",
+        "[`code`](/tasks/1)",
+        "https://example.com/?a=1&b=2",
+        "**",
+        "*",
+        "_",
+        "~~",
+        "`",
+        "```",
+        "\n",
+        "# ",
+        "> ",
+        "- ",
+        "1. ",
+        "<",
+        ">",
+        '"',
+        "'",
+        "&",
+        " onmouseover=alert(1) ",
+        "text",
+        "#64b7f0c2e4b0a1a2b3c4d5e6"
+      );
+
+      fc.assert(
+        fc.property(
+          fc.array(fragmentArbitrary, { maxLength: 30 }),
+          (fragments) => {
+            const html = renderMarkdown(fragments.join(""));
+
+            [...html.matchAll(/<\/?([a-z0-9]+)([^>]*)>/gi)].forEach(
+              ([, tag, attributes]) => {
+                expect(ALLOWED_TAGS).toContain(tag.toLowerCase());
+                expect(attributes).not.toMatch(/\son[a-z]+\s*=/i);
+              }
+            );
+            [...html.matchAll(/href="([^"]*)"/g)].forEach(([, href]) => {
+              expect(isSafeUrl(href)).toBe(true);
+            });
+            expect(html).not.toMatch(/<script/i);
+          }
+        ),
+        { numRuns: 300 }
+      );
+    });
+
+    it("should keep parentheses inside link URLs", () => {
+      expect(renderMarkdown("[x](javascript:alert(1))")).toBe("<p>x</p>");
+      expect(
+        renderMarkdown("[Bar](https://en.wikipedia.org/wiki/Foo_(bar))")
+      ).toBe(
+        '<p><a href="https://en.wikipedia.org/wiki/Foo_(bar)" rel="noopener noreferrer nofollow" target="_blank">Bar</a></p>'
+      );
+    });
+
+    it("should ignore mentions inside code and email addresses", () => {
+      expect(
+        extractMentionTexts(
+          "Ping **@tara**, not `@decorator` or ops@example.com\n```\n@inside\n```"
+        )
+      ).toEqual(["tara"]);
+    });
+
+    it("should link task references of the same organization", async () => {
+      const home = await createWorkspace("home");
+      const other = await createWorkspace("other");
+      const linkedTask = await AssignedTask.create({
+        title: "Replace filter",
+        organization: home.organization._id,
+        department: home.task.department,
+        createdBy: home.user._id,
+        assignedTo: [home.user._id],
+      });
+
+      const response = await request(app)
+        .post(`/api/tasks/${home.task._id}/comments`)
+        .set("Cookie", authCookiesFor(home.user))
+        .send({
+          content: `Blocked by #${linkedTask._id}, see #${other.task._id}\n\n<b onclick="x">bold</b>`,
+        })
+        .expect(201);
+
+      const comment = await TaskComment.findById(
+        response.body.data.comment._id
+      );
+      expect(comment.taskReferences.map((id) => id.toString())).toEqual([
+        linkedTask._id.toString(),
+      ]);
+      expect(comment.contentHtml).toContain(
+        `data-task-id="${linkedTask._id}"`
+      );
+      expect(comment.contentHtml).not.toContain(
+        `data-task-id="${other.task._id}"`
+      );
+      expect(comment.contentHtml).toContain("&lt;b onclick=");
+    }, 60000);
+  });
+});
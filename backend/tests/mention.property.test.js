@@ -0,0 +1,136 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, Notification } from "../models/index.js";
+import {
+  extractMentionTexts,
+  matchMention,
+} from "../utils/mentionUtils.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Mention Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 65: Mention resolution**
+   * For any mention, it should resolve to a user only when exactly one user matches
+   * its email local-part (or, failing that, its full name), and mentioned users
+   * should be notified and see the comment in their mentions feed
+   */
+  describe("Property 65: Mention resolution", () => {
+    const usernameArbitrary = fc.stringMatching(/^[a-z][a-z0-9._-]{0,11}$/);
+
+    it("should extract each username mention once", () => {
+      fc.assert(
+        fc.property(fc.array(usernameArbitrary, { maxLength: 10 }), (names) => {
+          const content = names.map((name) => `hi @${name}`).join(" and ");
+          const texts = extractMentionTexts(content);
+
+          expect(texts).toEqual([...new Set(names)]);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should only resolve unambiguous matches", () => {
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.record({
+              local: fc.constantFrom("sam", "alex", "jo"),
+              firstName: fc.constantFrom("Sam", "Alex", "Jo"),
+              lastName: fc.constantFrom("Lee", "Kim"),
+            }),
+            { maxLength: 6 }
+          ),
+          fc.constantFrom("sam", "Alex Kim", "jo lee", "nobody"),
+          (rows, mentionText) => {
+            const users = rows.map((row, index) => ({
+              _id: index,
+              email: `${row.local}@site${index}.com`,
+              firstName: row.firstName,
+              lastName: row.lastName,
+            }));
+            const { user, candidates } = matchMention(mentionText, users);
+
+            const text = mentionText.toLowerCase();
+            const byEmail = users.filter(
+              (candidate) => candidate.email.split("@")[0] === text
+            );
+            const byName = users.filter(
+              (candidate) =>
+                `${candidate.firstName} ${candidate.lastName}`.toLowerCase() ===
+                text
+            );
+            const matches = byEmail.length > 0 ? byEmail : byName;
+
+            expect(user).toBe(matches.length === 1 ? matches[0] : null);
+            expect(candidates).toHaveLength(
+              matches.length > 1 ? matches.length : 0
+            );
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should notify mentioned users and list the comment in their feed", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const createUser = (firstName, lastName, email) =>
+        User.create({
+          firstName,
+          lastName,
+          email,
+          password: "Password123!",
+          role: "Manager",
+          position: `${firstName} ${lastName}`,
+          organization: organization._id,
+          department: department._id,
+        });
+      const author = await createUser("Mona", "Manager", "mona@test.com");
+      const mentioned = await createUser("Tara", "Tech", "tara@test.com");
+      await createUser("Sam", "Lee", "sam.lee@test.com");
+      await createUser("Sam", "Lee", "samuel@test.com");
+
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: author._id,
+        assignedTo: [author._id],
+      });
+
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Cookie", authCookiesFor(author))
+        .send({ content: 'Ping @tara and @"Sam Lee" please' })
+        .expect(201);
+
+      const { mentions } = response.body.data.comment;
+      expect(mentions[0].user._id).toBe(mentioned._id.toString());
+      expect(mentions[1].user).toBeNull();
+      expect(mentions[1].candidates).toHaveLength(2);
+
+      const notifications = await Notification.find({
+        organization: organization._id,
+        type: "mention",
+      });
+      expect(notifications.map((n) => n.recipient.toString())).toEqual([
+        mentioned._id.toString(),
+      ]);
+
+      const feed = await request(app)
+        .get("/api/comments/mentions")
+        .set("Cookie", authCookiesFor(mentioned))
+        .expect(200);
+      expect(feed.body.data.comments).toHaveLength(1);
+      expect(feed.body.data.comments[0].task.title).toBe(task.title);
+    }, 60000);
+  });
+});
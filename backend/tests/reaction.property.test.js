@@ -0,0 +1,187 @@
+import fc from "fast-check";
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, TaskComment } from "../models/index.js";
+import { COMMENT_REACTIONS_ARRAY, SOCKET_EVENTS } from "../constants/index.js";
+import { joinTaskRoom } from "../services/socketService.js";
+import {
+  authCookiesFor,
+  createRecordingIO,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Comment Reaction Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 66: Comment reactions**
+   * For any set of reactions, the counts should report every reaction type and sum to
+   * the number of reactions, and adding a reaction twice should store it once
+   */
+  describe("Property 66: Comment reactions", () => {
+    it("should count reactions per type", () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.constantFrom(...COMMENT_REACTIONS_ARRAY), {
+            maxLength: 30,
+          }),
+          (types) => {
+            const comment = new TaskComment({
+              content: "Reaction test",
+              task: new mongoose.Types.ObjectId(),
+              createdBy: new mongoose.Types.ObjectId(),
+              reactions: types.map((type) => ({
+                user: new mongoose.Types.ObjectId(),
+                type,
+              })),
+            });
+            const counts = comment.reactionCounts;
+
+            expect(Object.keys(counts).sort()).toEqual(
+              [...COMMENT_REACTIONS_ARRAY].sort()
+            );
+            COMMENT_REACTIONS_ARRAY.forEach((type) => {
+              expect(counts[type]).toBe(
+                types.filter((value) => value === type).length
+              );
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should keep one reaction per user and type", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const user = await User.create({
+        firstName: "Tara",
+        lastName: "Technician",
+        email: "tara@test.com",
+        password: "Password123!",
+        role: "User",
+        position: "Technician",
+        organization: organization._id,
+        department: department._id,
+      });
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: user._id,
+        assignedTo: [user._id],
+      });
+      const comment = await TaskComment.create({
+        content: "Compressor is open",
+        task: task._id,
+        createdBy: user._id,
+      });
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(
+            fc.tuple(
+              fc.constantFrom("post", "delete"),
+              fc.constantFrom("like", "love")
+            ),
+            { minLength: 1, maxLength: 6 }
+          ),
+          async (actions) => {
+            const expected = new Set(
+              (await TaskComment.findById(comment._id)).reactions.map(
+                (reaction) => reaction.type
+              )
+            );
+
+            for (const [method, reaction] of actions) {
+              const response = await request(app)
+                [method](`/api/comments/${comment._id}/reactions`)
+                .set("Cookie", authCookiesFor(user))
+                .send({ reaction })
+                .expect(200);
+
+              if (method === "post") expected.add(reaction);
+              else expected.delete(reaction);
+
+              expect(response.body.data.reactionCounts.like).toBe(
+                expected.has("like") ? 1 : 0
+              );
+              expect(response.body.data.reactionCounts.love).toBe(
+                expected.has("love") ? 1 : 0
+              );
+            }
+          }
+        ),
+        { numRuns: 5 }
+      );
+    }, 60000);
+
+    it("should push reaction updates to sockets viewing the task", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const [technician, viewer] = await Promise.all(
+        ["tara", "vic"].map((name) =>
+          User.create({
+            firstName: name,
+            lastName: "Technician",
+            email: `${name}@test.com`,
+            password: "Password123!",
+            role: "User",
+            position: "Technician",
+            organization: organization._id,
+            department: department._id,
+          })
+        )
+      );
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: technician._id,
+        assignedTo: [technician._id],
+      });
+      const comment = await TaskComment.create({
+        content: "Compressor is open",
+        task: task._id,
+        createdBy: technician._id,
+      });
+
+      const viewerSocket = {
+        request: {
+          user: await User.findById(viewer._id)
+            .populate("organization", "name _id")
+            .populate("department", "name _id"),
+        },
+        rooms: new Set(),
+        join(room) {
+          this.rooms.add(room);
+        },
+      };
+      await joinTaskRoom(viewerSocket, { taskId: task._id.toString() });
+
+      const io = createRecordingIO();
+      const previousIO = app.get("io");
+      app.set("io", io);
+      try {
+        await request(app)
+          .post(`/api/comments/${comment._id}/reactions`)
+          .set("Cookie", authCookiesFor(technician))
+          .send({ reaction: "like" })
+          .expect(200);
+      } finally {
+        app.set("io", previousIO);
+      }
+
+      const delivered = io.emitted.filter(
+        ({ event, rooms }) =>
+          event === SOCKET_EVENTS.COMMENT_REACTION_UPDATED &&
+          rooms.some((room) => viewerSocket.rooms.has(room))
+      );
+      expect(delivered).toHaveLength(1);
+      expect(delivered[0].payload.reactionCounts.like).toBe(1);
+    });
+  });
+});
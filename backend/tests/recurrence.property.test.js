@@ -0,0 +1,281 @@
+import fc from "fast-check";
+import dayjs from "dayjs";
+import {
+  getNextOccurrence,
+  collectDueOccurrences,
+  getAnchoredRecurrence,
+} from "../utils/recurrenceUtils.js";
+import { processDueTemplates } from "../services/recurrenceService.js";
+import { User, RoutineTask } from "../models/index.js";
+import { TASK_FREQUENCY } from "../constants/index.js";
+import { createTestOrganization, createTestDepartment } from "./helpers.js";
+
+// Day offsets within a two year window starting 2025-01-01
+const baseDay = dayjs("2025-01-01");
+const dayArbitrary = fc
+  .integer({ min: 0, max: 730 })
+  .map((offset) => baseDay.add(offset, "day").toDate());
+
+describe("Recurrence Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 54: Recurrence schedule matching**
+   * For any recurrence rule, the next occurrence should fall on an allowed day,
+   * never on a skipped holiday and never after the end date
+   */
+  describe("Property 54: Recurrence schedule matching", () => {
+    it("should only schedule occurrences on days allowed by the rule", () => {
+      fc.assert(
+        fc.property(
+          dayArbitrary,
+          fc.constantFrom(...Object.values(TASK_FREQUENCY)),
+          fc.uniqueArray(fc.integer({ min: 0, max: 6 }), { maxLength: 7 }),
+          fc.integer({ min: 1, max: 31 }),
+          fc.array(dayArbitrary, { maxLength: 20 }),
+          fc.boolean(),
+          fc.option(dayArbitrary, { nil: undefined }),
+          (from, frequency, weekdays, dayOfMonth, holidays, skipHolidays, endDate) => {
+            const recurrence = { weekdays, dayOfMonth, skipHolidays, endDate };
+            const next = getNextOccurrence(from, frequency, recurrence, holidays);
+
+            if (!next) {
+              // Only an end date can stop a schedule within the search horizon
+              // (Weekly rules without weekdays have no start date to repeat on)
+              expect(
+                endDate !== undefined ||
+                  (frequency === TASK_FREQUENCY.WEEKLY && weekdays.length === 0)
+              ).toBe(true);
+              return;
+            }
+
+            const day = dayjs(next);
+            expect(day.isBefore(dayjs(from).startOf("day"))).toBe(false);
+            expect(day.isSame(day.startOf("day"))).toBe(true);
+
+            if (endDate) {
+              expect(day.isAfter(dayjs(endDate).endOf("day"))).toBe(false);
+            }
+
+            if (skipHolidays) {
+              const holidayKeys = holidays.map((holiday) =>
+                dayjs(holiday).format("YYYY-MM-DD")
+              );
+              expect(holidayKeys).not.toContain(day.format("YYYY-MM-DD"));
+            }
+
+            if (frequency === TASK_FREQUENCY.MONTHLY) {
+              expect(day.date()).toBe(Math.min(dayOfMonth, day.daysInMonth()));
+            } else if (weekdays.length > 0) {
+              expect(weekdays).toContain(day.day());
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should repeat rules without weekdays or dayOfMonth on the start date", () => {
+      fc.assert(
+        fc.property(
+          dayArbitrary,
+          dayArbitrary,
+          fc.integer({ min: 0, max: 120 }),
+          fc.constantFrom(TASK_FREQUENCY.WEEKLY, TASK_FREQUENCY.MONTHLY),
+          (startDate, from, elapsedDays, frequency) => {
+            const recurrence = { weekdays: [], startDate };
+            const firstRun = getNextOccurrence(from, frequency, recurrence);
+            const now = dayjs(firstRun).add(elapsedDays, "day").endOf("day");
+
+            const { due } = collectDueOccurrences(
+              firstRun,
+              now.toDate(),
+              frequency,
+              recurrence
+            );
+
+            const anchor = dayjs(startDate);
+            const unit = frequency === TASK_FREQUENCY.WEEKLY ? "week" : "month";
+            expect(due.length).toBeLessThanOrEqual(
+              Math.floor(elapsedDays / (unit === "week" ? 7 : 28)) + 1
+            );
+            due.forEach((date) => {
+              const day = dayjs(date);
+              expect(day.isBefore(anchor.startOf("day"))).toBe(false);
+              if (unit === "week") {
+                expect(day.day()).toBe(anchor.day());
+              } else {
+                expect(day.date()).toBe(
+                  Math.min(anchor.date(), day.daysInMonth())
+                );
+              }
+            });
+            due.slice(1).forEach((date, index) => {
+              expect(dayjs(date).diff(due[index], "day")).toBeGreaterThanOrEqual(
+                unit === "week" ? 7 : 28
+              );
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+
+      // Without a start date there is nothing to repeat on
+      [TASK_FREQUENCY.WEEKLY, TASK_FREQUENCY.MONTHLY].forEach((frequency) => {
+        expect(
+          getNextOccurrence(new Date("2026-01-01"), frequency, { weekdays: [] })
+        ).toBeNull();
+      });
+    });
+
+    it("should anchor templates without a start date on their creation", () => {
+      const createdAt = new Date("2026-01-01T09:30:00");
+      const recurrence = getAnchoredRecurrence({
+        recurrence: { weekdays: [] },
+        createdAt,
+      });
+
+      const { due } = collectDueOccurrences(
+        getNextOccurrence(createdAt, TASK_FREQUENCY.WEEKLY, recurrence),
+        new Date("2026-01-05T23:00:00"),
+        TASK_FREQUENCY.WEEKLY,
+        recurrence
+      );
+
+      expect(due).toEqual([dayjs(createdAt).startOf("day").toDate()]);
+    });
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 55: Missed run catch-up**
+   * For any pending run and later point in time, every due occurrence should be
+   * collected in order and the following run should lie in the future
+   */
+  describe("Property 55: Missed run catch-up", () => {
+    it("should collect every due occurrence exactly once", () => {
+      fc.assert(
+        fc.property(
+          dayArbitrary,
+          fc.integer({ min: 0, max: 60 }),
+          fc.uniqueArray(fc.integer({ min: 0, max: 6 }), {
+            minLength: 1,
+            maxLength: 7,
+          }),
+          (start, elapsedDays, weekdays) => {
+            const recurrence = { weekdays };
+            const firstRun = getNextOccurrence(
+              start,
+              TASK_FREQUENCY.DAILY,
+              recurrence
+            );
+            const now = dayjs(firstRun).add(elapsedDays, "day").add(1, "hour");
+
+            const { due, nextRunAt } = collectDueOccurrences(
+              firstRun,
+              now.toDate(),
+              TASK_FREQUENCY.DAILY,
+              recurrence
+            );
+
+            // Count matching days by brute force
+            let expected = 0;
+            for (let i = 0; i <= elapsedDays; i++) {
+              if (weekdays.includes(dayjs(firstRun).add(i, "day").day())) {
+                expected += 1;
+              }
+            }
+
+            expect(due).toHaveLength(expected);
+            due.slice(1).forEach((date, index) => {
+              expect(date > due[index]).toBe(true);
+            });
+            expect(nextRunAt > now.toDate()).toBe(true);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should catch up templates whose end date passed during downtime", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const manager = await User.create({
+        firstName: "Maria",
+        lastName: "Manager",
+        email: "maria.manager@test.com",
+        password: "Password123!",
+        role: "Manager",
+        position: "Workshop Manager",
+        organization: organization._id,
+        department: department._id,
+      });
+      const createTemplate = (recurrence) =>
+        RoutineTask.create({
+          title: "Inspect fire extinguishers",
+          status: "In Progress",
+          frequency: TASK_FREQUENCY.DAILY,
+          organization: organization._id,
+          department: department._id,
+          createdBy: manager._id,
+          recurrence: {
+            enabled: true,
+            startDate: dayjs().subtract(6, "day").toDate(),
+            ...recurrence,
+          },
+        });
+
+      // The scheduler was down from before the last run until after the end
+      const ended = await createTemplate({
+        endDate: dayjs().subtract(2, "day").toDate(),
+      });
+      await RoutineTask.updateOne(
+        { _id: ended._id },
+        {
+          $set: {
+            "recurrence.nextRunAt": dayjs()
+              .subtract(4, "day")
+              .startOf("day")
+              .toDate(),
+          },
+        }
+      );
+
+      await expect(processDueTemplates()).resolves.toMatchObject({
+        templates: 1,
+        created: 1,
+        missed: 2,
+        failed: 0,
+      });
+      const [occurrence] = await RoutineTask.find({ template: ended._id });
+      expect(occurrence.occurrenceDate).toEqual(
+        dayjs().subtract(2, "day").startOf("day").toDate()
+      );
+      expect(occurrence.dueDate).toBeUndefined();
+      expect(
+        (await RoutineTask.findById(ended._id)).recurrence.nextRunAt
+      ).toBeNull();
+
+      // An occurrence that can never be created is skipped, not retried
+      const invalid = await createTemplate({});
+      await RoutineTask.updateOne(
+        { _id: invalid._id },
+        {
+          $set: {
+            priority: "Low",
+            "recurrence.nextRunAt": dayjs().startOf("day").toDate(),
+          },
+        }
+      );
+
+      await expect(processDueTemplates()).resolves.toMatchObject({
+        templates: 1,
+        created: 0,
+        failed: 1,
+      });
+      const skipped = await RoutineTask.findById(invalid._id);
+      expect(skipped.recurrence.nextRunAt > new Date()).toBe(true);
+      expect(skipped.recurrence.lockedBy).toBeNull();
+      await expect(processDueTemplates()).resolves.toMatchObject({
+        templates: 0,
+      });
+    }, 60000);
+  });
+});
@@ -0,0 +1,171 @@
+import fc from "fast-check";
+import dayjs from "dayjs";
+import { User, AssignedTask, SlaBreach } from "../models/index.js";
+import {
+  resolveSlaPolicy,
+  getSlaDeadline,
+  getEscalationTime,
+} from "../utils/slaUtils.js";
+import { processOrganizationSla } from "../services/slaService.js";
+import { createTestOrganization, createTestDepartment } from "./helpers.js";
+
+const priorities = ["Low", "Medium", "High", "Critical"];
+const taskTypes = ["RoutineTask", "AssignedTask", "ProjectTask"];
+
+const policyArbitrary = fc.record({
+  priority: fc.constantFrom(...priorities),
+  taskType: fc.constantFrom(null, ...taskTypes),
+  completionHours: fc.integer({ min: 1, max: 720 }),
+  escalationHours: fc.option(fc.integer({ min: 0, max: 168 }), { nil: null }),
+  isActive: fc.boolean(),
+});
+
+describe("SLA Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 62: SLA policy resolution and deadlines**
+   * For any set of policies and any task, the resolved policy should be active, match the
+   * task's priority, prefer its own task type, and define deadlines after creation
+   */
+  describe("Property 62: SLA policy resolution and deadlines", () => {
+    it("should resolve the most specific active policy", () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(policyArbitrary, {
+            maxLength: 12,
+            selector: (policy) => `${policy.priority}:${policy.taskType}`,
+          }),
+          fc.constantFrom(...priorities),
+          fc.constantFrom(...taskTypes),
+          (policies, priority, taskType) => {
+            const task = { priority, taskType };
+            const policy = resolveSlaPolicy(policies, task);
+
+            const active = policies.filter(
+              (candidate) => candidate.isActive && candidate.priority === priority
+            );
+            const specific = active.find((c) => c.taskType === taskType);
+            const generic = active.find((c) => c.taskType === null);
+
+            expect(policy).toBe(specific || generic || null);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should place escalation after the deadline and the deadline after creation", () => {
+      const dateArbitrary = fc.date({
+        min: new Date("2024-01-01"),
+        max: new Date("2030-01-01"),
+        noInvalidDate: true,
+      });
+
+      fc.assert(
+        fc.property(
+          policyArbitrary,
+          dateArbitrary,
+          fc.option(dateArbitrary, { nil: null }),
+          (policy, createdAt, startedAt) => {
+            // A restarted SLA runs from its restart instead of creation
+            const deadline = getSlaDeadline(
+              { createdAt, sla: { startedAt } },
+              policy
+            );
+            expect(dayjs(deadline).diff(startedAt ?? createdAt, "hour")).toBe(
+              policy.completionHours
+            );
+
+            const escalateAt = getEscalationTime(deadline, policy);
+            if (policy.escalationHours === null) {
+              expect(escalateAt).toBeNull();
+            } else {
+              expect(dayjs(escalateAt).diff(deadline, "hour")).toBe(
+                policy.escalationHours
+              );
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should restart the SLA window when the task is rescheduled or reopened", async () => {
+      const organization = await createTestOrganization({
+        settings: {
+          slaPolicies: [{ priority: "High", completionHours: 1 }],
+        },
+      });
+      const department = await createTestDepartment(organization);
+      const technician = await User.create({
+        firstName: "Tara",
+        lastName: "Technician",
+        email: "tara@test.com",
+        password: "Password123!",
+        role: "User",
+        position: "Technician",
+        organization: organization._id,
+        department: department._id,
+      });
+      const { _id: taskId } = await AssignedTask.create({
+        title: "Overhaul compressor",
+        priority: "High",
+        dueDate: dayjs().add(1, "day").toDate(),
+        organization: organization._id,
+        department: department._id,
+        createdBy: technician._id,
+        assignedTo: [technician._id],
+      });
+
+      const hoursFromNow = (hours) => dayjs().add(hours, "hour").toDate();
+      const updateTask = async (changes) => {
+        const task = await AssignedTask.findById(taskId);
+        task.set(changes);
+        return task.save();
+      };
+
+      await expect(
+        processOrganizationSla(organization, null, hoursFromNow(2))
+      ).resolves.toMatchObject({ breached: 1 });
+      await expect(
+        processOrganizationSla(organization, null, hoursFromNow(3))
+      ).resolves.toMatchObject({ breached: 0 });
+
+      // A new due date restarts the SLA and closes the open breach; the task
+      // is not breached again until the new window runs out
+      const rescheduled = await updateTask({
+        dueDate: dayjs().add(3, "day").toDate(),
+      });
+      expect(rescheduled.sla.breachedAt).toBeNull();
+      expect(rescheduled.sla.startedAt).toBeInstanceOf(Date);
+      await expect(
+        processOrganizationSla(organization, null, hoursFromNow(0.5))
+      ).resolves.toMatchObject({ breached: 0, resolved: 1 });
+      await expect(
+        processOrganizationSla(organization, null, hoursFromNow(1.5))
+      ).resolves.toMatchObject({ breached: 1 });
+
+      // Reopening a completed task restarts the SLA as well
+      await updateTask({ status: "Completed" });
+      await expect(
+        processOrganizationSla(organization, null, hoursFromNow(2))
+      ).resolves.toMatchObject({ breached: 0, resolved: 1 });
+      const reopened = await updateTask({ status: "In Progress" });
+      expect(reopened.sla.breachedAt).toBeNull();
+      await expect(
+        processOrganizationSla(organization, null, hoursFromNow(0.5))
+      ).resolves.toMatchObject({ breached: 0 });
+      await expect(
+        processOrganizationSla(organization, null, hoursFromNow(1.5))
+      ).resolves.toMatchObject({ breached: 1 });
+
+      const breaches = await SlaBreach.find({ task: taskId }).sort({ _id: 1 });
+      expect(breaches).toHaveLength(3);
+      expect(breaches.filter((breach) => !breach.resolvedAt)).toHaveLength(1);
+      // The last breach is measured from the reopen, not from creation
+      expect(breaches[2].deadline.getTime()).toBe(
+        dayjs(reopened.sla.startedAt).add(1, "hour").valueOf()
+      );
+      expect(breaches[2].deadline.getTime()).toBeGreaterThan(Date.now());
+    }, 60000);
+  });
+});
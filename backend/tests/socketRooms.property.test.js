@@ -0,0 +1,190 @@
+import fc from "fast-check";
+import mongoose from "mongoose";
+import { User, Department, AssignedTask } from "../models/index.js";
+import { generateTokenPair } from "../utils/jwtUtils.js";
+import { getTaskRooms } from "../utils/socketUtils.js";
+import {
+  initializeSocketHandlers,
+  joinTaskRoom,
+  leaveTaskRoom,
+} from "../services/socketService.js";
+import { createTestOrganization } from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+/**
+ * Create a stand-in socket that records the rooms it joins
+ * @param {Object} request - Handshake request
+ * @returns {Object} Socket
+ */
+const createSocket = (request) => ({
+  request,
+  rooms: new Set(),
+  handlers: {},
+  join(rooms) {
+    [].concat(rooms).forEach((room) => this.rooms.add(room));
+  },
+  leave(room) {
+    this.rooms.delete(room);
+  },
+  on(event, handler) {
+    this.handlers[event] = handler;
+  },
+});
+
+/**
+ * Create a stand-in Socket.IO server that records middleware and handlers
+ * @returns {Object} Server
+ */
+const createServer = () => ({
+  middlewares: [],
+  handlers: {},
+  use(middleware) {
+    this.middlewares.push(middleware);
+  },
+  on(event, handler) {
+    this.handlers[event] = handler;
+  },
+});
+
+/**
+ * Run a socket through the server's middleware and connection handler
+ * @param {Object} io - Stand-in server
+ * @param {Object} socket - Stand-in socket
+ * @returns {Promise<Error|undefined>} Middleware error, if any
+ */
+const connect = async (io, socket) => {
+  for (const middleware of io.middlewares) {
+    const error = await new Promise((resolve) => middleware(socket, resolve));
+    if (error) return error;
+  }
+  io.handlers.connection(socket);
+  return undefined;
+};
+
+/**
+ * Create an organization with two departments, users and tasks
+ * @returns {Promise<Object>} { organization, workshop, technician, admin, ownTask, otherTask }
+ */
+const createWorkspace = async () => {
+  const organization = await createTestOrganization();
+  const [workshop, office] = await Promise.all(
+    ["Workshop", "Office"].map((name) =>
+      Department.create({ name, organization: organization._id })
+    )
+  );
+  const [technician, admin] = await Promise.all(
+    [
+      { name: "technician", role: "User" },
+      { name: "admin", role: "Admin" },
+    ].map(({ name, role }) =>
+      User.create({
+        firstName: name,
+        lastName: "Member",
+        email: `${name}@test.com`,
+        password: "Password123!",
+        role,
+        position: `Position ${name}`,
+        organization: organization._id,
+        department: workshop._id,
+      })
+    )
+  );
+  const [ownTask, otherTask] = await Promise.all(
+    [workshop, office].map((department) =>
+      AssignedTask.create({
+        title: `Inspect ${department.name} boiler`,
+        organization: organization._id,
+        department: department._id,
+        createdBy: admin._id,
+        assignedTo: [admin._id],
+      })
+    )
+  );
+
+  return { organization, workshop, technician, admin, ownTask, otherTask };
+};
+
+/**
+ * Load a user the way the authenticate middleware does
+ * @param {Object} user - Saved user document
+ * @returns {Promise<Object>} User with organization and department populated
+ */
+const loadUser = (user) =>
+  User.findById(user._id)
+    .populate("organization", "name _id")
+    .populate("department", "name _id");
+
+describe("Socket Room Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 79: Socket room membership**
+   * For any connection, the socket should join its user and department rooms
+   * and only be able to join the rooms of tasks its user can read. Task events
+   * should never go to the organization room
+   */
+  describe("Property 79: Socket room membership", () => {
+    it("should send task events to the department and task rooms only", () => {
+      fc.assert(
+        fc.property(
+          fc.hexaString({ minLength: 24, maxLength: 24 }),
+          fc.hexaString({ minLength: 24, maxLength: 24 }),
+          fc.hexaString({ minLength: 24, maxLength: 24 }),
+          (taskId, organization, department) => {
+            expect(
+              getTaskRooms({ _id: taskId, organization, department })
+            ).toEqual([`dept_${department}`, `task_${taskId}`]);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should authenticate sockets from cookies and join personal rooms", async () => {
+      const { workshop, technician } = await createWorkspace();
+      const io = createServer();
+      initializeSocketHandlers(io);
+
+      const { accessToken } = generateTokenPair(technician);
+      const socket = createSocket({
+        headers: { cookie: `accessToken=${accessToken}` },
+      });
+      expect(await connect(io, socket)).toBeUndefined();
+      expect(socket.rooms).toEqual(
+        new Set([`user_${technician._id}`, `dept_${workshop._id}`])
+      );
+
+      const anonymous = createSocket({ headers: {} });
+      const error = await connect(io, anonymous);
+      expect(error).toMatchObject({ statusCode: 401 });
+      expect(anonymous.rooms.size).toBe(0);
+    });
+
+    it("should only join rooms of tasks the user can read", async () => {
+      const { technician, admin, ownTask, otherTask } = await createWorkspace();
+      const technicianSocket = createSocket({
+        user: await loadUser(technician),
+      });
+      const adminSocket = createSocket({ user: await loadUser(admin) });
+
+      await expect(
+        joinTaskRoom(technicianSocket, { taskId: ownTask._id.toString() })
+      ).resolves.toMatchObject({ success: true });
+      await expect(
+        joinTaskRoom(technicianSocket, { taskId: otherTask._id.toString() })
+      ).resolves.toMatchObject({ success: false });
+      await expect(
+        joinTaskRoom(technicianSocket, {
+          taskId: new mongoose.Types.ObjectId().toString(),
+        })
+      ).resolves.toMatchObject({ success: false });
+      expect(technicianSocket.rooms).toEqual(new Set([`task_${ownTask._id}`]));
+
+      await joinTaskRoom(adminSocket, { taskId: otherTask._id.toString() });
+      expect(adminSocket.rooms).toEqual(new Set([`task_${otherTask._id}`]));
+
+      leaveTaskRoom(technicianSocket, { taskId: ownTask._id.toString() });
+      expect(technicianSocket.rooms.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+import fc from "fast-check";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  Organization,
+  AssignedTask,
+  Attachment,
+  Notification,
+} from "../models/index.js";
+import {
+  getStorageQuota,
+  getCrossedThresholds,
+  getOrganizationStorageUsage,
+  getStorageUsageByOrganization,
+} from "../services/storageQuotaService.js";
+import {
+  STORAGE_QUOTAS,
+  STORAGE_QUOTA_WARNING_THRESHOLDS,
+  ORGANIZATION_SIZES_ARRAY,
+} from "../constants/index.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+// Store uploads in a throwaway directory with the local provider
+const storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+process.env.STORAGE_PROVIDER = "local";
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+afterAll(async () => {
+  await fs.rm(storageRoot, { recursive: true, force: true });
+});
+
+/**
+ * Create an organization with a quota, an admin, a user and a task
+ * @param {number} storageQuota - Storage quota in bytes
+ * @returns {Promise<Object>} { organization, admin, owner, task }
+ */
+const createWorkspace = async (storageQuota) => {
+  const organization = await createTestOrganization({ storageQuota });
+  const department = await createTestDepartment(organization);
+  const [admin, owner] = await Promise.all(
+    [
+      { name: "admin", role: "Admin" },
+      { name: "owner", role: "User" },
+    ].map(({ name, role }) =>
+      User.create({
+        firstName: name,
+        lastName: "Technician",
+        email: `${name}-${organization._id}@test.com`,
+        password: "Password123!",
+        role,
+        position: `Technician ${name}`,
+        organization: organization._id,
+        department: department._id,
+      })
+    )
+  );
+  const task = await AssignedTask.create({
+    title: "Replace pump seal",
+    organization: organization._id,
+    department: department._id,
+    createdBy: owner._id,
+    assignedTo: [owner._id],
+  });
+
+  return { organization, admin, owner, task };
+};
+
+/**
+ * Upload a text file to a task
+ * @param {Object} user - Uploading user
+ * @param {Object} task - Task document
+ * @param {number} size - File size in bytes
+ * @returns {Promise<Object>} Response
+ */
+const uploadFile = (user, task, size) =>
+  request(app)
+    .post("/api/attachments")
+    .set("Cookie", authCookiesFor(user))
+    .field("attachedTo", task._id.toString())
+    .field("attachedToModel", "BaseTask")
+    .attach("files", Buffer.alloc(size, 0x61), "readings.txt");
+
+describe("Storage Quota Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 78: Organization storage quotas**
+   * For any sequence of uploads, an organization should never store more
+   * than its quota, its admins should be warned exactly once as usage
+   * passes each warning threshold, and usage against the quota should be
+   * reported in the platform statistics
+   */
+  describe("Property 78: Organization storage quotas", () => {
+    it("should use the size default unless a quota is set", () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...ORGANIZATION_SIZES_ARRAY),
+          fc.option(fc.nat()),
+          (size, storageQuota) => {
+            expect(getStorageQuota({ size, storageQuota })).toBe(
+              storageQuota ?? STORAGE_QUOTAS[size]
+            );
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should pass each warning threshold once as usage grows", () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 1_000_000 }),
+          fc.array(fc.nat({ max: 200_000 }), { maxLength: 20 }),
+          (quota, uploads) => {
+            const crossed = [];
+            let used = 0;
+            for (const bytes of uploads) {
+              crossed.push(...getCrossedThresholds(used, used + bytes, quota));
+              used += bytes;
+            }
+
+            expect(crossed).toEqual(
+              STORAGE_QUOTA_WARNING_THRESHOLDS.filter(
+                (percent) => used >= (quota * percent) / 100
+              )
+            );
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should reject uploads over the quota and warn admins", async () => {
+      const { organization, admin, owner, task } = await createWorkspace(1000);
+
+      await uploadFile(owner, task, 700).expect(201);
+      expect(
+        await Notification.countDocuments({ recipient: admin._id })
+      ).toBe(0);
+
+      await uploadFile(owner, task, 150).expect(201);
+      const [warning] = await Notification.find({ recipient: admin._id });
+      expect(warning).toMatchObject({
+        type: "system_alert",
+        priority: "high",
+        metadata: { threshold: 80, used: 850, quota: 1000 },
+      });
+      expect(
+        await Notification.countDocuments({ recipient: owner._id })
+      ).toBe(0);
+
+      const rejected = await uploadFile(owner, task, 151).expect(413);
+      expect(rejected.body.code).toBe("STORAGE_QUOTA_EXCEEDED");
+      expect(
+        await Attachment.countDocuments({ organization: organization._id })
+      ).toBe(2);
+
+      await uploadFile(owner, task, 150).expect(201);
+      const warnings = await Notification.find({
+        recipient: admin._id,
+      }).sort({ createdAt: 1 });
+      expect(warnings.map((item) => item.metadata.threshold)).toEqual([
+        80, 95,
+      ]);
+      expect(warnings[1].priority).toBe("urgent");
+      await uploadFile(owner, task, 1).expect(413);
+    });
+
+    it("should report usage against each quota", async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 1, max: 400 }), {
+            minLength: 1,
+            maxLength: 3,
+          }),
+          async (sizes) => {
+            const { organization, owner, task } = await createWorkspace(2000);
+            for (const size of sizes) {
+              await uploadFile(owner, task, size).expect(201);
+            }
+
+            const used = sizes.reduce((sum, size) => sum + size, 0);
+            const [usage] = await getStorageUsageByOrganization({
+              _id: organization._id,
+            });
+            expect(usage).toEqual({
+              organization: organization._id,
+              name: organization.name,
+              used,
+              quota: 2000,
+              available: 2000 - used,
+              usagePercent: Math.round((used / 2000) * 10000) / 100,
+            });
+          }
+        ),
+        { numRuns: 5 }
+      );
+    });
+
+    it("should count renditions toward the quota", async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 400 }),
+          fc.array(fc.integer({ min: 1, max: 200 }), { maxLength: 3 }),
+          async (size, renditionSizes) => {
+            const { organization, owner, task } = await createWorkspace(2000);
+            const response = await uploadFile(owner, task, size).expect(201);
+            await Attachment.updateOne(
+              { _id: response.body.data.attachments[0]._id },
+              {
+                $set: {
+                  renditions: renditionSizes.map((fileSize, index) => ({
+                    kind: "thumbnail",
+                    size: ["small", "medium", "large"][index],
+                    mimeType: "image/webp",
+                    fileSize,
+                    key: `renditions/${index}.webp`,
+                  })),
+                },
+              }
+            );
+
+            const used =
+              size + renditionSizes.reduce((sum, bytes) => sum + bytes, 0);
+            const [usage] = await getStorageUsageByOrganization({
+              _id: organization._id,
+            });
+            expect(usage.used).toBe(used);
+            expect(
+              (await getOrganizationStorageUsage(organization)).used
+            ).toBe(used);
+          }
+        ),
+        { numRuns: 5 }
+      );
+    });
+  });
+});
@@ -0,0 +1,243 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import { User, BaseTask, AssignedTask } from "../models/index.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Task Controller Property Tests", () => {
+  let testOrganization;
+  let testDepartment;
+  let otherDepartment;
+  let manager;
+  let member;
+
+  beforeEach(async () => {
+    testOrganization = await createTestOrganization();
+
+    testDepartment = await createTestDepartment(testOrganization, "Operations");
+
+    otherDepartment = await createTestDepartment(testOrganization, "Finance");
+
+    manager = await User.create({
+      firstName: "Maria",
+      lastName: "Manager",
+      email: "maria.manager@test.com",
+      password: "Password123!",
+      role: "Manager",
+      position: "Operations Manager",
+      organization: testOrganization._id,
+      department: testDepartment._id,
+    });
+
+    member = await User.create({
+      firstName: "Ulrich",
+      lastName: "User",
+      email: "ulrich.user@test.com",
+      password: "Password123!",
+      role: "User",
+      position: "Technician",
+      organization: testOrganization._id,
+      department: testDepartment._id,
+    });
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 50: Task discriminator selection**
+   * For any task payload, the created document should use the discriminator
+   * implied by its discriminator-specific fields
+   */
+  describe("Property 50: Task discriminator selection", () => {
+    it("should create the discriminator matching the provided fields", async () => {
+      const cookies = authCookiesFor(manager);
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom("RoutineTask", "AssignedTask", "ProjectTask"),
+          fc.constantFrom("Medium", "High", "Critical"),
+          async (taskType, priority) => {
+            const payload = {
+              title: `Inspect boiler ${Math.random()}`,
+              priority,
+              taskType,
+            };
+
+            if (taskType === "AssignedTask") {
+              payload.assignedTo = [member._id.toString()];
+            }
+            if (taskType === "ProjectTask") {
+              payload.estimatedCost = 1500;
+            }
+
+            const response = await request(app)
+              .post("/api/tasks")
+              .set("Cookie", cookies)
+              .send(payload)
+              .expect(201);
+
+            expect(response.body.data.task.taskType).toBe(taskType);
+            expect(response.body.data.task.organization).toBe(
+              testOrganization._id.toString()
+            );
+
+            // RoutineTask starts in "In Progress", the others in "To Do"
+            expect(response.body.data.task.status).toBe(
+              taskType === "RoutineTask" ? "In Progress" : "To Do"
+            );
+          }
+        ),
+        { numRuns: 6 }
+      );
+    }, 30000);
+
+    it("should only create tasks in their initial status", async () => {
+      const payload = {
+        title: "Inspect boiler",
+        taskType: "AssignedTask",
+        assignedTo: [member._id.toString()],
+      };
+
+      // Completed or On Hold would skip the transition rules
+      for (const status of ["Completed", "On Hold", "In Progress"]) {
+        const response = await request(app)
+          .post("/api/tasks")
+          .set("Cookie", authCookiesFor(member))
+          .send({ ...payload, status })
+          .expect(400);
+        expect(response.body.code).toBe("INVALID_STATUS_TRANSITION");
+      }
+
+      await request(app)
+        .post("/api/tasks")
+        .set("Cookie", authCookiesFor(member))
+        .send({ ...payload, status: "To Do" })
+        .expect(201);
+      expect(await BaseTask.countDocuments({ title: "Inspect boiler" })).toBe(
+        1
+      );
+    }, 30000);
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 51: Task listing filters**
+   * For any task listing, overdue and assignedTo filters should only return matching tasks
+   * and regular users should never see tasks outside their department
+   */
+  describe("Property 51: Task listing filters", () => {
+    it("should apply overdue, assignedTo and department scope filters", async () => {
+      const overdueTask = await AssignedTask.create({
+        title: "Overdue assigned task",
+        organization: testOrganization._id,
+        department: testDepartment._id,
+        createdBy: manager._id,
+        assignedTo: [member._id],
+      });
+      // Bypass the future due date validator to simulate a missed deadline
+      await BaseTask.updateOne(
+        { _id: overdueTask._id },
+        { $set: { dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+      );
+
+      await AssignedTask.create({
+        title: "Upcoming assigned task",
+        organization: testOrganization._id,
+        department: testDepartment._id,
+        createdBy: manager._id,
+        assignedTo: [manager._id],
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      });
+
+      await AssignedTask.create({
+        title: "Finance task",
+        organization: testOrganization._id,
+        department: otherDepartment._id,
+        createdBy: manager._id,
+        assignedTo: [manager._id],
+      });
+
+      const overdueResponse = await request(app)
+        .get("/api/tasks?overdue=true")
+        .set("Cookie", authCookiesFor(manager))
+        .expect(200);
+
+      expect(overdueResponse.body.data.tasks).toHaveLength(1);
+      expect(overdueResponse.body.data.tasks[0]._id).toBe(
+        overdueTask._id.toString()
+      );
+
+      const assignedResponse = await request(app)
+        .get(`/api/tasks?assignedTo=${member._id}`)
+        .set("Cookie", authCookiesFor(manager))
+        .expect(200);
+
+      expect(assignedResponse.body.data.pagination.totalCount).toBe(1);
+
+      const memberResponse = await request(app)
+        .get("/api/tasks")
+        .set("Cookie", authCookiesFor(member))
+        .expect(200);
+
+      memberResponse.body.data.tasks.forEach((task) => {
+        expect(task.department._id).toBe(testDepartment._id.toString());
+      });
+    }, 20000);
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 52: Task soft delete and restore**
+   * For any deleted task, it should disappear from listings and be restorable
+   * by users with restore permission
+   */
+  describe("Property 52: Task soft delete and restore", () => {
+    it("should hide deleted tasks and restore them", async () => {
+      const superAdmin = await User.create({
+        firstName: "Sam",
+        lastName: "Super",
+        email: "sam.super@test.com",
+        password: "Password123!",
+        role: "SuperAdmin",
+        position: "Director",
+        organization: testOrganization._id,
+        department: testDepartment._id,
+      });
+      const cookies = authCookiesFor(superAdmin);
+
+      const task = await AssignedTask.create({
+        title: "Replace filters",
+        organization: testOrganization._id,
+        department: testDepartment._id,
+        createdBy: manager._id,
+        assignedTo: [member._id],
+      });
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set("Cookie", cookies)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/tasks/${task._id}`)
+        .set("Cookie", cookies)
+        .expect(400);
+
+      const restoreResponse = await request(app)
+        .post(`/api/tasks/${task._id}/restore`)
+        .set("Cookie", cookies)
+        .expect(200);
+
+      expect(restoreResponse.body.data.task.isDeleted).toBe(false);
+
+      // Regular users cannot restore tasks
+      await request(app)
+        .post(`/api/tasks/${task._id}/restore`)
+        .set("Cookie", authCookiesFor(member))
+        .expect(403);
+    }, 20000);
+  });
+});
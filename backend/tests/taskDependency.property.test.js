@@ -0,0 +1,160 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask } from "../models/index.js";
+import { findDependencyPath } from "../services/taskDependencyService.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+/**
+ * Build blockedBy edges from a list of [dependent, blocker] pairs
+ * @param {Array<Array<number>>} pairs - Edge pairs
+ * @returns {Map<string, Array<string>>} blockedBy lists keyed by task ID
+ */
+const buildEdges = (pairs) => {
+  const edges = new Map();
+  pairs.forEach(([dependent, blocker]) => {
+    const key = `${dependent}`;
+    edges.set(key, [...(edges.get(key) || []), `${blocker}`]);
+  });
+  return edges;
+};
+
+describe("Task Dependency Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 56: Dependency cycle detection**
+   * For any acyclic dependency graph, accepting only edges without a reverse path
+   * should keep the graph acyclic, and every returned path should follow real edges
+   */
+  describe("Property 56: Dependency cycle detection", () => {
+    it("should reject exactly the edges that would close a cycle", () => {
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.tuple(fc.integer({ min: 0, max: 9 }), fc.integer({ min: 0, max: 9 })),
+            { maxLength: 40 }
+          ),
+          (candidates) => {
+            const accepted = [];
+
+            candidates.forEach(([dependent, blocker]) => {
+              if (dependent === blocker) return;
+
+              const edges = buildEdges(accepted);
+              const path = findDependencyPath(edges, `${blocker}`, `${dependent}`);
+
+              if (path) {
+                // The returned path must start at the blocker, end at the dependent
+                // and only follow existing blockedBy edges
+                expect(path[0]).toBe(`${blocker}`);
+                expect(path[path.length - 1]).toBe(`${dependent}`);
+                path.slice(1).forEach((node, index) => {
+                  expect(edges.get(path[index])).toContain(node);
+                });
+              } else {
+                accepted.push([dependent, blocker]);
+              }
+            });
+
+            // No accepted task can reach itself through its blockers
+            const edges = buildEdges(accepted);
+            accepted.forEach(([dependent, blocker]) => {
+              expect(
+                findDependencyPath(edges, `${blocker}`, `${dependent}`)
+              ).toBeNull();
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 80: Blocked tasks cannot start**
+   * For any task with unfinished blockers, moving it to In Progress should be
+   * refused unless a manager overrides the dependencies, and allowed once
+   * every blocker is completed
+   */
+  describe("Property 80: Blocked tasks cannot start", () => {
+    it("should keep a blocked task out of In Progress unless a manager overrides", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization, "Assembly");
+      const [manager, member] = await User.create(
+        ["Manager", "User"].map((role) => ({
+          firstName: role,
+          lastName: "Tester",
+          email: `${role.toLowerCase()}@test.com`,
+          password: "Password123!",
+          role,
+          position: `Assembly ${role}`,
+          organization: organization._id,
+          department: department._id,
+        }))
+      );
+      const [blocker, dependent, overridden] = await AssignedTask.create(
+        ["Deliver frame", "Mount engine", "Fit wiring"].map((title) => ({
+          title,
+          organization: organization._id,
+          department: department._id,
+          createdBy: manager._id,
+          assignedTo: [member._id],
+        }))
+      );
+
+      for (const task of [dependent, overridden]) {
+        await request(app)
+          .post(`/api/tasks/${task._id}/dependencies`)
+          .set("Cookie", authCookiesFor(manager))
+          .send({ blockedBy: blocker._id.toString() })
+          .expect(201);
+      }
+
+      const startTask = (task, user, body = {}) =>
+        request(app)
+          .patch(`/api/tasks/${task._id}/status`)
+          .set("Cookie", authCookiesFor(user))
+          .send({ status: "In Progress", ...body });
+
+      // Nobody starts a blocked task without asking to override
+      for (const user of [member, manager]) {
+        const blocked = await startTask(dependent, user).expect(400);
+        expect(blocked.body.code).toBe("TASK_BLOCKED");
+      }
+
+      // Only managers may override
+      const refused = await startTask(overridden, member, {
+        overrideDependencies: true,
+      }).expect(403);
+      expect(refused.body.code).toBe("DEPENDENCY_OVERRIDE_FORBIDDEN");
+
+      const override = await startTask(overridden, manager, {
+        overrideDependencies: true,
+      }).expect(200);
+      expect(override.body.data.task.status).toBe("In Progress");
+      expect(override.body.data.statusChange.dependencyOverride).toBe(true);
+
+      expect((await AssignedTask.findById(dependent._id)).status).toBe(
+        "To Do"
+      );
+
+      // Completing the blocker releases the dependent task
+      await startTask(blocker, member).expect(200);
+      await request(app)
+        .patch(`/api/tasks/${blocker._id}/status`)
+        .set("Cookie", authCookiesFor(member))
+        .send({ status: "Completed" })
+        .expect(200);
+
+      const started = await startTask(dependent, member).expect(200);
+      expect(started.body.data.task.status).toBe("In Progress");
+      expect(started.body.data.statusChange.dependencyOverride).toBeUndefined();
+    }, 60000);
+  });
+});
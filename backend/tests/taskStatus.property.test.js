@@ -0,0 +1,104 @@
+import fc from "fast-check";
+import {
+  buildTransitionTable,
+  assertTransitionAllowed,
+} from "../services/taskStatusService.js";
+import {
+  TASK_STATUS_ARRAY,
+  TASK_TYPES_ARRAY,
+  USER_ROLES_ARRAY,
+  MANAGER_AND_ABOVE_ROLES,
+  ERROR_CODES,
+} from "../constants/index.js";
+
+describe("Task Status Transition Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 53: Status transition enforcement**
+   * For any task type, role and pair of statuses, a transition should only be accepted
+   * when the effective table lists it and the role and reason requirements are met
+   */
+  describe("Property 53: Status transition enforcement", () => {
+    it("should only accept transitions listed in the transition table", () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...TASK_TYPES_ARRAY),
+          fc.constantFrom(...TASK_STATUS_ARRAY),
+          fc.constantFrom(...TASK_STATUS_ARRAY),
+          fc.constantFrom(...USER_ROLES_ARRAY),
+          fc.option(fc.string({ minLength: 1, maxLength: 50 }), { nil: "" }),
+          (taskType, from, to, role, comment) => {
+            const table = buildTransitionTable(taskType);
+            const rule = (table[from] || []).find((r) => r.to === to);
+
+            const attempt = () =>
+              assertTransitionAllowed(table, from, to, { role, comment });
+
+            if (!rule) {
+              expect(attempt).toThrow(
+                expect.objectContaining({
+                  code: ERROR_CODES.INVALID_STATUS_TRANSITION,
+                })
+              );
+            } else if (rule.roles && !rule.roles.includes(role)) {
+              expect(attempt).toThrow(
+                expect.objectContaining({
+                  code: ERROR_CODES.STATUS_TRANSITION_FORBIDDEN,
+                })
+              );
+            } else if (rule.requiresReason && !comment.trim()) {
+              expect(attempt).toThrow(
+                expect.objectContaining({
+                  code: ERROR_CODES.STATUS_REASON_REQUIRED,
+                })
+              );
+            } else {
+              expect(attempt()).toBe(rule);
+            }
+          }
+        )
+      );
+    });
+
+    it("should only allow managers and above to reopen completed tasks by default", () => {
+      TASK_TYPES_ARRAY.forEach((taskType) => {
+        const table = buildTransitionTable(taskType);
+
+        USER_ROLES_ARRAY.forEach((role) => {
+          const attempt = () =>
+            assertTransitionAllowed(table, "Completed", "In Progress", {
+              role,
+            });
+
+          if (MANAGER_AND_ABOVE_ROLES.includes(role)) {
+            expect(attempt).not.toThrow();
+          } else {
+            expect(attempt).toThrow();
+          }
+        });
+      });
+    });
+
+    it("should let organization overrides replace default rules per source status", () => {
+      const table = buildTransitionTable("AssignedTask", {
+        AssignedTask: {
+          "To Do": [{ to: "Completed" }],
+        },
+      });
+
+      expect(() =>
+        assertTransitionAllowed(table, "To Do", "Completed", { role: "User" })
+      ).not.toThrow();
+      expect(() =>
+        assertTransitionAllowed(table, "To Do", "In Progress", {
+          role: "User",
+        })
+      ).toThrow();
+      // Untouched source statuses keep their defaults
+      expect(() =>
+        assertTransitionAllowed(table, "In Progress", "Completed", {
+          role: "User",
+        })
+      ).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import fc from "fast-check";
+import dayjs from "dayjs";
+import {
+  extractPlaceholders,
+  renderPlaceholders,
+} from "../utils/templateUtils.js";
+import {
+  buildTaskData,
+  getTemplatePlaceholders,
+} from "../services/taskTemplateService.js";
+
+const placeholderName = fc.stringMatching(/^[a-z][a-zA-Z0-9_]{0,10}$/);
+const plainText = fc.stringMatching(/^[^{}]{0,20}$/);
+
+describe("Task Template Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 58: Template placeholder rendering**
+   * For any text made of plain segments and placeholders, every placeholder with a value
+   * should be replaced and every placeholder without one should be kept verbatim
+   */
+  describe("Property 58: Template placeholder rendering", () => {
+    it("should replace exactly the placeholders that have values", () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.tuple(plainText, placeholderName), { maxLength: 5 }),
+          fc.dictionary(placeholderName, plainText),
+          (segments, values) => {
+            const text = segments
+              .map(([plain, name]) => `${plain}{{${name}}}`)
+              .join("");
+            const expected = segments
+              .map(([plain, name]) =>
+                Object.prototype.hasOwnProperty.call(values, name)
+                  ? `${plain}${values[name]}`
+                  : `${plain}{{${name}}}`
+              )
+              .join("");
+
+            expect(renderPlaceholders(text, values)).toBe(expected);
+            expect(extractPlaceholders(text)).toEqual([
+              ...new Set(segments.map(([, name]) => name)),
+            ]);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: task-manager-saas, Property 59: Template date offsets and fields**
+   * For any template offset, the created task should be due at the end of the offset day
+   * and only carry fields of its own task type
+   */
+  describe("Property 59: Template date offsets and fields", () => {
+    it("should resolve offsets and keep discriminator fields apart", () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom("RoutineTask", "AssignedTask", "ProjectTask"),
+          fc.integer({ min: 0, max: 365 }),
+          fc.integer({ min: 0, max: 365 }),
+          (taskType, dueInDays, startInDays) => {
+            const now = new Date("2026-03-10T09:30:00Z");
+            const template = {
+              taskType,
+              task: {
+                title: "{{quarter}} HVAC inspection at {{site}}",
+                priority: "High",
+                dueInDays,
+                startInDays,
+                frequency: "Monthly",
+                assignedTo: ["507f1f77bcf86cd799439011"],
+                estimatedCost: 1200,
+                checklist: [{ title: "Check {{site}} filters" }],
+              },
+            };
+
+            const data = buildTaskData(template, { site: "Plant 2", quarter: "Q1" }, now);
+
+            expect(data.title).toBe("Q1 HVAC inspection at Plant 2");
+            expect(getTemplatePlaceholders(template)).toEqual(["site"]);
+            expect(
+              dayjs(data.dueDate).isSame(
+                dayjs(now).add(dueInDays, "day").endOf("day")
+              )
+            ).toBe(true);
+
+            expect(data.frequency !== undefined).toBe(taskType === "RoutineTask");
+            expect(data.assignedTo !== undefined).toBe(
+              taskType === "AssignedTask"
+            );
+            expect(data.estimatedCost !== undefined).toBe(
+              taskType === "ProjectTask"
+            );
+            expect(data.startDate !== undefined).toBe(taskType === "ProjectTask");
+            expect(data.checklist !== undefined).toBe(taskType !== "RoutineTask");
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import fc from "fast-check";
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask } from "../models/index.js";
+import {
+  buildTimelineItems,
+  filterTimelineItems,
+} from "../services/timelineService.js";
+import { TIMELINE_ITEM_KINDS_ARRAY } from "../constants/index.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Timeline Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 69: Task timeline**
+   * For any task records, the timeline should contain exactly the records matching the
+   * kind and actor filters, newest first, and tracked field changes should appear with
+   * their previous and new values
+   */
+  describe("Property 69: Task timeline", () => {
+    it("should merge, filter and order timeline items", () => {
+      const actors = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+      const recordArbitrary = fc.record({
+        actor: fc.integer({ min: 0, max: 2 }),
+        at: fc.date({
+          min: new Date("2024-01-01"),
+          max: new Date("2025-01-01"),
+        }),
+      });
+
+      fc.assert(
+        fc.property(
+          fc.array(recordArbitrary, { maxLength: 10 }),
+          fc.array(recordArbitrary, { maxLength: 10 }),
+          fc.array(recordArbitrary, { maxLength: 10 }),
+          fc.subarray(TIMELINE_ITEM_KINDS_ARRAY),
+          fc.option(fc.integer({ min: 0, max: 2 }), { nil: null }),
+          (comments, statusChanges, fieldChanges, kinds, actorIndex) => {
+            const task = {
+              _id: new mongoose.Types.ObjectId(),
+              statusHistory: statusChanges.map(({ actor, at }) => ({
+                _id: new mongoose.Types.ObjectId(),
+                from: "To Do",
+                to: "In Progress",
+                changedBy: actors[actor],
+                changedAt: at,
+              })),
+            };
+            const items = buildTimelineItems(task, {
+              comments: comments.map(({ actor, at }) => ({
+                _id: new mongoose.Types.ObjectId(),
+                content: "Note",
+                createdBy: actors[actor],
+                createdAt: at,
+              })),
+              fieldChanges: fieldChanges.map(({ actor, at }) => ({
+                _id: new mongoose.Types.ObjectId(),
+                field: "priority",
+                from: "Low",
+                to: "High",
+                changedBy: actors[actor],
+                changedAt: at,
+              })),
+            });
+            const actor = actorIndex === null ? null : actors[actorIndex];
+
+            const timeline = filterTimelineItems(items, { kinds, actor });
+
+            const expected = items.filter(
+              (item) =>
+                (kinds.length === 0 || kinds.includes(item.kind)) &&
+                (!actor || item.actor.equals(actor))
+            );
+            expect(timeline).toHaveLength(expected.length);
+            timeline.forEach((item, index) => {
+              expect(expected).toContain(item);
+              if (index > 0) {
+                expect(
+                  new Date(timeline[index - 1].occurredAt).getTime()
+                ).toBeGreaterThanOrEqual(new Date(item.occurredAt).getTime());
+              }
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should record field changes in the timeline", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const [manager, technician] = await Promise.all([
+        User.create({
+          firstName: "Mona",
+          lastName: "Manager",
+          email: "mona@test.com",
+          password: "Password123!",
+          role: "Manager",
+          position: "Manager",
+          organization: organization._id,
+          department: department._id,
+        }),
+        User.create({
+          firstName: "Tara",
+          lastName: "Technician",
+          email: "tara@test.com",
+          password: "Password123!",
+          role: "User",
+          position: "Technician",
+          organization: organization._id,
+          department: department._id,
+        }),
+      ]);
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        priority: "Low",
+        organization: organization._id,
+        department: department._id,
+        createdBy: manager._id,
+        assignedTo: [manager._id],
+      });
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Cookie", authCookiesFor(manager))
+        .send({ priority: "High", assignedTo: [technician._id.toString()] })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Cookie", authCookiesFor(technician))
+        .send({ content: "Starting on it" })
+        .expect(201);
+
+      const fieldChanges = await request(app)
+        .get(`/api/tasks/${task._id}/timeline`)
+        .query({ kind: "fieldChange", actor: manager._id.toString() })
+        .set("Cookie", authCookiesFor(manager))
+        .expect(200);
+
+      const changes = fieldChanges.body.data.items;
+      expect(changes.map((item) => item.field).sort()).toEqual([
+        "assignedTo",
+        "priority",
+      ]);
+      const priorityChange = changes.find((item) => item.field === "priority");
+      expect(priorityChange.from).toBe("Low");
+      expect(priorityChange.to).toBe("High");
+      expect(priorityChange.actor._id).toBe(manager._id.toString());
+
+      const all = await request(app)
+        .get(`/api/tasks/${task._id}/timeline`)
+        .set("Cookie", authCookiesFor(manager))
+        .expect(200);
+      expect(all.body.data.items[0].kind).toBe("comment");
+      expect(all.body.data.pagination.totalCount).toBe(4);
+    }, 60000);
+  });
+});
@@ -0,0 +1,200 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  AssignedTask,
+  TaskActivity,
+  TimeEntry,
+} from "../models/index.js";
+import { calculateActualHours } from "../services/timerService.js";
+import { joinTaskRoom } from "../services/socketService.js";
+import { SOCKET_EVENTS } from "../constants/index.js";
+import {
+  authCookiesFor,
+  createRecordingIO,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Timer Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 63: Timer time entries**
+   * For any set of time entries, actualHours should equal the closed entry minutes in hours,
+   * and for any sequence of timer actions a user should never have two running timers
+   */
+  describe("Property 63: Timer time entries", () => {
+    it("should compute actual hours from closed entries only", () => {
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.record({
+              durationMinutes: fc.integer({ min: 0, max: 600 }),
+              isRunning: fc.boolean(),
+            }),
+            { maxLength: 30 }
+          ),
+          (entries) => {
+            const closedMinutes = entries
+              .filter((entry) => !entry.isRunning)
+              .reduce((total, entry) => total + entry.durationMinutes, 0);
+
+            expect(calculateActualHours(entries)).toBeCloseTo(
+              closedMinutes / 60,
+              2
+            );
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should keep at most one running timer per user", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const technician = await User.create({
+        firstName: "Tara",
+        lastName: "Technician",
+        email: "tara@test.com",
+        password: "Password123!",
+        role: "User",
+        position: "Technician",
+        organization: organization._id,
+        department: department._id,
+      });
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: technician._id,
+        assignedTo: [technician._id],
+      });
+      const activities = await Promise.all(
+        ["Disassemble", "Reassemble"].map((title) =>
+          TaskActivity.create({
+            title,
+            description: `${title} the compressor`,
+            task: task._id,
+            createdBy: technician._id,
+          })
+        )
+      );
+
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(
+            fc.tuple(
+              fc.constantFrom("start", "pause", "stop"),
+              fc.integer({ min: 0, max: 1 })
+            ),
+            { minLength: 1, maxLength: 8 }
+          ),
+          async (actions) => {
+            for (const [action, index] of actions) {
+              await request(app)
+                .post(
+                  `/api/tasks/${task._id}/activities/${activities[index]._id}/timer/${action}`
+                )
+                .set("Cookie", authCookiesFor(technician));
+
+              const running = await TimeEntry.countDocuments({
+                user: technician._id,
+                isRunning: true,
+              });
+              expect(running).toBeLessThanOrEqual(1);
+            }
+
+            for (const activity of activities) {
+              const entries = await TimeEntry.find({ activity: activity._id });
+              const stored = await TaskActivity.findById(activity._id);
+              expect(stored.actualHours || 0).toBeCloseTo(
+                calculateActualHours(entries),
+                2
+              );
+            }
+          }
+        ),
+        { numRuns: 5 }
+      );
+    }, 60000);
+
+    it("should broadcast timer changes to sockets viewing the task", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization);
+      const [technician, manager] = await Promise.all(
+        [
+          { name: "tara", role: "User" },
+          { name: "max", role: "Manager" },
+        ].map(({ name, role }) =>
+          User.create({
+            firstName: name,
+            lastName: "Member",
+            email: `${name}@test.com`,
+            password: "Password123!",
+            role,
+            position: role,
+            organization: organization._id,
+            department: department._id,
+          })
+        )
+      );
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: department._id,
+        createdBy: technician._id,
+        assignedTo: [technician._id],
+      });
+      const activity = await TaskActivity.create({
+        title: "Disassemble",
+        description: "Disassemble the compressor",
+        task: task._id,
+        createdBy: technician._id,
+      });
+
+      const managerSocket = {
+        request: {
+          user: await User.findById(manager._id)
+            .populate("organization", "name _id")
+            .populate("department", "name _id"),
+        },
+        rooms: new Set(),
+        join(room) {
+          this.rooms.add(room);
+        },
+      };
+      await joinTaskRoom(managerSocket, { taskId: task._id.toString() });
+
+      const io = createRecordingIO();
+      const previousIO = app.get("io");
+      app.set("io", io);
+      try {
+        for (const action of ["start", "pause", "start", "stop"]) {
+          await request(app)
+            .post(
+              `/api/tasks/${task._id}/activities/${activity._id}/timer/${action}`
+            )
+            .set("Cookie", authCookiesFor(technician))
+            .expect(action === "start" ? 201 : 200);
+        }
+      } finally {
+        app.set("io", previousIO);
+      }
+
+      const delivered = io.emitted
+        .filter(({ rooms }) =>
+          rooms.some((room) => managerSocket.rooms.has(room))
+        )
+        .map(({ event }) => event);
+      expect(delivered).toEqual([
+        SOCKET_EVENTS.TIMER_STARTED,
+        SOCKET_EVENTS.TIMER_PAUSED,
+        SOCKET_EVENTS.TIMER_STARTED,
+        SOCKET_EVENTS.TIMER_STOPPED,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import fc from "fast-check";
+import request from "supertest";
+import app from "../app.js";
+import {
+  User,
+  Department,
+  AssignedTask,
+  TaskActivity,
+  TimeEntry,
+} from "../models/index.js";
+import { getWeekRange, summarizeTimeEntries } from "../utils/timesheetUtils.js";
+import { authCookiesFor, createTestOrganization } from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+describe("Timesheet Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 64: Weekly timesheets**
+   * For any date the week should start on the Monday on or before it, for any set of
+   * time entries the per-activity and per-day hours should add up to the week's total,
+   * and an approved week should lock its entries
+   */
+  describe("Property 64: Weekly timesheets", () => {
+    const dateArbitrary = fc.date({
+      min: new Date("2020-01-01T00:00:00Z"),
+      max: new Date("2030-12-31T23:59:59Z"),
+      noInvalidDate: true,
+    });
+
+    it("should place every date in a Monday-based week", () => {
+      fc.assert(
+        fc.property(dateArbitrary, (date) => {
+          const { weekStart, weekEnd } = getWeekRange(date);
+
+          expect(weekStart.getUTCDay()).toBe(1);
+          expect(weekStart.getUTCHours()).toBe(0);
+          expect(weekStart <= date).toBe(true);
+          expect(date < weekEnd).toBe(true);
+          expect(weekEnd - weekStart).toBe(7 * 24 * 60 * 60 * 1000);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should add activity and daily hours up to the week total", () => {
+      const weekStart = new Date("2026-10-12T00:00:00Z");
+
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.record({
+              activity: fc.constantFrom("a1", "a2", "a3"),
+              offsetMinutes: fc.integer({ min: 0, max: 7 * 24 * 60 - 1 }),
+              durationMinutes: fc.integer({ min: 0, max: 600 }),
+              isRunning: fc.boolean(),
+            }),
+            { maxLength: 30 }
+          ),
+          (rows) => {
+            const entries = rows.map((row) => ({
+              ...row,
+              startedAt: new Date(
+                weekStart.getTime() + row.offsetMinutes * 60000
+              ),
+            }));
+            const summary = summarizeTimeEntries(entries, weekStart);
+
+            const closedMinutes = entries
+              .filter((entry) => !entry.isRunning)
+              .reduce((total, entry) => total + entry.durationMinutes, 0);
+            expect(summary.totalHours).toBeCloseTo(closedMinutes / 60, 2);
+
+            expect(Object.keys(summary.dailyTotals)).toHaveLength(7);
+            const dailyHours = Object.values(summary.dailyTotals).reduce(
+              (total, hours) => total + hours,
+              0
+            );
+            expect(dailyHours).toBeCloseTo(summary.totalHours, 1);
+
+            const activityHours = summary.activities.reduce(
+              (total, row) => total + row.hours,
+              0
+            );
+            expect(activityHours).toBeCloseTo(summary.totalHours, 1);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should lock a week's entries once its timesheet is approved", async () => {
+      const organization = await createTestOrganization();
+      const [workshop, stores] = await Promise.all(
+        ["Workshop", "Stores"].map((name) =>
+          Department.create({ name, organization: organization._id })
+        )
+      );
+      const createUser = (firstName, role, department) =>
+        User.create({
+          firstName,
+          lastName: "Tester",
+          email: `${firstName.toLowerCase()}@test.com`,
+          password: "Password123!",
+          role,
+          position: role,
+          organization: organization._id,
+          department: department._id,
+        });
+      const technician = await createUser("Tara", "User", workshop);
+      const manager = await createUser("Mona", "Manager", workshop);
+      const otherManager = await createUser("Omar", "Manager", stores);
+
+      const task = await AssignedTask.create({
+        title: "Overhaul compressor",
+        organization: organization._id,
+        department: workshop._id,
+        createdBy: manager._id,
+        assignedTo: [technician._id],
+      });
+      const activity = await TaskActivity.create({
+        title: "Disassemble",
+        description: "Disassemble the compressor",
+        task: task._id,
+        createdBy: technician._id,
+        estimatedHours: 4,
+      });
+
+      const timerUrl = `/api/tasks/${task._id}/activities/${activity._id}/timer`;
+      await request(app)
+        .post(`${timerUrl}/start`)
+        .set("Cookie", authCookiesFor(technician))
+        .expect(201);
+      await request(app)
+        .post(`${timerUrl}/stop`)
+        .set("Cookie", authCookiesFor(technician))
+        .expect(200);
+
+      const weekView = await request(app)
+        .get("/api/timesheets/me")
+        .set("Cookie", authCookiesFor(technician))
+        .expect(200);
+      expect(weekView.body.data.timesheet.activities[0]).toHaveProperty(
+        "hoursVariance"
+      );
+
+      const submitted = await request(app)
+        .post("/api/timesheets/submit")
+        .set("Cookie", authCookiesFor(technician))
+        .send({})
+        .expect(200);
+      const timesheetId = submitted.body.data.timesheet._id;
+
+      // Reviewers outside the department and the owner cannot approve
+      await request(app)
+        .post(`/api/timesheets/${timesheetId}/approve`)
+        .set("Cookie", authCookiesFor(otherManager))
+        .expect(403);
+      await request(app)
+        .post(`/api/timesheets/${timesheetId}/approve`)
+        .set("Cookie", authCookiesFor(technician))
+        .expect(403);
+
+      // Rejection needs a comment
+      await request(app)
+        .post(`/api/timesheets/${timesheetId}/reject`)
+        .set("Cookie", authCookiesFor(manager))
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .post(`/api/timesheets/${timesheetId}/approve`)
+        .set("Cookie", authCookiesFor(manager))
+        .send({ comment: "Looks good" })
+        .expect(200);
+
+      const entries = await TimeEntry.find({ user: technician._id });
+      expect(entries.every((entry) => entry.isLocked)).toBe(true);
+
+      entries[0].durationMinutes += 60;
+      await expect(entries[0].save()).rejects.toMatchObject({
+        code: "TIMESHEET_LOCKED",
+      });
+
+      await request(app)
+        .post(`${timerUrl}/start`)
+        .set("Cookie", authCookiesFor(technician))
+        .expect(400);
+    }, 60000);
+  });
+});
@@ -0,0 +1,121 @@
+import fc from "fast-check";
+import mongoose from "mongoose";
+import request from "supertest";
+import app from "../app.js";
+import { User, AssignedTask, Notification } from "../models/index.js";
+import { getWatcherRecipients } from "../services/notificationService.js";
+import {
+  authCookiesFor,
+  createTestOrganization,
+  createTestDepartment,
+} from "./helpers.js";
+
+// Disable rate limiting for tests
+process.env.NODE_ENV = "test";
+
+const objectIdHex = fc
+  .integer({ min: 0, max: 7 })
+  .map((n) => `64b7f0c2a1b2c3d4e5f6a7b${n}`);
+
+describe("Task Watcher Property Tests", () => {
+  /**
+   * **Feature: task-manager-saas, Property 61: Watcher fan-out recipients**
+   * For any sequence of follow and unfollow actions, watchers should stay unique and
+   * notifications should reach every watcher except the actor exactly once
+   */
+  describe("Property 61: Watcher fan-out recipients", () => {
+    it("should keep watchers unique and exclude the actor from recipients", () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.tuple(fc.boolean(), objectIdHex), { maxLength: 20 }),
+          objectIdHex,
+          (actions, actorId) => {
+            const task = new AssignedTask({ title: "Inspect boiler" });
+            const expected = new Set();
+
+            for (const [follow, userId] of actions) {
+              if (follow) {
+                task.addWatchers([new mongoose.Types.ObjectId(userId)]);
+                expected.add(userId);
+              } else {
+                task.watchers.pull(userId);
+                expected.delete(userId);
+              }
+            }
+
+            const watcherIds = task.watchers.map((id) => id.toString());
+            expect(new Set(watcherIds).size).toBe(watcherIds.length);
+            expect(new Set(watcherIds)).toEqual(expected);
+
+            const recipients = getWatcherRecipients(task, [actorId]);
+            expected.delete(actorId);
+            expect(new Set(recipients)).toEqual(expected);
+            expect(recipients.length).toBe(expected.size);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it("should auto-watch on create and comment and notify other watchers", async () => {
+      const organization = await createTestOrganization();
+      const department = await createTestDepartment(organization, "Facilities");
+      const [creator, assignee, follower] = await User.create(
+        ["creator", "assignee", "follower"].map((name) => ({
+          firstName: name,
+          lastName: "Tester",
+          email: `${name}@test.com`,
+          password: "Password123!",
+          role: "Manager",
+          position: `Facilities ${name}`,
+          organization: organization._id,
+          department: department._id,
+        }))
+      );
+
+      const task = await AssignedTask.create({
+        title: "Replace roof membrane",
+        organization: organization._id,
+        department: department._id,
+        createdBy: creator._id,
+        assignedTo: [assignee._id],
+      });
+      expect(task.isWatchedBy(creator._id)).toBe(true);
+      expect(task.isWatchedBy(assignee._id)).toBe(true);
+
+      await request(app)
+        .post(`/api/tasks/${task._id}/watchers`)
+        .set("Cookie", authCookiesFor(follower))
+        .expect(200);
+
+      await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Cookie", authCookiesFor(assignee))
+        .send({ content: "Membrane delivered" })
+        .expect(201);
+
+      const notified = await Notification.find({
+        type: "comment_added",
+      }).distinct("recipient");
+      expect(notified.map(String).sort()).toEqual(
+        [creator._id, follower._id].map(String).sort()
+      );
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/watchers`)
+        .set("Cookie", authCookiesFor(follower))
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/tasks/${task._id}/status`)
+        .set("Cookie", authCookiesFor(creator))
+        .send({ status: "In Progress" })
+        .expect(200);
+
+      const updateRecipients = await Notification.find({
+        type: "task_updated",
+      }).distinct("recipient");
+      expect(updateRecipients.map(String)).toEqual([assignee._id.toString()]);
+    });
+  });
+});
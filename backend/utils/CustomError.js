@@ -64,6 +64,26 @@ class CustomError extends Error {
     return new CustomError(message, 409, code);
   }
 
+  /**
+   * Payload Too Large - 413
+   * @param {string} message - Error message
+   * @param {string} code - Optional error code
+   * @returns {CustomError}
+   */
+  static payloadTooLarge(message, code = null) {
+    return new CustomError(message, 413, code);
+  }
+
+  /**
+   * Unsupported Media Type - 415
+   * @param {string} message - Error message
+   * @param {string} code - Optional error code
+   * @returns {CustomError}
+   */
+  static unsupportedMediaType(message, code = null) {
+    return new CustomError(message, 415, code);
+  }
+
   /**
    * Unprocessable Entity - 422
    * @param {string} message - Error message
@@ -0,0 +1,155 @@
+import crypto from "node:crypto";
+import { createReadStream } from "node:fs";
+import { pipeline } from "node:stream/promises";
+
+/**
+ * AWS Signature Utilities
+ * Signature Version 4 signing for S3-compatible object storage requests
+ * (AWS S3, MinIO, ...)
+ */
+
+// Hash of an empty payload
+export const EMPTY_PAYLOAD_HASH = crypto
+  .createHash("sha256")
+  .update("")
+  .digest("hex");
+
+/**
+ * Hash a payload as hex SHA-256
+ * @param {Buffer|string} payload - Request body
+ * @returns {string} Hex digest
+ */
+export const hashPayload = (payload = "") =>
+  crypto.createHash("sha256").update(payload).digest("hex");
+
+/**
+ * Hash a file as hex SHA-256 without loading it whole
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = async (filePath) => {
+  const hash = crypto.createHash("sha256");
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest("hex");
+};
+
+/**
+ * URI-encode a string as SigV4 expects (RFC 3986 unreserved characters kept)
+ * @param {string} value - Raw string
+ * @param {boolean} keepSlashes - Leave "/" unencoded (object key paths)
+ * @returns {string} Encoded string
+ */
+export const encodeRfc3986 = (value, keepSlashes = false) =>
+  encodeURIComponent(value)
+    .replace(
+      /[!'()*]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    )
+    .replace(/%2F/g, keepSlashes ? "/" : "%2F");
+
+/**
+ * Format a date as an AWS timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} AWS timestamp
+ */
+const toAmzDate = (date) =>
+  date.toISOString().replace(/[:-]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * HMAC-SHA256 helper
+ * @param {Buffer|string} key - HMAC key
+ * @param {string} value - Value to sign
+ * @returns {Buffer} Digest
+ */
+const hmac = (key, value) =>
+  crypto.createHmac("sha256", key).update(value).digest();
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * The Host header is signed from the URL but not returned, since fetch sets it
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full request URL (path already encoded)
+ * @param {Object} request.headers - Additional headers to sign
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {Object} credentials - Signing credentials and scope
+ * @param {string} credentials.accessKeyId - Access key ID
+ * @param {string} credentials.secretAccessKey - Secret access key
+ * @param {string} credentials.region - Region (defaults to us-east-1)
+ * @param {string} credentials.service - Service (defaults to s3)
+ * @param {Date} date - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+export const signAwsRequest = (request, credentials, date = new Date()) => {
+  const {
+    accessKeyId,
+    secretAccessKey,
+    region = "us-east-1",
+    service = "s3",
+  } = credentials;
+  const url = new URL(request.url);
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = request.payloadHash || EMPTY_PAYLOAD_HASH;
+
+  const headers = {
+    ...Object.fromEntries(
+      Object.entries(request.headers || {}).map(([name, value]) => [
+        name.toLowerCase(),
+        String(value).trim().replace(/\s+/g, " "),
+      ])
+    ),
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const signedHeaderValues = { ...headers, host: url.host };
+  const signedHeaderNames = Object.keys(signedHeaderValues).sort();
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) =>
+      a === b ? (aValue < bValue ? -1 : 1) : a < b ? -1 : 1
+    )
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+
+  const canonicalRequest = [
+    request.method.toUpperCase(),
+    url.pathname || "/",
+    canonicalQuery,
+    signedHeaderNames
+      .map((name) => `${name}:${signedHeaderValues[name]}\n`)
+      .join(""),
+    signedHeaderNames.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    hashPayload(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = [dateStamp, region, service, "aws4_request"].reduce(
+    (key, value) => hmac(key, value),
+    `AWS4${secretAccessKey}`
+  );
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(
+      ";"
+    )}, Signature=${signature}`,
+  };
+};
+
+export default {
+  EMPTY_PAYLOAD_HASH,
+  hashPayload,
+  hashFile,
+  encodeRfc3986,
+  signAwsRequest,
+};
@@ -0,0 +1,92 @@
+import dayjs from "dayjs";
+import { diffWords } from "./diffUtils.js";
+
+/**
+ * Comment Utilities
+ * Pure edit window checks, revision history and thread tree building
+ */
+
+/**
+ * Check whether a comment can still be edited by its author
+ * @param {Date} createdAt - Comment creation time
+ * @param {number|null} windowMinutes - Edit window; null means no limit
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the window is still open
+ */
+export const isWithinEditWindow = (
+  createdAt,
+  windowMinutes,
+  now = new Date()
+) => {
+  if (windowMinutes === null || windowMinutes === undefined) return true;
+  return !dayjs(now).isAfter(dayjs(createdAt).add(windowMinutes, "minute"));
+};
+
+/**
+ * Build the revision list of a comment, oldest first
+ * Each edit history entry holds the content it replaced, so version n+1
+ * starts when entry n was recorded
+ * @param {Object} comment - Comment with content, createdBy, createdAt and editHistory
+ * @returns {Array<Object>} Revisions as { version, content, author, createdAt, isCurrent, diff }
+ */
+export const buildCommentRevisions = (comment) => {
+  const history = comment.editHistory || [];
+  const contents = [...history.map((entry) => entry.content), comment.content];
+
+  return contents.map((content, index) => ({
+    version: index + 1,
+    content,
+    author: index === 0 ? comment.createdBy : history[index - 1].editedBy,
+    createdAt: index === 0 ? comment.createdAt : history[index - 1].editedAt,
+    isCurrent: index === contents.length - 1,
+    // Changes from the previous version
+    diff: index === 0 ? [] : diffWords(contents[index - 1], content),
+  }));
+};
+
+/**
+ * Nest comments under their parents
+ * Each level keeps at most replyLimit replies and reports how many it has
+ * @param {Array<Object>} roots - Top-level comments of the tree, in display order
+ * @param {Array<Object>} descendants - Replies below the roots, in display order
+ * @param {number} replyLimit - Replies kept per comment
+ * @param {Map} [replyCounts] - Total replies per comment ID, when descendants
+ * were already limited by the query
+ * @returns {Array<Object>} Plain comments with replies, replyCount and hasMoreReplies
+ */
+export const buildCommentTree = (
+  roots,
+  descendants = [],
+  replyLimit = Infinity,
+  replyCounts = null
+) => {
+  const childrenByParent = new Map();
+  descendants.forEach((comment) => {
+    const parentId = comment.parentComment?.toString();
+    if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+    childrenByParent.get(parentId).push(comment);
+  });
+
+  const toNode = (comment) => {
+    const id = comment._id.toString();
+    const children = childrenByParent.get(id) || [];
+    const replyCount = replyCounts?.get(id) ?? children.length;
+    const node =
+      typeof comment.toObject === "function" ? comment.toObject() : { ...comment };
+
+    return {
+      ...node,
+      replies: children.slice(0, replyLimit).map(toNode),
+      replyCount,
+      hasMoreReplies: replyCount > replyLimit,
+    };
+  };
+
+  return roots.map(toNode);
+};
+
+export default {
+  isWithinEditWindow,
+  buildCommentRevisions,
+  buildCommentTree,
+};
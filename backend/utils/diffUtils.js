@@ -0,0 +1,69 @@
+/**
+ * Diff Utilities
+ * Word-level text diffs based on the longest common subsequence
+ */
+
+/**
+ * Split text into words and the whitespace between them
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens that join back into the text
+ */
+const tokenize = (text = "") => (text || "").split(/(\s+)/).filter(Boolean);
+
+/**
+ * Compute a word-level diff between two texts
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Parts as { type: "equal"|"added"|"removed", value }
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i]);
+      i += 1;
+    } else {
+      push("added", b[j]);
+      j += 1;
+    }
+  }
+  a.slice(i).forEach((token) => push("removed", token));
+  b.slice(j).forEach((token) => push("added", token));
+
+  return parts;
+};
+
+export default {
+  diffWords,
+};
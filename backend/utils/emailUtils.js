@@ -0,0 +1,514 @@
+import { EMAIL_REPLY_CONFIG } from "../constants/index.js";
+
+/**
+ * Email Utilities
+ * Pure parsing of raw RFC 822 / MIME messages and extraction of the new
+ * text of a reply
+ */
+
+// Deepest multipart nesting that is parsed
+const MAX_MIME_DEPTH = 10;
+
+// HTML entities decoded when converting HTML bodies to text
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Decode bytes in a character set, falling back to UTF-8 for unknown ones
+ * @param {Buffer} buffer - Raw bytes
+ * @param {string} charset - Character set label
+ * @returns {string} Decoded text
+ */
+export const decodeCharset = (buffer, charset = "utf-8") => {
+  try {
+    return new TextDecoder(charset || "utf-8").decode(buffer);
+  } catch (error) {
+    return new TextDecoder("utf-8").decode(buffer);
+  }
+};
+
+/**
+ * Decode a quoted-printable string into bytes
+ * @param {string} value - Quoted-printable text
+ * @returns {Buffer} Decoded bytes
+ */
+export const decodeQuotedPrintable = (value) => {
+  const text = value.replace(/=\r?\n/g, "");
+  const bytes = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const hex = text.slice(index + 1, index + 3);
+    if (text[index] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      index += 2;
+    } else {
+      bytes.push(text.charCodeAt(index) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value
+ * Whitespace between adjacent encoded words is dropped
+ * @param {string} value - Raw header value
+ * @returns {string} Decoded value
+ */
+export const decodeEncodedWords = (value = "") =>
+  value
+    .replace(/(\?=)\s+(?==\?)/g, "$1")
+    .replace(
+      /=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g,
+      (word, charset, encoding, text) => {
+        const bytes =
+          encoding.toUpperCase() === "B"
+            ? Buffer.from(text, "base64")
+            : decodeQuotedPrintable(text.replace(/_/g, " "));
+        return decodeCharset(bytes, charset);
+      }
+    );
+
+/**
+ * Parse a header block into lower-cased names and decoded values
+ * Folded lines are unfolded first; repeated headers keep every value
+ * @param {string} headerText - Raw header block
+ * @returns {Object} Header values keyed by name, each an array
+ */
+export const parseHeaders = (headerText = "") => {
+  const headers = {};
+
+  headerText
+    .replace(/\r?\n[ \t]+/g, " ")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      if (separator <= 0) return;
+
+      const name = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+      (headers[name] = headers[name] || []).push(value);
+    });
+
+  return headers;
+};
+
+/**
+ * Split a string on a separator that is not inside double quotes
+ * @param {string} value - String to split
+ * @param {string} separator - Single separator character
+ * @returns {Array<string>} Parts
+ */
+const splitOutsideQuotes = (value, separator) => {
+  const parts = [];
+  let current = "";
+  let inQuotes = false;
+  let inAngle = false;
+
+  for (let index = 0; index < value.length; index++) {
+    const char = value[index];
+
+    if (char === "\\" && inQuotes) {
+      current += char + (value[index + 1] || "");
+      index++;
+      continue;
+    }
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && char === "<") inAngle = true;
+    if (!inQuotes && char === ">") inAngle = false;
+
+    if (char === separator && !inQuotes && !inAngle) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Remove surrounding quotes and backslash escapes from a value
+ * @param {string} value - Possibly quoted value
+ * @returns {string} Unquoted value
+ */
+const unquote = (value) => {
+  const trimmed = value.trim();
+  return trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length > 1
+    ? trimmed.slice(1, -1).replace(/\\(.)/g, "$1")
+    : trimmed;
+};
+
+/**
+ * Parse a structured header such as Content-Type or Content-Disposition
+ * Supports quoted parameters and RFC 2231 extended/continued parameters
+ * @param {string} value - Header value
+ * @returns {Object} { value, params } with lower-cased value and parameter names
+ */
+export const parseHeaderParams = (value = "") => {
+  const [main, ...rawParams] = splitOutsideQuotes(value, ";");
+  const params = {};
+  const extended = {};
+
+  rawParams.forEach((rawParam) => {
+    const separator = rawParam.indexOf("=");
+    if (separator <= 0) return;
+
+    const name = rawParam.slice(0, separator).trim().toLowerCase();
+    const paramValue = unquote(rawParam.slice(separator + 1));
+    const match = name.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (!match) return;
+
+    const [, baseName, section, encoded] = match;
+    if (section === undefined && !encoded) {
+      params[baseName] = decodeEncodedWords(paramValue);
+      return;
+    }
+
+    (extended[baseName] = extended[baseName] || []).push({
+      section: Number(section || 0),
+      value: paramValue,
+      encoded: Boolean(encoded),
+    });
+  });
+
+  // Extended values are joined in section order and percent-decoded
+  Object.entries(extended).forEach(([name, sections]) => {
+    sections.sort((a, b) => a.section - b.section);
+    let charset = "utf-8";
+    const bytes = sections.map(({ value: sectionValue, encoded }, index) => {
+      let text = sectionValue;
+      if (encoded && index === 0) {
+        const charsetMatch = text.match(/^([^']*)'[^']*'(.*)$/);
+        if (charsetMatch) {
+          charset = charsetMatch[1] || charset;
+          text = charsetMatch[2];
+        }
+      }
+      return encoded
+        ? Buffer.from(
+            text.replace(/%([0-9A-Fa-f]{2})|([^%])/g, (all, hex, char) =>
+              hex ? String.fromCharCode(parseInt(hex, 16)) : char
+            ),
+            "latin1"
+          )
+        : Buffer.from(text, "utf-8");
+    });
+    params[name] = decodeCharset(Buffer.concat(bytes), charset);
+  });
+
+  return { value: main.trim().toLowerCase(), params };
+};
+
+/**
+ * Parse an address list header (To, Cc, From, ...)
+ * @param {string} value - Header value
+ * @returns {Array<Object>} Addresses as { name, address }
+ */
+export const parseAddressList = (value = "") =>
+  splitOutsideQuotes(
+    // Group syntax ("team: a@x, b@y;") only wraps ordinary addresses
+    value.replace(/(^|,)\s*[^,"<>@]*:\s*/g, "$1").replace(/;\s*$/, ""),
+    ","
+  )
+    .map((part) => {
+      const angle = part.match(/<([^<>]*)>/);
+      const address = (angle ? angle[1] : part.replace(/\([^)]*\)/g, ""))
+        .trim()
+        .replace(/^mailto:/i, "");
+      const name = angle
+        ? decodeEncodedWords(unquote(part.slice(0, angle.index)))
+        : "";
+
+      return { name, address };
+    })
+    .filter(({ address }) => /^[^@\s]+@[^@\s]+$/.test(address));
+
+/**
+ * Split a raw entity into its header block and body
+ * @param {string} raw - Entity as a binary (latin1) string
+ * @returns {Object} { headerText, body }
+ */
+const splitEntity = (raw) => {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) {
+    return { headerText: raw, body: "" };
+  }
+
+  return {
+    headerText: raw.slice(0, match.index),
+    body: raw.slice(match.index + match[0].length),
+  };
+};
+
+/**
+ * Decode a body according to its Content-Transfer-Encoding
+ * @param {string} body - Body as a binary (latin1) string
+ * @param {string} encoding - Transfer encoding
+ * @returns {Buffer} Decoded bytes
+ */
+const decodeBody = (body, encoding = "") => {
+  switch (encoding.trim().toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+    case "quoted-printable":
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, "latin1");
+  }
+};
+
+/**
+ * Split a multipart body into its raw parts
+ * @param {string} body - Multipart body as a binary (latin1) string
+ * @param {string} boundary - Boundary parameter
+ * @returns {Array<string>} Raw parts
+ */
+const splitMultipart = (body, boundary) => {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === `${delimiter}--`) {
+      break;
+    }
+    if (trimmed === delimiter) {
+      if (current !== null) parts.push(current.join("\r\n"));
+      current = [];
+    } else if (current !== null) {
+      current.push(line);
+    }
+  }
+
+  if (current !== null) parts.push(current.join("\r\n"));
+  return parts;
+};
+
+/**
+ * Walk a MIME entity and collect its text, HTML and attachments
+ * @param {string} raw - Entity as a binary (latin1) string
+ * @param {Object} result - Accumulated { text, html, attachments }
+ * @param {number} depth - Current nesting depth
+ */
+const collectEntity = (raw, result, depth) => {
+  const { headerText, body } = splitEntity(raw);
+  const headers = parseHeaders(headerText);
+  const contentType = parseHeaderParams(
+    headers["content-type"]?.[0] || "text/plain"
+  );
+  const disposition = parseHeaderParams(
+    headers["content-disposition"]?.[0] || ""
+  );
+
+  if (contentType.value.startsWith("multipart/")) {
+    if (depth >= MAX_MIME_DEPTH || !contentType.params.boundary) return;
+
+    splitMultipart(body, contentType.params.boundary).forEach((part) =>
+      collectEntity(part, result, depth + 1)
+    );
+    return;
+  }
+
+  const content = decodeBody(
+    body,
+    headers["content-transfer-encoding"]?.[0] || ""
+  );
+  const filename =
+    disposition.params.filename || contentType.params.name || null;
+  const isAttachment = disposition.value === "attachment" || Boolean(filename);
+
+  if (!isAttachment && contentType.value === "text/plain" && !result.text) {
+    result.text = decodeCharset(content, contentType.params.charset);
+  } else if (
+    !isAttachment &&
+    contentType.value === "text/html" &&
+    !result.html
+  ) {
+    result.html = decodeCharset(content, contentType.params.charset);
+  } else if (isAttachment || !contentType.value.startsWith("text/")) {
+    result.attachments.push({
+      filename: filename || "attachment",
+      contentType: contentType.value,
+      contentId: headers["content-id"]?.[0]?.replace(/^<|>$/g, "") || null,
+      content,
+      size: content.length,
+    });
+  }
+};
+
+/**
+ * Parse a raw RFC 822 message
+ * @param {Buffer|string} raw - Raw message
+ * @returns {Object} { headers, subject, from, to, cc, messageId, text, html, attachments }
+ */
+export const parseEmailMessage = (raw) => {
+  const source = Buffer.isBuffer(raw)
+    ? raw.toString("latin1")
+    : Buffer.from(String(raw), "utf-8").toString("latin1");
+  const { headerText } = splitEntity(source);
+  const headers = parseHeaders(headerText);
+  const result = { text: "", html: "", attachments: [] };
+
+  collectEntity(source, result, 0);
+
+  const addresses = (name) =>
+    (headers[name] || []).flatMap((value) => parseAddressList(value));
+
+  return {
+    headers,
+    subject: decodeEncodedWords(headers.subject?.[0] || ""),
+    from: addresses("from")[0] || null,
+    to: addresses("to"),
+    cc: addresses("cc"),
+    messageId: headers["message-id"]?.[0] || null,
+    ...result,
+  };
+};
+
+// Opening tag of the container Gmail wraps the quoted conversation in
+// Bounded to a single tag so a failed match never rescans the rest of the body
+const GMAIL_QUOTE_PATTERN =
+  /<div\b[^<>]{0,1000}?\bclass\s*=\s*["']?[^"'<>]*?\bgmail_quote/i;
+
+/**
+ * Remove blockquote elements, including nested ones
+ * An unclosed blockquote runs to the end of the body, as in browsers
+ * @param {string} html - HTML
+ * @returns {string} HTML without quoted blocks
+ */
+const removeBlockquotes = (html) => {
+  const tagPattern = /<(\/?)blockquote\b[^<>]*>/gi;
+  let result = "";
+  let depth = 0;
+  let keptFrom = 0;
+  let match;
+
+  while ((match = tagPattern.exec(html)) !== null) {
+    if (!match[1]) {
+      if (depth === 0) result += html.slice(keptFrom, match.index);
+      depth += 1;
+    } else if (depth > 0) {
+      depth -= 1;
+      if (depth === 0) keptFrom = tagPattern.lastIndex;
+    }
+  }
+
+  return depth === 0 ? result + html.slice(keptFrom) : result;
+};
+
+/**
+ * Convert an HTML body to plain text
+ * Quoted blocks (blockquote and Gmail quote containers) are dropped. Only the
+ * start of long bodies is converted, since that is where the reply is
+ * @param {string} html - HTML body
+ * @returns {string} Plain text
+ */
+export const htmlToText = (html = "") => {
+  let text = html.slice(0, EMAIL_REPLY_CONFIG.HTML_LENGTH_MAX);
+
+  // Gmail's quote container runs to the end of the body
+  const quoteStart = text.search(GMAIL_QUOTE_PATTERN);
+  if (quoteStart !== -1) {
+    text = text.slice(0, quoteStart);
+  }
+
+  // Unclosed comments and raw text elements run to the end of the body, so
+  // none of these patterns rescans the rest of the body after a failed match
+  text = removeBlockquotes(
+    text
+      .replace(/<!--[\s\S]*?(?:-->|$)/g, "")
+      .replace(/<(script|style|head|title)\b[\s\S]*?(?:<\/\1\s*>|$)/gi, "")
+  );
+
+  return text
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6]|tr)\s*>/gi, "\n")
+    .replace(/<li\b[^<>]*>/gi, "- ")
+    .replace(/<[^<>]*>/g, "")
+    .replace(/&(#x?[0-9A-Fa-f]+|[a-z]+);/gi, (entity, code) => {
+      if (code.startsWith("#")) {
+        const number =
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.slice(2), 16)
+            : parseInt(code.slice(1), 10);
+        return Number.isFinite(number) && number <= 0x10ffff
+          ? String.fromCodePoint(number)
+          : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+// Lines that start the quoted part of a reply
+const QUOTE_HEADER_PATTERNS = [
+  /^-{2,}\s*Original Message\s*-{2,}$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+  /^_{10,}$/,
+  /^Sent from my /i,
+];
+
+/**
+ * Extract the new text of a reply
+ * Cuts at the reply marker, "On ... wrote:" attributions, Outlook headers
+ * and the signature separator, then drops remaining quoted (">") lines
+ * @param {string} text - Plain text body
+ * @returns {string} Reply text
+ */
+export const stripQuotedReply = (text = "") => {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  let end = lines.length;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    const nextLine = (lines[index + 1] || "").trim();
+
+    const isQuoteStart =
+      line.includes(EMAIL_REPLY_CONFIG.REPLY_MARKER) ||
+      QUOTE_HEADER_PATTERNS.some((pattern) => pattern.test(line)) ||
+      line === "--" ||
+      lines[index] === "-- " ||
+      // Attributions may be wrapped onto a second line by the mail client
+      (/^On\s/.test(line) &&
+        (/wrote:$/.test(line) || /wrote:$/.test(nextLine))) ||
+      (/^From:\s/.test(line) && /^(Sent|Date):\s/.test(nextLine));
+
+    if (isQuoteStart) {
+      end = index;
+      break;
+    }
+  }
+
+  return lines
+    .slice(0, end)
+    .filter((line) => !/^\s*>/.test(line))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+export default {
+  decodeCharset,
+  decodeQuotedPrintable,
+  decodeEncodedWords,
+  parseHeaders,
+  parseHeaderParams,
+  parseAddressList,
+  parseEmailMessage,
+  htmlToText,
+  stripQuotedReply,
+};
@@ -0,0 +1,379 @@
+import fs from "node:fs/promises";
+
+/**
+ * File Type Utilities
+ * Detects the real type of uploaded files from their leading bytes ("magic
+ * numbers") instead of trusting the MIME type sent by the client. Only the
+ * types accepted for attachments (see FILE_UPLOAD) are recognized
+ */
+
+// How much of a file is inspected for text and container detection
+const SNIFF_BYTES = 64 * 1024;
+
+// The ZIP end of central directory record and the most that can follow it
+const ZIP_END_RECORD_SIZE = 22;
+const ZIP_COMMENT_MAX = 0xffff;
+
+// Largest ZIP central directory read from a file on disk
+const ZIP_DIRECTORY_MAX = 1024 * 1024;
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Fixed signatures at the start of the file
+const SIGNATURES = [
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/png", bytes: PNG_SIGNATURE },
+  { mimeType: "image/gif", bytes: Buffer.from("GIF87a") },
+  { mimeType: "image/gif", bytes: Buffer.from("GIF89a") },
+  { mimeType: "application/pdf", bytes: Buffer.from("%PDF-") },
+  {
+    // ASF header object GUID (Windows Media)
+    mimeType: "video/wmv",
+    bytes: [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11],
+  },
+];
+
+// ISO base media ("ftyp") brands of MP4 video
+const MP4_BRANDS = [
+  "isom",
+  "iso2",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "M4V ",
+  "dash",
+  "mmp4",
+];
+
+/**
+ * Check whether a buffer holds the given bytes at an offset
+ * @param {Buffer} content - File bytes
+ * @param {Array<number>|Buffer} bytes - Expected bytes
+ * @param {number} offset - Position of the first byte
+ * @returns {boolean} True if all bytes match
+ */
+const hasBytes = (content, bytes, offset = 0) =>
+  content.length >= offset + bytes.length &&
+  [...bytes].every((byte, index) => content[offset + index] === byte);
+
+/**
+ * Read ASCII text at an offset
+ * @param {Buffer} content - File bytes
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {string} Text
+ */
+const readAscii = (content, start, end) =>
+  content.subarray(start, end).toString("latin1");
+
+/**
+ * Detect a legacy Office document (OLE compound file)
+ * Word and Excel files are told apart by their main stream name
+ * @param {Buffer} content - File bytes
+ * @returns {string|null} MIME type
+ */
+const detectCompoundFile = (content) => {
+  const sample = content.subarray(0, SNIFF_BYTES);
+
+  if (sample.includes(Buffer.from("WordDocument", "utf16le"))) {
+    return "application/msword";
+  }
+  if (
+    sample.includes(Buffer.from("Workbook", "utf16le")) ||
+    sample.includes(Buffer.from("Book", "utf16le"))
+  ) {
+    return "application/vnd.ms-excel";
+  }
+
+  return null;
+};
+
+/**
+ * Find the end of central directory record of a ZIP archive
+ * @param {Buffer} tail - The last bytes of the archive (at least 64KB + 22
+ * bytes, or the whole archive)
+ * @param {number} tailOffset - Position of the tail in the archive
+ * @returns {Object|null} { entryCount, offset, end }: the number of entries,
+ * where the central directory starts and where its end record starts; null
+ * if there is no record
+ */
+const findZipDirectory = (tail, tailOffset = 0) => {
+  const end = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1 || end + ZIP_END_RECORD_SIZE > tail.length) {
+    return null;
+  }
+
+  return {
+    entryCount: tail.readUInt16LE(end + 10),
+    offset: tail.readUInt32LE(end + 16),
+    end: tailOffset + end,
+  };
+};
+
+/**
+ * List the entry names of a ZIP central directory
+ * @param {Buffer} directory - Central directory bytes
+ * @param {number} entryCount - Number of entries
+ * @returns {Array<string>} Entry names (up to the first unreadable entry)
+ */
+const readZipDirectory = (directory, entryCount) => {
+  const names = [];
+  let offset = 0;
+
+  for (let index = 0; index < entryCount; index++) {
+    if (
+      offset + 46 > directory.length ||
+      !hasBytes(directory, [0x50, 0x4b, 0x01, 0x02], offset)
+    ) {
+      break;
+    }
+
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    names.push(readAscii(directory, offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return names;
+};
+
+/**
+ * List the entry names of a ZIP archive from its central directory
+ * @param {Buffer} content - File bytes
+ * @returns {Array<string>} Entry names (empty if the archive is unreadable)
+ */
+const listZipEntries = (content) => {
+  // The end of central directory record sits in the last 64KB + 22 bytes
+  const tailOffset = Math.max(
+    0,
+    content.length - ZIP_COMMENT_MAX - ZIP_END_RECORD_SIZE
+  );
+  const directory = findZipDirectory(content.subarray(tailOffset), tailOffset);
+  if (!directory || directory.offset > directory.end) {
+    return [];
+  }
+
+  return readZipDirectory(
+    content.subarray(directory.offset, directory.end),
+    directory.entryCount
+  );
+};
+
+/**
+ * Detect an Office Open XML document (ZIP container)
+ * Word and Excel files are told apart by the folders of their entries
+ * @param {Array<string>} entries - Entry names of the archive
+ * @returns {string|null} MIME type
+ */
+const detectZipContainer = (entries) => {
+
+  if (!entries.includes("[Content_Types].xml")) {
+    return null;
+  }
+  if (entries.some((name) => name.startsWith("word/"))) {
+    return "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+  }
+  if (entries.some((name) => name.startsWith("xl/"))) {
+    return "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+  }
+
+  return null;
+};
+
+/**
+ * Detect plain text: valid UTF-8 without binary control characters
+ * @param {Buffer} content - Leading file bytes
+ * @param {number} size - Size of the whole file
+ * @param {string} filename - Original filename
+ * @returns {string|null} text/csv for .csv files, text/plain otherwise
+ */
+const detectText = (content, size, filename) => {
+  const sample = content.subarray(0, SNIFF_BYTES);
+
+  try {
+    // A multi-byte character cut off at the end of the sample is allowed
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(sample, {
+      stream: sample.length < size,
+    });
+    if (/[\u0000-\u0008\u000b\u000e-\u001f\u007f]/.test(text)) {
+      return null;
+    }
+  } catch {
+    return null;
+  }
+
+  return /\.csv$/i.test(filename || "") ? "text/csv" : "text/plain";
+};
+
+/**
+ * Detect the MIME type of a file that is not a ZIP archive
+ * @param {Buffer} content - Leading file bytes (at least SNIFF_BYTES, or the
+ * whole file)
+ * @param {number} size - Size of the whole file
+ * @param {string} filename - Original filename
+ * @returns {string|null} Detected MIME type, or null if not recognized
+ */
+const detectFromLeadingBytes = (content, size, filename) => {
+  const signature = SIGNATURES.find(({ bytes }) => hasBytes(content, bytes));
+  if (signature) {
+    return signature.mimeType;
+  }
+
+  if (readAscii(content, 0, 4) === "RIFF") {
+    const format = readAscii(content, 8, 12);
+    if (format === "WEBP") return "image/webp";
+    if (format === "AVI ") return "video/avi";
+    return null;
+  }
+
+  if (readAscii(content, 4, 8) === "ftyp") {
+    const brand = readAscii(content, 8, 12);
+    if (brand === "qt  ") return "video/mov";
+    return MP4_BRANDS.includes(brand) ? "video/mp4" : null;
+  }
+
+  if (hasBytes(content, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return detectCompoundFile(content);
+  }
+
+  return detectText(content, size, filename);
+};
+
+/**
+ * Detect the MIME type of a file from its content
+ * @param {Buffer} content - File bytes
+ * @param {string} filename - Original filename (only used to tell CSV from
+ * plain text, which have no signature)
+ * @returns {string|null} Detected MIME type, or null if not recognized
+ */
+export const detectFileType = (content, filename) => {
+  if (!Buffer.isBuffer(content) || content.length === 0) {
+    return null;
+  }
+
+  if (hasBytes(content, ZIP_SIGNATURE)) {
+    return detectZipContainer(listZipEntries(content));
+  }
+
+  return detectFromLeadingBytes(content, content.length, filename);
+};
+
+/**
+ * Read part of an open file
+ * @param {FileHandle} handle - Open file
+ * @param {number} position - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>} Bytes read (fewer at the end of the file)
+ */
+const readFileRange = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Detect the MIME type of a file on disk from its content
+ * Only the leading bytes, and the central directory of ZIP archives, are
+ * read, so large files are never loaded whole
+ * @param {string} filePath - File path
+ * @param {string} filename - Original filename (see detectFileType)
+ * @returns {Promise<string|null>} Detected MIME type, or null if not
+ * recognized
+ */
+export const detectFileTypeOfPath = async (filePath, filename) => {
+  const handle = await fs.open(filePath, "r");
+
+  try {
+    const { size } = await handle.stat();
+    const head = await readFileRange(handle, 0, Math.min(size, SNIFF_BYTES));
+    if (!head.length) {
+      return null;
+    }
+
+    if (!hasBytes(head, ZIP_SIGNATURE)) {
+      return detectFromLeadingBytes(head, size, filename);
+    }
+
+    const tailOffset = Math.max(
+      0,
+      size - ZIP_COMMENT_MAX - ZIP_END_RECORD_SIZE
+    );
+    const directory = findZipDirectory(
+      await readFileRange(handle, tailOffset, size - tailOffset),
+      tailOffset
+    );
+    if (
+      !directory ||
+      directory.offset > directory.end ||
+      directory.end - directory.offset > ZIP_DIRECTORY_MAX
+    ) {
+      return null;
+    }
+
+    return detectZipContainer(
+      readZipDirectory(
+        await readFileRange(
+          handle,
+          directory.offset,
+          directory.end - directory.offset
+        ),
+        directory.entryCount
+      )
+    );
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Read the pixel dimensions of a PNG or JPEG image
+ * @param {Buffer} content - Image bytes
+ * @returns {Object|null} { width, height }, or null if unreadable
+ */
+export const getImageDimensions = (content) => {
+  if (!Buffer.isBuffer(content)) {
+    return null;
+  }
+
+  // PNG: the IHDR chunk always comes first
+  if (hasBytes(content, PNG_SIGNATURE) && content.length >= 24) {
+    return {
+      width: content.readUInt32BE(16),
+      height: content.readUInt32BE(20),
+    };
+  }
+
+  // JPEG: walk the markers up to the first start-of-frame
+  if (hasBytes(content, [0xff, 0xd8])) {
+    let offset = 2;
+    while (offset + 9 <= content.length && content[offset] === 0xff) {
+      const marker = content[offset + 1];
+      const isStartOfFrame =
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker);
+
+      if (isStartOfFrame) {
+        return {
+          width: content.readUInt16BE(offset + 7),
+          height: content.readUInt16BE(offset + 5),
+        };
+      }
+      offset += 2 + content.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+};
+
+export default {
+  detectFileType,
+  detectFileTypeOfPath,
+  getImageDimensions,
+};
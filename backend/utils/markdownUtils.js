@@ -0,0 +1,438 @@
+/**
+ * Markdown Utilities
+ * Renders the Markdown subset supported in comments to safe HTML
+ *
+ * Supported: paragraphs and line breaks, headings, fenced and inline code,
+ * bold, italic, strikethrough, block quotes, ordered and unordered lists,
+ * horizontal rules, links, bare URLs and #<taskId> task references
+ *
+ * Raw HTML in the source is never rendered; it is escaped so that pasted
+ * snippets show as text. The rendered output is passed through an
+ * allowlist sanitizer as a second line of defence
+ */
+
+// Tags and attributes the sanitizer keeps
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  hr: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  strong: [],
+  em: [],
+  del: [],
+  code: ["class"],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: ["start"],
+  li: [],
+  a: ["href", "title", "class", "rel", "target", "data-task-id"],
+};
+
+// Tags removed together with their content
+const DROPPED_CONTENT_TAGS = [
+  "script",
+  "style",
+  "iframe",
+  "object",
+  "embed",
+  "template",
+  "noscript",
+];
+
+// Task references use the task's ObjectId (e.g. #64b7f0c2e4b0a1a2b3c4d5e6)
+const TASK_REFERENCE_PATTERN = /(^|[^\w&/#])#([a-f0-9]{24})(?![\w])/gi;
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const UNORDERED_ITEM_PATTERN = /^\s{0,3}[-*+]\s+(.*)$/;
+const ORDERED_ITEM_PATTERN = /^\s{0,3}(\d{1,9})[.)]\s+(.*)$/;
+
+const BARE_URL_PATTERN =
+  /\bhttps?:\/\/[^\s<>"'`\u0000]+[^\s<>"'`\u0000.,;:!?)\]]/gi;
+
+// Placeholder markers for already rendered inline fragments
+const PLACEHOLDER = "\u0000";
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (text = "") =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Check that a link target cannot run script
+ * Only http(s), mailto and same-site paths are allowed
+ * @param {string} url - Link target
+ * @returns {boolean} True if the URL is safe to link
+ */
+export const isSafeUrl = (url = "") => {
+  // Browsers ignore control characters and whitespace inside schemes
+  const normalized = String(url).replace(/[\u0000- \u007f]/g, "");
+
+  if (/^(https?:|mailto:)/i.test(normalized)) {
+    return true;
+  }
+
+  // Relative paths and fragments, but not protocol-relative URLs
+  return /^(\/(?![/\\])|#)/.test(normalized);
+};
+
+/**
+ * Replace fenced and inline code with spaces
+ * Used so mentions and task references inside code are ignored
+ * @param {string} content - Markdown source
+ * @returns {string} Source with code blanked out (same length)
+ */
+export const stripMarkdownCode = (content = "") => {
+  const blank = (text) => text.replace(/[^\n]/g, " ");
+  const lines = String(content || "").split("\n");
+  let fence = null;
+
+  return lines
+    .map((line) => {
+      const match = line.match(FENCE_PATTERN);
+      if (fence) {
+        if (
+          match &&
+          match[1][0] === fence[0] &&
+          match[1].length >= fence.length
+        ) {
+          fence = null;
+        }
+        return blank(line);
+      }
+      if (match) {
+        fence = match[1];
+        return blank(line);
+      }
+      return line.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, blank);
+    })
+    .join("\n");
+};
+
+/**
+ * Extract referenced task IDs from Markdown source
+ * References inside code are ignored
+ * @param {string} content - Markdown source
+ * @returns {Array<string>} Unique lowercase task IDs in order of appearance
+ */
+export const extractTaskReferences = (content = "") => [
+  ...new Set(
+    [...stripMarkdownCode(content).matchAll(TASK_REFERENCE_PATTERN)].map(
+      (match) => match[2].toLowerCase()
+    )
+  ),
+];
+
+/**
+ * Sanitize HTML against the allowlist
+ * Unknown tags are removed (their text is kept), dangerous tags are removed
+ * with their content, unknown attributes are dropped and unsafe link
+ * targets are removed
+ * @param {string} html - HTML to sanitize
+ * @returns {string} Sanitized HTML
+ */
+export const sanitizeHtml = (html = "") => {
+  const droppedContent = new RegExp(
+    `<(${DROPPED_CONTENT_TAGS.join("|")})\\b[\\s\\S]*?(<\\/\\1\\s*>|$)`,
+    "gi"
+  );
+  // Any "<" that does not open an allowed tag is escaped
+  const strayTagStart = new RegExp(
+    `<(?!\\/?(${Object.keys(ALLOWED_TAGS).join("|")})\\b[^<>]*>)`,
+    "gi"
+  );
+
+  const sanitizeTag = (tag, closing, name, rawAttributes) => {
+    const tagName = name.toLowerCase();
+    const allowedAttributes = ALLOWED_TAGS[tagName];
+
+    if (!allowedAttributes) {
+      return "";
+    }
+    if (closing) {
+      return `</${tagName}>`;
+    }
+
+    const attributes = [
+      ...rawAttributes.matchAll(/([a-z][a-z0-9-]*)\s*=\s*"([^"]*)"/gi),
+    ]
+      .map(([, attributeName, value]) => [attributeName.toLowerCase(), value])
+      .filter(
+        ([attributeName, value]) =>
+          allowedAttributes.includes(attributeName) &&
+          (attributeName !== "href" || isSafeUrl(value))
+      )
+      .map(([attributeName, value]) => ` ${attributeName}="${value}"`)
+      .join("");
+
+    return `<${tagName}${attributes}>`;
+  };
+
+  return String(html)
+    .replace(/<!--[\s\S]*?(-->|$)/g, "")
+    .replace(droppedContent, "")
+    .replace(/<(\/?)([a-z][a-z0-9]*)\b([^<>]*)>/gi, sanitizeTag)
+    .replace(strayTagStart, "&lt;");
+};
+
+/**
+ * Render inline Markdown of one block
+ * @param {string} text - Raw inline text
+ * @param {Object} options - Render options
+ * @returns {string} HTML
+ */
+const renderInline = (text, options) => {
+  const fragments = [];
+  const hold = (html) => {
+    fragments.push(html);
+    return `${PLACEHOLDER}${fragments.length - 1}${PLACEHOLDER}`;
+  };
+
+  let result = text
+    .replace(new RegExp(PLACEHOLDER, "g"), "")
+    // Inline code is taken verbatim
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      hold(`<code>${escapeHtml(code.trim())}</code>`)
+    )
+    // Links: [text](url "title"), where the URL may hold balanced parentheses
+    .replace(
+      /\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g,
+      (match, label, url, title) => {
+        const labelHtml = renderEmphasis(escapeHtml(label));
+        if (!isSafeUrl(url)) {
+          return hold(labelHtml);
+        }
+        const titleAttribute = title ? ` title="${escapeHtml(title)}"` : "";
+        return hold(
+          `<a href="${escapeHtml(url)}"${titleAttribute}${linkAttributes(
+            url
+          )}>${labelHtml}</a>`
+        );
+      }
+    )
+    // Bare URLs
+    .replace(BARE_URL_PATTERN, (url) =>
+      hold(
+        `<a href="${escapeHtml(url)}"${linkAttributes(url)}>${escapeHtml(
+          url
+        )}</a>`
+      )
+    )
+    // Task references
+    .replace(TASK_REFERENCE_PATTERN, (match, prefix, taskId) => {
+      const id = taskId.toLowerCase();
+      if (options.taskIds && !options.taskIds.has(id)) {
+        return match;
+      }
+      const href = escapeHtml(options.taskUrl(id));
+      return `${prefix}${hold(
+        `<a href="${href}" class="task-link" data-task-id="${id}">#${id}</a>`
+      )}`;
+    });
+
+  result = renderEmphasis(escapeHtml(result));
+
+  // Fragments may hold other fragments (e.g. code inside a link)
+  const placeholder = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, "g");
+  while (result.includes(PLACEHOLDER)) {
+    result = result.replace(placeholder, (match, index) => fragments[index]);
+  }
+  return result;
+};
+
+/**
+ * Extra attributes for links leaving the application
+ * @param {string} url - Link target
+ * @returns {string} Attribute string
+ */
+const linkAttributes = (url) =>
+  /^https?:/i.test(url)
+    ? ' rel="noopener noreferrer nofollow" target="_blank"'
+    : "";
+
+/**
+ * Render bold, italic and strikethrough in escaped text
+ * @param {string} html - Escaped text
+ * @returns {string} HTML
+ */
+const renderEmphasis = (html) =>
+  html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>");
+
+/**
+ * Render block-level Markdown
+ * @param {Array<string>} lines - Source lines
+ * @param {Object} options - Render options
+ * @returns {string} HTML
+ */
+const renderBlocks = (lines, options) => {
+  const html = [];
+  let index = 0;
+
+  const isBlockStart = (line) =>
+    FENCE_PATTERN.test(line) ||
+    HEADING_PATTERN.test(line) ||
+    RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) ||
+    UNORDERED_ITEM_PATTERN.test(line) ||
+    ORDERED_ITEM_PATTERN.test(line);
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      index += 1;
+      while (index < lines.length) {
+        const closing = lines[index].match(FENCE_PATTERN);
+        if (
+          closing &&
+          closing[1][0] === fence[1][0] &&
+          closing[1].length >= fence[1].length &&
+          !closing[2]
+        ) {
+          index += 1;
+          break;
+        }
+        code.push(lines[index]);
+        index += 1;
+      }
+      const language = fence[2]
+        ? ` class="language-${escapeHtml(fence[2].toLowerCase())}"`
+        : "";
+      html.push(
+        `<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`
+      );
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`);
+      index += 1;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      html.push("<hr>");
+      index += 1;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoted.push(lines[index].match(QUOTE_PATTERN)[1]);
+        index += 1;
+      }
+      html.push(`<blockquote>${renderBlocks(quoted, options)}</blockquote>`);
+      continue;
+    }
+
+    const ordered = ORDERED_ITEM_PATTERN.test(line);
+    if (ordered || UNORDERED_ITEM_PATTERN.test(line)) {
+      const pattern = ordered ? ORDERED_ITEM_PATTERN : UNORDERED_ITEM_PATTERN;
+      const items = [];
+      const start = ordered ? Number(line.match(pattern)[1]) : 1;
+
+      while (index < lines.length && lines[index].trim()) {
+        const item = lines[index].match(pattern);
+        if (item) {
+          items.push([ordered ? item[2] : item[1]]);
+        } else if (isBlockStart(lines[index])) {
+          break;
+        } else {
+          // Continuation of the previous item
+          items[items.length - 1].push(lines[index].trim());
+        }
+        index += 1;
+      }
+
+      const tag = ordered ? "ol" : "ul";
+      const startAttribute = ordered && start !== 1 ? ` start="${start}"` : "";
+      const itemsHtml = items
+        .map(
+          (item) =>
+            `<li>${item
+              .map((text) => renderInline(text, options))
+              .join("<br>")}</li>`
+        )
+        .join("");
+      html.push(`<${tag}${startAttribute}>${itemsHtml}</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      index < lines.length &&
+      lines[index].trim() &&
+      (paragraph.length === 0 || !isBlockStart(lines[index]))
+    ) {
+      paragraph.push(lines[index].trim());
+      index += 1;
+    }
+    html.push(
+      `<p>${paragraph
+        .map((text) => renderInline(text, options))
+        .join("<br>")}</p>`
+    );
+  }
+
+  return html.join("");
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} content - Markdown source
+ * @param {Object} options - Render options
+ * @param {Set<string>} options.taskIds - Task IDs that may be linked (all when omitted)
+ * @param {Function} options.taskUrl - Builds the URL of a referenced task
+ * @returns {string} Safe HTML
+ */
+export const renderMarkdown = (content = "", options = {}) => {
+  const renderOptions = {
+    taskIds: options.taskIds || null,
+    taskUrl: options.taskUrl || ((taskId) => `/tasks/${taskId}`),
+  };
+  const lines = String(content || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+
+  return sanitizeHtml(renderBlocks(lines, renderOptions));
+};
+
+export default {
+  escapeHtml,
+  isSafeUrl,
+  stripMarkdownCode,
+  extractTaskReferences,
+  sanitizeHtml,
+  renderMarkdown,
+};
@@ -0,0 +1,65 @@
+/**
+ * Mention Utilities
+ * Pure extraction and matching of @mentions in comment content
+ * Mentions use @username (email local-part) or @"Full Name" / @'Full Name'
+ * Mentions inside Markdown code and email addresses are ignored
+ */
+
+import { stripMarkdownCode } from "./markdownUtils.js";
+
+const MENTION_PATTERN = /(^|[^\w@.])@([a-zA-Z0-9._-]+|"[^"]+"|'[^']+')/g;
+
+/**
+ * Normalize text for case- and whitespace-insensitive comparison
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (text = "") => text.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Extract mention texts from comment content
+ * @param {string} content - Comment content
+ * @returns {Array<string>} Unique mention texts without quotes, in order of appearance
+ */
+export const extractMentionTexts = (content = "") => {
+  const seen = new Set();
+
+  return [...stripMarkdownCode(content || "").matchAll(MENTION_PATTERN)]
+    .map((match) => match[2].replace(/['"]/g, "").trim())
+    .filter((text) => {
+      const key = normalize(text);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Match a mention against users
+ * Email local-part matches win over full name matches; more than one
+ * user at the winning level makes the mention ambiguous
+ * @param {string} mentionText - Mention text without quotes
+ * @param {Array<Object>} users - Users with email, firstName and lastName
+ * @returns {Object} { user, candidates } - user is null unless exactly one user matches
+ */
+export const matchMention = (mentionText, users = []) => {
+  const text = normalize(mentionText);
+
+  const byEmail = users.filter(
+    (user) => normalize(user.email?.split("@")[0]) === text
+  );
+  const byName = users.filter(
+    (user) => normalize(`${user.firstName} ${user.lastName}`) === text
+  );
+  const candidates = byEmail.length > 0 ? byEmail : byName;
+
+  return {
+    user: candidates.length === 1 ? candidates[0] : null,
+    candidates: candidates.length > 1 ? candidates : [],
+  };
+};
+
+export default {
+  extractMentionTexts,
+  matchMention,
+};
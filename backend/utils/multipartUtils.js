@@ -0,0 +1,420 @@
+import crypto from "node:crypto";
+import { createWriteStream } from "node:fs";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { finished } from "node:stream/promises";
+import CustomError from "./CustomError.js";
+import { parseHeaders, parseHeaderParams } from "./emailUtils.js";
+import { FILE_UPLOAD, ERROR_CODES } from "../constants/index.js";
+
+/**
+ * Multipart Utilities
+ * Incremental multipart/form-data parsing. Bytes are consumed as they arrive
+ * so limits are enforced before an oversized request has been read
+ *
+ * File parts are streamed to temporary files (under UPLOAD_TEMP_DIR, or the
+ * system temporary directory) as they arrive, and the request is paused while
+ * a file catches up, so an upload never holds more than a few chunks in
+ * memory. Callers remove the files once they are done with them
+ */
+
+// Largest header block accepted for a single part
+const PART_HEADERS_MAX = 16 * 1024;
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+
+// Field names that would reach object prototypes
+const RESERVED_FIELD_NAMES = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Get the boundary of a multipart/form-data Content-Type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} Boundary, or null if the request is not multipart
+ */
+export const getMultipartBoundary = (contentType = "") => {
+  const { value, params } = parseHeaderParams(contentType);
+  return value === "multipart/form-data" && params.boundary
+    ? params.boundary
+    : null;
+};
+
+/**
+ * Build a parse error
+ * @param {string} message - Error message
+ * @returns {CustomError} 400 error
+ */
+const malformed = (message) =>
+  CustomError.badRequest(message, ERROR_CODES.MALFORMED_MULTIPART);
+
+/**
+ * Remove the temporary files of a parsed upload
+ * Failures are logged; files that are already gone are ignored
+ * @param {Array<Object>} files - Parsed files
+ * @returns {Promise<void>}
+ */
+export const removeUploadedFiles = async (files = []) => {
+  await Promise.all(
+    files.map((file) =>
+      fs.rm(file.path, { force: true }).catch((error) => {
+        console.error("Upload cleanup error:", error);
+      })
+    )
+  );
+};
+
+/**
+ * Create an incremental multipart/form-data parser
+ * Repeated fields (or fields named "name[]") are collected into arrays.
+ * Files are returned as { fieldName, filename, declaredType, path, size },
+ * where path is the temporary file holding their content
+ * @param {string} boundary - Multipart boundary
+ * @param {Object} options - Parsing limits (default to FILE_UPLOAD)
+ * @param {number} options.maxFileSize - Largest file in bytes
+ * @param {number} options.maxFiles - Most files per request
+ * @param {number} options.maxFieldSize - Largest non-file field in bytes
+ * @param {number} options.maxFields - Most non-file fields per request
+ * @param {string} options.tempDir - Directory files are written to
+ * @returns {Object} { write(chunk), end() → { fields, files }, abort() },
+ * each returning a promise
+ */
+export const createMultipartParser = (boundary, options = {}) => {
+  const {
+    maxFileSize = FILE_UPLOAD.MAX_FILE_SIZE,
+    maxFiles = FILE_UPLOAD.MAX_FILES_PER_UPLOAD,
+    maxFieldSize = FILE_UPLOAD.MAX_FIELD_SIZE,
+    maxFields = FILE_UPLOAD.MAX_FIELDS,
+    tempDir = process.env.UPLOAD_TEMP_DIR || os.tmpdir(),
+  } = options;
+
+  // The leading CRLF lets the first boundary match like the others
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = [];
+  // Every temporary file written, including empty parts that are dropped
+  const outputs = [];
+  let writeError = null;
+  let fieldCount = 0;
+  let buffer = Buffer.from(CRLF);
+  let state = "preamble";
+  let part = null;
+
+  /**
+   * Append body bytes to the current part, enforcing size limits
+   * @param {Buffer} bytes - Part bytes
+   */
+  const appendToPart = (bytes) => {
+    if (!bytes.length) return;
+
+    part.size += bytes.length;
+    if (part.filename !== undefined && part.size > maxFileSize) {
+      throw CustomError.payloadTooLarge(
+        `File "${part.filename}" exceeds the maximum size of ${Math.round(
+          maxFileSize / (1024 * 1024)
+        )}MB`,
+        ERROR_CODES.FILE_TOO_LARGE
+      );
+    }
+    if (part.filename === undefined && part.size > maxFieldSize) {
+      throw CustomError.payloadTooLarge(
+        `Field "${part.name}" is too large`,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    if (part.output) {
+      part.output.stream.write(bytes);
+    } else {
+      part.chunks.push(bytes);
+    }
+  };
+
+  /**
+   * Open the temporary file of a file part
+   * @returns {Object} { path, stream }
+   */
+  const openOutput = () => {
+    const filePath = path.join(
+      tempDir,
+      `upload-${crypto.randomBytes(16).toString("hex")}`
+    );
+    const stream = createWriteStream(filePath, { flags: "wx", mode: 0o600 });
+
+    // Reported by the next write() or end()
+    stream.on("error", (error) => {
+      writeError ??= error;
+    });
+
+    const output = { path: filePath, stream };
+    outputs.push(output);
+    return output;
+  };
+
+  /**
+   * Start a part from its header block
+   * @param {string} headerText - Raw part headers
+   */
+  const startPart = (headerText) => {
+    const headers = parseHeaders(headerText);
+    const disposition = parseHeaderParams(
+      headers["content-disposition"]?.[0]
+    );
+
+    if (disposition.value !== "form-data" || !disposition.params.name) {
+      throw malformed("Each part must be a named form-data field");
+    }
+    if (RESERVED_FIELD_NAMES.includes(disposition.params.name)) {
+      throw malformed(`Invalid field name "${disposition.params.name}"`);
+    }
+
+    const isFile = disposition.params.filename !== undefined;
+    if (isFile && files.length >= maxFiles) {
+      throw CustomError.badRequest(
+        `Cannot upload more than ${maxFiles} files at once`,
+        ERROR_CODES.TOO_MANY_FILES
+      );
+    }
+    if (!isFile && ++fieldCount > maxFields) {
+      throw malformed(`Cannot send more than ${maxFields} fields`);
+    }
+
+    part = {
+      name: disposition.params.name,
+      // Some clients send a full path; only the base name is kept
+      filename: isFile
+        ? disposition.params.filename.split(/[\\/]/).pop()
+        : undefined,
+      contentType: parseHeaderParams(headers["content-type"]?.[0]).value,
+      size: 0,
+      chunks: [],
+      output: null,
+    };
+    if (isFile) {
+      part.output = openOutput();
+    }
+  };
+
+  /**
+   * Finish the current part and store it as a file or field
+   */
+  const finishPart = () => {
+    if (part.output) {
+      part.output.stream.end();
+
+      // Browsers send an empty part when a file input is left empty
+      if (part.filename || part.size) {
+        files.push({
+          fieldName: part.name,
+          filename: part.filename,
+          declaredType: part.contentType,
+          path: part.output.path,
+          size: part.size,
+        });
+      }
+    } else {
+      const isArray = part.name.endsWith("[]");
+      const name = isArray ? part.name.slice(0, -2) : part.name;
+      const value = Buffer.concat(part.chunks).toString("utf-8");
+
+      if (isArray || fields[name] !== undefined) {
+        fields[name] = [].concat(fields[name] ?? [], value);
+      } else {
+        fields[name] = value;
+      }
+    }
+
+    part = null;
+  };
+
+  /**
+   * Consume as much of the buffer as possible
+   */
+  const consume = () => {
+    for (;;) {
+      if (state === "preamble" || state === "body") {
+        const index = buffer.indexOf(delimiter);
+
+        if (index === -1) {
+          // Keep enough bytes to match a delimiter split across chunks
+          const keep = Math.min(buffer.length, delimiter.length - 1);
+          if (state === "body") {
+            appendToPart(buffer.subarray(0, buffer.length - keep));
+          }
+          buffer = buffer.subarray(buffer.length - keep);
+          return;
+        }
+
+        if (state === "body") {
+          appendToPart(buffer.subarray(0, index));
+          finishPart();
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = "delimiter";
+      }
+
+      if (state === "delimiter") {
+        if (buffer.length < 2) return;
+
+        if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+          state = "end";
+          buffer = Buffer.alloc(0);
+          return;
+        }
+
+        // Transport padding may follow the boundary before its CRLF
+        const lineEnd = buffer.indexOf(CRLF);
+        if (lineEnd === -1) {
+          if (buffer.length > 256) throw malformed("Invalid boundary line");
+          return;
+        }
+        if (buffer.subarray(0, lineEnd).toString("latin1").trim()) {
+          throw malformed("Invalid boundary line");
+        }
+        buffer = buffer.subarray(lineEnd + CRLF.length);
+        state = "headers";
+      }
+
+      if (state === "headers") {
+        const index = buffer.indexOf(HEADER_END);
+
+        if (index === -1) {
+          if (buffer.length > PART_HEADERS_MAX) {
+            throw malformed("Part headers are too large");
+          }
+          return;
+        }
+
+        startPart(buffer.subarray(0, index).toString("utf-8"));
+        buffer = buffer.subarray(index + HEADER_END.length);
+        state = "body";
+      }
+
+      if (state === "end") {
+        buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  };
+
+  /**
+   * Wait until the temporary files have taken the bytes written so far
+   * @returns {Promise<void>}
+   */
+  const flush = async () => {
+    if (writeError) throw writeError;
+
+    await Promise.all(
+      outputs
+        .filter(({ stream }) => stream.writableNeedDrain)
+        .map(({ stream }) => once(stream, "drain"))
+    );
+  };
+
+  return {
+    /**
+     * Feed the next chunk of the request body
+     * Resolves once file bytes have been handed to their temporary files;
+     * write the next chunk only after that
+     * @param {Buffer} chunk - Body bytes
+     * @returns {Promise<void>}
+     * @throws {CustomError} If the body is malformed or exceeds a limit
+     */
+    async write(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      consume();
+      await flush();
+    },
+
+    /**
+     * Finish parsing once every file has been written
+     * @returns {Promise<Object>} { fields, files }
+     * @throws {CustomError} If the body ended before the closing boundary
+     */
+    async end() {
+      if (state !== "end") {
+        throw malformed("Unexpected end of multipart body");
+      }
+
+      await Promise.all(outputs.map(({ stream }) => finished(stream)));
+      if (writeError) throw writeError;
+
+      // Empty parts were written but are not returned
+      const dropped = outputs.filter(
+        (output) => !files.some((file) => file.path === output.path)
+      );
+      await removeUploadedFiles(dropped);
+
+      return { fields, files };
+    },
+
+    /**
+     * Stop parsing and remove every temporary file
+     * @returns {Promise<void>}
+     */
+    async abort() {
+      await Promise.all(
+        outputs.map(({ stream }) => {
+          stream.destroy();
+          return finished(stream).catch(() => {});
+        })
+      );
+      await removeUploadedFiles(outputs);
+    },
+  };
+};
+
+/**
+ * Parse a multipart/form-data stream
+ * The stream is paused while file bytes are written out. On error it is
+ * paused and left unread, and the temporary files are removed
+ * @param {Readable} stream - Request stream
+ * @param {string} boundary - Multipart boundary
+ * @param {Object} options - Parsing options (see createMultipartParser)
+ * @returns {Promise<Object>} { fields, files }
+ */
+export const parseMultipartStream = (stream, boundary, options) =>
+  new Promise((resolve, reject) => {
+    const parser = createMultipartParser(boundary, options);
+    // Chunks are written one after another, and the end after the last one
+    let writing = Promise.resolve();
+    let failed = false;
+
+    const cleanup = () => {
+      stream.removeListener("data", onData);
+      stream.removeListener("end", onEnd);
+      stream.removeListener("error", onError);
+    };
+    const onError = (error) => {
+      if (failed) return;
+      failed = true;
+      cleanup();
+      stream.pause();
+      parser.abort().then(() => reject(error));
+    };
+    const onData = (chunk) => {
+      stream.pause();
+      writing = writing
+        .then(() => parser.write(chunk))
+        .then(() => {
+          if (!failed) stream.resume();
+        });
+      writing.catch(onError);
+    };
+    const onEnd = () => {
+      cleanup();
+      writing.then(() => parser.end()).then(resolve, onError);
+    };
+
+    stream.on("data", onData);
+    stream.on("end", onEnd);
+    stream.on("error", onError);
+  });
+
+export default {
+  getMultipartBoundary,
+  removeUploadedFiles,
+  createMultipartParser,
+  parseMultipartStream,
+};
@@ -0,0 +1,159 @@
+import dayjs from "dayjs";
+import { TASK_FREQUENCY, RECURRENCE_CONFIG } from "../constants/index.js";
+
+/**
+ * Recurrence Utilities
+ * Pure schedule calculations for RoutineTask templates
+ * Occurrences are day-granular and materialize at the start of their day
+ */
+
+/**
+ * Build a lookup set of holiday days
+ * @param {Array<Date|Object>} holidays - Holiday dates or { date } entries
+ * @returns {Set<string>} Set of YYYY-MM-DD keys
+ */
+export const buildHolidaySet = (holidays = []) => {
+  return new Set(
+    holidays
+      .map((holiday) => holiday?.date || holiday)
+      .filter(Boolean)
+      .map((date) => dayjs(date).format("YYYY-MM-DD"))
+  );
+};
+
+/**
+ * Get the recurrence rule of a template anchored on a start date
+ * Templates saved without a start date are anchored on their creation
+ * @param {Object} template - RoutineTask template
+ * @returns {Object} Recurrence rule with a startDate
+ */
+export const getAnchoredRecurrence = (template) => {
+  const recurrence = template.recurrence.toObject?.() || template.recurrence;
+  return {
+    ...recurrence,
+    startDate: recurrence.startDate || template.createdAt,
+  };
+};
+
+/**
+ * Check if a day matches a recurrence rule (ignoring start/end bounds)
+ * Weekly rules without weekdays and Monthly rules without dayOfMonth repeat
+ * on the weekday or date of recurrence.startDate and never match without it
+ * @param {dayjs.Dayjs} day - Candidate day
+ * @param {string} frequency - Daily, Weekly or Monthly
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Set<string>} holidaySet - Holiday lookup set
+ * @returns {boolean} True if an occurrence falls on this day
+ */
+export const matchesSchedule = (day, frequency, recurrence, holidaySet) => {
+  const weekdays = recurrence.weekdays || [];
+  const anchor = recurrence.startDate ? dayjs(recurrence.startDate) : null;
+
+  if (
+    recurrence.skipHolidays &&
+    holidaySet.has(day.format("YYYY-MM-DD"))
+  ) {
+    return false;
+  }
+
+  switch (frequency) {
+    case TASK_FREQUENCY.WEEKLY:
+      if (weekdays.length > 0) {
+        return weekdays.includes(day.day());
+      }
+      return !!anchor && day.day() === anchor.day();
+
+    case TASK_FREQUENCY.MONTHLY: {
+      // Short months run on their last day when dayOfMonth exceeds them
+      const targetDay = recurrence.dayOfMonth || anchor?.date();
+      return (
+        !!targetDay && day.date() === Math.min(targetDay, day.daysInMonth())
+      );
+    }
+
+    case TASK_FREQUENCY.DAILY:
+    default:
+      return weekdays.length === 0 || weekdays.includes(day.day());
+  }
+};
+
+/**
+ * Get the next occurrence on or after a date
+ * @param {Date} from - Earliest candidate date (inclusive, day granularity)
+ * @param {string} frequency - Daily, Weekly or Monthly
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Array<Date|Object>} holidays - Holiday dates
+ * @returns {Date|null} Start of the next occurrence day, or null when the schedule has ended
+ */
+export const getNextOccurrence = (from, frequency, recurrence, holidays = []) => {
+  const holidaySet = buildHolidaySet(holidays);
+  const startDay = recurrence.startDate
+    ? dayjs(recurrence.startDate).startOf("day")
+    : null;
+  const endDay = recurrence.endDate
+    ? dayjs(recurrence.endDate).endOf("day")
+    : null;
+
+  let day = dayjs(from).startOf("day");
+  if (startDay && day.isBefore(startDay)) {
+    day = startDay;
+  }
+
+  for (let i = 0; i < RECURRENCE_CONFIG.SEARCH_HORIZON_DAYS; i++) {
+    if (endDay && day.isAfter(endDay)) {
+      return null;
+    }
+
+    if (matchesSchedule(day, frequency, recurrence, holidaySet)) {
+      return day.toDate();
+    }
+
+    day = day.add(1, "day");
+  }
+
+  return null;
+};
+
+/**
+ * Collect the occurrences that are due at a point in time
+ * @param {Date} nextRunAt - First pending occurrence
+ * @param {Date} now - Current time
+ * @param {string} frequency - Daily, Weekly or Monthly
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Array<Date|Object>} holidays - Holiday dates
+ * @returns {Object} { due: Array<Date>, nextRunAt: Date|null }
+ */
+export const collectDueOccurrences = (
+  nextRunAt,
+  now,
+  frequency,
+  recurrence,
+  holidays = []
+) => {
+  const due = [];
+  let candidate = nextRunAt;
+
+  while (
+    candidate &&
+    candidate <= now &&
+    due.length < RECURRENCE_CONFIG.MAX_CATCH_UP
+  ) {
+    due.push(candidate);
+    candidate = getNextOccurrence(
+      dayjs(candidate).add(1, "day").toDate(),
+      frequency,
+      recurrence,
+      holidays
+    );
+  }
+
+  return { due, nextRunAt: candidate };
+};
+
+export default {
+  buildHolidaySet,
+  getAnchoredRecurrence,
+  matchesSchedule,
+  getNextOccurrence,
+  collectDueOccurrences,
+};
@@ -0,0 +1,156 @@
+import crypto from "node:crypto";
+import { EMAIL_REPLY_CONFIG } from "../constants/index.js";
+
+/**
+ * Reply Token Utilities
+ * Signed reply-to addresses for notification emails. A token names the
+ * recipient, the comment being replied to and when the address expires, so
+ * an inbound reply can be posted as that user until then. Tokens are signed
+ * with EMAIL_REPLY_SECRET, which no other credential shares
+ */
+
+const OBJECT_ID_BYTES = 12;
+const EXPIRY_BYTES = 4;
+const PAYLOAD_BYTES = OBJECT_ID_BYTES * 2 + EXPIRY_BYTES;
+
+/**
+ * Check whether notification emails carry reply addresses
+ * Both the inbound domain and the signing secret must be set
+ * @returns {boolean} True if replying by email is configured
+ */
+export const isEmailReplyConfigured = () =>
+  Boolean(process.env.EMAIL_REPLY_DOMAIN && process.env.EMAIL_REPLY_SECRET);
+
+/**
+ * Get the secret used to sign reply tokens
+ * @returns {string} Signing secret
+ * @throws {Error} If EMAIL_REPLY_SECRET is not set
+ */
+const getReplySecret = () => {
+  const secret = process.env.EMAIL_REPLY_SECRET;
+
+  if (!secret) {
+    throw new Error("Email reply secret not configured");
+  }
+
+  return secret;
+};
+
+/**
+ * Sign a token payload
+ * @param {Buffer} payload - Token payload
+ * @returns {Buffer} Truncated HMAC-SHA256 signature
+ */
+const signPayload = (payload) =>
+  crypto
+    .createHmac("sha256", getReplySecret())
+    .update(payload)
+    .digest()
+    .subarray(0, EMAIL_REPLY_CONFIG.SIGNATURE_BYTES);
+
+/**
+ * Create a reply token for a notification email
+ * @param {Object} data - Token data
+ * @param {string} data.userId - Recipient of the email
+ * @param {string} data.commentId - Comment the email is about
+ * @param {Date} data.now - Time the email is sent
+ * @returns {string} URL-safe token
+ */
+export const createReplyToken = ({ userId, commentId, now = new Date() }) => {
+  // Expiry in whole seconds since the epoch
+  const expiresAt = Buffer.alloc(EXPIRY_BYTES);
+  expiresAt.writeUInt32BE(
+    Math.floor((now.getTime() + EMAIL_REPLY_CONFIG.TOKEN_EXPIRY) / 1000)
+  );
+
+  const payload = Buffer.concat([
+    Buffer.from(userId.toString(), "hex"),
+    Buffer.from(commentId.toString(), "hex"),
+    expiresAt,
+  ]);
+
+  return Buffer.concat([payload, signPayload(payload)]).toString("base64url");
+};
+
+/**
+ * Verify a reply token
+ * @param {string} token - Token from a reply address
+ * @param {Date} now - Time the reply is received
+ * @returns {Object|null} { userId, commentId }, or null if the token is
+ * invalid or has expired
+ */
+export const verifyReplyToken = (token, now = new Date()) => {
+  if (typeof token !== "string" || !/^[A-Za-z0-9_-]+$/.test(token)) {
+    return null;
+  }
+
+  // Only the canonical encoding is accepted; unused trailing bits would
+  // otherwise give every token several spellings
+  const buffer = Buffer.from(token, "base64url");
+  if (
+    buffer.length !== PAYLOAD_BYTES + EMAIL_REPLY_CONFIG.SIGNATURE_BYTES ||
+    buffer.toString("base64url") !== token
+  ) {
+    return null;
+  }
+
+  const payload = buffer.subarray(0, PAYLOAD_BYTES);
+  const signature = buffer.subarray(PAYLOAD_BYTES);
+  if (!crypto.timingSafeEqual(signature, signPayload(payload))) {
+    return null;
+  }
+
+  const expiresAt = payload.readUInt32BE(OBJECT_ID_BYTES * 2) * 1000;
+  if (now.getTime() >= expiresAt) {
+    return null;
+  }
+
+  return {
+    userId: payload.subarray(0, OBJECT_ID_BYTES).toString("hex"),
+    commentId: payload
+      .subarray(OBJECT_ID_BYTES, OBJECT_ID_BYTES * 2)
+      .toString("hex"),
+  };
+};
+
+/**
+ * Build the reply-to address carrying a token
+ * @param {string} token - Reply token
+ * @param {string} domain - Inbound mail domain (defaults to EMAIL_REPLY_DOMAIN)
+ * @returns {string} Reply address
+ */
+export const buildReplyAddress = (
+  token,
+  domain = process.env.EMAIL_REPLY_DOMAIN
+) => `${EMAIL_REPLY_CONFIG.ADDRESS_PREFIX}+${token}@${domain}`;
+
+/**
+ * Extract the reply token from an address
+ * When EMAIL_REPLY_DOMAIN is set, addresses of other domains are ignored
+ * @param {string} address - Email address
+ * @returns {string|null} Token, or null if the address is not a reply address
+ */
+export const extractReplyToken = (address) => {
+  const match = String(address || "")
+    .trim()
+    .match(/^([^@\s]+)\+([A-Za-z0-9_-]+)@([^@\s]+)$/);
+
+  if (!match || match[1].toLowerCase() !== EMAIL_REPLY_CONFIG.ADDRESS_PREFIX) {
+    return null;
+  }
+
+  const domain = process.env.EMAIL_REPLY_DOMAIN;
+  if (domain && match[3].toLowerCase() !== domain.toLowerCase()) {
+    return null;
+  }
+
+  return match[2];
+};
+
+export default {
+  isEmailReplyConfigured,
+  createReplyToken,
+  verifyReplyToken,
+  buildReplyAddress,
+  extractReplyToken,
+};
@@ -0,0 +1,59 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * Request Context Utilities
+ * Keeps per-request state (such as the acting user) available to code that
+ * has no access to req, like Mongoose middleware
+ */
+
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a new request context
+ * @param {Object} context - Initial context values
+ * @param {Function} callback - Function to run
+ * @returns {*} Callback result
+ */
+export const runWithRequestContext = (context, callback) =>
+  requestContextStorage.run({ ...context }, callback);
+
+/**
+ * Get the current request context
+ * @returns {Object|null} Context values, or null outside a request
+ */
+export const getRequestContext = () => requestContextStorage.getStore() || null;
+
+/**
+ * Record the authenticated user in the current request context
+ * @param {Object} user - User document
+ */
+export const setRequestActor = (user) => {
+  const context = requestContextStorage.getStore();
+  if (context) {
+    context.actor = user?._id || user || null;
+  }
+};
+
+/**
+ * Get the user acting in the current request context
+ * @returns {mongoose.Types.ObjectId|null} Acting user ID
+ */
+export const getRequestActor = () => getRequestContext()?.actor || null;
+
+/**
+ * Express middleware opening a request context for each request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requestContextMiddleware = (req, res, next) => {
+  runWithRequestContext({ actor: null }, next);
+};
+
+export default {
+  runWithRequestContext,
+  getRequestContext,
+  setRequestActor,
+  getRequestActor,
+  requestContextMiddleware,
+};
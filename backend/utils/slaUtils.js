@@ -0,0 +1,66 @@
+import dayjs from "dayjs";
+
+/**
+ * SLA Utilities
+ * Pure policy matching and deadline calculations
+ */
+
+/**
+ * Find the SLA policy that applies to a task
+ * A policy for the task's own type wins over a policy for every type
+ * @param {Array<Object>} policies - Organization SLA policies
+ * @param {Object} task - Task with priority and taskType
+ * @returns {Object|null} Matching active policy or null
+ */
+export const resolveSlaPolicy = (policies = [], task) => {
+  const candidates = policies.filter(
+    (policy) =>
+      policy.isActive !== false &&
+      policy.priority === task.priority &&
+      (!policy.taskType || policy.taskType === task.taskType)
+  );
+
+  return (
+    candidates.find((policy) => policy.taskType === task.taskType) ||
+    candidates[0] ||
+    null
+  );
+};
+
+/**
+ * Get the time an SLA window starts
+ * The SLA runs from creation until the task is rescheduled or reopened
+ * @param {Object} task - Task with createdAt and sla.startedAt
+ * @returns {Date} Start of the SLA window
+ */
+export const getSlaStart = (task) => task.sla?.startedAt ?? task.createdAt;
+
+/**
+ * Get the time by which a task must be completed
+ * @param {Object} task - Task with createdAt and sla.startedAt
+ * @param {Object} policy - SLA policy
+ * @returns {Date} SLA deadline
+ */
+export const getSlaDeadline = (task, policy) => {
+  return dayjs(getSlaStart(task)).add(policy.completionHours, "hour").toDate();
+};
+
+/**
+ * Get the time at which a breach is escalated
+ * @param {Date} deadline - SLA deadline
+ * @param {Object} policy - SLA policy
+ * @returns {Date|null} Escalation time, or null when the policy never escalates
+ */
+export const getEscalationTime = (deadline, policy) => {
+  if (policy.escalationHours === null || policy.escalationHours === undefined) {
+    return null;
+  }
+  return dayjs(deadline).add(policy.escalationHours, "hour").toDate();
+};
+
+export default {
+  resolveSlaPolicy,
+  getSlaStart,
+  getSlaDeadline,
+  getEscalationTime,
+};
@@ -0,0 +1,93 @@
+/**
+ * Socket.IO Broadcasting Utilities
+ * Helpers for emitting domain events to department and task rooms
+ * Room naming follows the convention used by userStatusUtils (org_<id>, dept_<id>)
+ * Personal events go to user_<id> rooms
+ * Sockets join these rooms in socketService
+ */
+
+/**
+ * Resolve the Socket.IO server instance from an Express request
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Socket.IO server instance or null when not initialized
+ */
+export const getSocketIO = (req) => {
+  return req?.app?.get("io") || null;
+};
+
+/**
+ * Build the room name for a task
+ * @param {Object|string} taskId - Task ID or document
+ * @returns {string} Room name
+ */
+export const getTaskRoom = (taskId) => {
+  return `task_${taskId?._id || taskId}`;
+};
+
+/**
+ * Build room names for a task
+ * The organization room is left out: it reaches User-role members of other
+ * departments who may not read the task
+ * @param {Object} task - Task document or plain object
+ * @returns {Array<string>} Room names
+ */
+export const getTaskRooms = (task) => {
+  const departmentId = task.department?._id || task.department;
+
+  return [
+    departmentId && `dept_${departmentId}`,
+    getTaskRoom(task._id),
+  ].filter(Boolean);
+};
+
+/**
+ * Build the personal room name for a user
+ * @param {Object|string} userId - User ID or document
+ * @returns {string} Room name
+ */
+export const getUserRoom = (userId) => {
+  return `user_${userId?._id || userId}`;
+};
+
+/**
+ * Emit an event to a set of rooms
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {Array<string>} rooms - Room names
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+export const emitToRooms = (socketIO, rooms, event, payload) => {
+  if (!socketIO || rooms.length === 0) return;
+
+  try {
+    socketIO.to(rooms).emit(event, payload);
+  } catch (error) {
+    console.error(`Error broadcasting ${event}:`, error);
+  }
+};
+
+/**
+ * Emit a task event to the task's department and task rooms
+ * @param {Object} socketIO - Socket.IO server instance
+ * @param {string} event - Event name (see SOCKET_EVENTS)
+ * @param {Object} task - Task document
+ * @param {Object} extra - Additional payload fields
+ */
+export const emitTaskEvent = (socketIO, event, task, extra = {}) => {
+  emitToRooms(socketIO, getTaskRooms(task), event, {
+    taskId: task._id,
+    taskType: task.taskType,
+    task,
+    ...extra,
+    timestamp: new Date(),
+  });
+};
+
+export default {
+  getSocketIO,
+  getTaskRoom,
+  getTaskRooms,
+  getUserRoom,
+  emitToRooms,
+  emitTaskEvent,
+};
@@ -0,0 +1,102 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import CustomError from "./CustomError.js";
+import { ERROR_CODES } from "../constants/index.js";
+
+/**
+ * Storage Utilities
+ * Object keys shared by every attachment storage provider. Keys are
+ * "/"-separated relative paths, so they map onto directories on disk and
+ * onto object names in S3-compatible buckets alike
+ *
+ * Object content is either a Buffer or { path, size } of a file on disk, such
+ * as an uploaded file; files are streamed rather than loaded whole
+ */
+
+const STORAGE_KEY_MAX = 512;
+
+/**
+ * Validate an object key
+ * Rejects absolute paths, "." and ".." segments, backslashes and control
+ * characters so a key can never escape the storage root
+ * @param {string} key - Object key
+ * @returns {string} The key
+ * @throws {CustomError} If the key is not a safe relative path
+ */
+export const normalizeStorageKey = (key) => {
+  const segments = typeof key === "string" ? key.split("/") : [];
+
+  if (
+    !segments.length ||
+    key.length > STORAGE_KEY_MAX ||
+    /[\\\u0000-\u001f\u007f]/.test(key) ||
+    segments.some((segment) => ["", ".", ".."].includes(segment))
+  ) {
+    throw CustomError.badRequest(
+      "Invalid storage key",
+      ERROR_CODES.INVALID_STORAGE_KEY
+    );
+  }
+
+  return key;
+};
+
+/**
+ * Get a safe lowercase extension from a filename
+ * @param {string} filename - Original filename
+ * @returns {string} Extension with its dot, or an empty string
+ */
+export const getSafeExtension = (filename) => {
+  const match = String(filename || "").match(/\.([A-Za-z0-9]{1,10})$/);
+  return match ? `.${match[1].toLowerCase()}` : "";
+};
+
+/**
+ * Build a new object key for an uploaded file
+ * Keys are grouped by organization and month; the file name is random so
+ * user-supplied names never reach the storage backend
+ * @param {Object} options - Key options
+ * @param {string} options.organization - Owning organization ID
+ * @param {string} options.filename - Original filename (for the extension)
+ * @param {Date} options.date - Upload time
+ * @returns {string} Object key
+ */
+export const buildStorageKey = ({
+  organization,
+  filename,
+  date = new Date(),
+}) =>
+  [
+    "organizations",
+    organization.toString(),
+    date.toISOString().slice(0, 7),
+    `${crypto.randomUUID()}${getSafeExtension(filename)}`,
+  ].join("/");
+
+/**
+ * Get the size of object content
+ * @param {Buffer|Object} content - File bytes, or { path, size } of a file
+ * @returns {number} Size in bytes
+ */
+export const getContentSize = (content) =>
+  Buffer.isBuffer(content) ? content.length : content.size;
+
+/**
+ * Get object content as a Blob for an HTTP request body
+ * A file is read from disk as the request is sent
+ * @param {Buffer|Object} content - File bytes, or { path, size } of a file
+ * @param {string} type - MIME type of the Blob
+ * @returns {Promise<Blob>} Blob
+ */
+export const openContentBlob = async (content, type = "") =>
+  Buffer.isBuffer(content)
+    ? new Blob([content], { type })
+    : fs.openAsBlob(content.path, { type });
+
+export default {
+  normalizeStorageKey,
+  getSafeExtension,
+  buildStorageKey,
+  getContentSize,
+  openContentBlob,
+};
@@ -0,0 +1,95 @@
+import dayjs from "dayjs";
+
+/**
+ * Template Utilities
+ * Placeholder rendering and date offsets for task templates
+ * Placeholders use the {{name}} syntax; names are letters, digits and underscores
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Placeholders always provided at instantiation
+export const BUILT_IN_PLACEHOLDERS = [
+  "date",
+  "month",
+  "quarter",
+  "year",
+  "department",
+  "organization",
+  "user",
+];
+
+/**
+ * Extract placeholder names from text
+ * @param {string} text - Template text
+ * @returns {Array<string>} Unique placeholder names in order of appearance
+ */
+export const extractPlaceholders = (text = "") => {
+  const names = [...(text || "").matchAll(PLACEHOLDER_PATTERN)].map(
+    (match) => match[1]
+  );
+  return [...new Set(names)];
+};
+
+/**
+ * Replace placeholders in text
+ * Unknown placeholders are left untouched
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values keyed by name
+ * @returns {string} Rendered text
+ */
+export const renderPlaceholders = (text, values = {}) => {
+  if (!text) return text;
+
+  return text.replace(PLACEHOLDER_PATTERN, (token, name) =>
+    Object.prototype.hasOwnProperty.call(values, name)
+      ? String(values[name])
+      : token
+  );
+};
+
+/**
+ * Build built-in placeholder values
+ * @param {Object} context - Instantiation context
+ * @param {Date} context.now - Instantiation time
+ * @param {string} context.department - Department name
+ * @param {string} context.organization - Organization name
+ * @param {string} context.user - Acting user's full name
+ * @returns {Object} Placeholder values
+ */
+export const buildBuiltInValues = ({ now = new Date(), department, organization, user }) => {
+  const day = dayjs(now);
+
+  return {
+    date: day.format("YYYY-MM-DD"),
+    month: day.format("MMMM"),
+    quarter: `Q${Math.floor(day.month() / 3) + 1}`,
+    year: day.format("YYYY"),
+    department: department || "",
+    organization: organization || "",
+    user: user || "",
+  };
+};
+
+/**
+ * Resolve a day offset to a date
+ * Due dates resolve to the end of the target day so an offset of 0 means "today"
+ * @param {number} days - Offset in days
+ * @param {Date} from - Base date
+ * @param {string} boundary - "start" or "end" of the target day
+ * @returns {Date|undefined} Resolved date, or undefined when no offset is set
+ */
+export const resolveDateOffset = (days, from = new Date(), boundary = "end") => {
+  if (days === undefined || days === null) return undefined;
+
+  const day = dayjs(from).add(days, "day");
+  return (boundary === "start" ? day.startOf("day") : day.endOf("day")).toDate();
+};
+
+export default {
+  BUILT_IN_PLACEHOLDERS,
+  extractPlaceholders,
+  renderPlaceholders,
+  buildBuiltInValues,
+  resolveDateOffset,
+};
@@ -0,0 +1,97 @@
+import dayjs from "dayjs";
+import isoWeek from "dayjs/plugin/isoWeek.js";
+import utc from "dayjs/plugin/utc.js";
+
+dayjs.extend(isoWeek);
+dayjs.extend(utc);
+
+/**
+ * Timesheet Utilities
+ * Pure week boundaries and time entry aggregation
+ *
+ * Weeks are ISO weeks (Monday to Sunday) in UTC so every user of an
+ * organization shares the same boundaries.
+ */
+
+/**
+ * Round hours to two decimals
+ * @param {number} hours - Hours
+ * @returns {number} Rounded hours
+ */
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Get the ISO week containing a date
+ * @param {Date|string} date - Any date within the week
+ * @returns {Object} { weekStart, weekEnd } where weekEnd is exclusive
+ */
+export const getWeekRange = (date = new Date()) => {
+  const start = dayjs.utc(date).startOf("isoWeek");
+
+  return {
+    weekStart: start.toDate(),
+    weekEnd: start.add(1, "week").toDate(),
+  };
+};
+
+/**
+ * Aggregate a week's closed time entries per activity and per day
+ * Entries are counted on the day they started
+ * @param {Array<Object>} entries - Closed time entries with activity, startedAt and durationMinutes
+ * @param {Date} weekStart - Start of the week
+ * @returns {Object} { activities: [{ activity, hours, days }], dailyTotals, totalHours }
+ */
+export const summarizeTimeEntries = (entries = [], weekStart) => {
+  const days = Array.from({ length: 7 }, (_, index) =>
+    dayjs.utc(weekStart).add(index, "day").format("YYYY-MM-DD")
+  );
+  const emptyDays = () => Object.fromEntries(days.map((day) => [day, 0]));
+
+  const byActivity = new Map();
+  const dailyMinutes = emptyDays();
+
+  entries
+    .filter((entry) => !entry.isRunning)
+    .forEach((entry) => {
+      const activityId = (entry.activity?._id || entry.activity).toString();
+      const day = dayjs.utc(entry.startedAt).format("YYYY-MM-DD");
+      const minutes = entry.durationMinutes || 0;
+
+      if (!(day in dailyMinutes)) return;
+
+      if (!byActivity.has(activityId)) {
+        byActivity.set(activityId, { activity: activityId, minutes: emptyDays() });
+      }
+
+      byActivity.get(activityId).minutes[day] += minutes;
+      dailyMinutes[day] += minutes;
+    });
+
+  const toHours = (minutesByDay) =>
+    Object.fromEntries(
+      Object.entries(minutesByDay).map(([day, minutes]) => [
+        day,
+        roundHours(minutes / 60),
+      ])
+    );
+  const sumHours = (minutesByDay) =>
+    roundHours(
+      Object.values(minutesByDay).reduce((total, minutes) => total + minutes, 0) /
+        60
+    );
+
+  return {
+    activities: [...byActivity.values()].map(({ activity, minutes }) => ({
+      activity,
+      hours: sumHours(minutes),
+      days: toHours(minutes),
+    })),
+    dailyTotals: toHours(dailyMinutes),
+    totalHours: sumHours(dailyMinutes),
+  };
+};
+
+export default {
+  getWeekRange,
+  summarizeTimeEntries,
+};
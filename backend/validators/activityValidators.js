@@ -0,0 +1,78 @@
+/**
+ * Activity Validators
+ * Validation rules for task activity and timer endpoints
+ */
+
+import { body, param } from "express-validator";
+import {
+  isValidObjectId,
+  objectIdExistsInOrganization,
+} from "./validationMiddleware.js";
+import { validateTaskId } from "./taskValidators.js";
+import { VALIDATION_LIMITS } from "../constants/index.js";
+
+/**
+ * Validation rules for activity ID parameter
+ */
+export const validateActivityId = [
+  ...validateTaskId,
+
+  param("activityId").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid activity ID format");
+    }
+    return true;
+  }),
+];
+
+/**
+ * Validation rules for adding a task activity
+ */
+export const validateCreateActivity = [
+  ...validateTaskId,
+
+  body("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Activity title is required")
+    .isLength({ max: VALIDATION_LIMITS.ACTIVITY_TITLE_MAX })
+    .withMessage(
+      `Activity title cannot exceed ${VALIDATION_LIMITS.ACTIVITY_TITLE_MAX} characters`
+    ),
+
+  body("description")
+    .trim()
+    .notEmpty()
+    .withMessage("Activity description is required")
+    .isLength({ max: VALIDATION_LIMITS.ACTIVITY_DESCRIPTION_MAX })
+    .withMessage(
+      `Activity description cannot exceed ${VALIDATION_LIMITS.ACTIVITY_DESCRIPTION_MAX} characters`
+    ),
+
+  body("assignedTo")
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid assigned user ID format");
+      }
+      return true;
+    })
+    .custom(objectIdExistsInOrganization("User")),
+
+  body("estimatedHours")
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage("Estimated hours must be between 0.1 and 100")
+    .toFloat(),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot exceed 1000 characters"),
+];
+
+export default {
+  validateActivityId,
+  validateCreateActivity,
+};
@@ -15,8 +15,15 @@ import {
   VALIDATION_LIMITS,
   FILE_UPLOAD,
   ATTACHMENT_MODELS_ARRAY,
+  STORAGE_PROVIDERS_ARRAY,
+  RENDITION_SIZES,
 } from "../constants/index.js";
 
+// Rendition sizes as used in URLs (small, medium, large)
+const RENDITION_SIZES_ARRAY = Object.keys(RENDITION_SIZES).map((size) =>
+  size.toLowerCase()
+);
+
 /**
  * Validation rules for attachment ID parameter
  */
@@ -67,19 +74,19 @@ export const validateCreateAttachment = [
     .toInt()
     .custom((value) => isValidFileSize(value, FILE_UPLOAD.MAX_FILE_SIZE)),
 
-  body("cloudinaryUrl")
-    .trim()
-    .notEmpty()
-    .withMessage("Cloudinary URL is required")
-    .isURL()
-    .withMessage("Cloudinary URL must be a valid URL"),
+  body("storageProvider")
+    .optional()
+    .isIn(STORAGE_PROVIDERS_ARRAY)
+    .withMessage(
+      `Storage provider must be one of: ${STORAGE_PROVIDERS_ARRAY.join(", ")}`
+    ),
 
-  body("cloudinaryPublicId")
+  body("storageKey")
     .trim()
     .notEmpty()
-    .withMessage("Cloudinary public ID is required")
-    .isLength({ min: 1, max: 255 })
-    .withMessage("Cloudinary public ID must be between 1 and 255 characters"),
+    .withMessage("Storage key is required")
+    .isLength({ min: 1, max: 512 })
+    .withMessage("Storage key must be between 1 and 512 characters"),
 
   body("attachmentType")
     .notEmpty()
@@ -351,13 +358,78 @@ export const validateDeleteAttachment = [
     .isLength({ max: 500 })
     .withMessage("Deletion reason cannot exceed 500 characters"),
 
-  body("deleteFromCloudinary")
+  body("deleteFromStorage")
     .optional()
     .isBoolean()
-    .withMessage("deleteFromCloudinary must be a boolean")
+    .withMessage("deleteFromStorage must be a boolean")
     .toBoolean(),
 ];
 
+/**
+ * Validation rules for requesting a signed download URL
+ */
+export const validateDownloadUrlRequest = [
+  param("id").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid attachment ID format");
+    }
+    return true;
+  }),
+
+  query("rendition")
+    .optional()
+    .isIn(RENDITION_SIZES_ARRAY)
+    .withMessage(
+      `Rendition must be one of: ${RENDITION_SIZES_ARRAY.join(", ")}`
+    ),
+];
+
+/**
+ * Validation rules for downloading through a signed URL
+ */
+export const validateSignedDownload = [
+  ...validateDownloadUrlRequest,
+
+  query("user").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid user ID format");
+    }
+    return true;
+  }),
+
+  query("expires")
+    .isInt({ min: 0 })
+    .withMessage("Expires must be a Unix timestamp")
+    .toInt(),
+
+  query("signature")
+    .isString()
+    .withMessage("Signature is required")
+    .matches(/^[A-Za-z0-9_-]{1,128}$/)
+    .withMessage("Invalid signature format"),
+];
+
+/**
+ * Validation rules for the download audit of an attachment
+ */
+export const validateAttachmentDownloadsQuery = [
+  ...validateAttachmentId,
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+];
+
 export default {
   validateAttachmentId,
   validateCreateAttachment,
@@ -366,4 +438,7 @@ export default {
   validateAttachmentQuery,
   validateBulkAttachmentOperation,
   validateDeleteAttachment,
+  validateDownloadUrlRequest,
+  validateSignedDownload,
+  validateAttachmentDownloadsQuery,
 };
@@ -0,0 +1,61 @@
+/**
+ * Change Log Validators
+ * Validation rules for field-level change log endpoints
+ */
+
+import { query } from "express-validator";
+import { isValidObjectId } from "./validationMiddleware.js";
+import {
+  VALIDATION_LIMITS,
+  CHANGE_TRACKED_MODELS,
+} from "../constants/index.js";
+
+/**
+ * Validation rules for change log query parameters
+ */
+export const validateChangeLogQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+
+  query("entityType")
+    .optional()
+    .isIn(CHANGE_TRACKED_MODELS)
+    .withMessage(
+      `Entity type must be one of: ${CHANGE_TRACKED_MODELS.join(", ")}`
+    ),
+
+  query(["entityId", "changedBy"])
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid ID format");
+      }
+      return true;
+    }),
+
+  query("field")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Field must be between 1 and 100 characters"),
+
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Date range values must be valid dates"),
+];
+
+export default {
+  validateChangeLogQuery,
+};
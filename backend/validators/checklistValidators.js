@@ -0,0 +1,120 @@
+/**
+ * Checklist Validators
+ * Validation rules for task checklist endpoints
+ */
+
+import { body, param } from "express-validator";
+import {
+  isValidObjectId,
+  objectIdExistsInOrganization,
+} from "./validationMiddleware.js";
+import { validateTaskId } from "./taskValidators.js";
+import { VALIDATION_LIMITS } from "../constants/index.js";
+
+/**
+ * Validation rules for checklist item ID parameter
+ */
+const validateChecklistItemId = [
+  ...validateTaskId,
+
+  param("itemId").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid checklist item ID format");
+    }
+    return true;
+  }),
+];
+
+/**
+ * Validation rules for the checklist item assignee
+ */
+const validateChecklistAssignee = body("assignedTo")
+  .optional({ nullable: true })
+  .custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid assigned user ID format");
+    }
+    return true;
+  })
+  .custom(objectIdExistsInOrganization("User"));
+
+/**
+ * Validation rules for adding a checklist item
+ */
+export const validateAddChecklistItem = [
+  ...validateTaskId,
+
+  body("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Checklist item title is required")
+    .isLength({ max: VALIDATION_LIMITS.CHECKLIST_ITEM_TITLE_MAX })
+    .withMessage(
+      `Checklist item title cannot exceed ${VALIDATION_LIMITS.CHECKLIST_ITEM_TITLE_MAX} characters`
+    ),
+
+  validateChecklistAssignee,
+
+  body("position")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Position must be a non-negative integer")
+    .toInt(),
+];
+
+/**
+ * Validation rules for updating a checklist item
+ */
+export const validateUpdateChecklistItem = [
+  ...validateChecklistItemId,
+
+  body("title")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Checklist item title cannot be empty")
+    .isLength({ max: VALIDATION_LIMITS.CHECKLIST_ITEM_TITLE_MAX })
+    .withMessage(
+      `Checklist item title cannot exceed ${VALIDATION_LIMITS.CHECKLIST_ITEM_TITLE_MAX} characters`
+    ),
+
+  validateChecklistAssignee,
+
+  body("isCompleted")
+    .optional()
+    .isBoolean()
+    .withMessage("isCompleted must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Validation rules for deleting a checklist item
+ */
+export const validateDeleteChecklistItem = [...validateChecklistItemId];
+
+/**
+ * Validation rules for reordering checklist items
+ */
+export const validateReorderChecklist = [
+  ...validateTaskId,
+
+  body("itemIds")
+    .isArray({ min: 1, max: VALIDATION_LIMITS.CHECKLIST_ITEMS_MAX })
+    .withMessage("Item IDs must be a non-empty array")
+    .custom((itemIds) => {
+      if (!itemIds.every(isValidObjectId)) {
+        throw new Error("Invalid checklist item ID format");
+      }
+      if (new Set(itemIds).size !== itemIds.length) {
+        throw new Error("Item IDs must be unique");
+      }
+      return true;
+    }),
+];
+
+export default {
+  validateAddChecklistItem,
+  validateUpdateChecklistItem,
+  validateDeleteChecklistItem,
+  validateReorderChecklist,
+};
@@ -0,0 +1,155 @@
+/**
+ * Comment Validators
+ * Validation rules for task comment endpoints
+ */
+
+import { body, param, query } from "express-validator";
+import { isValidObjectId } from "./validationMiddleware.js";
+import { validateTaskId } from "./taskValidators.js";
+import { VALIDATION_LIMITS } from "../constants/index.js";
+
+// Comment types clients may set (system comments are server-generated)
+const CLIENT_COMMENT_TYPES = ["general", "status_update", "question", "feedback"];
+
+/**
+ * Custom validator ensuring a parent comment exists on the same task
+ * Comments have no organization field, so scope comes from the task
+ */
+const parentCommentExistsOnTask = async (value, { req }) => {
+  if (!isValidObjectId(value)) {
+    throw new Error("Invalid parent comment ID format");
+  }
+
+  const mongoose = await import("mongoose");
+  const TaskComment = mongoose.default.model("TaskComment");
+  const parent = await TaskComment.findOne({
+    _id: value,
+    task: req.params.id,
+  }).select("_id");
+
+  if (!parent) {
+    throw new Error("Parent comment not found on this task");
+  }
+
+  return true;
+};
+
+// Pagination query parameters shared by comment listings
+const paginationQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+];
+
+// Replies shown per comment on each nested level
+const replyLimitQuery = query("replyLimit")
+  .optional()
+  .isInt({ min: 0, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+  .withMessage(
+    `Reply limit must be between 0 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+  )
+  .toInt();
+
+/**
+ * Validation rules for task comment listing
+ */
+export const validateTaskCommentQuery = [
+  ...validateTaskId,
+  ...paginationQuery,
+  replyLimitQuery,
+
+  // resolved=false shows only unresolved threads
+  query("resolved")
+    .optional()
+    .isBoolean()
+    .withMessage("resolved must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Validation rules for the mentions feed
+ */
+export const validateMentionFeedQuery = [...paginationQuery];
+
+/**
+ * Validation rules for adding a task comment
+ */
+export const validateAddTaskComment = [
+  ...validateTaskId,
+
+  body("content")
+    .trim()
+    .notEmpty()
+    .withMessage("Comment content is required")
+    .isLength({ max: VALIDATION_LIMITS.COMMENT_CONTENT_MAX })
+    .withMessage(
+      `Comment cannot exceed ${VALIDATION_LIMITS.COMMENT_CONTENT_MAX} characters`
+    ),
+
+  body("parentComment")
+    .optional({ nullable: true })
+    .custom(parentCommentExistsOnTask),
+
+  body("commentType")
+    .optional()
+    .isIn(CLIENT_COMMENT_TYPES)
+    .withMessage(
+      `Comment type must be one of: ${CLIENT_COMMENT_TYPES.join(", ")}`
+    ),
+];
+
+/**
+ * Validation rules for comment ID parameter
+ */
+export const validateCommentId = [
+  param("id").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid comment ID format");
+    }
+    return true;
+  }),
+];
+
+/**
+ * Validation rules for listing a comment's replies
+ */
+export const validateCommentRepliesQuery = [
+  ...validateCommentId,
+  ...paginationQuery,
+  replyLimitQuery,
+];
+
+/**
+ * Validation rules for editing a comment
+ */
+export const validateEditComment = [
+  ...validateCommentId,
+
+  body("content")
+    .trim()
+    .notEmpty()
+    .withMessage("Comment content is required")
+    .isLength({ max: VALIDATION_LIMITS.COMMENT_CONTENT_MAX })
+    .withMessage(
+      `Comment cannot exceed ${VALIDATION_LIMITS.COMMENT_CONTENT_MAX} characters`
+    ),
+];
+
+export default {
+  validateTaskCommentQuery,
+  validateAddTaskComment,
+  validateMentionFeedQuery,
+  validateCommentId,
+  validateCommentRepliesQuery,
+  validateEditComment,
+};
@@ -175,6 +175,18 @@ export const validateUpdateOrganization = [
     .trim()
     .matches(REGEX_PATTERNS.URL)
     .withMessage("Logo must be a valid URL"),
+
+  // Bytes of attachment storage; null restores the default for the size
+  body("storageQuota").custom((value) => {
+    if (
+      value !== undefined &&
+      value !== null &&
+      (!Number.isSafeInteger(value) || value < 0)
+    ) {
+      throw new Error("Storage quota must be null or a number of bytes");
+    }
+    return true;
+  }),
 ];
 
 /**
@@ -0,0 +1,229 @@
+/**
+ * Settings Validators
+ * Validation rules for organization settings endpoints
+ */
+
+import { body } from "express-validator";
+import {
+  TASK_TYPES,
+  TASK_TYPES_ARRAY,
+  TASK_STATUS_ARRAY,
+  TASK_PRIORITY_ARRAY,
+  VALIDATION_LIMITS,
+  USER_ROLES_ARRAY,
+  BUSINESS_RULES,
+} from "../constants/index.js";
+
+/**
+ * Custom validator for task status transition overrides
+ * Shape: { [taskType]: { [fromStatus]: [{ to, roles?, requiresReason? }] } }
+ */
+const validateTransitionOverrides = (overrides) => {
+  Object.entries(overrides).forEach(([taskType, table]) => {
+    if (!TASK_TYPES_ARRAY.includes(taskType)) {
+      throw new Error(
+        `Task type must be one of: ${TASK_TYPES_ARRAY.join(", ")}`
+      );
+    }
+
+    if (!table || typeof table !== "object" || Array.isArray(table)) {
+      throw new Error(`Transition table for ${taskType} must be an object`);
+    }
+
+    const forbiddenStatuses =
+      taskType === TASK_TYPES.ROUTINE_TASK
+        ? BUSINESS_RULES.ROUTINE_TASK_FORBIDDEN_STATUS
+        : [];
+
+    Object.entries(table).forEach(([from, rules]) => {
+      if (!TASK_STATUS_ARRAY.includes(from) || forbiddenStatuses.includes(from)) {
+        throw new Error(`Invalid source status "${from}" for ${taskType}`);
+      }
+
+      if (!Array.isArray(rules)) {
+        throw new Error(
+          `Transitions from "${from}" for ${taskType} must be an array`
+        );
+      }
+
+      rules.forEach((rule) => {
+        if (
+          !rule ||
+          !TASK_STATUS_ARRAY.includes(rule.to) ||
+          forbiddenStatuses.includes(rule.to) ||
+          rule.to === from
+        ) {
+          throw new Error(
+            `Invalid target status "${rule?.to}" from "${from}" for ${taskType}`
+          );
+        }
+
+        if (
+          rule.roles !== undefined &&
+          (!Array.isArray(rule.roles) ||
+            rule.roles.some((role) => !USER_ROLES_ARRAY.includes(role)))
+        ) {
+          throw new Error(
+            `Transition roles must be an array of: ${USER_ROLES_ARRAY.join(
+              ", "
+            )}`
+          );
+        }
+
+        if (
+          rule.requiresReason !== undefined &&
+          typeof rule.requiresReason !== "boolean"
+        ) {
+          throw new Error("requiresReason must be a boolean");
+        }
+      });
+    });
+  });
+
+  return true;
+};
+
+/**
+ * Validation rules for updating task status transition overrides
+ */
+export const validateTaskStatusTransitions = [
+  body("taskStatusTransitions")
+    .exists()
+    .withMessage("Task status transitions are required")
+    .isObject()
+    .withMessage("Task status transitions must be an object")
+    .custom(validateTransitionOverrides),
+];
+
+/**
+ * Validation rules for replacing organization holidays
+ */
+export const validateHolidays = [
+  body("holidays")
+    .isArray({ max: 366 })
+    .withMessage("Holidays must be an array of at most 366 entries"),
+
+  body("holidays.*.date")
+    .isISO8601()
+    .withMessage("Holiday date must be a valid date"),
+
+  body("holidays.*.name")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Holiday name cannot exceed 100 characters"),
+];
+
+/**
+ * Custom validator ensuring each priority and task type pair has one policy
+ */
+const validateUniqueSlaPolicies = (policies) => {
+  const keys = policies.map(
+    (policy) => `${policy?.priority}:${policy?.taskType || "*"}`
+  );
+
+  if (new Set(keys).size !== keys.length) {
+    throw new Error(
+      "Only one SLA policy is allowed per priority and task type"
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Validation rules for replacing organization SLA policies
+ */
+export const validateSlaPolicies = [
+  body("slaPolicies")
+    .isArray({ max: VALIDATION_LIMITS.SLA_POLICIES_MAX })
+    .withMessage(
+      `SLA policies must be an array of at most ${VALIDATION_LIMITS.SLA_POLICIES_MAX} entries`
+    )
+    .custom(validateUniqueSlaPolicies),
+
+  body("slaPolicies.*.priority")
+    .isIn(TASK_PRIORITY_ARRAY)
+    .withMessage(`Priority must be one of: ${TASK_PRIORITY_ARRAY.join(", ")}`),
+
+  body("slaPolicies.*.taskType")
+    .optional({ nullable: true })
+    .isIn(TASK_TYPES_ARRAY)
+    .withMessage(`Task type must be one of: ${TASK_TYPES_ARRAY.join(", ")}`),
+
+  body("slaPolicies.*.completionHours")
+    .isFloat({ min: 1, max: VALIDATION_LIMITS.SLA_HOURS_MAX })
+    .withMessage(
+      `Completion hours must be between 1 and ${VALIDATION_LIMITS.SLA_HOURS_MAX}`
+    )
+    .toFloat(),
+
+  body("slaPolicies.*.escalationHours")
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: VALIDATION_LIMITS.SLA_HOURS_MAX })
+    .withMessage(
+      `Escalation hours must be between 0 and ${VALIDATION_LIMITS.SLA_HOURS_MAX}`
+    )
+    .toFloat(),
+
+  body("slaPolicies.*.isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Validation rules for the comment edit window
+ */
+export const validateCommentEditWindow = [
+  // null removes the limit
+  body("commentEditWindowMinutes").custom((value) => {
+    if (value === undefined) {
+      throw new Error("Comment edit window is required");
+    }
+
+    const max = VALIDATION_LIMITS.COMMENT_EDIT_WINDOW_MAX_MINUTES;
+    if (value !== null && (!Number.isInteger(value) || value < 0 || value > max)) {
+      throw new Error(
+        `Comment edit window must be null or between 0 and ${max} minutes`
+      );
+    }
+    return true;
+  }),
+];
+
+/**
+ * Validation rules for the maximum comment thread depth
+ */
+export const validateCommentThreadDepth = [
+  body("commentMaxThreadDepth")
+    .notEmpty()
+    .withMessage("Comment thread depth is required")
+    .isInt({ min: 1, max: VALIDATION_LIMITS.COMMENT_THREAD_DEPTH_MAX })
+    .withMessage(
+      `Comment thread depth must be between 1 and ${VALIDATION_LIMITS.COMMENT_THREAD_DEPTH_MAX}`
+    )
+    .toInt(),
+];
+
+/**
+ * Validation rules for the unresolved comment completion rule
+ */
+export const validateCommentResolutionRule = [
+  body("blockCompletionOnUnresolvedComments")
+    .exists()
+    .withMessage("blockCompletionOnUnresolvedComments is required")
+    .isBoolean()
+    .withMessage("blockCompletionOnUnresolvedComments must be a boolean")
+    .toBoolean(),
+];
+
+export default {
+  validateTaskStatusTransitions,
+  validateHolidays,
+  validateSlaPolicies,
+  validateCommentEditWindow,
+  validateCommentThreadDepth,
+  validateCommentResolutionRule,
+};
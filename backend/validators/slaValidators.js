@@ -0,0 +1,59 @@
+/**
+ * SLA Validators
+ * Validation rules for SLA breach history endpoints
+ */
+
+import { query } from "express-validator";
+import { isValidObjectId, validators } from "./validationMiddleware.js";
+import {
+  VALIDATION_LIMITS,
+  SLA_BREACH_STATUS_ARRAY,
+} from "../constants/index.js";
+
+/**
+ * Validation rules for SLA breach history query parameters
+ */
+export const validateSlaBreachQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+
+  query(["department", "task"])
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid ID format");
+      }
+      return true;
+    }),
+
+  query("priority").optional().custom(validators.taskPriority),
+
+  query("taskType").optional().custom(validators.taskType),
+
+  query("status")
+    .optional()
+    .isIn(SLA_BREACH_STATUS_ARRAY)
+    .withMessage(
+      `Status must be one of: ${SLA_BREACH_STATUS_ARRAY.join(", ")}`
+    ),
+
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Date range values must be valid dates"),
+];
+
+export default {
+  validateSlaBreachQuery,
+};
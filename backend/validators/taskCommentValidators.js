@@ -9,20 +9,23 @@ import {
   objectIdExistsInOrganization,
   validators,
 } from "./validationMiddleware.js";
-import { VALIDATION_LIMITS } from "../constants/index.js";
+import {
+  VALIDATION_LIMITS,
+  COMMENT_REACTIONS_ARRAY,
+} from "../constants/index.js";
 
 /**
  * Validation rules for task comment ID parameter
+ * Comments have no organization field; the comment is loaded and scoped
+ * through its task by the route
  */
 export const validateTaskCommentId = [
-  param("id")
-    .custom((value) => {
-      if (!isValidObjectId(value)) {
-        throw new Error("Invalid task comment ID format");
-      }
-      return true;
-    })
-    .custom(objectIdExistsInOrganization("TaskComment")),
+  param("id").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid task comment ID format");
+    }
+    return true;
+  }),
 ];
 
 /**
@@ -308,9 +311,9 @@ export const validateCommentReaction = [
   body("reaction")
     .notEmpty()
     .withMessage("Reaction is required")
-    .isIn(["like", "dislike", "love", "laugh", "angry", "sad"])
+    .isIn(COMMENT_REACTIONS_ARRAY)
     .withMessage(
-      "Reaction must be one of: like, dislike, love, laugh, angry, sad"
+      `Reaction must be one of: ${COMMENT_REACTIONS_ARRAY.join(", ")}`
     ),
 ];
 
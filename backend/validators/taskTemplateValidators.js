@@ -0,0 +1,370 @@
+/**
+ * Task Template Validators
+ * Validation rules for task template endpoints
+ */
+
+import { body, param, query } from "express-validator";
+import {
+  isValidObjectId,
+  objectIdExistsInOrganization,
+  isValidObjectIdArrayInOrganization,
+  isFutureDate,
+  validators,
+} from "./validationMiddleware.js";
+import {
+  VALIDATION_LIMITS,
+  TASK_TYPES,
+  BUSINESS_RULES,
+} from "../constants/index.js";
+
+// Template task fields allowed for each task type (besides the shared ones)
+const TEMPLATE_TASK_TYPE_FIELDS = {
+  [TASK_TYPES.ROUTINE_TASK]: ["frequency", "estimatedDuration"],
+  [TASK_TYPES.ASSIGNED_TASK]: ["assignedTo", "checklist"],
+  [TASK_TYPES.PROJECT_TASK]: [
+    "vendor",
+    "estimatedCost",
+    "projectManager",
+    "startInDays",
+    "checklist",
+  ],
+};
+
+const SHARED_TEMPLATE_TASK_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "dueInDays",
+];
+
+/**
+ * Validation rules for task template ID parameter
+ */
+export const validateTaskTemplateId = [
+  param("id")
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid task template ID format");
+      }
+      return true;
+    })
+    .custom(objectIdExistsInOrganization("TaskTemplate")),
+];
+
+/**
+ * Custom validator ensuring template task fields match the task type
+ * On update the task type comes from the stored template
+ */
+const validateTemplateTaskFields = async (task, { req }) => {
+  let taskType = req.body.taskType;
+
+  if (!taskType && req.params.id && isValidObjectId(req.params.id)) {
+    const mongoose = await import("mongoose");
+    const TaskTemplate = mongoose.default.model("TaskTemplate");
+    const template = await TaskTemplate.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id,
+    }).select("taskType");
+    taskType = template?.taskType;
+  }
+
+  if (!TEMPLATE_TASK_TYPE_FIELDS[taskType]) return true;
+
+  const allowedFields = [
+    ...SHARED_TEMPLATE_TASK_FIELDS,
+    ...TEMPLATE_TASK_TYPE_FIELDS[taskType],
+  ];
+  const invalidFields = Object.keys(task).filter(
+    (field) => !allowedFields.includes(field)
+  );
+
+  if (invalidFields.length > 0) {
+    throw new Error(
+      `Fields not supported for ${taskType} templates: ${invalidFields.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (
+    taskType === TASK_TYPES.ROUTINE_TASK &&
+    BUSINESS_RULES.ROUTINE_TASK_FORBIDDEN_PRIORITY.includes(task.priority)
+  ) {
+    throw new Error(`RoutineTask cannot have "${task.priority}" priority`);
+  }
+
+  return true;
+};
+
+/**
+ * Validation rules shared by template create and update
+ * @param {boolean} isUpdate - Whether fields are optional
+ * @returns {Array} Validation chain
+ */
+const templateFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body("name"))
+      .trim()
+      .notEmpty()
+      .withMessage("Template name is required")
+      .isLength({ max: VALIDATION_LIMITS.TEMPLATE_NAME_MAX })
+      .withMessage(
+        `Template name cannot exceed ${VALIDATION_LIMITS.TEMPLATE_NAME_MAX} characters`
+      ),
+
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: VALIDATION_LIMITS.TEMPLATE_DESCRIPTION_MAX })
+      .withMessage(
+        `Template description cannot exceed ${VALIDATION_LIMITS.TEMPLATE_DESCRIPTION_MAX} characters`
+      ),
+
+    required(body("task"))
+      .isObject()
+      .withMessage("Template task must be an object")
+      .custom(validateTemplateTaskFields),
+
+    required(body("task.title"))
+      .trim()
+      .notEmpty()
+      .withMessage("Template task title is required")
+      .isLength({ max: VALIDATION_LIMITS.TASK_TITLE_MAX })
+      .withMessage(
+        `Template task title cannot exceed ${VALIDATION_LIMITS.TASK_TITLE_MAX} characters`
+      ),
+
+    body("task.description")
+      .optional()
+      .trim()
+      .isLength({ max: VALIDATION_LIMITS.TASK_DESCRIPTION_MAX })
+      .withMessage(
+        `Template task description cannot exceed ${VALIDATION_LIMITS.TASK_DESCRIPTION_MAX} characters`
+      ),
+
+    body("task.priority").optional().custom(validators.taskPriority),
+
+    body(["task.dueInDays", "task.startInDays"])
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: VALIDATION_LIMITS.TEMPLATE_DATE_OFFSET_MAX })
+      .withMessage(
+        `Date offsets must be between 0 and ${VALIDATION_LIMITS.TEMPLATE_DATE_OFFSET_MAX} days`
+      )
+      .toInt(),
+
+    body("task.frequency").optional().custom(validators.taskFrequency),
+
+    body("task.estimatedDuration")
+      .optional()
+      .isInt({
+        min: VALIDATION_LIMITS.ESTIMATED_DURATION_MIN,
+        max: VALIDATION_LIMITS.ESTIMATED_DURATION_MAX,
+      })
+      .withMessage(
+        `Estimated duration must be between ${VALIDATION_LIMITS.ESTIMATED_DURATION_MIN} and ${VALIDATION_LIMITS.ESTIMATED_DURATION_MAX} minutes`
+      )
+      .toInt(),
+
+    body("task.assignedTo")
+      .optional()
+      .isArray()
+      .withMessage("Assigned users must be an array")
+      .custom(isValidObjectIdArrayInOrganization("User")),
+
+    body("task.vendor")
+      .optional({ nullable: true })
+      .custom(objectIdExistsInOrganization("Vendor")),
+
+    body("task.estimatedCost")
+      .optional()
+      .isFloat({
+        min: VALIDATION_LIMITS.COST_MIN,
+        max: VALIDATION_LIMITS.COST_MAX,
+      })
+      .withMessage(
+        `Estimated cost must be between ${VALIDATION_LIMITS.COST_MIN} and ${VALIDATION_LIMITS.COST_MAX}`
+      )
+      .toFloat(),
+
+    body("task.projectManager")
+      .optional({ nullable: true })
+      .custom(objectIdExistsInOrganization("User")),
+
+    body("task.checklist")
+      .optional()
+      .isArray({ max: VALIDATION_LIMITS.CHECKLIST_ITEMS_MAX })
+      .withMessage(
+        `Checklist cannot have more than ${VALIDATION_LIMITS.CHECKLIST_ITEMS_MAX} items`
+      ),
+
+    body("task.checklist.*.title")
+      .trim()
+      .notEmpty()
+      .withMessage("Checklist item title is required")
+      .isLength({ max: VALIDATION_LIMITS.CHECKLIST_ITEM_TITLE_MAX })
+      .withMessage(
+        `Checklist item title cannot exceed ${VALIDATION_LIMITS.CHECKLIST_ITEM_TITLE_MAX} characters`
+      ),
+
+    body("materials")
+      .optional()
+      .isArray({ max: VALIDATION_LIMITS.TEMPLATE_MATERIALS_MAX })
+      .withMessage(
+        `Templates cannot have more than ${VALIDATION_LIMITS.TEMPLATE_MATERIALS_MAX} materials`
+      ),
+
+    body("materials.*.material").custom(
+      objectIdExistsInOrganization("Material")
+    ),
+
+    body("materials.*.quantity")
+      .isFloat({
+        min: VALIDATION_LIMITS.MATERIAL_QUANTITY_MIN,
+        max: VALIDATION_LIMITS.MATERIAL_QUANTITY_MAX,
+      })
+      .withMessage(
+        `Material quantity must be between ${VALIDATION_LIMITS.MATERIAL_QUANTITY_MIN} and ${VALIDATION_LIMITS.MATERIAL_QUANTITY_MAX}`
+      )
+      .toFloat(),
+
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+/**
+ * Validation rules for creating a task template
+ */
+export const validateCreateTaskTemplate = [
+  body("taskType")
+    .notEmpty()
+    .withMessage("Task type is required")
+    .custom(validators.taskType),
+
+  body("department")
+    .optional({ nullable: true })
+    .custom(objectIdExistsInOrganization("Department")),
+
+  ...templateFieldRules(false),
+];
+
+/**
+ * Validation rules for updating a task template
+ */
+export const validateUpdateTaskTemplate = [
+  ...validateTaskTemplateId,
+
+  body("taskType")
+    .not()
+    .exists()
+    .withMessage("Template task type cannot be changed"),
+
+  body("department")
+    .not()
+    .exists()
+    .withMessage("Template department cannot be changed"),
+
+  ...templateFieldRules(true),
+];
+
+/**
+ * Validation rules for task template listing query parameters
+ */
+export const validateTaskTemplateQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Search term must be between 1 and 100 characters"),
+
+  query("taskType").optional().custom(validators.taskType),
+
+  query("department")
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid department ID format");
+      }
+      return true;
+    }),
+
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Validation rules for instantiating a task template
+ */
+export const validateInstantiateTaskTemplate = [
+  ...validateTaskTemplateId,
+
+  body("variables")
+    .optional()
+    .isObject()
+    .withMessage("Variables must be an object")
+    .custom((variables) => {
+      const invalid = Object.values(variables).some(
+        (value) => !["string", "number"].includes(typeof value)
+      );
+      if (invalid) {
+        throw new Error("Variable values must be strings or numbers");
+      }
+      return true;
+    }),
+
+  body("department")
+    .optional()
+    .custom(objectIdExistsInOrganization("Department")),
+
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: VALIDATION_LIMITS.TASK_TITLE_MAX })
+    .withMessage(
+      `Task title must be between 3 and ${VALIDATION_LIMITS.TASK_TITLE_MAX} characters`
+    ),
+
+  body("priority").optional().custom(validators.taskPriority),
+
+  body("dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Due date must be a valid date")
+    .custom(isFutureDate),
+
+  body("assignedTo")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Assigned users must be a non-empty array")
+    .custom(isValidObjectIdArrayInOrganization("User")),
+];
+
+export default {
+  validateTaskTemplateId,
+  validateCreateTaskTemplate,
+  validateUpdateTaskTemplate,
+  validateTaskTemplateQuery,
+  validateInstantiateTaskTemplate,
+};
@@ -18,6 +18,9 @@ import {
   TASK_PRIORITY,
   TASK_TYPES,
   BUSINESS_RULES,
+  BULK_TASK_OPERATIONS,
+  BULK_TASK_OPERATIONS_ARRAY,
+  TIMELINE_ITEM_KINDS_ARRAY,
 } from "../constants/index.js";
 
 /**
@@ -98,6 +101,68 @@ const validateTaskTypeFields = (value, { req }) => {
   return true;
 };
 
+/**
+ * Validation rules for a RoutineTask recurrence rule
+ * Shared by create and update; all fields are optional so updates can be partial
+ */
+const validateRecurrenceRule = [
+  body("recurrence")
+    .optional()
+    .isObject()
+    .withMessage("Recurrence must be an object")
+    .custom((value, { req }) => {
+      if (req.body.taskType && req.body.taskType !== TASK_TYPES.ROUTINE_TASK) {
+        throw new Error("Only routine tasks can recur");
+      }
+      return true;
+    }),
+
+  body("recurrence.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Recurrence enabled must be a boolean")
+    .toBoolean(),
+
+  body("recurrence.weekdays")
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage("Recurrence weekdays must be an array"),
+
+  body("recurrence.weekdays.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Weekdays must be between 0 (Sunday) and 6 (Saturday)")
+    .toInt(),
+
+  body("recurrence.dayOfMonth")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 31 })
+    .withMessage("Day of month must be between 1 and 31")
+    .toInt(),
+
+  body("recurrence.skipHolidays")
+    .optional()
+    .isBoolean()
+    .withMessage("Skip holidays must be a boolean")
+    .toBoolean(),
+
+  body("recurrence.startDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Recurrence start date must be a valid date"),
+
+  body("recurrence.endDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Recurrence end date must be a valid date")
+    .custom((value, { req }) => {
+      const startDate = req.body.recurrence?.startDate;
+      if (startDate && new Date(value) < new Date(startDate)) {
+        throw new Error("Recurrence end date must be after start date");
+      }
+      return true;
+    }),
+];
+
 /**
  * Validation rules for creating a task
  */
@@ -145,10 +210,9 @@ export const validateCreateTask = [
     })
     .custom(objectIdExistsInOrganization("Department")),
 
-  // Task type determination
+  // Task type determination (always runs so the discriminator is resolved)
   body("taskType")
-    .optional()
-    .custom(validators.taskType)
+    .custom((value) => !value || validators.taskType(value))
     .custom(validateTaskTypeFields),
 
   // RoutineTask specific fields
@@ -229,6 +293,8 @@ export const validateCreateTask = [
       return true;
     })
     .custom(objectIdExistsInOrganization("User")),
+
+  ...validateRecurrenceRule,
 ];
 
 /**
@@ -260,6 +326,20 @@ export const validateUpdateTask = [
     .custom(validators.taskStatus)
     .custom(validateRoutineTaskRestrictions),
 
+  body("statusComment")
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION_LIMITS.STATUS_COMMENT_MAX })
+    .withMessage(
+      `Status comment cannot exceed ${VALIDATION_LIMITS.STATUS_COMMENT_MAX} characters`
+    ),
+
+  body("overrideDependencies")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideDependencies must be a boolean")
+    .toBoolean(),
+
   body("priority")
     .optional()
     .custom(validators.taskPriority)
@@ -339,6 +419,81 @@ export const validateUpdateTask = [
       return true;
     })
     .custom(objectIdExistsInOrganization("User")),
+
+  ...validateRecurrenceRule,
+];
+
+/**
+ * Validation rules for changing task status
+ */
+export const validateTaskStatusChange = [
+  ...validateTaskId,
+
+  body("status")
+    .notEmpty()
+    .withMessage("Status is required")
+    .custom(validators.taskStatus),
+
+  body("comment")
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION_LIMITS.STATUS_COMMENT_MAX })
+    .withMessage(
+      `Status comment cannot exceed ${VALIDATION_LIMITS.STATUS_COMMENT_MAX} characters`
+    ),
+
+  body("overrideDependencies")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideDependencies must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Validation rules for the task dependency graph query
+ */
+export const validateTaskDependencyQuery = [
+  ...validateTaskId,
+
+  query("depth")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.DEPENDENCY_GRAPH_DEPTH_MAX })
+    .withMessage(
+      `Depth must be between 1 and ${VALIDATION_LIMITS.DEPENDENCY_GRAPH_DEPTH_MAX}`
+    )
+    .toInt(),
+];
+
+/**
+ * Validation rules for adding a task dependency
+ */
+export const validateAddTaskDependency = [
+  ...validateTaskId,
+
+  body("blockedBy")
+    .notEmpty()
+    .withMessage("Blocking task is required")
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid blocking task ID format");
+      }
+      return true;
+    })
+    .custom(objectIdExistsInOrganization("BaseTask")),
+];
+
+/**
+ * Validation rules for removing a task dependency
+ */
+export const validateRemoveTaskDependency = [
+  ...validateTaskId,
+
+  param("blockerId").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid blocking task ID format");
+    }
+    return true;
+  }),
 ];
 
 /**
@@ -407,6 +562,21 @@ export const validateTaskQuery = [
       return true;
     }),
 
+  query("template")
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid template ID format");
+      }
+      return true;
+    }),
+
+  query("isTemplate")
+    .optional()
+    .isBoolean()
+    .withMessage("isTemplate filter must be a boolean")
+    .toBoolean(),
+
   query("overdue")
     .optional()
     .isBoolean()
@@ -425,7 +595,15 @@ export const validateTaskQuery = [
 
   query("sortBy")
     .optional()
-    .isIn(["title", "status", "priority", "dueDate", "createdAt", "updatedAt"])
+    .isIn([
+      "title",
+      "status",
+      "priority",
+      "dueDate",
+      "progress",
+      "createdAt",
+      "updatedAt",
+    ])
     .withMessage("Invalid sort field"),
 
   query("sortOrder")
@@ -440,6 +618,177 @@ export const validateTaskQuery = [
     .toBoolean(),
 ];
 
+/**
+ * Validation rules for listing occurrences of a recurring task
+ */
+export const validateTaskOccurrencesQuery = [
+  ...validateTaskId,
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+
+  query("status").optional().custom(validators.taskStatus),
+
+  query("isMissed")
+    .optional()
+    .isBoolean()
+    .withMessage("isMissed filter must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Validation rules for task timeline query parameters
+ * kind accepts a comma separated list or repeated parameters
+ */
+export const validateTaskTimelineQuery = [
+  ...validateTaskId,
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+
+  query("kind")
+    .optional()
+    .customSanitizer((value) =>
+      []
+        .concat(value)
+        .flatMap((kind) => String(kind).split(","))
+        .map((kind) => kind.trim())
+        .filter(Boolean)
+    )
+    .custom((kinds) => {
+      const invalid = kinds.filter(
+        (kind) => !TIMELINE_ITEM_KINDS_ARRAY.includes(kind)
+      );
+      if (invalid.length > 0) {
+        throw new Error(
+          `Kind must be one of: ${TIMELINE_ITEM_KINDS_ARRAY.join(", ")}`
+        );
+      }
+      return true;
+    }),
+
+  query("actor")
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid actor ID format");
+      }
+      return true;
+    }),
+];
+
+// Payload fields required by each bulk operation
+const BULK_PAYLOAD_FIELDS = {
+  [BULK_TASK_OPERATIONS.REASSIGN]: "assignedTo",
+  [BULK_TASK_OPERATIONS.REPRIORITIZE]: "priority",
+  [BULK_TASK_OPERATIONS.CHANGE_STATUS]: "status",
+  [BULK_TASK_OPERATIONS.MOVE_DEPARTMENT]: "department",
+};
+
+/**
+ * Custom validator ensuring a bulk payload carries the operation's field
+ */
+const validateBulkPayload = (payload, { req }) => {
+  const field = BULK_PAYLOAD_FIELDS[req.body.operation];
+
+  if (field && (payload?.[field] === undefined || payload[field] === null)) {
+    throw new Error(`payload.${field} is required for ${req.body.operation}`);
+  }
+
+  return true;
+};
+
+/**
+ * Validation rules for bulk task operations
+ */
+export const validateBulkTaskOperation = [
+  body("taskIds")
+    .isArray({ min: 1, max: VALIDATION_LIMITS.BULK_TASKS_MAX })
+    .withMessage(
+      `taskIds must be an array of 1 to ${VALIDATION_LIMITS.BULK_TASKS_MAX} task IDs`
+    )
+    .custom((taskIds) => {
+      if (!taskIds.every((id) => isValidObjectId(id))) {
+        throw new Error("Invalid task ID format");
+      }
+      if (new Set(taskIds).size !== taskIds.length) {
+        throw new Error("taskIds cannot contain duplicates");
+      }
+      return true;
+    }),
+
+  body("operation")
+    .notEmpty()
+    .withMessage("Operation is required")
+    .isIn(BULK_TASK_OPERATIONS_ARRAY)
+    .withMessage(
+      `Operation must be one of: ${BULK_TASK_OPERATIONS_ARRAY.join(", ")}`
+    ),
+
+  body("payload")
+    .optional()
+    .isObject()
+    .withMessage("Payload must be an object"),
+
+  body("payload").custom(validateBulkPayload),
+
+  body("payload.assignedTo")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Assigned users must be a non-empty array")
+    .custom(isValidObjectIdArrayInOrganization("User")),
+
+  body("payload.priority").optional().custom(validators.taskPriority),
+
+  body("payload.status").optional().custom(validators.taskStatus),
+
+  body("payload.comment")
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION_LIMITS.STATUS_COMMENT_MAX })
+    .withMessage(
+      `Status comment cannot exceed ${VALIDATION_LIMITS.STATUS_COMMENT_MAX} characters`
+    ),
+
+  body("payload.overrideDependencies")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideDependencies must be a boolean")
+    .toBoolean(),
+
+  body("payload.department")
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid department ID format");
+      }
+      return true;
+    })
+    .custom(objectIdExistsInOrganization("Department")),
+];
+
 /**
  * Validation rules for task soft delete
  */
@@ -455,9 +804,15 @@ export const validateDeleteTask = [
 
 /**
  * Validation rules for task restore
+ * Existence is checked by the route since deleted tasks are excluded from lookups
  */
 export const validateRestoreTask = [
-  ...validateTaskId,
+  param("id").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid task ID format");
+    }
+    return true;
+  }),
 
   body("reason")
     .optional()
@@ -470,7 +825,14 @@ export default {
   validateTaskId,
   validateCreateTask,
   validateUpdateTask,
+  validateTaskStatusChange,
+  validateTaskDependencyQuery,
+  validateAddTaskDependency,
+  validateRemoveTaskDependency,
   validateTaskQuery,
+  validateTaskOccurrencesQuery,
+  validateTaskTimelineQuery,
+  validateBulkTaskOperation,
   validateDeleteTask,
   validateRestoreTask,
 };
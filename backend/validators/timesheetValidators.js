@@ -0,0 +1,133 @@
+/**
+ * Timesheet Validators
+ * Validation rules for weekly timesheet endpoints
+ */
+
+import { body, param, query } from "express-validator";
+import { isValidObjectId } from "./validationMiddleware.js";
+import {
+  VALIDATION_LIMITS,
+  TIMESHEET_STATUS_ARRAY,
+} from "../constants/index.js";
+
+// Any date within the requested week; defaults to the current week
+const weekDate = (location) =>
+  location("week")
+    .optional()
+    .isISO8601()
+    .withMessage("Week must be a valid date within the week");
+
+// Review comment, required when rejecting
+const reviewComment = (required) => {
+  const chain = body("comment");
+
+  return (required ? chain : chain.optional({ values: "falsy" }))
+    .isString()
+    .withMessage("Comment must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("A comment is required to reject a timesheet")
+    .isLength({ max: VALIDATION_LIMITS.TIMESHEET_COMMENT_MAX })
+    .withMessage(
+      `Comment cannot exceed ${VALIDATION_LIMITS.TIMESHEET_COMMENT_MAX} characters`
+    );
+};
+
+/**
+ * Validation rules for timesheet ID parameter
+ */
+export const validateTimesheetId = [
+  param("id").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid timesheet ID format");
+    }
+    return true;
+  }),
+];
+
+/**
+ * Validation rules for a single week query
+ */
+export const validateTimesheetWeekQuery = [weekDate(query)];
+
+/**
+ * Validation rules for another user's week
+ */
+export const validateUserTimesheetQuery = [
+  param("userId").custom((value) => {
+    if (!isValidObjectId(value)) {
+      throw new Error("Invalid user ID format");
+    }
+    return true;
+  }),
+
+  weekDate(query),
+];
+
+/**
+ * Validation rules for timesheet list query parameters
+ */
+export const validateTimesheetQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_LIMITS.PAGE_SIZE_MAX })
+    .withMessage(
+      `Limit must be between 1 and ${VALIDATION_LIMITS.PAGE_SIZE_MAX}`
+    )
+    .toInt(),
+
+  query(["user", "department"])
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error("Invalid ID format");
+      }
+      return true;
+    }),
+
+  query("status")
+    .optional()
+    .isIn(TIMESHEET_STATUS_ARRAY)
+    .withMessage(
+      `Status must be one of: ${TIMESHEET_STATUS_ARRAY.join(", ")}`
+    ),
+
+  weekDate(query),
+];
+
+/**
+ * Validation rules for submitting a week
+ */
+export const validateSubmitTimesheet = [weekDate(body)];
+
+/**
+ * Validation rules for approving a timesheet
+ */
+export const validateApproveTimesheet = [
+  ...validateTimesheetId,
+  reviewComment(false),
+];
+
+/**
+ * Validation rules for rejecting a timesheet
+ */
+export const validateRejectTimesheet = [
+  ...validateTimesheetId,
+  reviewComment(true),
+];
+
+export default {
+  validateTimesheetId,
+  validateTimesheetWeekQuery,
+  validateUserTimesheetQuery,
+  validateTimesheetQuery,
+  validateSubmitTimesheet,
+  validateApproveTimesheet,
+  validateRejectTimesheet,
+};